@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * Render STL - Headless project renderer
+ * Reads saved project files (ProjectFileFormat envelope or legacy JSON),
+ * regenerates the geometry with the same generators the apps use and
+ * writes model files to disk through the shared mesh exporter.
+ *
+ * Usage:
+ *   node bin/render-stl.js <project.json>... [--out <dir>] [--items <a,b>] [--format <id>]
+ *                          [--printer <id>] [--material <id>] [--check] [--repair]
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { ProjectFileFormat } from '../scripts/storage/fileFormat.js';
+import {
+    exportMeshes,
+    getExportFormat,
+    getExportFormats,
+    summarizeRepairs,
+    DEFAULT_EXPORT_FORMAT
+} from '../scripts/export/meshExporter.js';
+import { analyzeMesh, describeMeshIssues } from '../scripts/export/meshAnalysis.js';
+import {
+    PRINTER_PRESETS,
+    MATERIALS,
+    DEFAULT_PRINTER_ID,
+    DEFAULT_MATERIAL_ID
+} from '../scripts/printer/printerProfiles.js';
+import { formatEstimate } from '../scripts/printer/printEstimator.js';
+
+const USAGE = `Usage: render-stl <project.json>... [options]
+
+Renders saved Playground Ceramics projects to model files (binary STL by default).
+
+Options:
+  -o, --out <dir>      Output directory (default: next to each project file)
+  -i, --items <list>   Comma-separated items to render
+                       dinnerware: item types, e.g. plate,mug
+                       castform:   parts, e.g. foot,wall1 (mold box: model,plug,cottle1,clamp1)
+  -f, --format <id>    Output format: ${getExportFormats().map(f => f.id).join(', ')}
+                       (default: ${DEFAULT_EXPORT_FORMAT})
+  -p, --printer <id>   Printer preset for the print estimate (default: ${DEFAULT_PRINTER_ID})
+                       ${PRINTER_PRESETS.map(p => p.id).join(', ')}
+  -m, --material <id>  Filament for the print estimate: ${MATERIALS.map(m => m.id).join(', ')}
+                       (default: ${DEFAULT_MATERIAL_ID})
+  -c, --check          Report watertightness of each mesh before writing
+  -r, --repair         Repair meshes before writing (merge vertices, fix
+                       winding, fill small holes)
+  -h, --help           Show this help
+`;
+
+/**
+ * Renderers keyed by fileFormat.appType.
+ * Each takes (state, projectName, options) and resolves to mesh exporter objects
+ * ({ name, part?, geometry, matrix?, color? }). Generator modules are
+ * imported lazily so a run only loads the app it needs.
+ */
+const RENDERERS = {
+    dinnerware: renderDinnerware,
+    vessel: renderVessel,
+    handle: renderHandle,
+    castform: renderCastForm
+};
+
+/**
+ * Dinnerware - one object per item
+ */
+async function renderDinnerware(state, projectName, options) {
+    const { ParameterResolver } = await import('../scripts/state/projectState.js');
+    const { generateItemMesh } = await import('../scripts/geometry/meshGenerator.js');
+
+    // Works for both exportState() files and raw dashboard state
+    const resolver = ParameterResolver.fromState(state);
+    const itemTypes = resolver.getItemTypes();
+
+    const items = options.items || state.ui?.visibleItems || itemTypes;
+
+    return items
+        .filter(itemType => {
+            if (itemTypes.includes(itemType)) return true;
+            console.warn(`  Skipping unknown item type: ${itemType}`);
+            return false;
+        })
+        .map(itemType => ({
+            name: resolver.getItemName(itemType),
+            part: itemType,
+            geometry: generateItemMesh(itemType, resolver)
+        }));
+}
+
+/**
+ * Vessel - all surfaces as one object
+ */
+async function renderVessel(state, projectName) {
+    const { vesselState } = await import('../scripts/vessel/state/vesselState.js');
+    const { VesselMeshGenerator } = await import('../scripts/vessel/geometry/vesselMeshGenerator.js');
+    const { collectWorldGeometries } = await import('../scripts/export/meshExporter.js');
+
+    // Merge with defaults the same way the app does
+    vesselState.loadState(state);
+
+    const geometries = collectWorldGeometries(new VesselMeshGenerator(vesselState.getState()).generate());
+    if (geometries.length === 0) return [];
+
+    return [{ name: projectName, geometry: geometries }];
+}
+
+/**
+ * Handle - single object in mug-relative position
+ */
+async function renderHandle(state, projectName) {
+    const { DEFAULT_HANDLE_PARAMS } = await import('../scripts/handle/state/handleState.js');
+    const { generateHandleExportGeometry } = await import('../scripts/handle/geometry/handleExportGeometry.js');
+
+    if (!state.mugData) {
+        throw new Error('Handle project has no mug data');
+    }
+
+    const handleParams = { ...DEFAULT_HANDLE_PARAMS, ...state.handleParams };
+
+    return [{
+        name: projectName,
+        geometry: generateHandleExportGeometry(handleParams, state.mugData)
+    }];
+}
+
+/**
+ * Cast Form - foot and wall shells (or the mold-box parts), regenerated from
+ * the embedded input geometry
+ */
+async function renderCastForm(state, projectName, options) {
+    const { default: castFormState } = await import('../scripts/castForm/state/castFormState.js');
+    const { MoldGenerator } = await import('../scripts/castForm/geometry/moldGenerator.js');
+    const { getPartColor } = await import('../scripts/castForm/state/castFormDefaults.js');
+    const { ScalingEngine } = await import('../scripts/castForm/geometry/scalingEngine.js');
+    const { PourCalculator, formatWeight, formatVolume } = await import('../scripts/castForm/geometry/pourCalculator.js');
+
+    castFormState.loadState(state);
+
+    const input = castFormState.getState('input');
+    if (!input.geometry) {
+        throw new Error('Cast form project has no embedded input geometry');
+    }
+
+    const params = castFormState.getState('params');
+    console.log(`  ${ScalingEngine.describeCompensation(input.bounds, params.shrinkage)}`);
+
+    const result = new MoldGenerator().generate(input.geometry, params);
+
+    const batch = PourCalculator.calculate(result.volumes, castFormState.getState('pour'));
+    console.log(`  Plaster (${batch.plasterName}, consistency ${batch.consistency}): ` +
+        `${formatWeight(batch.total.plaster)} plaster + ${formatWeight(batch.total.water)} water`);
+    console.log(`  Slip: ${formatVolume(batch.slip.volume)} (${formatWeight(batch.slip.weight)})`);
+
+    // Shells or mold-box parts, in print orientation
+    castFormState.setOutputGeometry(result.foot, result.walls, null, result.volumes, result.box);
+    const parts = castFormState.getOutputParts();
+    const selected = options.items || parts.map(({ id }) => id);
+
+    return parts
+        .filter(({ id }) => selected.includes(id))
+        .map(({ id, label, geometry }) => ({
+            name: label,
+            part: label.replace(/ /g, '_'),
+            geometry,
+            color: getPartColor(id)
+        }));
+}
+
+/**
+ * Read a project file and normalize it to the enhanced envelope
+ * @param {string} filePath
+ * @returns {Promise<Object>} { fileFormat, project, state, metadata }
+ */
+async function readProject(filePath) {
+    const data = JSON.parse(await readFile(filePath, 'utf8'));
+
+    if (ProjectFileFormat.detectFormat(data) === 'enhanced') {
+        return ProjectFileFormat.deserialize(data);
+    }
+
+    const errors = ProjectFileFormat.validate(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid file format: ${errors.join(', ')}`);
+    }
+    return ProjectFileFormat.migrateFromLegacy(data);
+}
+
+/**
+ * Render one project file to disk
+ * @returns {Promise<string[]>} Paths written
+ */
+async function renderProject(filePath, options) {
+    const envelope = await readProject(filePath);
+    const appType = envelope.fileFormat.appType;
+    const renderer = RENDERERS[appType];
+
+    if (!renderer) {
+        throw new Error(`Unsupported app type: ${appType}`);
+    }
+
+    const projectName = envelope.project?.name
+        || envelope.state.project?.name
+        || path.basename(filePath).replace(/(\.vessel)?\.json$/i, '');
+
+    console.log(`${filePath} (${appType}: ${projectName})`);
+
+    const outDir = options.out || path.dirname(filePath);
+    await mkdir(outDir, { recursive: true });
+
+    const objects = await renderer(envelope.state, projectName, options);
+    if (objects.length === 0) {
+        console.warn('  Nothing to render');
+        return [];
+    }
+
+    if (options.check) {
+        objects.forEach(({ name, geometry }) => {
+            const issues = describeMeshIssues(analyzeMesh(geometry));
+            console.log(`  ${name}: ${issues.length === 0 ? 'watertight' : issues.join(', ')}`);
+        });
+    }
+
+    const { files, warnings, repairs, estimates } = exportMeshes(objects, {
+        format: options.format,
+        projectName,
+        appType,
+        repair: options.repair,
+        profile: options.printer,
+        material: options.material
+    });
+    warnings.forEach(warning => console.warn(`  ${warning}`));
+    if (repairs.length > 0) {
+        console.log(`  ${summarizeRepairs(repairs)}`);
+    }
+    estimates.forEach(estimate => console.log(`  ${estimate.name}: ${formatEstimate(estimate)}`));
+
+    const written = [];
+
+    for (const { filename, blob } of files) {
+        const outPath = path.join(outDir, filename);
+        await writeFile(outPath, Buffer.from(await blob.arrayBuffer()));
+        console.log(`  -> ${outPath} (${(blob.size / 1024).toFixed(1)} KB)`);
+        written.push(outPath);
+    }
+
+    objects.forEach(({ geometry }) => {
+        (Array.isArray(geometry) ? geometry : [geometry]).forEach(geo => geo.dispose());
+    });
+
+    return written;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            items: { type: 'string', short: 'i' },
+            format: { type: 'string', short: 'f', default: DEFAULT_EXPORT_FORMAT },
+            printer: { type: 'string', short: 'p', default: DEFAULT_PRINTER_ID },
+            material: { type: 'string', short: 'm', default: DEFAULT_MATERIAL_ID },
+            check: { type: 'boolean', short: 'c' },
+            repair: { type: 'boolean', short: 'r' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    if (!getExportFormat(values.format)) {
+        console.error(`Unknown format: ${values.format}`);
+        process.exit(1);
+    }
+
+    const printer = PRINTER_PRESETS.find(p => p.id === values.printer);
+    if (!printer) {
+        console.error(`Unknown printer: ${values.printer}`);
+        process.exit(1);
+    }
+
+    const material = MATERIALS.find(m => m.id === values.material);
+    if (!material) {
+        console.error(`Unknown material: ${values.material}`);
+        process.exit(1);
+    }
+
+    const options = {
+        out: values.out,
+        format: values.format,
+        printer,
+        material,
+        check: values.check,
+        repair: values.repair,
+        items: values.items ? values.items.split(',').map(s => s.trim()).filter(Boolean) : null
+    };
+
+    let failures = 0;
+    for (const filePath of positionals) {
+        try {
+            await renderProject(filePath, options);
+        } catch (e) {
+            failures++;
+            console.error(`Failed to render ${filePath}: ${e.message}`);
+        }
+    }
+
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -9,16 +9,89 @@ import castFormState from './state/castFormState.js';
 import { CastFormViewport } from './ui/castFormViewport.js';
 import { ParameterPanel } from './ui/parameterPanel.js';
 import { InputProcessor } from './geometry/inputProcessor.js';
-import { MoldGenerator } from './geometry/moldGenerator.js';
-import { CastFormSTLExporter } from './geometry/castFormSTLExporter.js';
+import { MeshWorkerClient } from '../workers/meshWorkerClient.js';
+import { serializeGeometry } from '../workers/meshJobs.js';
+import {
+    getPartColor,
+    MIN_SEAM_GAP,
+    MAX_SEAM_GAP,
+    resolveSeamAngles
+} from './state/castFormDefaults.js';
+import { ScalingEngine } from './geometry/scalingEngine.js';
+import { DemoldAnalyzer } from './geometry/demoldAnalyzer.js';
+import { PartingLineOptimizer } from './geometry/partingLineOptimizer.js';
+import { PourCalculator } from './geometry/pourCalculator.js';
+import { SpareShape } from './geometry/spareShape.js';
+import { createPourSheet, printPourSheet } from './ui/pourSheet.js';
+import {
+    exportMeshes,
+    downloadBlob,
+    downloadFiles,
+    downloadFilesAsZip,
+    getExportFormat,
+    getExportFilename,
+    getBundleFilename,
+    populateFormatSelect,
+    summarizeRepairs
+} from '../export/meshExporter.js';
 import { ProjectFileFormat } from '../storage/fileFormat.js';
+import { HistoryMenu, handleHistoryShortcut, sealHistoryOnCommit } from '../ui/historyMenu.js';
+import { MeshCheckPanel } from '../ui/meshCheckPanel.js';
+import { PrinterSettings } from '../ui/printerSettings.js';
+import { printerProfiles, checkBedFit } from '../printer/printerProfiles.js';
+import {
+    estimateObjects,
+    combineEstimates,
+    formatEstimate,
+    describeEstimate,
+    storeMeasurement
+} from '../printer/printEstimator.js';
+
+// Legend entries for mold-box parts, one per kind (shells get one per piece)
+const BOX_LEGEND_LABELS = {
+    model: 'Model',
+    plug: 'Foot Plug',
+    cottle: 'Cottle Walls',
+    clamp: 'Corner Clamps'
+};
+
+/**
+ * Export part name for a mold part label ('Shell Wall 2' -> 'Shell_Wall_2')
+ */
+function getExportPartName(label) {
+    return label.replace(/ /g, '_');
+}
+
+/**
+ * Undercut, zero-draft and seam length of a seam layout as text
+ */
+function describeSeamLayout({ lockedPieces, undercutArea, zeroDraftArea, seamLength }) {
+    const cm2 = area => `${(area / 100).toFixed(1)} cm²`;
+    const locked = lockedPieces > 0 ? ` (${lockedPieces} ${lockedPieces === 1 ? 'piece locks' : 'pieces lock'})` : '';
+    return `Undercut ${cm2(undercutArea)}${locked} · no draft ${cm2(zeroDraftArea)} · seams ${seamLength.toFixed(0)} mm`;
+}
+
+/**
+ * Status suffix describing export repairs (if repair was on) and the print estimate
+ */
+function formatExportStatus({ repairs, estimates }) {
+    const repairStatus = repairs.length > 0 ? ` - ${summarizeRepairs(repairs)}` : '';
+    return `${repairStatus} - ${formatEstimate(combineEstimates(estimates))}`;
+}
 
 class CastFormApp {
     constructor() {
         this.viewport = null;
         this.parameterPanel = null;
-        this.moldGenerator = new MoldGenerator();
+        this.historyMenu = null;
+        this.meshCheckPanel = null;
+        this.printerSettings = null;
+        // Mold generation can take seconds - restart the worker rather than
+        // letting an outdated job finish
+        this.meshWorker = new MeshWorkerClient({ restartOnCancel: true });
         this.regenerateTimeout = null;
+        // Open seam layout dialog: { geometry, result, resolve }
+        this.seamChoice = null;
         
         this.init();
     }
@@ -60,6 +133,24 @@ class CastFormApp {
         
         // Custom events from parameter panel
         window.addEventListener('importFile', (e) => this.handleFileImport(e.detail.file));
+        window.addEventListener('optimizeSeams', () => {
+            const geometry = castFormState.getState('input.geometry');
+            if (!geometry) {
+                alert('Load a model first to search seam layouts.');
+                return;
+            }
+            this.suggestSeamLayout(geometry);
+        });
+        window.addEventListener('printPourSheet', () => {
+            const html = this.createPourSheetHtml();
+            if (!html) {
+                alert('Generate a mold first to calculate plaster and slip.');
+                return;
+            }
+            if (!printPourSheet(html)) {
+                alert('The pour sheet window was blocked. Allow pop-ups for this page or export the pour sheet with the shells.');
+            }
+        });
         
         // Modal events
         this.setupModalListeners();
@@ -73,6 +164,9 @@ class CastFormApp {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
         
+        // Undo/redo history
+        this.setupHistory();
+        
         // Warn before leaving with unsaved changes
         window.addEventListener('beforeunload', (e) => {
             if (castFormState.getState('project.isDirty')) {
@@ -107,6 +201,66 @@ class CastFormApp {
             const indicator = document.getElementById('unsavedIndicator');
             if (indicator) indicator.style.display = isDirty ? 'inline' : 'none';
         });
+        
+        // Legend and export list follow the generated wall pieces
+        castFormState.subscribe('output', () => this.updatePartLists());
+    }
+
+    /**
+     * Rebuild the part legend and export list for the generated mold
+     */
+    updatePartLists() {
+        const parts = castFormState.getOutputParts();
+        const legend = document.getElementById('partLegend');
+        const exportParts = document.getElementById('exportParts');
+        
+        // Keep the user's export selection for parts that still exist
+        const unchecked = new Set();
+        exportParts?.querySelectorAll('input[data-part]:not(:checked)').forEach(cb => unchecked.add(cb.dataset.part));
+        
+        legend?.querySelectorAll('.legend-item').forEach(el => el.remove());
+        exportParts?.querySelectorAll('.export-file-item').forEach(el => el.remove());
+        
+        const selectedPart = castFormState.getState('view.selectedPart');
+        const hiddenParts = castFormState.getState('view.hiddenParts');
+        const legendKeys = new Set();
+        parts.forEach(({ id, kind, label }) => {
+            const color = `#${getPartColor(id).toString(16).padStart(6, '0')}`;
+            
+            // The four cottle walls and clamps share one legend entry
+            const legendKey = BOX_LEGEND_LABELS[kind] ? kind : id;
+            if (!legendKeys.has(legendKey)) {
+                legendKeys.add(legendKey);
+                legend?.insertAdjacentHTML('beforeend', `
+                    <div class="legend-item${selectedPart === legendKey ? ' selected' : ''}${hiddenParts.includes(legendKey) ? ' part-hidden' : ''}" data-part="${legendKey}">
+                        <span class="legend-color" style="background: ${color};"></span>
+                        <span class="legend-label">${BOX_LEGEND_LABELS[kind] || label.replace('Shell ', '')}</span>
+                        <button class="legend-action" data-action="visibility" title="Show / hide part">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                                <circle cx="12" cy="12" r="3"/>
+                            </svg>
+                        </button>
+                        <button class="legend-action" data-action="isolate" title="Show only this part">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"/>
+                                <circle cx="12" cy="12" r="3"/>
+                            </svg>
+                        </button>
+                    </div>
+                `);
+            }
+            
+            exportParts?.insertAdjacentHTML('beforeend', `
+                <label class="export-file-item">
+                    <input type="checkbox" ${unchecked.has(id) ? '' : 'checked'} data-part="${id}">
+                    <span class="file-icon" style="color: ${color};">◼</span>
+                    <span class="file-name"></span>
+                </label>
+            `);
+        });
+        
+        this.updateExportFilenames();
     }
 
     /**
@@ -129,38 +283,55 @@ class CastFormApp {
             return;
         }
         
-        // Show loading
-        this.showLoading(true);
+        // Block the viewport only until the first mold exists; after that the
+        // previous mold stays interactive while the worker builds the new one
+        this.showLoading(castFormState.getOutputParts().length === 0);
+        this.updateStatus('Generating mold...');
         castFormState.setState('output.isGenerating', true);
         
+        let result;
         try {
             // Generate mold parts directly from the original geometry
             // This ensures the mold visually matches the displayed vessel
             const params = castFormState.getState('params');
-            const result = this.moldGenerator.generate(inputState.geometry, params);
-            
-            // Update state with generated geometry
-            castFormState.setOutputGeometry(result.foot, result.walls, inputState.geometry);
-            
-            // Validate and generate warnings
-            this.validateMold(result);
-            
-            // Update status
-            this.updateStatus('Mold generated');
-            
+            result = await this.meshWorker.generate('castform', {
+                geometry: serializeGeometry(inputState.geometry),
+                params
+            });
         } catch (error) {
             console.error('Mold generation error:', error);
             this.updateStatus('Generation failed');
             castFormState.setErrors([{ message: error.message }]);
-        } finally {
+            castFormState.setState('output.isGenerating', false);
             this.showLoading(false);
+            return;
         }
+        
+        // Parameters changed again - the newer job will update the view
+        if (!result) return;
+        
+        // Shells were measured in the worker alongside the geometry
+        const { measurements } = result;
+        if (result.foot) storeMeasurement(result.foot, measurements.foot);
+        result.walls.forEach((wall, i) => wall && storeMeasurement(wall, measurements.walls[i]));
+        result.box.forEach((part, i) => storeMeasurement(part, measurements.box[i]));
+        
+        // Update state with generated geometry
+        castFormState.setOutputGeometry(result.foot, result.walls, inputState.geometry, result.volumes, result.box);
+        
+        // Validate and generate warnings
+        this.validateMold();
+        this.updatePrintEstimate();
+        
+        // Update status
+        this.updateStatus('Mold generated');
+        this.showLoading(false);
     }
 
     /**
      * Validate generated mold and update warnings
      */
-    validateMold(result) {
+    validateMold() {
         const warnings = [];
         const params = castFormState.getState('params');
         const input = castFormState.getState('input');
@@ -173,6 +344,56 @@ class CastFormApp {
             });
         }
         
+        // Check seam layout (the generator falls back to even spacing)
+        if (!resolveSeamAngles(params.mold).valid) {
+            warnings.push({
+                type: 'error',
+                message: `Seams must be ${MIN_SEAM_GAP}-${MAX_SEAM_GAP}° apart with one per wall piece - using even spacing`
+            });
+        }
+        
+        // Check the spare is tall enough for its shape
+        const spareNeeded = new SpareShape(params.spare, params.mold.spareHeight).getRequiredHeight();
+        if (params.mold.spareHeight < spareNeeded) {
+            warnings.push({
+                type: 'info',
+                message: `Spare is too short for the reservoir to open fully - it needs ${Math.ceil(spareNeeded)}mm`
+            });
+        }
+        
+        // Check every natch found room on its seam face
+        const skippedNatches = castFormState.getOutputParts()
+            .reduce((sum, { geometry }) => sum + (geometry.userData.skippedNatches || 0), 0);
+        if (skippedNatches > 0) {
+            warnings.push({
+                type: 'info',
+                message: `${skippedNatches} natch${skippedNatches === 1 ? '' : 'es'} left out - not enough plaster around ${skippedNatches === 1 ? 'it' : 'them'} on the seam face (try a smaller natch or fewer per seam)`
+            });
+        }
+
+        // Check every piece can be pulled off the casting
+        if (input.geometry && input.isValid) {
+            const analysis = DemoldAnalyzer.analyze(input.geometry, params);
+            castFormState.setDemoldAnalysis(analysis);
+            warnings.push(...DemoldAnalyzer.getWarnings(analysis));
+        } else {
+            castFormState.setDemoldAnalysis(null);
+        }
+        
+        // Check shrinkage against typical clay bodies
+        const { radialPercent, verticalPercent } = params.shrinkage;
+        if (radialPercent === 0 && verticalPercent === 0) {
+            warnings.push({
+                type: 'info',
+                message: 'No shrinkage compensation - the fired piece will be smaller than the input'
+            });
+        } else if ([radialPercent, verticalPercent].some(p => p < 8 || p > 15)) {
+            warnings.push({
+                type: 'info',
+                message: `Shrinkage ${radialPercent}% / ${verticalPercent}% is outside the typical 8-15% range`
+            });
+        }
+        
         // Check mold size
         if (input.bounds) {
             const maxDim = Math.max(input.bounds.size.x, input.bounds.size.y, input.bounds.size.z);
@@ -184,9 +405,45 @@ class CastFormApp {
             }
         }
         
+        // Check every printed part fits the selected printer (Y is up, parts
+        // are generated in print orientation)
+        const printer = printerProfiles.getActiveProfile();
+        
+        castFormState.getOutputParts().forEach(({ label: name, geometry }) => {
+            if (!geometry.boundingBox) geometry.computeBoundingBox();
+            const size = geometry.boundingBox.getSize(new THREE.Vector3());
+            const fit = checkBedFit({ shape: 'rect', width: size.x, depth: size.z, height: size.y }, printer);
+            
+            if (!fit.fits) {
+                warnings.push({
+                    type: 'error',
+                    message: `${name} does not fit ${printer.name}: ${fit.issues.join('; ')}`
+                });
+            } else if (fit.angle > 0) {
+                warnings.push({
+                    type: 'info',
+                    message: `${name} only fits ${printer.name} rotated ${fit.angle}° on the bed`
+                });
+            }
+        });
+        
         castFormState.setWarnings(warnings);
     }
 
+    /**
+     * Update the filament and time estimate for all shells in the footer
+     */
+    updatePrintEstimate() {
+        const estimateEl = document.getElementById('printEstimate');
+        if (!estimateEl) return;
+        
+        const parts = castFormState.getOutputParts();
+        const estimate = estimateObjects(parts.map(({ geometry }) => ({ geometry })));
+        
+        estimateEl.textContent = estimate ? formatEstimate(estimate) : '';
+        estimateEl.title = estimate ? describeEstimate(estimate).join('\n') : '';
+    }
+
     /**
      * Handle file import
      * @param {File} file 
@@ -204,6 +461,10 @@ class CastFormApp {
             }
             
             if (result.geometry) {
+                // Imports are often not round - offer better seams before the first mold is built
+                this.showLoading(false);
+                await this.suggestSeamLayout(result.geometry, { onlyIfBetter: true });
+                
                 castFormState.setInputGeometry(
                     result.geometry,
                     file.name,
@@ -221,6 +482,99 @@ class CastFormApp {
         }
     }
 
+    /**
+     * Search seam layouts for a vessel and let the user pick one
+     * @param {THREE.BufferGeometry} geometry - Vessel to search (need not be loaded yet)
+     * @param {Object} [options]
+     * @param {boolean} [options.onlyIfBetter=false] - Skip the dialog when the
+     *        current seams are already as good as any candidate
+     * @returns {Promise<boolean>} Whether a new layout was applied
+     */
+    async suggestSeamLayout(geometry, { onlyIfBetter = false } = {}) {
+        const result = await this.findSeamLayouts(geometry);
+        if (!result) return false;
+        
+        if (onlyIfBetter && !PartingLineOptimizer.isImprovement(result.candidates[0], result.current)) {
+            return false;
+        }
+        
+        const layout = await new Promise(resolve => {
+            this.seamChoice = { geometry, result, resolve };
+            this.renderSeamCandidates();
+            this.showModal(document.getElementById('seamModal'));
+        });
+        if (!layout) return false;
+        
+        castFormState.setState('params.mold', {
+            ...castFormState.getState('params.mold'),
+            wallCount: layout.wallCount,
+            seamAngles: layout.seamAngles.map(angle => Math.round(angle * 10) / 10)
+        });
+        this.updateStatus(`Seams set to ${layout.seamAngles.map(a => `${Math.round(a)}°`).join(', ')}`);
+        return true;
+    }
+
+    /**
+     * Run the seam layout search in the mesh worker
+     * @returns {Promise<Object|null>} PartingLineOptimizer.findCandidates result,
+     *          null if it failed or a newer search replaced it
+     */
+    async findSeamLayouts(geometry) {
+        this.updateStatus('Searching seam layouts...');
+        
+        try {
+            const result = await this.meshWorker.generate('partingLine', {
+                geometry: serializeGeometry(geometry),
+                params: castFormState.getState('params'),
+                options: { searchPieceCount: document.getElementById('seamSearchCount')?.checked || false }
+            });
+            if (result) this.updateStatus('Seam search complete');
+            return result;
+        } catch (error) {
+            console.error('Seam search error:', error);
+            this.updateStatus('Seam search failed');
+            return null;
+        }
+    }
+
+    /**
+     * Fill the seam layout dialog from the open search result
+     */
+    renderSeamCandidates() {
+        const { current, candidates } = this.seamChoice.result;
+        const angles = layout => layout.seamAngles.map(a => `${Math.round(a)}°`).join(', ');
+        
+        const currentEl = document.getElementById('seamModalCurrent');
+        if (currentEl) {
+            currentEl.textContent = `Current: ${current.wallCount} wall pieces at ${angles(current)}. ${describeSeamLayout(current)}`;
+        }
+        
+        const list = document.getElementById('seamCandidates');
+        if (!list) return;
+        
+        list.innerHTML = candidates.map((layout, i) => `
+            <button type="button" class="seam-candidate" data-candidate="${i}">
+                <span class="seam-candidate-title">
+                    ${layout.wallCount} wall pieces at ${angles(layout)}
+                    ${i === 0 ? '<span class="seam-badge">Best</span>' : ''}
+                    ${PartingLineOptimizer.isSimilar(layout, current) ? '<span class="seam-badge">Current</span>' : ''}
+                </span>
+                <span class="seam-candidate-stats">${describeSeamLayout(layout)}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Close the seam layout dialog
+     * @param {Object|null} layout - Chosen candidate, or null to keep the current seams
+     */
+    finishSeamChoice(layout) {
+        const choice = this.seamChoice;
+        this.seamChoice = null;
+        this.hideModal(document.getElementById('seamModal'));
+        choice?.resolve(layout);
+    }
+
     /**
      * New project
      */
@@ -231,6 +585,10 @@ class CastFormApp {
             }
         }
         
+        // Drop any mold still being generated for the old input
+        this.meshWorker.cancel('castform');
+        this.showLoading(false);
+        
         castFormState.reset();
         this.updateStatus('New project');
     }
@@ -288,9 +646,38 @@ class CastFormApp {
         document.getElementById('exportModalCancel')?.addEventListener('click', () => this.hideModal(exportModal));
         document.getElementById('exportIndividual')?.addEventListener('click', () => this.exportIndividual());
         document.getElementById('exportZip')?.addEventListener('click', () => this.exportZip());
+        const exportFormat = document.getElementById('exportFormat');
+        if (exportFormat) {
+            populateFormatSelect(exportFormat);
+            exportFormat.addEventListener('change', () => this.updateExportFilenames());
+        }
+        const meshCheck = document.getElementById('meshCheck');
+        if (meshCheck) {
+            this.meshCheckPanel = new MeshCheckPanel(meshCheck);
+        }
+        document.getElementById('exportParts')?.addEventListener('change', () => this.updateMeshCheck());
         document.getElementById('selectAllExport')?.addEventListener('click', () => this.selectAllExportParts(true));
         document.getElementById('selectNoneExport')?.addEventListener('click', () => this.selectAllExportParts(false));
         
+        // Seam layout modal
+        document.getElementById('seamModalClose')?.addEventListener('click', () => this.finishSeamChoice(null));
+        document.getElementById('seamModalCancel')?.addEventListener('click', () => this.finishSeamChoice(null));
+        document.getElementById('seamCandidates')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-candidate]');
+            if (!item || !this.seamChoice) return;
+            this.finishSeamChoice(this.seamChoice.result.candidates[parseInt(item.dataset.candidate)]);
+        });
+        document.getElementById('seamSearchCount')?.addEventListener('change', async () => {
+            if (!this.seamChoice) return;
+            const choice = this.seamChoice;
+            const result = await this.findSeamLayouts(choice.geometry);
+            // Dialog may have been closed while searching
+            if (result && this.seamChoice === choice) {
+                choice.result = result;
+                this.renderSeamCandidates();
+            }
+        });
+        
         // Load modal
         const loadModal = document.getElementById('loadModal');
         document.getElementById('loadModalClose')?.addEventListener('click', () => this.hideModal(loadModal));
@@ -387,6 +774,17 @@ class CastFormApp {
      * Download project as JSON file
      */
     downloadProjectFile() {
+        const { filename, blob } = this.createProjectFile();
+        downloadBlob(blob, filename);
+
+        this.updateStatus('Project downloaded');
+    }
+
+    /**
+     * Build the project file, for saving to disk or bundling with an export
+     * @returns {{ filename: string, blob: Blob }}
+     */
+    createProjectFile() {
         const name = castFormState.getState('project.name') || 'Untitled Cast Form';
         const thumbnail = this.viewport?.captureThumbnail(256, 256);
 
@@ -398,28 +796,7 @@ class CastFormApp {
             projectData.project.id = `cast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         }
 
-        // Create enhanced JSON format
-        const enhancedData = ProjectFileFormat.serialize(projectData, 'castform');
-        const json = JSON.stringify(enhancedData, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        // Generate filename with timestamp
-        const filename = ProjectFileFormat.generateFilename(
-            name,
-            'castform',
-            new Date()
-        );
-
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-
-        this.updateStatus('Project downloaded');
+        return ProjectFileFormat.createFile(projectData, 'castform', name);
     }
 
     /**
@@ -570,67 +947,191 @@ class CastFormApp {
      * Show export modal
      */
     showExportModal() {
-        const output = castFormState.getState('output');
-        
-        if (!output.footShell && !output.wallShells.some(w => w)) {
+        if (castFormState.getOutputParts().length === 0) {
             alert('No mold geometry to export. Please load a model and generate the mold first.');
             return;
         }
         
-        const modal = document.getElementById('exportModal');
-        const projectName = castFormState.getState('project.name') || 'CastForm';
+        // Undercuts lock the mold onto the casting - make the user confirm
+        const blocking = castFormState.getState('warnings').filter(w => w.blocking);
+        if (blocking.length > 0 &&
+            !confirm(`This mold has undercuts:\n\n${blocking.map(w => w.message).join('\n')}\n\nExport anyway?`)) {
+            return;
+        }
         
-        // Update file names in modal
-        document.getElementById('exportFootName').textContent = `${projectName}_Shell_Foot.stl`;
-        document.getElementById('exportWall1Name').textContent = `${projectName}_Shell_Wall_1.stl`;
-        document.getElementById('exportWall2Name').textContent = `${projectName}_Shell_Wall_2.stl`;
-        document.getElementById('exportWall3Name').textContent = `${projectName}_Shell_Wall_3.stl`;
+        this.updateExportFilenames();
         
-        this.showModal(modal);
+        const summaryEl = document.getElementById('exportShrinkageSummary');
+        if (summaryEl) summaryEl.textContent = this.describeShrinkage() || '';
+        
+        this.showModal(document.getElementById('exportModal'));
+        this.updateMeshCheck();
+    }
+
+    /**
+     * Fired size vs mold cavity size for the export summary and file notes
+     * @returns {string|null} null without input geometry
+     */
+    describeShrinkage() {
+        const bounds = castFormState.getState('input.bounds');
+        if (!bounds) return null;
+        return ScalingEngine.describeCompensation(bounds, castFormState.getState('params.shrinkage'));
+    }
+
+    /**
+     * Pour sheet for the current mold and pour settings
+     * @returns {string|null} HTML, null before a mold has been generated
+     */
+    createPourSheetHtml() {
+        const volumes = castFormState.getState('output.volumes');
+        if (!volumes) return null;
+        
+        return createPourSheet(PourCalculator.calculate(volumes, castFormState.getState('pour')), {
+            projectName: castFormState.getState('project.name') || 'CastForm',
+            notes: [this.describeShrinkage()].filter(Boolean)
+        });
+    }
+
+    /**
+     * Re-run the mesh check for the selected shells
+     */
+    updateMeshCheck() {
+        this.meshCheckPanel?.check(this.getSelectedExportObjects());
     }
 
     /**
-     * Export individual STL files
+     * Update the file names shown in the export modal for the chosen format
      */
-    exportIndividual() {
-        const output = castFormState.getState('output');
+    updateExportFilenames() {
         const projectName = castFormState.getState('project.name') || 'CastForm';
+        const format = getExportFormat(document.getElementById('exportFormat')?.value);
+        const combined = document.getElementById('exportCombinedName');
         
+        const labels = new Map(castFormState.getOutputParts().map(({ id, label }) => [id, label]));
+        
+        document.querySelectorAll('#exportModal input[data-part]').forEach(cb => {
+            const nameEl = cb.closest('.export-file-item')?.querySelector('.file-name');
+            const label = labels.get(cb.dataset.part);
+            if (!nameEl || !label) return;
+            
+            nameEl.textContent = format?.multiObject
+                ? label
+                : getExportFilename(projectName, 'castform', format?.id, getExportPartName(label));
+        });
+        
+        // Formats that hold every part in one file get a single name
+        if (combined) {
+            combined.hidden = !format?.multiObject;
+            combined.textContent = format?.multiObject
+                ? `Selected parts in one file, placed as in the viewport: ${getExportFilename(projectName, 'castform', format.id)}`
+                : '';
+        }
+    }
+
+    /**
+     * Build export objects for the parts checked in the export modal
+     * @returns {Array<Object>}
+     */
+    getSelectedExportObjects() {
         const selectedParts = [];
-        document.querySelectorAll('#exportModal input[type="checkbox"]:checked').forEach(cb => {
+        document.querySelectorAll('#exportModal input[data-part]:checked').forEach(cb => {
             selectedParts.push(cb.dataset.part);
         });
         
-        if (selectedParts.length === 0) {
+        return (this.viewport?.moldGroup.children || [])
+            .filter(mesh => selectedParts.includes(mesh.name))
+            .map(mesh => {
+                mesh.updateMatrixWorld();
+                return {
+                    name: mesh.userData.label,
+                    part: getExportPartName(mesh.userData.label),
+                    geometry: mesh.geometry,
+                    matrix: mesh.matrixWorld,
+                    color: getPartColor(mesh.name)
+                };
+            });
+    }
+
+    /**
+     * Write the selected shells in the chosen format
+     * @returns {Object|null} exportMeshes result, null if nothing is selected
+     */
+    buildExportFiles() {
+        const objects = this.getSelectedExportObjects();
+        
+        if (objects.length === 0) {
             alert('Please select at least one part to export.');
-            return;
+            return null;
         }
         
-        CastFormSTLExporter.exportSelected(
-            { foot: output.footShell, walls: output.wallShells },
+        const projectName = castFormState.getState('project.name') || 'CastForm';
+        const result = exportMeshes(objects, {
+            format: document.getElementById('exportFormat')?.value,
             projectName,
-            selectedParts
-        );
+            appType: 'castform',
+            repair: this.meshCheckPanel?.repair,
+            notes: [this.describeShrinkage()].filter(Boolean)
+        });
+        result.warnings.forEach(warning => console.warn('Export:', warning));
+        
+        // Plaster and slip amounts travel with the shells
+        const pourSheet = document.getElementById('exportPourSheet')?.checked && this.createPourSheetHtml();
+        if (pourSheet) {
+            result.files.push({
+                filename: ProjectFileFormat.generateFilename(projectName, 'castform', new Date(), {
+                    extension: 'html',
+                    part: 'PourSheet'
+                }),
+                blob: new Blob([pourSheet], { type: 'text/html' })
+            });
+        }
+        
+        // A project bundle: the design travels with the shells made from it
+        result.withProject = document.getElementById('exportProjectFile')?.checked || false;
+        if (result.withProject) {
+            result.files.unshift(this.createProjectFile());
+        }
         
-        this.hideModal(document.getElementById('exportModal'));
-        this.updateStatus('Export complete');
+        return result;
     }
 
     /**
-     * Export as ZIP
+     * Download selected shells as individual files
+     */
+    async exportIndividual() {
+        try {
+            const result = this.buildExportFiles();
+            if (!result) return;
+            
+            this.hideModal(document.getElementById('exportModal'));
+            await downloadFiles(result.files);
+            this.updateStatus(`Export complete${formatExportStatus(result)}`);
+        } catch (e) {
+            console.error('Export failed:', e);
+            alert('Export failed: ' + e.message);
+        }
+    }
+
+    /**
+     * Download selected shells as one ZIP
      */
     async exportZip() {
-        const output = castFormState.getState('output');
         const projectName = castFormState.getState('project.name') || 'CastForm';
         
         try {
-            await CastFormSTLExporter.exportAsZip(
-                { foot: output.footShell, walls: output.wallShells },
-                projectName
-            );
+            const result = this.buildExportFiles();
+            if (!result) return;
+            
+            const zipName = result.withProject
+                ? getBundleFilename(projectName, 'castform')
+                : ProjectFileFormat.generateFilename(projectName, 'castform', new Date(), {
+                    extension: 'zip',
+                    part: 'MoldShells'
+                });
+            await downloadFilesAsZip(result.files, zipName);
             
             this.hideModal(document.getElementById('exportModal'));
-            this.updateStatus('ZIP export complete');
+            this.updateStatus(`ZIP export complete${formatExportStatus(result)}`);
         } catch (e) {
             console.error('ZIP export failed:', e);
             alert('ZIP export failed. Please try individual downloads.');
@@ -641,7 +1142,7 @@ class CastFormApp {
      * Select all/none export parts
      */
     selectAllExportParts(selectAll) {
-        document.querySelectorAll('#exportModal input[type="checkbox"]').forEach(cb => {
+        document.querySelectorAll('#exportModal input[data-part]').forEach(cb => {
             cb.checked = selectAll;
         });
     }
@@ -657,6 +1158,11 @@ class CastFormApp {
      * Hide modal
      */
     hideModal(modal) {
+        // Closing the seam dialog any other way keeps the current seams
+        if (modal?.id === 'seamModal' && this.seamChoice) {
+            this.finishSeamChoice(null);
+            return;
+        }
         modal?.classList.add('hidden');
     }
 
@@ -666,27 +1172,24 @@ class CastFormApp {
     setupViewControls() {
         // View mode dropdown
         document.querySelectorAll('[data-view]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const mode = btn.dataset.view;
-                castFormState.setState('view.mode', mode);
-                
-                // Update active state
-                document.querySelectorAll('[data-view]').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                // Show/hide relevant sliders based on view mode
-                const explosionContainer = document.getElementById('explosionDistanceContainer');
-                const crossSectionContainer = document.getElementById('crossSectionAngleContainer');
-                
-                if (explosionContainer) {
-                    explosionContainer.style.display = mode === 'exploded' ? 'flex' : 'none';
-                }
-                if (crossSectionContainer) {
-                    crossSectionContainer.style.display = mode === 'crossSection' ? 'flex' : 'none';
-                }
-            });
+            btn.addEventListener('click', () => this.setViewMode(btn.dataset.view));
         });
         
+        // Assembly animation ends in the assembly view
+        document.getElementById('playAssemblyBtn')?.addEventListener('click', async () => {
+            if (await this.viewport?.playAssembly()) {
+                this.setViewMode('assembly');
+            }
+        });
+        
+        // Quarter cutaway for the cross section
+        document.getElementById('quarterCutaway')?.addEventListener('change', (e) => {
+            castFormState.setState('view.cutaway', e.target.checked ? 'quarter' : 'half');
+        });
+        
+        // Save the current view as an image
+        document.getElementById('saveScreenshotBtn')?.addEventListener('click', () => this.saveScreenshot());
+        
         // Camera presets
         document.querySelectorAll('[data-camera]').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -730,6 +1233,11 @@ class CastFormApp {
             castFormState.setState('view.showGrid', e.target.checked);
         });
         
+        // Draft analysis overlay toggle
+        document.getElementById('showDraftAnalysis')?.addEventListener('change', (e) => {
+            castFormState.setState('view.showDraftAnalysis', e.target.checked);
+        });
+        
         // Natches toggle
         document.getElementById('showNatches')?.addEventListener('change', (e) => {
             castFormState.setState('view.showNatches', e.target.checked);
@@ -758,26 +1266,109 @@ class CastFormApp {
             }
         });
         
-        // Part legend clicks
-        document.querySelectorAll('.legend-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const part = item.dataset.part;
-                const currentSelected = castFormState.getState('view.selectedPart');
-                
-                if (currentSelected === part) {
-                    castFormState.setState('view.selectedPart', null);
-                    this.viewport?.highlightPart(null);
-                    document.querySelectorAll('.legend-item').forEach(i => i.classList.remove('selected'));
-                } else {
-                    castFormState.setState('view.selectedPart', part);
-                    this.viewport?.highlightPart(part);
-                    document.querySelectorAll('.legend-item').forEach(i => i.classList.remove('selected'));
-                    item.classList.add('selected');
-                }
-            });
+        // Part legend clicks (wall items are rebuilt with the mold)
+        document.getElementById('partLegend')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.legend-item');
+            if (!item) return;
+            
+            const part = item.dataset.part;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) {
+                this.togglePartVisibility(part, action === 'isolate');
+                return;
+            }
+            
+            const currentSelected = castFormState.getState('view.selectedPart');
+            
+            if (currentSelected === part) {
+                castFormState.setState('view.selectedPart', null);
+                this.viewport?.highlightPart(null);
+                document.querySelectorAll('.legend-item').forEach(i => i.classList.remove('selected'));
+            } else {
+                castFormState.setState('view.selectedPart', part);
+                this.viewport?.highlightPart(part);
+                document.querySelectorAll('.legend-item').forEach(i => i.classList.remove('selected'));
+                item.classList.add('selected');
+            }
+        });
+    }
+
+    /**
+     * Switch the viewport between exploded, assembly and cross-section views
+     * @param {string} mode - 'exploded' | 'assembly' | 'crossSection'
+     */
+    setViewMode(mode) {
+        castFormState.setState('view.mode', mode);
+        
+        // Update active state
+        document.querySelectorAll('[data-view]').forEach(b => {
+            b.classList.toggle('active', b.dataset.view === mode);
+        });
+        
+        // Show/hide relevant controls based on view mode
+        const explosionContainer = document.getElementById('explosionDistanceContainer');
+        const crossSectionContainer = document.getElementById('crossSectionAngleContainer');
+        const cutawayContainer = document.getElementById('quarterCutawayContainer');
+        
+        if (explosionContainer) {
+            explosionContainer.style.display = mode === 'exploded' ? 'flex' : 'none';
+        }
+        if (crossSectionContainer) {
+            crossSectionContainer.style.display = mode === 'crossSection' ? 'flex' : 'none';
+        }
+        if (cutawayContainer) {
+            cutawayContainer.style.display = mode === 'crossSection' ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Hide or show a legend part, or show it on its own
+     * @param {string} part - Legend key ('foot', 'wall1', 'cottle', ...)
+     * @param {boolean} isolate - Hide every other part (again: show all)
+     */
+    togglePartVisibility(part, isolate) {
+        const hiddenParts = castFormState.getState('view.hiddenParts');
+        const legendKeys = [...document.querySelectorAll('#partLegend .legend-item')].map(item => item.dataset.part);
+        const others = legendKeys.filter(key => key !== part);
+        
+        let next;
+        if (isolate) {
+            const isolated = !hiddenParts.includes(part) && others.every(key => hiddenParts.includes(key));
+            next = isolated ? [] : others;
+        } else {
+            next = hiddenParts.includes(part)
+                ? hiddenParts.filter(key => key !== part)
+                : [...hiddenParts, part];
+        }
+        
+        castFormState.setState('view.hiddenParts', next);
+        document.querySelectorAll('#partLegend .legend-item').forEach(item => {
+            item.classList.toggle('part-hidden', next.includes(item.dataset.part));
         });
     }
 
+    /**
+     * Download the viewport as a PNG
+     */
+    saveScreenshot() {
+        const canvas = this.viewport?.renderer.domElement;
+        if (!canvas) return;
+        
+        // Draw the current frame (preserveDrawingBuffer keeps it readable)
+        this.viewport.renderer.render(this.viewport.scene, this.viewport.camera);
+        canvas.toBlob(blob => {
+            if (!blob) {
+                alert('Could not capture the viewport.');
+                return;
+            }
+            const projectName = castFormState.getState('project.name') || 'CastForm';
+            downloadBlob(blob, ProjectFileFormat.generateFilename(projectName, 'castform', new Date(), {
+                extension: 'png',
+                part: castFormState.getState('view.mode')
+            }));
+        }, 'image/png');
+    }
+
     /**
      * Setup settings panel
      */
@@ -812,6 +1403,54 @@ class CastFormApp {
                 btn.classList.add('active');
             });
         });
+        
+        // Printer profile
+        const printerContainer = document.getElementById('printerSettings');
+        if (printerContainer) {
+            this.printerSettings = new PrinterSettings(printerContainer);
+        }
+        
+        // Re-check the shells against the newly selected printer
+        printerProfiles.subscribe(() => {
+            if (castFormState.getOutputParts().length > 0) {
+                this.validateMold();
+                this.updatePrintEstimate();
+            }
+        });
+    }
+
+    /**
+     * Setup the header history menu
+     */
+    setupHistory() {
+        // Parameter sliders write state after a 50ms debounce
+        sealHistoryOnCommit(castFormState.history, 100);
+        
+        const container = document.getElementById('historyMenuContainer');
+        if (container) {
+            this.historyMenu = new HistoryMenu(container, castFormState.history, {
+                onUndo: (steps) => this.undo(steps),
+                onRedo: (steps) => this.redo(steps)
+            });
+        }
+    }
+
+    /**
+     * Undo parameter changes
+     */
+    undo(steps = 1) {
+        let count = 0;
+        while (count < steps && castFormState.undo()) count++;
+        if (count > 0) this.updateStatus(count > 1 ? `Undid ${count} changes` : 'Undo');
+    }
+
+    /**
+     * Redo undone parameter changes
+     */
+    redo(steps = 1) {
+        let count = 0;
+        while (count < steps && castFormState.redo()) count++;
+        if (count > 0) this.updateStatus(count > 1 ? `Redid ${count} changes` : 'Redo');
     }
 
     /**
@@ -836,6 +1475,12 @@ class CastFormApp {
             this.showExportModal();
         }
         
+        // Ctrl/Cmd + Z = Undo, Ctrl/Cmd + Shift + Z = Redo
+        handleHistoryShortcut(e, {
+            undo: () => this.undo(),
+            redo: () => this.redo()
+        });
+        
         // Escape = Close modals
         if (e.key === 'Escape') {
             document.querySelectorAll('.modal:not(.hidden)').forEach(modal => {
@@ -0,0 +1,393 @@
+/**
+ * Cast Form Generator - Cottle Generator
+ * Mold-box output mode: instead of printed shells, prints the positive and
+ * a box to pour plaster around it.
+ *
+ * Parts:
+ * - Model: the mold cavity as a solid (vessel outer surface + spare)
+ * - Foot plug: fills the foot socket under the model and carries the natch
+ *   pegs that key the foot to the wall pieces
+ * - Cottle walls: four flat panels that close into a square box (pinwheel,
+ *   each panel overlaps the next), plasterWallThickness clear of the model
+ * - Corner clamps: caps that hook over the top edge of each box corner
+ *
+ * Pour sequence: plug on the board, model on the plug, clamp the cottles
+ * around them and pour the wall pieces one at a time (dividers at the seam
+ * angles) up to the top of the spare. Turn the walls over, lift the plug out
+ * and pour the foot into the socket it leaves.
+ *
+ * Parts are built in print orientation; geometry.userData.placement holds
+ * the matrix that puts a part into the assembled box.
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { resolveSeamAngles } from '../state/castFormDefaults.js';
+import { DemoldAnalyzer } from './demoldAnalyzer.js';
+import { createNatchMesh, getNatchExtent } from './natchGeometry.js';
+
+const COTTLE_THICKNESS = 5;      // mm
+const COTTLE_FREEBOARD = 10;     // mm of wall above the plaster
+const CLAMP_WALL = 3;            // mm
+const CLAMP_LEG = 30;            // mm along each panel from the corner
+const CLAMP_OUTER_DEPTH = 25;    // mm down the outside of the box
+const CLAMP_INNER_DEPTH = 6;     // mm down the inside (stays above the plaster)
+const CLAMP_CLEARANCE = 0.3;     // mm per side around the panels
+const PEG_EMBED = 0.5;           // mm a natch peg reaches into the plug
+
+export class CottleGenerator {
+    /**
+     * @param {MoldGenerator} moldGenerator - Supplies sampling and clearances
+     */
+    constructor(moldGenerator) {
+        this.moldGenerator = moldGenerator;
+    }
+
+    /**
+     * Generate the model, plug, cottle walls and clamps
+     *
+     * @param {{radii: number[][], heights: number[]}} profile - Sampled vessel profile
+     * @param {THREE.Box3} bounds - Vessel bounds (cavity size)
+     * @param {THREE.BufferGeometry} inputGeometry - Vessel at cavity size
+     * @param {Object} params - Mold parameters (mold, natches)
+     * @param {SpareShape} spare - Spare above the rim
+     * @returns {{ parts: THREE.BufferGeometry[], volumes: { foot: number, walls: number[] } }}
+     *          parts carry userData { id, kind, label, placement }; volumes in mm³
+     */
+    generate(profile, bounds, inputGeometry, params, spare) {
+        const { mold, natches } = params;
+        const clearance = this.moldGenerator.vesselClearance;
+        const baseY = bounds.min.y - this.moldGenerator.baseMoldHeight;
+        const spareTop = bounds.max.y + mold.spareHeight;
+        const { angles } = resolveSeamAngles(mold);
+
+        // The plug follows the vessel's footprint like the shell foot, so both modes cast the same foot
+        const plugOutline = this.moldGenerator.getFootOutline(profile, 0);
+        const bottomGrid = this.moldGenerator.sampleVesselBottomGridWithRadius(inputGeometry, bounds, plugOutline);
+
+        const rim = profile.radii[profile.radii.length - 1];
+        const spareRadius = Math.max(...rim) + clearance + spare.getMaxOffset();
+        const modelRadius = Math.max(Math.max(...profile.radii.flat()) + clearance, spareRadius, ...plugOutline);
+
+        // Inner half width of the box and panel height
+        const halfWidth = modelRadius + mold.plasterWallThickness;
+        const panelHeight = spareTop - baseY + COTTLE_FREEBOARD;
+
+        const parts = [
+            this.createPart(this.generateModel(profile, bounds, bottomGrid, spare),
+                { id: 'model', kind: 'model', label: 'Model' }),
+            this.createPart(this.generatePlug(profile, bounds, bottomGrid, plugOutline, baseY, angles, natches),
+                { id: 'plug', kind: 'plug', label: 'Foot Plug' })
+        ];
+
+        const panel = this.layFlat(this.generatePanel(halfWidth, baseY, panelHeight),
+            new THREE.Matrix4().makeRotationZ(Math.PI / 2));
+        const clamp = this.layFlat(this.generateClamp(halfWidth, baseY + panelHeight),
+            new THREE.Matrix4().makeRotationX(Math.PI));
+
+        // The box is symmetric under quarter turns - one panel and clamp per side
+        const turns = [0, 1, 2, 3].map(i => new THREE.Matrix4().makeRotationY((i * Math.PI) / 2));
+        turns.forEach((turn, i) => parts.push(this.createPart(panel.geometry.clone(), {
+            id: `cottle${i + 1}`, kind: 'cottle', label: `Cottle Wall ${i + 1}`
+        }, turn.clone().multiply(panel.placement))));
+        turns.forEach((turn, i) => parts.push(this.createPart(clamp.geometry.clone(), {
+            id: `clamp${i + 1}`, kind: 'clamp', label: `Corner Clamp ${i + 1}`
+        }, turn.clone().multiply(clamp.placement))));
+        panel.geometry.dispose();
+        clamp.geometry.dispose();
+
+        return {
+            parts,
+            volumes: {
+                foot: this.moldGenerator.getFootVolume(bottomGrid, plugOutline, baseY),
+                walls: this.getWallVolumes(profile, angles, halfWidth, plugOutline, spare)
+            }
+        };
+    }
+
+    /**
+     * Solid positive of the cavity: foot contour, vessel outer surface and spare
+     */
+    generateModel(profile, bounds, bottomGrid, spare) {
+        const clearance = this.moldGenerator.vesselClearance;
+        const angleSteps = bottomGrid.length;
+        const radialSteps = bottomGrid[0].length;
+        const rowRadius = (h, a) => profile.radii[h][a] + clearance;
+
+        // Foot contour from the center out to the first profile row
+        const rings = [this.getCenter(bottomGrid)];
+        for (let r = 1; r < radialSteps; r++) {
+            rings.push(this.ring(angleSteps, a => (r / (radialSteps - 1)) * rowRadius(0, a), a => bottomGrid[a][r]));
+        }
+
+        profile.heights.forEach((y, h) => {
+            rings.push(this.ring(angleSteps, a => rowRadius(h, a), () => y));
+        });
+
+        // Spare: the rim pushed out by the spare shape, as in the shell walls.
+        // Spares that carry the wall straight on have no ledge at the rim.
+        const top = profile.radii.length - 1;
+        const angleAt = a => (a / angleSteps) * Math.PI * 2;
+        spare.getSampleHeights().forEach(s => {
+            if (s === 0 && spare.getOffset(0, 0) === 0) return;
+            rings.push(this.ring(angleSteps, a => rowRadius(top, a) + spare.getOffset(s, angleAt(a)), () => bounds.max.y + s));
+        });
+        rings.push([0, bounds.max.y + spare.height, 0]);
+
+        return this.loft(rings);
+    }
+
+    /**
+     * Solid foot plug: flat bottom, side following the vessel's footprint, top
+     * contoured to the vessel bottom, with one natch peg facing each wall piece
+     */
+    generatePlug(profile, bounds, bottomGrid, plugOutline, baseY, angles, natches) {
+        const angleSteps = bottomGrid.length;
+        const radialSteps = bottomGrid[0].length;
+
+        const rings = [
+            [0, baseY, 0],
+            this.ring(angleSteps, a => plugOutline[a], () => baseY)
+        ];
+        for (let r = radialSteps - 1; r > 0; r--) {
+            rings.push(this.ring(angleSteps, a => (r / (radialSteps - 1)) * plugOutline[a], a => bottomGrid[a][r]));
+        }
+        rings.push(this.getCenter(bottomGrid));
+
+        // Pegs sit mid-height on the side, in line with each piece's pull,
+        // shrunk to fit the plug's height
+        const pegY = baseY + this.moldGenerator.baseMoldHeight / 2;
+        const extent = getNatchExtent(natches.style, 1);
+        const pegRadius = Math.min(
+            natches.diameter / 2,
+            (this.moldGenerator.baseMoldHeight / 2 - 2) / Math.max(extent.up, extent.down)
+        );
+        const pegs = angles.map((angle, i) => {
+            const nextSeam = i < angles.length - 1 ? angles[i + 1] : angles[0] + 360;
+            const midAngle = THREE.MathUtils.degToRad((angle + nextSeam) / 2);
+            const plugRadius = this.moldGenerator.getProfileRadius(profile, bounds, bounds.min.y, midAngle) +
+                this.moldGenerator.vesselClearance;
+            return this.createPeg(plugRadius, midAngle, pegY, pegRadius, natches);
+        });
+
+        return this.mergeSolids([this.loft(rings), ...pegs]);
+    }
+
+    /**
+     * Natch peg in the chosen style, pointing out from the plug side
+     */
+    createPeg(plugRadius, angle, y, radius, natches) {
+        const { positions, indices } = createNatchMesh(natches.style, radius, natches.depth, { embed: PEG_EMBED });
+
+        // Natch frame: +Z out of the plug, Y up, X along the side
+        const frame = new THREE.Matrix4().makeBasis(
+            new THREE.Vector3(Math.sin(angle), 0, -Math.cos(angle)),
+            new THREE.Vector3(0, 1, 0),
+            new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle))
+        ).setPosition(plugRadius * Math.cos(angle), y, plugRadius * Math.sin(angle));
+
+        const peg = new THREE.BufferGeometry();
+        peg.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        peg.setIndex(indices);
+        peg.applyMatrix4(frame);
+        return peg;
+    }
+
+    /**
+     * Cottle wall on the +X side of the box, in place
+     * Spans z from -halfWidth to halfWidth + thickness so the next panel
+     * (a quarter turn on) butts against its face.
+     */
+    generatePanel(halfWidth, baseY, panelHeight) {
+        const length = 2 * halfWidth + COTTLE_THICKNESS;
+        const panel = new THREE.BoxGeometry(COTTLE_THICKNESS, panelHeight, length);
+        panel.translate(halfWidth + COTTLE_THICKNESS / 2, baseY + panelHeight / 2, COTTLE_THICKNESS / 2);
+        return panel;
+    }
+
+    /**
+     * Corner clamp for the +X/+Z box corner, in place
+     * A top plate over both panel edges with skirts down the outside and a
+     * short lip down the inside, so the panels can't spread or fold in.
+     */
+    generateClamp(halfWidth, topY) {
+        const outer = halfWidth + COTTLE_THICKNESS + CLAMP_CLEARANCE;   // Outside face of the slot
+        const inner = halfWidth - CLAMP_CLEARANCE;                      // Inside face of the slot
+        const legEnd = halfWidth + COTTLE_THICKNESS - CLAMP_LEG;
+        const plateTop = topY + CLAMP_CLEARANCE + CLAMP_WALL;
+
+        // L-shaped outlines in the XZ plane: [outer corner, along +X leg..., along +Z leg]
+        const lShape = (far, near) => [
+            [far, far], [far, legEnd], [near, legEnd], [near, near], [legEnd, near], [legEnd, far]
+        ];
+
+        // Skirts end inside the plate so no edges are shared between the solids
+        const skirtTop = plateTop - CLAMP_WALL / 2;
+        return this.mergeSolids([
+            this.extrudePlan(lShape(outer + CLAMP_WALL, inner - CLAMP_WALL), topY + CLAMP_CLEARANCE, plateTop),
+            this.extrudePlan(lShape(outer + CLAMP_WALL, outer), topY - CLAMP_OUTER_DEPTH, skirtTop),
+            this.extrudePlan(lShape(inner, inner - CLAMP_WALL), topY - CLAMP_INNER_DEPTH, skirtTop)
+        ]);
+    }
+
+    /**
+     * Prism from an XZ outline between two heights
+     * @param {number[][]} outline - [x, z] points
+     */
+    extrudePlan(outline, bottomY, topY) {
+        // Shape Y becomes -Z after turning the extrusion upright
+        const shape = new THREE.Shape(outline.map(([x, z]) => new THREE.Vector2(x, -z)));
+        const prism = new THREE.ExtrudeGeometry(shape, { depth: topY - bottomY, bevelEnabled: false });
+        prism.rotateX(-Math.PI / 2);
+        prism.translate(0, bottomY, 0);
+        return prism;
+    }
+
+    /**
+     * Plaster volume of each wall piece: the box between its seams minus the
+     * model and plug, integrated over angle and height
+     * @returns {number[]} mm³ per wall piece
+     */
+    getWallVolumes(profile, angles, halfWidth, plugOutline, spare) {
+        const volumes = angles.map(() => 0);
+        const angleSteps = profile.radii[0].length;
+        const dTheta = (Math.PI * 2) / angleSteps;
+        const clearance = this.moldGenerator.vesselClearance;
+        const spareHeights = spare.getSampleHeights();
+
+        for (let a = 0; a < angleSteps; a++) {
+            const theta = (a + 0.5) * dTheta;
+            const boxRadius = halfWidth / Math.max(Math.abs(Math.cos(theta)), Math.abs(Math.sin(theta)));
+            const sector = r => ((boxRadius ** 2 - r ** 2) / 2) * dTheta;
+
+            let volume = sector(plugOutline[a]) * this.moldGenerator.baseMoldHeight;
+            const rimRadius = profile.radii[profile.radii.length - 1][a] + clearance;
+            const spareSector = s => sector(rimRadius + spare.getOffset(s, theta));
+            for (let i = 1; i < spareHeights.length; i++) {
+                volume += ((spareSector(spareHeights[i]) + spareSector(spareHeights[i - 1])) / 2) *
+                    (spareHeights[i] - spareHeights[i - 1]);
+            }
+            for (let h = 1; h < profile.heights.length; h++) {
+                const dy = profile.heights[h] - profile.heights[h - 1];
+                volume += ((sector(profile.radii[h][a] + clearance) + sector(profile.radii[h - 1][a] + clearance)) / 2) * dy;
+            }
+
+            volumes[DemoldAnalyzer.getWallIndex(theta, angles)] += volume;
+        }
+
+        return volumes;
+    }
+
+    /**
+     * Ring of points around the Y axis
+     * @param {number} steps
+     * @param {Function} radiusAt - (angleIndex) => radius
+     * @param {Function} heightAt - (angleIndex) => y
+     * @returns {number[][]}
+     */
+    ring(steps, radiusAt, heightAt) {
+        return Array.from({ length: steps }, (_, a) => {
+            const angle = (a / steps) * Math.PI * 2;
+            const radius = radiusAt(a);
+            return [radius * Math.cos(angle), heightAt(a), radius * Math.sin(angle)];
+        });
+    }
+
+    /**
+     * Center of the bottom grid (radius 0, averaged over the angles)
+     */
+    getCenter(bottomGrid) {
+        return [0, bottomGrid.reduce((sum, heights) => sum + heights[0], 0) / bottomGrid.length, 0];
+    }
+
+    /**
+     * Closed surface through rings ordered bottom center -> side -> top center
+     * A ring is an array of points, or a single [x, y, z] point at the axis.
+     * @returns {THREE.BufferGeometry}
+     */
+    loft(rings) {
+        const vertices = [];
+        const indices = [];
+        const starts = rings.map(ring => {
+            const start = vertices.length / 3;
+            if (typeof ring[0] === 'number') {
+                vertices.push(...ring);
+            } else {
+                ring.forEach(point => vertices.push(...point));
+            }
+            return start;
+        });
+
+        const steps = rings.find(ring => typeof ring[0] !== 'number').length;
+        const index = (r, a) => typeof rings[r][0] === 'number' ? starts[r] : starts[r] + (a % steps);
+
+        // Meridian direction × angle direction points outward
+        for (let r = 0; r < rings.length - 1; r++) {
+            for (let a = 0; a < steps; a++) {
+                const p00 = index(r, a);
+                const p01 = index(r, a + 1);
+                const p10 = index(r + 1, a);
+                const p11 = index(r + 1, a + 1);
+
+                if (p00 !== p01) indices.push(p00, p10, p01);
+                if (p10 !== p11) indices.push(p01, p10, p11);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+
+    /**
+     * Merge closed solids into one geometry (overlaps are left to the slicer)
+     */
+    mergeSolids(geometries) {
+        const parts = geometries.map(geometry => {
+            const part = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+            Object.keys(part.attributes).forEach(name => {
+                if (name !== 'position') part.deleteAttribute(name);
+            });
+            geometry.dispose();
+            return part;
+        });
+
+        const merged = mergeGeometries(parts, false);
+        parts.forEach(part => part.dispose());
+        return merged;
+    }
+
+    /**
+     * Rotate a part into print orientation and set it on the bed at the origin
+     * @param {THREE.BufferGeometry} geometry - Part in assembly position (modified)
+     * @param {THREE.Matrix4} rotation
+     * @returns {{ geometry: THREE.BufferGeometry, placement: THREE.Matrix4 }} placement
+     *          maps the printed part back into the assembly
+     */
+    layFlat(geometry, rotation) {
+        geometry.applyMatrix4(rotation);
+        geometry.computeBoundingBox();
+        const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+        const onBed = new THREE.Matrix4().makeTranslation(-center.x, -geometry.boundingBox.min.y, -center.z);
+        geometry.applyMatrix4(onBed);
+
+        return {
+            geometry,
+            placement: onBed.multiply(rotation).invert()
+        };
+    }
+
+    /**
+     * Finish a part: normals, identification and placement
+     * @param {THREE.Matrix4} [placement] - Identity for parts printed as assembled
+     */
+    createPart(geometry, { id, kind, label }, placement = new THREE.Matrix4()) {
+        geometry.computeVertexNormals();
+        geometry.computeBoundingBox();
+        geometry.userData = { id, kind, label, placement: placement.toArray() };
+        return geometry;
+    }
+}
+
+export default CottleGenerator;
@@ -0,0 +1,362 @@
+/**
+ * Cast Form Generator - Demold Analyzer
+ * Checks whether each mold piece can be pulled off the casting.
+ *
+ * Every face of the vessel's outer surface is assigned to the piece that
+ * forms it: faces seen from below inside the foot footprint belong to the
+ * foot (pulled straight down), the rest of the outer surface to the wall
+ * piece whose segment holds it (pulled out along the segment middle).
+ * Draft is the angle between the face and its pull direction: positive
+ * releases, around zero scrapes, negative locks the piece (undercut).
+ */
+
+import * as THREE from 'three';
+import { forEachTriangle } from '../../export/writers/meshData.js';
+import { resolveSeamAngles } from '../state/castFormDefaults.js';
+import { ScalingEngine } from './scalingEngine.js';
+
+// Faces within this many degrees of their pull direction's plane have no draft
+export const DRAFT_TOLERANCE = 1;
+
+// Face categories (per-face values in the result)
+export const FACE_CATEGORY = {
+    interior: 0,     // Not touched by the mold (inside, rim top)
+    ok: 1,
+    zeroDraft: 2,
+    undercut: 3
+};
+
+// Envelope grid resolution
+const HEIGHT_BINS = 64;
+const ANGLE_BINS = 90;
+const RADIUS_BINS = 24;
+const MAX_SAMPLE_STEPS = 64;      // Per triangle edge, caps samples at ~2000
+
+// Ignore undercut specks smaller than this (tessellation noise); a piece
+// with more will lock onto the casting
+export const MIN_UNDERCUT_AREA = 10;     // mm²
+const MIN_ZERO_DRAFT_SHARE = 0.01;
+
+export class DemoldAnalyzer {
+    /**
+     * Analyze the input vessel against the mold layout
+     *
+     * @param {THREE.BufferGeometry} firedGeometry - Input vessel (fired size)
+     * @param {Object} params - Mold parameters (shrinkage, mold.wallCount, mold.seamAngles)
+     * @returns {{ categories: Uint8Array, pieces: Array<Object> }} categories has one
+     *          entry per triangle of firedGeometry (FACE_CATEGORY); pieces holds
+     *          { part, name, contactArea, undercutArea, zeroDraftArea, minDraft } in mm² / degrees
+     */
+    static analyze(firedGeometry, params) {
+        const surface = this.prepare(firedGeometry, params.shrinkage);
+        return this.classify(surface, resolveSeamAngles(params.mold).angles);
+    }
+
+    /**
+     * Seam-independent part of the analysis: which faces the foot and the
+     * wall pieces form. Reuse the result to compare seam layouts cheaply.
+     *
+     * @param {THREE.BufferGeometry} firedGeometry - Input vessel (fired size)
+     * @param {Object} [shrinkage] - params.shrinkage
+     * @returns {{ faces: Array<Object>, roles: Int8Array, envelope: Object }} roles
+     *          per face: -1 untouched, 0 foot, 1 wall
+     */
+    static prepare(firedGeometry, shrinkage) {
+        // Draft depends on the cavity shape, which anisotropic shrinkage skews
+        const geometry = ScalingEngine.applyCompensation(firedGeometry, shrinkage);
+        geometry.computeBoundingBox();
+        const bounds = geometry.boundingBox.clone();
+
+        const faces = this.collectFaces(geometry);
+        if (geometry !== firedGeometry) geometry.dispose();
+
+        const envelope = this.buildEnvelopes(faces, bounds);
+        const roles = new Int8Array(faces.length);
+        faces.forEach((face, i) => {
+            roles[i] = this.getRole(face, envelope, bounds);
+        });
+
+        return { faces, roles, envelope };
+    }
+
+    /**
+     * Draft of every mold-facing face for one seam layout
+     *
+     * @param {Object} surface - Result of prepare()
+     * @param {number[]} angles - Sorted seam angles in degrees (resolveSeamAngles)
+     * @returns {{ categories: Uint8Array, pieces: Array<Object> }} as analyze()
+     */
+    static classify(surface, angles) {
+        const { faces, roles } = surface;
+        const pieces = [
+            this.createPiece('foot', 'Foot'),
+            ...angles.map((_, i) => this.createPiece(`wall${i + 1}`, `Wall ${i + 1}`))
+        ];
+
+        const pulls = [
+            new THREE.Vector3(0, -1, 0),
+            ...angles.map((_, i) => {
+                const midAngle = this.getMidAngle(angles, i);
+                return new THREE.Vector3(Math.cos(midAngle), 0, Math.sin(midAngle));
+            })
+        ];
+
+        const categories = new Uint8Array(faces.length);
+
+        faces.forEach((face, i) => {
+            if (roles[i] < 0) {
+                categories[i] = FACE_CATEGORY.interior;
+                return;
+            }
+
+            const pieceIndex = roles[i] === 0 ? 0 : this.getWallIndex(face.angle, angles) + 1;
+            const dot = THREE.MathUtils.clamp(face.normal.dot(pulls[pieceIndex]), -1, 1);
+            const draft = THREE.MathUtils.radToDeg(Math.asin(dot));
+            const piece = pieces[pieceIndex];
+            piece.contactArea += face.area;
+            piece.minDraft = Math.min(piece.minDraft, draft);
+
+            if (draft < -DRAFT_TOLERANCE) {
+                categories[i] = FACE_CATEGORY.undercut;
+                piece.undercutArea += face.area;
+            } else if (draft <= DRAFT_TOLERANCE) {
+                categories[i] = FACE_CATEGORY.zeroDraft;
+                piece.zeroDraftArea += face.area;
+            } else {
+                categories[i] = FACE_CATEGORY.ok;
+            }
+        });
+
+        return { categories, pieces };
+    }
+
+    /**
+     * Length of a vertical seam at an angle: the outer profile of the
+     * vessel there, which jumps where the seam crosses a handle or spout
+     *
+     * @param {Object} surface - Result of prepare()
+     * @param {number} angle - Seam angle in degrees
+     * @returns {number} mm
+     */
+    static getSeamLength(surface, angle) {
+        const { envelope } = surface;
+        const radians = THREE.MathUtils.degToRad(((angle + 180) % 360) - 180);
+        const column = this.getAngleBin(radians);
+        const cellHeight = envelope.height / HEIGHT_BINS;
+
+        let length = 0;
+        let previous = null;
+        for (let h = 0; h < HEIGHT_BINS; h++) {
+            const radius = envelope.side[h * ANGLE_BINS + column];
+            if (radius <= 0) continue;
+            length += previous === null ? cellHeight : Math.hypot(cellHeight, radius - previous);
+            previous = radius;
+        }
+        return length;
+    }
+
+    /**
+     * Warnings for pieces that would lock onto or scrape the casting
+     * @param {Object} analysis - Result of analyze()
+     * @returns {Array<Object>} { type, message, blocking } for castFormState.setWarnings
+     */
+    static getWarnings(analysis) {
+        const warnings = [];
+        const cm2 = area => `${(area / 100).toFixed(1)} cm²`;
+
+        analysis.pieces.forEach(piece => {
+            if (piece.undercutArea >= MIN_UNDERCUT_AREA) {
+                warnings.push({
+                    type: 'error',
+                    blocking: true,
+                    message: `${piece.name}: ${cm2(piece.undercutArea)} undercut (down to ${piece.minDraft.toFixed(0)}°) - the piece will lock onto the casting`
+                });
+            }
+            if (piece.contactArea > 0 && piece.zeroDraftArea / piece.contactArea >= MIN_ZERO_DRAFT_SHARE) {
+                warnings.push({
+                    type: 'info',
+                    message: `${piece.name}: ${cm2(piece.zeroDraftArea)} with no draft (under ${DRAFT_TOLERANCE}°) - may drag when released`
+                });
+            }
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Corners, centroid, outward unit normal and area of every triangle
+     */
+    static collectFaces(geometry) {
+        const faces = [];
+        const edge1 = new THREE.Vector3();
+        const edge2 = new THREE.Vector3();
+        let signedVolume = 0;
+
+        forEachTriangle(geometry, null, (a, b, c) => {
+            const normal = edge1.subVectors(b, a).cross(edge2.subVectors(c, a)).clone();
+            const area = normal.length() / 2;
+            if (area > 0) normal.divideScalar(area * 2);
+            signedVolume += a.dot(edge1.crossVectors(b, c)) / 6;
+
+            const centroid = a.clone().add(b).add(c).divideScalar(3);
+            faces.push({
+                corners: [a.clone(), b.clone(), c.clone()],
+                centroid,
+                normal,
+                area,
+                radius: Math.hypot(centroid.x, centroid.z),
+                angle: Math.atan2(centroid.z, centroid.x)
+            });
+        });
+
+        // Inside-out imports would read every draft backwards
+        if (signedVolume < 0) {
+            faces.forEach(face => face.normal.negate());
+        }
+
+        return faces;
+    }
+
+    /**
+     * Visit points spread over a face, at least two per envelope cell along
+     * its longest edge, so large or long triangles (a flat side split in two,
+     * lathe slivers) are measured everywhere
+     * @param {Object} face
+     * @param {number} cellSize - mm
+     * @param {Function} callback - (point, radius, angle) => void
+     */
+    static forEachSample(face, cellSize, callback) {
+        const [a, b, c] = face.corners;
+        const longestEdge = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+        const n = Math.min(MAX_SAMPLE_STEPS, Math.max(1, Math.ceil((longestEdge * 2) / cellSize)));
+        const point = new THREE.Vector3();
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; i + j < n; j++) {
+                const u = (i + 1 / 3) / n;
+                const v = (j + 1 / 3) / n;
+                point.copy(a).multiplyScalar(1 - u - v)
+                    .addScaledVector(b, u)
+                    .addScaledVector(c, v);
+                callback(point, Math.hypot(point.x, point.z), Math.atan2(point.z, point.x));
+            }
+        }
+    }
+
+    /**
+     * Outer envelopes the mold follows: largest radius per (height, angle)
+     * cell as seen by the wall pieces, lowest point per (radius, angle) cell
+     * as seen by the foot, and the foot footprint radius
+     */
+    static buildEnvelopes(faces, bounds) {
+        const height = Math.max(bounds.max.y - bounds.min.y, 1e-6);
+        const cellSize = Math.max(height / HEIGHT_BINS, 1);
+        const side = new Float32Array(HEIGHT_BINS * ANGLE_BINS);
+        const bottom = new Float32Array(RADIUS_BINS * ANGLE_BINS).fill(Infinity);
+
+        // Foot footprint: widest point of the lowest sliver (as the mold's base ring)
+        const footBand = bounds.min.y + Math.max(0.5, height * 0.01);
+        let footRadius = 0;
+        faces.forEach(face => {
+            face.corners.forEach(corner => {
+                if (corner.y <= footBand) footRadius = Math.max(footRadius, Math.hypot(corner.x, corner.z));
+            });
+        });
+
+        const envelope = { side, bottom, footRadius, height, cellSize, minY: bounds.min.y };
+
+        faces.forEach(face => {
+            this.forEachSample(face, cellSize, (point, radius, angle) => {
+                const sideCell = this.getSideCell(point.y, angle, envelope);
+                side[sideCell] = Math.max(side[sideCell], radius);
+
+                if (radius <= footRadius) {
+                    const bottomCell = this.getBottomCell(radius, angle, envelope);
+                    bottom[bottomCell] = Math.min(bottom[bottomCell], point.y);
+                }
+            });
+        });
+
+        return envelope;
+    }
+
+    /**
+     * Which kind of piece forms a face: 0 for the foot, 1 for a wall piece,
+     * -1 if no mold piece touches it. A face belongs to a piece when most of
+     * it lies on that piece's envelope.
+     */
+    static getRole(face, envelope, bounds) {
+        const tolerance = Math.max(1, envelope.height * 0.01);
+
+        // Rim top and spare are open to the pour
+        if (face.centroid.y > bounds.max.y - tolerance && face.normal.y > 0.5) {
+            return -1;
+        }
+
+        let samples = 0;
+        let onBottom = 0;
+        let onSide = 0;
+        this.forEachSample(face, envelope.cellSize, (point, radius, angle) => {
+            samples++;
+            if (radius <= envelope.footRadius &&
+                point.y <= envelope.bottom[this.getBottomCell(radius, angle, envelope)] + tolerance) {
+                onBottom++;
+            }
+            const outermost = envelope.side[this.getSideCell(point.y, angle, envelope)];
+            if (radius >= outermost - Math.max(tolerance, outermost * 0.03)) {
+                onSide++;
+            }
+        });
+
+        // Seen from below inside the footprint -> foot
+        if (face.normal.y < 0 && onBottom * 2 >= samples) {
+            return 0;
+        }
+
+        // Seen from the side -> a wall piece
+        return onSide * 2 >= samples ? 1 : -1;
+    }
+
+    /**
+     * Wall piece (0-based) whose segment holds an angle
+     * @param {number} angle - Radians, as atan2(z, x)
+     * @param {number[]} angles - Sorted seam angles in degrees
+     */
+    static getWallIndex(angle, angles) {
+        const degrees = (THREE.MathUtils.radToDeg(angle) + 360) % 360;
+        for (let i = angles.length - 1; i >= 0; i--) {
+            if (degrees >= angles[i]) return i;
+        }
+        // Before the first seam: the last piece wraps around 0°
+        return angles.length - 1;
+    }
+
+    /**
+     * Pull direction (radians) of wall piece i: the middle of its segment
+     */
+    static getMidAngle(angles, i) {
+        const nextSeam = i < angles.length - 1 ? angles[i + 1] : angles[0] + 360;
+        return THREE.MathUtils.degToRad((angles[i] + nextSeam) / 2);
+    }
+
+    static createPiece(part, name) {
+        return { part, name, contactArea: 0, undercutArea: 0, zeroDraftArea: 0, minDraft: 90 };
+    }
+
+    static getAngleBin(angle) {
+        const t = (angle + Math.PI) / (Math.PI * 2);
+        return Math.min(ANGLE_BINS - 1, Math.floor(t * ANGLE_BINS));
+    }
+
+    static getSideCell(y, angle, envelope) {
+        const h = Math.floor(((y - envelope.minY) / envelope.height) * HEIGHT_BINS);
+        return THREE.MathUtils.clamp(h, 0, HEIGHT_BINS - 1) * ANGLE_BINS + this.getAngleBin(angle);
+    }
+
+    static getBottomCell(radius, angle, envelope) {
+        const r = Math.floor((radius / Math.max(envelope.footRadius, 1e-6)) * RADIUS_BINS);
+        return Math.min(RADIUS_BINS - 1, r) * ANGLE_BINS + this.getAngleBin(angle);
+    }
+}
+
+export default DemoldAnalyzer;
@@ -7,6 +7,7 @@ import * as THREE from 'three';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { analyzeMesh, describeMeshIssues } from '../../export/meshAnalysis.js';
 
 export class InputProcessor {
     
@@ -144,10 +145,10 @@ export class InputProcessor {
             warnings.push('Geometry is very large (> 500mm in a dimension)');
         }
         
-        // Basic manifold check (edge count)
+        // Watertightness check
         const manifoldResult = this.checkManifold(geometry);
         if (!manifoldResult.isManifold) {
-            warnings.push('Geometry may not be watertight (non-manifold edges detected)');
+            warnings.push(`Geometry may not be watertight (${manifoldResult.issues.join(', ')})`);
         }
         
         return { 
@@ -160,54 +161,16 @@ export class InputProcessor {
     /**
      * Check if geometry is manifold (watertight)
      * @param {THREE.BufferGeometry} geometry 
-     * @returns {{isManifold: boolean, nonManifoldEdgeCount: number}}
+     * @returns {{isManifold: boolean, nonManifoldEdgeCount: number, issues: string[]}}
      */
     static checkManifold(geometry) {
-        const position = geometry.getAttribute('position');
-        const index = geometry.getIndex();
-        
-        const edgeMap = new Map();
-        const triangleCount = index 
-            ? index.count / 3 
-            : position.count / 3;
-        
-        // Build edge map
-        for (let i = 0; i < triangleCount; i++) {
-            const idx = i * 3;
-            
-            let i0, i1, i2;
-            if (index) {
-                i0 = index.getX(idx);
-                i1 = index.getX(idx + 1);
-                i2 = index.getX(idx + 2);
-            } else {
-                i0 = idx;
-                i1 = idx + 1;
-                i2 = idx + 2;
-            }
-            
-            // Create edge keys (sorted to be direction-independent)
-            const edges = [
-                [Math.min(i0, i1), Math.max(i0, i1)],
-                [Math.min(i1, i2), Math.max(i1, i2)],
-                [Math.min(i2, i0), Math.max(i2, i0)]
-            ];
-            
-            edges.forEach(([a, b]) => {
-                const key = `${a}-${b}`;
-                edgeMap.set(key, (edgeMap.get(key) || 0) + 1);
-            });
-        }
-        
-        // Count non-manifold edges (should have exactly 2 adjacent faces)
-        let nonManifoldEdgeCount = 0;
-        edgeMap.forEach((count) => {
-            if (count !== 2) nonManifoldEdgeCount++;
-        });
+        // Self-intersection testing is too slow for arbitrary imports
+        const analysis = analyzeMesh(geometry, { checkSelfIntersections: false });
         
         return {
-            isManifold: nonManifoldEdgeCount === 0,
-            nonManifoldEdgeCount
+            isManifold: analysis.isWatertight,
+            nonManifoldEdgeCount: analysis.boundaryEdges + analysis.nonManifoldEdges,
+            issues: describeMeshIssues(analysis)
         };
     }
 
@@ -1,12 +1,29 @@
 /**
  * Cast Form Generator - Mold Generator
- * Generates 4-part mold geometry from vessel input
+ * Generates foot + N wall piece mold geometry from vessel input
  * 
- * Uses outside-in raycasting for accurate profile sampling.
+ * Samples the vessel from the outside in, on the surface offset by the
+ * vessel clearance (see SurfaceDistance), so non-round pieces get true cavities.
  */
 
 import * as THREE from 'three';
-import { PART_COLORS, BASE_MOLD_HEIGHT } from '../state/castFormDefaults.js';
+import {
+    PART_COLORS,
+    BASE_MOLD_HEIGHT,
+    SPARE_RADIUS_OFFSET,
+    resolveSeamAngles,
+    getSeamNatchCounts
+} from '../state/castFormDefaults.js';
+import { ScalingEngine } from './scalingEngine.js';
+import { CottleGenerator } from './cottleGenerator.js';
+import { SurfaceDistance } from './surfaceDistance.js';
+import { SpareShape } from './spareShape.js';
+import { createNatchMesh, getNatchExtent, getNatchVolume } from './natchGeometry.js';
+
+// Natches keep this much plaster between them and the shell faces (mm)
+const NATCH_MARGIN = 2;
+// Keys reach this far into the seam face they stand on (mm)
+const NATCH_EMBED = 0.5;
 
 export class MoldGenerator {
     constructor() {
@@ -18,35 +35,60 @@ export class MoldGenerator {
         this.vesselClearance = 0.1;
         // Fixed base mold height (mm) - creates interlocking cavity
         this.baseMoldHeight = BASE_MOLD_HEIGHT;
+        // Distance field of the input being sampled (see getSurfaceDistance)
+        this.surface = null;
     }
 
     /**
-     * Generate complete 4-part mold from input geometry as HOLLOW SHELLS
+     * Generate complete mold (foot + N wall pieces) from input geometry as HOLLOW SHELLS
      * All mold parts are generated with the specified shell wall thickness
      * for efficient 3D printing with PLA
      * 
-     * @param {THREE.BufferGeometry} inputGeometry - Scaled vessel geometry
-     * @param {Object} params - Mold parameters including shell.wallThickness
-     * @returns {{foot: THREE.BufferGeometry, walls: THREE.BufferGeometry[]}}
+     * @param {THREE.BufferGeometry} firedGeometry - Vessel at fired size
+     * @param {Object} params - Mold parameters including shrinkage and shell.wallThickness
+     * @returns {{foot: THREE.BufferGeometry, walls: THREE.BufferGeometry[], box: THREE.BufferGeometry[], volumes: Object}}
+     *          In mold-box mode (mold.outputMode 'cottle') foot and walls are empty
+     *          and box holds the CottleGenerator parts. volumes holds the plaster
+     *          volume of each piece and the slip needed to fill the cavity:
+     *          { foot, walls[], slip: { vessel, spare } } in mm³
      */
-    generate(inputGeometry, params) {
+    generate(firedGeometry, params) {
         const { mold, natches, shell } = params;
         
         // Get shell wall thickness (default 1.5mm if not specified)
         const shellWallThickness = shell?.wallThickness || 1.5;
         
+        // The cavity is the vessel before it shrinks in drying and firing
+        const inputGeometry = ScalingEngine.applyCompensation(firedGeometry, params.shrinkage);
+        
         // Compute input bounds
         inputGeometry.computeBoundingBox();
         const bounds = inputGeometry.boundingBox;
         const height = bounds.max.y - bounds.min.y;
         
-        // Sample the actual vessel profile using outside-in raycasting
+        // Sample the actual vessel profile from the outside in
         const vesselProfile = this.sampleVesselProfile(inputGeometry, bounds);
         
         // Calculate mold dimensions
         // Wall molds extend from (vessel bottom - baseMoldHeight) to (vessel top + spareHeight)
         const moldWallOffset = mold.plasterWallThickness;
         const wallHeight = height + mold.spareHeight + this.baseMoldHeight;
+        const spare = this.createSpareShape(vesselProfile, params);
+        
+        // Mold-box mode: print the positive and a box instead of the shells
+        if (mold.outputMode === 'cottle') {
+            const box = new CottleGenerator(this).generate(vesselProfile, bounds, inputGeometry, params, spare);
+            this.surface = null;
+            if (inputGeometry !== firedGeometry) {
+                inputGeometry.dispose();
+            }
+            return {
+                foot: null,
+                walls: [],
+                box: box.parts,
+                volumes: { ...box.volumes, slip: this.getSlipVolumes(vesselProfile, spare) }
+            };
+        }
         
         // Generate base mold as hollow shell (fixed height, vertical sides, vessel bottom impressed on top)
         const baseMold = this.generateBaseMold(
@@ -57,7 +99,7 @@ export class MoldGenerator {
             shellWallThickness  // Pass shell thickness for hollow shell generation
         );
         
-        // Generate 3 wall mold shells with 15mm downward extension as hollow shells
+        // Generate wall mold shells with 15mm downward extension as hollow shells
         const wallShells = this.generateWallShellsFromProfile(
             vesselProfile,
             bounds,
@@ -65,29 +107,113 @@ export class MoldGenerator {
             moldWallOffset,
             mold,
             natches,
-            shell  // Contains wallThickness for hollow shell generation
+            shell,  // Contains wallThickness for hollow shell generation
+            spare
         );
         
+        this.surface = null;
+        if (inputGeometry !== firedGeometry) {
+            inputGeometry.dispose();
+        }
+        
         return {
             foot: baseMold,
-            walls: wallShells
+            walls: wallShells,
+            box: [],
+            volumes: {
+                foot: baseMold.userData.plasterVolume,
+                walls: wallShells.map(wall => wall.userData.plasterVolume),
+                slip: this.getSlipVolumes(vesselProfile, spare)
+            }
         };
     }
 
     /**
-     * Sample the vessel profile at multiple heights and angles using raycasting
-     * Casts rays from OUTSIDE INWARD to correctly capture undercuts and foot rings
+     * Spare above the rim for the mold parameters
+     * @param {{radii: number[][], heights: number[]}} profile
+     * @param {Object} params - Mold parameters (mold.spareHeight, spare)
+     * @returns {SpareShape}
+     */
+    createSpareShape(profile, params) {
+        const rim = profile.radii[profile.radii.length - 1];
+        return new SpareShape(params.spare, params.mold.spareHeight, Math.max(...rim) + this.vesselClearance);
+    }
+
+    /**
+     * Slip needed to fill the cavity (the vessel's outer profile) and the spare
+     * @param {{radii: number[][], heights: number[]}} profile
+     * @param {SpareShape} spare
+     * @returns {{ vessel: number, spare: number }} mm³
+     */
+    getSlipVolumes(profile, spare) {
+        // Slice area from the radii around the axis: sum of r² dθ / 2
+        const sliceArea = (radii, offset) =>
+            (radii.reduce((sum, r) => sum + (r + offset) ** 2, 0) * Math.PI) / radii.length;
+        
+        let vessel = 0;
+        for (let h = 1; h < profile.heights.length; h++) {
+            const dy = profile.heights[h] - profile.heights[h - 1];
+            vessel += ((sliceArea(profile.radii[h], this.vesselClearance) +
+                sliceArea(profile.radii[h - 1], this.vesselClearance)) / 2) * dy;
+        }
+        
+        const rim = profile.radii[profile.radii.length - 1];
+        
+        return { vessel, spare: spare.getVolume(rim.map(radius => radius + this.vesselClearance)) };
+    }
+
+    /**
+     * Volume of a wall piece from its vertex rows: cross-sections between the
+     * cavity surface (A) and the exterior wall (B), integrated over height
+     * @param {number[]} vertices - Rows of (angleSteps + 1) × [A, A', B', B] positions
+     * @returns {number} mm³
+     */
+    getWallVolume(vertices, heightSteps, angleSteps) {
+        const vertsPerRow = (angleSteps + 1) * 4;
+        const point = (h, a, corner) => {
+            const i = (h * vertsPerRow + a * 4 + corner) * 3;
+            return [vertices[i], vertices[i + 2], vertices[i + 1]];  // x, z, y
+        };
+        
+        let volume = 0;
+        let previous = null;
+        for (let h = 0; h <= heightSteps; h++) {
+            // Outline: A along the segment, back along B
+            const outline = [];
+            for (let a = 0; a <= angleSteps; a++) outline.push(point(h, a, 0));
+            for (let a = angleSteps; a >= 0; a--) outline.push(point(h, a, 3));
+            
+            // Shoelace area in the XZ plane
+            let twiceArea = 0;
+            outline.forEach(([x1, z1], i) => {
+                const [x2, z2] = outline[(i + 1) % outline.length];
+                twiceArea += x1 * z2 - x2 * z1;
+            });
+            
+            const slice = { area: Math.abs(twiceArea) / 2, y: outline[0][2] };
+            if (previous) {
+                volume += ((slice.area + previous.area) / 2) * (slice.y - previous.y);
+            }
+            previous = slice;
+        }
+        
+        return volume;
+    }
+
+    /**
+     * Sample the vessel profile at multiple heights and angles
+     * Marches rays from OUTSIDE INWARD to correctly capture undercuts and foot rings.
+     * Each ray stops on the surface offset by vesselClearance in 3D (see
+     * SurfaceDistance), so facets, flats and non-round plans get the full
+     * clearance; the radius stored is that point less vesselClearance, which
+     * the shell builders add back.
      * @param {THREE.BufferGeometry} geometry 
      * @param {THREE.Box3} bounds 
      * @returns {{radii: number[][], heights: number[]}}
      */
     sampleVesselProfile(geometry, bounds) {
         const height = bounds.max.y - bounds.min.y;
-        
-        // Create a temporary mesh for raycasting
-        const tempMaterial = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
-        const tempMesh = new THREE.Mesh(geometry, tempMaterial);
-        const raycaster = new THREE.Raycaster();
+        const surface = this.getSurfaceDistance(geometry);
         
         const heights = [];
         const radii = [];
@@ -98,8 +224,9 @@ export class MoldGenerator {
             Math.abs(bounds.max.z), Math.abs(bounds.min.z)
         ) * 2.0;
         
-        // Sample using raycasting - cast rays from OUTSIDE INWARD at each height/angle
-        // This correctly captures undercuts, foot rings, and complex profiles
+        const origin = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        
         for (let h = 0; h < this.heightSamples; h++) {
             const y = bounds.min.y + (height * h / (this.heightSamples - 1));
             heights.push(y);
@@ -112,30 +239,15 @@ export class MoldGenerator {
                 const cos = Math.cos(angle);
                 const sin = Math.sin(angle);
                 
-                // Ray origin far outside the vessel at this height/angle
-                const origin = new THREE.Vector3(
-                    maxRadius * cos,
-                    y,
-                    maxRadius * sin
-                );
-                
-                // Ray direction pointing INWARD toward center
-                const direction = new THREE.Vector3(-cos, 0, -sin).normalize();
+                // Ray from far outside the vessel at this height/angle, pointing INWARD
+                origin.set(maxRadius * cos, y, maxRadius * sin);
+                direction.set(-cos, 0, -sin);
                 
-                raycaster.set(origin, direction);
-                raycaster.far = maxRadius * 2;
+                // First point at the clearance from outside = where the mold touches
+                const t = surface.marchToOffset(origin, direction, this.vesselClearance, maxRadius);
                 
-                const intersections = raycaster.intersectObject(tempMesh);
-                
-                if (intersections.length > 0) {
-                    // First intersection from outside = outermost surface (what mold touches)
-                    const point = intersections[0].point;
-                    const radius = Math.sqrt(point.x * point.x + point.z * point.z);
-                    angleRadii.push(radius);
-                } else {
-                    // No intersection - mark for interpolation
-                    angleRadii.push(0);
-                }
+                // No approach (or only at the axis) - mark for interpolation
+                angleRadii.push(t === null ? 0 : Math.max(maxRadius - t - this.vesselClearance, 0));
             }
             
             radii.push(angleRadii);
@@ -144,11 +256,20 @@ export class MoldGenerator {
         // Fill any gaps from missed rays (rare, but handles edge cases)
         this.fillProfileGaps(radii);
         
-        // Cleanup
-        tempMaterial.dispose();
-        
         return { radii, heights };
     }
+
+    /**
+     * Distance field of the input mesh, kept while one mold is generated
+     * @param {THREE.BufferGeometry} geometry
+     * @returns {SurfaceDistance}
+     */
+    getSurfaceDistance(geometry) {
+        if (this.surface?.geometry !== geometry) {
+            this.surface = { geometry, distance: new SurfaceDistance(geometry) };
+        }
+        return this.surface.distance;
+    }
     
     /**
      * Fill gaps in the sampled profile (for rare cases where rays miss)
@@ -305,21 +426,24 @@ export class MoldGenerator {
 
     /**
      * Sample a grid of the vessel's bottom surface for the base mold top
-     * This version uses a specified maxRadius for consistent vertex placement
+     * Rays march up to the surface offset by vesselClearance, on rings that
+     * scale the outline at each angle - the same points the foot's vertices use
      * @param {THREE.BufferGeometry} geometry - Vessel geometry
      * @param {THREE.Box3} bounds - Vessel bounding box
-     * @param {number} maxRadius - Maximum radius for sampling (should match vertex placement)
+     * @param {number[]} outline - Outer radius at each profile angle (should match vertex placement)
      * @returns {number[][]} - 2D array of Y-heights [angleIndex][radiusIndex]
      */
-    sampleVesselBottomGridWithRadius(geometry, bounds, maxRadius) {
-        const tempMaterial = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
-        const tempMesh = new THREE.Mesh(geometry, tempMaterial);
-        const raycaster = new THREE.Raycaster();
+    sampleVesselBottomGridWithRadius(geometry, bounds, outline) {
+        const surface = this.getSurfaceDistance(geometry);
         
         const rayStartY = bounds.min.y - 50;
+        const rayLength = bounds.max.y - rayStartY + 10;
         const radialSteps = 48;  // Higher resolution for better accuracy
         const angleSteps = this.angleSamples;
         
+        const origin = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        
         // First pass: collect raw samples
         const rawHeights = [];
         
@@ -332,25 +456,12 @@ export class MoldGenerator {
             
             for (let r = 0; r < radialSteps; r++) {
                 const radiusFraction = r / (radialSteps - 1);
-                const sampleRadius = radiusFraction * maxRadius;
+                const sampleRadius = radiusFraction * outline[a];
                 
-                const origin = new THREE.Vector3(
-                    sampleRadius * cos,
-                    rayStartY,
-                    sampleRadius * sin
-                );
+                origin.set(sampleRadius * cos, rayStartY, sampleRadius * sin);
+                const t = surface.marchToOffset(origin, up, this.vesselClearance, rayLength);
                 
-                const direction = new THREE.Vector3(0, 1, 0);
-                raycaster.set(origin, direction);
-                raycaster.far = bounds.max.y - rayStartY + 10;
-                
-                const intersections = raycaster.intersectObject(tempMesh);
-                
-                if (intersections.length > 0) {
-                    radialHeights.push(intersections[0].point.y);
-                } else {
-                    radialHeights.push(null);
-                }
+                radialHeights.push(t === null ? null : rayStartY + t);
             }
             
             rawHeights.push(radialHeights);
@@ -368,9 +479,6 @@ export class MoldGenerator {
             smoothedGrid = this.smoothHeightGridGaussian(smoothedGrid, radialSteps, angleSteps);
         }
         
-        // Cleanup
-        tempMaterial.dispose();
-        
         return smoothedGrid;
     }
     
@@ -711,7 +819,8 @@ export class MoldGenerator {
      * Generate base mold as a HOLLOW SHELL that inserts into the wall mold cavity
      * - Fixed height: baseMoldHeight (15mm)
      * - Position: from (bounds.min.y - baseMoldHeight) to bounds.min.y
-     * - Outer surface: vertical walls following vessel base outline
+     * - Outer surface: vertical walls following the vessel's footprint at each
+     *   angle (the wall pieces' cavity below the vessel), less a fit clearance
      * - Top surface: contoured to match vessel bottom (sampled via raycasting)
      * - Bottom surface: flat
      * 
@@ -737,29 +846,26 @@ export class MoldGenerator {
         const innerBottomY = bottomY + shellWallThickness;  // Inner bottom surface
         const angleSteps = this.angleSamples;
         
-        // Get vessel bottom profile (height index 0) for outer wall radius
-        const bottomProfile = profile.radii[0];
-        
         // Small clearance so base mold fits into wall mold cavity
         const fitClearance = 0.2;  // 0.2mm clearance per side
         
-        // Calculate max radius - use same calculation for both sampling and vertex placement
-        // This is the consistent outer radius of the base mold
-        const maxRadius = Math.max(...bottomProfile) + this.vesselClearance - fitClearance;
-        const innerRadius = maxRadius - shellWallThickness;  // Inner shell radius
+        // Outer radius at each angle - use same outline for both sampling and vertex placement
+        // It follows the bottom profile row, so oval or square feet fit the wall cavity
+        const outline = this.getFootOutline(profile, -fitClearance);
+        const innerOutline = outline.map(radius => radius - shellWallThickness);  // Inner shell radius
         
         // Sample the actual vessel bottom surface for the contoured top
-        // Pass maxRadius to ensure sampling grid matches vertex placement
-        const bottomSurfaceGrid = this.sampleVesselBottomGridWithRadius(inputGeometry, bounds, maxRadius);
+        // Pass the outline to ensure sampling grid matches vertex placement
+        const bottomSurfaceGrid = this.sampleVesselBottomGridWithRadius(inputGeometry, bounds, outline);
         const radialSteps = bottomSurfaceGrid[0].length;  // Number of radial rings in the grid
         
         // ===== Generate vertices for HOLLOW SHELL =====
         // 
         // Structure:
-        // Section 1: Bottom outer ring (at bottomY with maxRadius) - exterior bottom edge
-        // Section 2: Bottom inner ring (at bottomY with innerRadius) - interior bottom edge
-        // Section 3: Inner bottom ring (at innerBottomY with innerRadius) - shell interior bottom
-        // Section 4: Top outer surface grid (follows vessel contour at maxRadius)
+        // Section 1: Bottom outer ring (at bottomY on the outline) - exterior bottom edge
+        // Section 2: Bottom inner ring (at bottomY on the inner outline) - interior bottom edge
+        // Section 3: Inner bottom ring (at innerBottomY on the inner outline) - shell interior bottom
+        // Section 4: Top outer surface grid (follows vessel contour out to the outline)
         // Section 5: Top inner surface grid (offset down by shellWallThickness)
         
         // Section 1: Bottom outer ring (at bottomY) - exterior edge
@@ -769,27 +875,27 @@ export class MoldGenerator {
             const angle = (a / angleSteps) * Math.PI * 2;
             const cos = Math.cos(angle);
             const sin = Math.sin(angle);
-            vertices.push(maxRadius * cos, bottomY, maxRadius * sin);
+            vertices.push(outline[a] * cos, bottomY, outline[a] * sin);
         }
         
-        // Section 2: Bottom inner ring (at bottomY with innerRadius) - for bottom hollow cap
+        // Section 2: Bottom inner ring (at bottomY on the inner outline) - for bottom hollow cap
         // Vertex indices: angleSteps to 2*angleSteps-1
         const bottomInnerStart = angleSteps;
         for (let a = 0; a < angleSteps; a++) {
             const angle = (a / angleSteps) * Math.PI * 2;
             const cos = Math.cos(angle);
             const sin = Math.sin(angle);
-            vertices.push(innerRadius * cos, bottomY, innerRadius * sin);
+            vertices.push(innerOutline[a] * cos, bottomY, innerOutline[a] * sin);
         }
         
-        // Section 3: Inner shell bottom ring (at innerBottomY with innerRadius) - shell interior
+        // Section 3: Inner shell bottom ring (at innerBottomY on the inner outline) - shell interior
         // Vertex indices: 2*angleSteps to 3*angleSteps-1
         const innerBottomStart = 2 * angleSteps;
         for (let a = 0; a < angleSteps; a++) {
             const angle = (a / angleSteps) * Math.PI * 2;
             const cos = Math.cos(angle);
             const sin = Math.sin(angle);
-            vertices.push(innerRadius * cos, innerBottomY, innerRadius * sin);
+            vertices.push(innerOutline[a] * cos, innerBottomY, innerOutline[a] * sin);
         }
         
         // Section 4: Top outer surface grid (contoured to match vessel bottom)
@@ -802,7 +908,7 @@ export class MoldGenerator {
             
             for (let r = 0; r < radialSteps; r++) {
                 const radiusFraction = r / (radialSteps - 1);
-                const radius = radiusFraction * maxRadius;
+                const radius = radiusFraction * outline[a];
                 const y = bottomSurfaceGrid[a][r];  // Sampled height from vessel bottom
                 
                 vertices.push(radius * cos, y, radius * sin);
@@ -820,8 +926,7 @@ export class MoldGenerator {
             for (let r = 0; r < radialSteps; r++) {
                 const radiusFraction = r / (radialSteps - 1);
                 // Inner surface is offset inward radially (except at center)
-                const outerR = radiusFraction * maxRadius;
-                const innerR = Math.max(0, radiusFraction * innerRadius);
+                const innerR = Math.max(0, radiusFraction * innerOutline[a]);
                 const y = bottomSurfaceGrid[a][r] - shellWallThickness;  // Offset down
                 
                 // At center (r=0), use a single point
@@ -842,8 +947,8 @@ export class MoldGenerator {
             const topOuter1 = topOuterGridStart + a * radialSteps + (radialSteps - 1);
             const topOuter2 = topOuterGridStart + nextA * radialSteps + (radialSteps - 1);
             
-            indices.push(bottomOuter1, bottomOuter2, topOuter2);
-            indices.push(bottomOuter1, topOuter2, topOuter1);
+            indices.push(bottomOuter1, topOuter2, bottomOuter2);
+            indices.push(bottomOuter1, topOuter1, topOuter2);
         }
         
         // Inner walls (shell interior vertical sides) - connect inner bottom to inner top surface outer ring
@@ -856,8 +961,8 @@ export class MoldGenerator {
             const topInner2 = topInnerGridStart + nextA * radialSteps + (radialSteps - 1);
             
             // Reversed winding for interior faces
-            indices.push(innerBottom1, topInner1, topInner2);
-            indices.push(innerBottom1, topInner2, innerBottom2);
+            indices.push(innerBottom1, topInner2, topInner1);
+            indices.push(innerBottom1, innerBottom2, topInner2);
         }
         
         // Top outer surface (plaster-facing) - connect outer grid vertices in radial bands
@@ -892,18 +997,6 @@ export class MoldGenerator {
             }
         }
         
-        // Top edge ring - connects outer top surface outer ring to inner top surface outer ring
-        for (let a = 0; a < angleSteps; a++) {
-            const nextA = (a + 1) % angleSteps;
-            const topOuter1 = topOuterGridStart + a * radialSteps + (radialSteps - 1);
-            const topOuter2 = topOuterGridStart + nextA * radialSteps + (radialSteps - 1);
-            const topInner1 = topInnerGridStart + a * radialSteps + (radialSteps - 1);
-            const topInner2 = topInnerGridStart + nextA * radialSteps + (radialSteps - 1);
-            
-            indices.push(topOuter1, topOuter2, topInner2);
-            indices.push(topOuter1, topInner2, topInner1);
-        }
-        
         // Bottom cap (hollow ring) - connects outer bottom ring to inner bottom ring
         for (let a = 0; a < angleSteps; a++) {
             const nextA = (a + 1) % angleSteps;
@@ -913,8 +1006,8 @@ export class MoldGenerator {
             const inner2 = bottomInnerStart + nextA;
             
             // Bottom face triangles (normals point down)
-            indices.push(outer1, inner1, inner2);
-            indices.push(outer1, inner2, outer2);
+            indices.push(outer1, inner2, inner1);
+            indices.push(outer1, outer2, inner2);
         }
         
         // Inner bottom cap (shell interior bottom) - connects inner bottom ring to inner shell bottom
@@ -940,7 +1033,7 @@ export class MoldGenerator {
             const inner1 = innerBottomStart + a;
             const inner2 = innerBottomStart + nextA;
             
-            // Interior bottom cap (normals point up into shell)
+            // Interior bottom cap (normals point down, away from the hollow)
             indices.push(innerBottomCenterIdx, inner1, inner2);
         }
         
@@ -960,33 +1053,115 @@ export class MoldGenerator {
         group.add(mesh);
         
         group.name = 'base';
-        return this.groupToGeometry(group);
+        const result = this.groupToGeometry(group);
+        
+        result.userData.plasterVolume = this.getFootVolume(bottomSurfaceGrid, outline, bottomY);
+        
+        return result;
     }
 
     /**
-     * Generate 3 wall mold shells with flat outer walls as HOLLOW SHELLS
+     * Plaster volume of the foot: from the flat bottom up to the contoured
+     * top, in annular sectors of the top grid
+     * @param {number[][]} bottomSurfaceGrid - Heights [angleIndex][radiusIndex]
+     * @param {number[]} outline - Radius of the outermost grid ring at each angle
+     * @param {number} bottomY
+     * @returns {number} mm³
+     */
+    getFootVolume(bottomSurfaceGrid, outline, bottomY) {
+        const angleSteps = bottomSurfaceGrid.length;
+        const radialSteps = bottomSurfaceGrid[0].length;
+        
+        let volume = 0;
+        for (let a = 0; a < angleSteps; a++) {
+            const radiusAt = r => (r / (radialSteps - 1)) * outline[a];
+            for (let r = 0; r < radialSteps - 1; r++) {
+                const sectorArea = ((radiusAt(r + 1) ** 2 - radiusAt(r) ** 2) / 2) * ((Math.PI * 2) / angleSteps);
+                const topY = (bottomSurfaceGrid[a][r] + bottomSurfaceGrid[a][r + 1]) / 2;
+                volume += sectorArea * (topY - bottomY);
+            }
+        }
+        return volume;
+    }
+
+    /**
+     * Outline of the foot: the wall pieces' cavity below the vessel, which
+     * follows the bottom profile row at each angle
+     * @param {{radii: number[][]}} profile
+     * @param {number} offset - Added to the cavity radius (negative for a fit clearance)
+     * @returns {number[]} Radius at each profile angle
+     */
+    getFootOutline(profile, offset) {
+        return profile.radii[0].map(radius => radius + this.vesselClearance + offset);
+    }
+
+    /**
+     * Generate wall mold shells with flat outer walls as HOLLOW SHELLS
+     * One piece per seam in moldParams.seamAngles (see resolveSeamAngles)
      * Wall molds extend from (vessel bottom - baseMoldHeight) to (vessel top + spareHeight)
      * The 15mm extension below vessel base creates a cavity for the base mold to insert into
      * Inner surface is vertical in this extension region
      * Outer walls are registered at the widest diameter point
      * Corner triangles are removed via vertical cut planes based on cornerCutWidth
+     * The spare's cavity above the rim follows the SpareShape
      * 
      * Shell wall thickness is controlled by shellParams.wallThickness for 3D printing
      */
-    generateWallShellsFromProfile(profile, bounds, wallHeight, moldWallOffset, moldParams, natchParams, shellParams) {
+    generateWallShellsFromProfile(profile, bounds, wallHeight, moldWallOffset, moldParams, natchParams, shellParams, spare) {
         const walls = [];
         const { cornerCutWidth = 0 } = moldParams;
         const { wallThickness = 1.5 } = shellParams || {};
         
-        // Find the maximum vessel radius (widest diameter point) - this is our register point
-        const maxVesselRadius = Math.max(...profile.radii.flat());
+        // Find the maximum vessel radius (widest diameter point) - this is our register point.
+        // Spares that reach further out than the collar move it out with them so
+        // they keep the collar's plaster.
+        const rim = profile.radii[profile.radii.length - 1];
+        const maxVesselRadius = Math.max(
+            Math.max(...profile.radii.flat()),
+            Math.max(...rim) + spare.getMaxOffset() - SPARE_RADIUS_OFFSET
+        );
         
         // Wall molds start 15mm below vessel bottom to create cavity for base mold
         const baseY = bounds.min.y - this.baseMoldHeight;
         
-        for (let i = 0; i < 3; i++) {
-            const startAngle = (i * 120 * Math.PI) / 180;
-            const endAngle = ((i + 1) * 120 * Math.PI) / 180;
+        const { angles } = resolveSeamAngles(moldParams);
+        const count = angles.length;
+        
+        // Piece i spans seam i to seam i + 1; the last piece wraps past 360°
+        const spans = angles.map((angle, i) => {
+            const nextSeam = i < count - 1 ? angles[i + 1] : angles[0] + 360;
+            return ((nextSeam - angle) * Math.PI) / 180;
+        });
+        
+        // Each seam is cut where both neighbouring pieces can reach
+        const outerWallDistance = maxVesselRadius + moldWallOffset;
+        const seamCuts = angles.map((_, i) => Math.min(
+            this.getSeamCutDistance(spans[(i + count - 1) % count], outerWallDistance, cornerCutWidth),
+            this.getSeamCutDistance(spans[i], outerWallDistance, cornerCutWidth)
+        ));
+        
+        // Strap grooves sit at the same heights on every piece so a strap
+        // runs straight around the assembled mold
+        const strapGrooves = this.getStrapGrooves(baseY, wallHeight, shellParams);
+        
+        // Natches are placed per seam so the key on one piece and the socket
+        // on the next line up
+        const natchCounts = getSeamNatchCounts(natchParams, count);
+        const natchLayouts = angles.map((angle, i) => this.getSeamNatchLayout(
+            profile,
+            bounds,
+            (angle * Math.PI) / 180,
+            seamCuts[i],
+            natchCounts[i],
+            natchParams,
+            wallThickness,
+            strapGrooves,
+            spare
+        ));
+        
+        for (let i = 0; i < count; i++) {
+            const startAngle = (angles[i] * Math.PI) / 180;
+            const endAngle = startAngle + spans[i];
             
             const wallGeometry = this.generateWallSegmentWithFlatOuter(
                 profile,
@@ -1000,9 +1175,18 @@ export class MoldGenerator {
                 i,
                 natchParams,
                 cornerCutWidth,
-                wallThickness  // Shell wall thickness for hollow shell
+                wallThickness,  // Shell wall thickness for hollow shell
+                { start: seamCuts[i], end: seamCuts[(i + 1) % count] },
+                {
+                    strapGrooves,
+                    spare,
+                    sockets: natchLayouts[i].natches,       // Start seam
+                    keys: natchLayouts[(i + 1) % count].natches  // End seam
+                }
             );
             
+            // Each seam's misses are reported once, by the piece it starts
+            wallGeometry.userData.skippedNatches = natchLayouts[i].skipped;
             walls.push(wallGeometry);
         }
         
@@ -1010,12 +1194,19 @@ export class MoldGenerator {
     }
 
     /**
-     * Generate single wall segment (120°) as a HOLLOW SHELL for 3D printing
+     * Generate single wall segment (seam to seam) as a HOLLOW SHELL for 3D printing
      * The outer walls are registered at the widest diameter point (maxVesselRadius)
      * Wall thickness adjustments are made from that register point
      * 
      * IMPORTANT: Outer walls are clipped to vertical cut planes at corners.
      * The cornerCutWidth parameter controls how much of each corner triangle is removed.
+     * seamCutDistances ({ start, end }) overrides the cut plane distances at the seams.
+     * 
+     * features.strapGrooves (getStrapGrooves) sets the exterior wall in by each
+     * groove's depth. features.spare (SpareShape) shapes the cavity above the
+     * rim. features.keys / features.sockets (getSeamNatchLayout) put
+     * natch keys on the end seam face and sockets into the start seam face;
+     * they form the geometry's second group.
      * 
      * Wall molds extend from baseY (15mm below vessel) to baseY + wallHeight
      * The 15mm extension below vessel base has vertical inner walls at the vessel's bottom profile radius
@@ -1027,9 +1218,9 @@ export class MoldGenerator {
      * - B' (outerInner): interior side of exterior wall (shell hollow)
      * - B (outerOuter): exterior flat wall surface
      */
-    generateWallSegmentWithFlatOuter(profile, bounds, baseY, wallHeight, moldWallOffset, maxVesselRadius, startAngle, endAngle, wallIndex, natchParams, cornerCutWidth = 0, shellWallThickness = 1.5) {
+    generateWallSegmentWithFlatOuter(profile, bounds, baseY, wallHeight, moldWallOffset, maxVesselRadius, startAngle, endAngle, wallIndex, natchParams, cornerCutWidth = 0, shellWallThickness = 1.5, seamCutDistances = null, features = {}) {
+        const { strapGrooves = [], spare = null, keys = [], sockets = [] } = features;
         const group = new THREE.Group();
-        const vesselHeight = bounds.max.y - bounds.min.y;
         
         const vertices = [];
         const indices = [];
@@ -1037,11 +1228,10 @@ export class MoldGenerator {
         // Calculate angle indices - use high resolution for crisp walls
         const angleSteps = Math.max(64, Math.floor(this.angleSamples / 2));
         
-        // Height steps for the full wall height
-        const heightSteps = Math.max(profile.heights.length, 16);
-        
-        // Calculate vessel wall height (just the vessel portion, excluding spare and base extension)
-        const vesselWallHeight = vesselHeight;
+        // Rows for the full wall height, with extra rows at the groove and spare edges
+        const spareEdges = (spare?.getEdges() || []).map(s => bounds.max.y + s);
+        const rowHeights = this.getWallRowHeights(baseY, wallHeight, Math.max(profile.heights.length, 16), strapGrooves, spareEdges);
+        const heightSteps = rowHeights.length - 1;
         
         // The outer wall is flat and registered at maxVesselRadius + moldWallOffset
         // This is the key register point where wall thickness adjustments are made
@@ -1055,41 +1245,44 @@ export class MoldGenerator {
         // The wall is positioned at outerWallDistance from center
         const wallNormal = { x: Math.cos(midAngle), z: Math.sin(midAngle) };
         
-        // Calculate the original corner points (before cut)
-        const originalStartCorner = this.getWallCornerPoint(outerWallDistance, midAngle, startAngle);
-        const originalEndCorner = this.getWallCornerPoint(outerWallDistance, midAngle, endAngle);
-        
-        // Calculate corner distances from center
-        const startCornerDist = Math.sqrt(originalStartCorner.x ** 2 + originalStartCorner.z ** 2);
-        const endCornerDist = Math.sqrt(originalEndCorner.x ** 2 + originalEndCorner.z ** 2);
-        
-        // Calculate cut plane distances (corner distance minus cut width)
-        const startCutDist = Math.max(outerWallDistance, startCornerDist - cornerCutWidth);
-        const endCutDist = Math.max(outerWallDistance, endCornerDist - cornerCutWidth);
-        
-        // Calculate B-line endpoints (where flat wall meets vertical cut planes)
-        // These are the new effective corners after the cut
-        const startCorner = cornerCutWidth > 0 
-            ? this.getWallCutIntersection(midAngle, startAngle, outerWallDistance, startCutDist) || originalStartCorner
-            : originalStartCorner;
-        const endCorner = cornerCutWidth > 0 
-            ? this.getWallCutIntersection(midAngle, endAngle, outerWallDistance, endCutDist) || originalEndCorner
-            : originalEndCorner;
-        
-        // Store cut plane info for vertex clipping
-        const startCutPlane = { angle: startAngle, distance: startCutDist };
-        const endCutPlane = { angle: endAngle, distance: endCutDist };
-        
-        // Inner shell offset distance (flat wall moved toward center)
-        const innerOuterWallDistance = outerWallDistance - shellWallThickness;
-        
-        // Calculate inner shell corner points
-        const innerStartCorner = cornerCutWidth > 0 
-            ? this.getWallCutIntersection(midAngle, startAngle, innerOuterWallDistance, startCutDist - shellWallThickness) || this.getWallCornerPoint(innerOuterWallDistance, midAngle, startAngle)
-            : this.getWallCornerPoint(innerOuterWallDistance, midAngle, startAngle);
-        const innerEndCorner = cornerCutWidth > 0 
-            ? this.getWallCutIntersection(midAngle, endAngle, innerOuterWallDistance, endCutDist - shellWallThickness) || this.getWallCornerPoint(innerOuterWallDistance, midAngle, endAngle)
-            : this.getWallCornerPoint(innerOuterWallDistance, midAngle, endAngle);
+        // Corner distance from center (both corners are symmetric about midAngle;
+        // a 180° segment never reaches its corners)
+        const halfSpanCos = Math.cos((endAngle - startAngle) / 2);
+        
+        // Calculate cut plane distances - seams shared with a neighbouring piece
+        // use the distance both pieces agree on so the seam faces line up
+        const ownCutDist = this.getSeamCutDistance(endAngle - startAngle, outerWallDistance, cornerCutWidth);
+        const startCutDist = seamCutDistances?.start ?? ownCutDist;
+        const endCutDist = seamCutDistances?.end ?? ownCutDist;
+        
+        // Flat wall, cut planes and corners for one row. Strap grooves move the
+        // exterior wall and both cut planes in, so a groove wraps the corners.
+        const getRowWall = (inset) => {
+            const wallDistance = outerWallDistance - inset;
+            const innerWallDistance = wallDistance - shellWallThickness;
+            const startCut = startCutDist - inset;
+            const endCut = endCutDist - inset;
+            const cornerDist = halfSpanCos > 0.001 ? wallDistance / halfSpanCos : Infinity;
+            const isStartCut = startCut < cornerDist;
+            const isEndCut = endCut < cornerDist;
+            
+            // B-line endpoints (where the flat wall meets the vertical cut
+            // planes) - the effective corners after the cut
+            const corner = (isCut, distance, angle, cut) =>
+                (isCut && this.getWallCutIntersection(midAngle, angle, distance, cut)) ||
+                this.getWallCornerPoint(distance, midAngle, angle);
+            
+            return {
+                wallDistance,
+                innerWallDistance,
+                startCutPlane: { angle: startAngle, distance: startCut },
+                endCutPlane: { angle: endAngle, distance: endCut },
+                startCorner: corner(isStartCut, wallDistance, startAngle, startCut),
+                endCorner: corner(isEndCut, wallDistance, endAngle, endCut),
+                innerStartCorner: corner(isStartCut, innerWallDistance, startAngle, startCut - shellWallThickness),
+                innerEndCorner: corner(isEndCut, innerWallDistance, endAngle, endCut - shellWallThickness)
+            };
+        };
         
         // Generate vertices for hollow shell
         // Per (h, a) position, we create 4 vertices:
@@ -1098,44 +1291,29 @@ export class MoldGenerator {
         // [2] B' = outerInner (interior of exterior wall)
         // [3] B = outerOuter (exterior flat wall)
         for (let h = 0; h <= heightSteps; h++) {
-            const t = h / heightSteps;
-            const y = baseY + t * wallHeight;
-            
-            // Determine which region we're in:
-            // 1. Extension region (y < bounds.min.y): vertical walls at bottom profile radius
-            // 2. Vessel region (bounds.min.y <= y <= bounds.max.y): follows vessel profile
-            // 3. Spare region (y > bounds.max.y): uses rim profile + offset
-            
-            const isInExtension = y < bounds.min.y;
-            const isInSpare = y > bounds.max.y;
-            
-            // Calculate profile height index
-            let profileH;
-            if (isInExtension) {
-                // Use bottom of vessel profile (index 0)
-                profileH = 0;
-            } else if (isInSpare) {
-                // Use top of vessel profile
-                profileH = profile.heights.length - 1;
-            } else {
-                // Map y to vessel profile
-                const vesselT = (y - bounds.min.y) / vesselWallHeight;
-                profileH = Math.min(
-                    Math.floor(vesselT * (profile.heights.length - 1)),
-                    profile.heights.length - 1
-                );
-            }
-            
-            // Spare region has wider radius to allow pour clearance
-            const spareRadiusOffset = isInSpare ? 15 : 0;
+            const y = rowHeights[h];
+            const {
+                wallDistance,
+                innerWallDistance,
+                startCutPlane,
+                endCutPlane,
+                startCorner,
+                endCorner,
+                innerStartCorner,
+                innerEndCorner
+            } = getRowWall(this.getStrapGrooveInset(y, strapGrooves));
             
             for (let a = 0; a <= angleSteps; a++) {
                 const angleT = a / angleSteps;
                 const angle = startAngle + angleT * (endAngle - startAngle);
-                const angleIdx = Math.floor((angle / (Math.PI * 2)) * this.angleSamples) % this.angleSamples;
                 
-                // Get vessel radius at this position (for inner surface)
-                const vesselRadius = profile.radii[profileH]?.[angleIdx] || 0;
+                // Spare region is shaped by the spare style (wider for pour clearance)
+                const spareRadiusOffset = y > bounds.max.y ? this.getSpareOffset(spare, y - bounds.max.y, angle) : 0;
+                
+                // Get vessel radius at this position (for inner surface): the bottom
+                // row below the vessel (vertical walls in the extension), the vessel
+                // profile, then the rim row in the spare
+                const vesselRadius = this.getProfileRadius(profile, bounds, y, angle);
                 
                 // Inner radius (vessel surface, with offset for spare region)
                 // In extension region, this creates vertical walls at the bottom profile radius
@@ -1160,11 +1338,11 @@ export class MoldGenerator {
                 const dot = cos * wallNormal.x + sin * wallNormal.z;
                 
                 if (Math.abs(dot) > 0.001) {
-                    const projDist = outerWallDistance / dot;
+                    const projDist = wallDistance / dot;
                     const projX = projDist * cos;
                     const projZ = projDist * sin;
                     
-                    const innerProjDist = innerOuterWallDistance / dot;
+                    const innerProjDist = innerWallDistance / dot;
                     const innerProjX = innerProjDist * cos;
                     const innerProjZ = innerProjDist * sin;
                     
@@ -1306,17 +1484,17 @@ export class MoldGenerator {
             const Bp2 = A2 + 2;
             const B2 = A2 + 3;
             
-            // Connect A to A' (cavity wall bottom)
-            indices.push(A1, Ap2, Ap1);
-            indices.push(A1, A2, Ap2);
+            // Connect A to A' (cavity wall bottom, normals point down)
+            indices.push(A1, Ap1, Ap2);
+            indices.push(A1, Ap2, A2);
             
             // Connect B' to B (exterior wall bottom)
-            indices.push(Bp1, B2, B1);
-            indices.push(Bp1, Bp2, B2);
+            indices.push(Bp1, B1, B2);
+            indices.push(Bp1, B2, Bp2);
             
             // Connect A' to B' (shell interior bottom - closes the hollow)
-            indices.push(Ap1, Bp2, Bp1);
-            indices.push(Ap1, Ap2, Bp2);
+            indices.push(Ap1, Bp1, Bp2);
+            indices.push(Ap1, Bp2, Ap2);
         }
         
         // Top cap (hollow ring) - connects A to A' and B' to B at top
@@ -1332,17 +1510,17 @@ export class MoldGenerator {
             const Bp2 = A2 + 2;
             const B2 = A2 + 3;
             
-            // Connect A to A' (cavity wall top)
-            indices.push(A1, Ap1, Ap2);
-            indices.push(A1, Ap2, A2);
+            // Connect A to A' (cavity wall top, normals point up)
+            indices.push(A1, Ap2, Ap1);
+            indices.push(A1, A2, Ap2);
             
             // Connect B' to B (exterior wall top)
-            indices.push(Bp1, B1, B2);
-            indices.push(Bp1, B2, Bp2);
+            indices.push(Bp1, B2, B1);
+            indices.push(Bp1, Bp2, B2);
             
             // Connect A' to B' (shell interior top - closes the hollow)
-            indices.push(Ap1, Bp1, Bp2);
-            indices.push(Ap1, Bp2, Ap2);
+            indices.push(Ap1, Bp2, Bp1);
+            indices.push(Ap1, Ap2, Bp2);
         }
         
         // Side caps (at start and end angles) - hollow shell sides
@@ -1366,9 +1544,12 @@ export class MoldGenerator {
             indices.push(Bp1, Bp2, B2);
             indices.push(Bp1, B2, B1);
             
-            // Connect A' to B' (shell interior side)
-            indices.push(Ap1, Ap2, Bp2);
-            indices.push(Ap1, Bp2, Bp1);
+            // Connect A' to B' (shell interior side) - rebuilt around the
+            // sockets below when the seam has natches
+            if (sockets.length === 0) {
+                indices.push(Ap1, Ap2, Bp2);
+                indices.push(Ap1, Bp2, Bp1);
+            }
         }
         
         // End angle side cap (hollow)
@@ -1397,14 +1578,30 @@ export class MoldGenerator {
             indices.push(Ap1, Bp2, Ap2);
         }
         
+        const plasterVolume = this.getWallVolume(vertices, heightSteps, angleSteps);
+        
+        // Natch keys stand on the end seam, sockets go into the start seam
+        const natchIndices = [];
+        const { style, diameter, depth, toleranceOffset } = natchParams;
+        keys.forEach(({ r, y }) => {
+            const key = createNatchMesh(style, diameter / 2, depth, { embed: NATCH_EMBED });
+            this.addSeamNatch(vertices, natchIndices, key, endAngle, r, y, false);
+        });
+        if (sockets.length > 0) {
+            this.addSeamFaceWithSockets(vertices, indices, natchIndices, sockets, startAngle, heightSteps, vertsPerRow, natchParams);
+        }
+        
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
+        geometry.setIndex([...indices, ...natchIndices]);
+        if (natchIndices.length > 0) {
+            geometry.addGroup(0, indices.length, 0);
+            geometry.addGroup(indices.length, natchIndices.length, 1);
+        }
         geometry.computeVertexNormals();
         
-        const colors = [PART_COLORS.wall1, PART_COLORS.wall2, PART_COLORS.wall3];
         const material = new THREE.MeshStandardMaterial({
-            color: colors[wallIndex],
+            color: PART_COLORS[`wall${wallIndex + 1}`],
             roughness: 0.7,
             metalness: 0.0,
             side: THREE.DoubleSide
@@ -1414,7 +1611,29 @@ export class MoldGenerator {
         group.add(mesh);
         
         group.name = `wall${wallIndex + 1}`;
-        return this.groupToGeometry(group);
+        const result = this.groupToGeometry(group);
+        result.userData.plasterVolume = plasterVolume +
+            keys.length * getNatchVolume(style, diameter / 2, depth) -
+            sockets.length * getNatchVolume(style, diameter / 2 + toleranceOffset, depth + toleranceOffset);
+        return result;
+    }
+
+    /**
+     * Distance from center to the vertical cut plane at the seams of a segment
+     * Corners of segments up to 120° are trimmed by cornerCutWidth; wider
+     * segments (two-piece molds) would put the corners far out, so they are
+     * cut square to the seam at the flat wall distance instead.
+     * @param {number} span - Segment angle in radians
+     * @param {number} wallDistance - Distance from center to the flat wall
+     * @param {number} cornerCutWidth
+     * @returns {number}
+     */
+    getSeamCutDistance(span, wallDistance, cornerCutWidth) {
+        if (span > (2 * Math.PI) / 3 + 0.001) {
+            return wallDistance;
+        }
+        const cornerDistance = wallDistance / Math.cos(span / 2);
+        return Math.max(wallDistance, cornerDistance - cornerCutWidth);
     }
 
     /**
@@ -1436,7 +1655,7 @@ export class MoldGenerator {
         const angleDiff = radialAngle - wallNormalAngle;
         const cosDiff = Math.cos(angleDiff);
         
-        // Avoid division by zero (shouldn't happen for 120° segments with midpoint normal)
+        // Avoid division by zero (180° segments put the corner at infinity)
         if (Math.abs(cosDiff) < 0.001) {
             // Fallback: place corner at wallDistance along the radial
             return {
@@ -1514,65 +1733,277 @@ export class MoldGenerator {
     }
 
     /**
-     * Create registration key geometry
+     * Profile radius at any height and angle, interpolated between the
+     * sampled rows and angles so sloped and non-round surfaces stay smooth
+     * Heights below the vessel use the bottom row, above it the rim row.
+     * @param {{radii: number[][], heights: number[]}} profile
+     * @param {THREE.Box3} bounds
+     * @param {number} y
+     * @param {number} angle - Radians
+     * @returns {number}
      */
-    createRegistrationKey(radius, angleDegrees, height, diameter, depth, isMale) {
-        const angle = (angleDegrees * Math.PI) / 180;
-        
-        // Create hemisphere
-        const sphereRadius = diameter / 2;
-        const geometry = new THREE.SphereGeometry(
-            sphereRadius,
-            16,
-            8,
-            0,
-            Math.PI * 2,
-            0,
-            Math.PI / 2
-        );
+    getProfileRadius(profile, bounds, y, angle) {
+        const lastRow = profile.heights.length - 1;
+        const rowT = THREE.MathUtils.clamp((y - bounds.min.y) / (bounds.max.y - bounds.min.y), 0, 1) * lastRow;
+        const row = Math.min(Math.floor(rowT), lastRow - 1);
+        
+        const angleSteps = profile.radii[0].length;
+        const angleT = (THREE.MathUtils.euclideanModulo(angle, Math.PI * 2) / (Math.PI * 2)) * angleSteps;
+        const column = Math.floor(angleT) % angleSteps;
+        const nextColumn = (column + 1) % angleSteps;
+        
+        const rowRadius = h => THREE.MathUtils.lerp(
+            profile.radii[h][column], profile.radii[h][nextColumn], angleT - Math.floor(angleT));
+        return THREE.MathUtils.lerp(rowRadius(row), rowRadius(row + 1), rowT - row);
+    }
+
+    /**
+     * Strap grooves around the wall pieces, evenly spaced up the wall
+     * @param {number} baseY - Bottom of the wall pieces
+     * @param {number} wallHeight
+     * @param {Object} shellParams - strapGrooveCount, strapGrooveWidth, strapGrooveDepth
+     * @returns {Array<{ center: number, halfWidth: number, depth: number }>}
+     */
+    getStrapGrooves(baseY, wallHeight, shellParams) {
+        const { strapGrooveCount = 0, strapGrooveWidth = 8, strapGrooveDepth = 2 } = shellParams || {};
+        const halfWidth = strapGrooveWidth / 2;
+        
+        return Array.from({ length: strapGrooveCount }, (_, i) => ({
+            center: baseY + (wallHeight * (i + 1)) / (strapGrooveCount + 1),
+            halfWidth,
+            depth: Math.min(strapGrooveDepth, halfWidth)
+        }));
+    }
+
+    /**
+     * How far the exterior wall is set in at a height
+     * Groove sides are 45° so the grooves print without support.
+     * @param {number} y
+     * @param {Array<Object>} strapGrooves - getStrapGrooves() result
+     * @returns {number} mm
+     */
+    getStrapGrooveInset(y, strapGrooves) {
+        return strapGrooves.reduce((inset, { center, halfWidth, depth }) =>
+            Math.max(inset, Math.min(depth, halfWidth - Math.abs(y - center))), 0);
+    }
+
+    /**
+     * Spare offset at a height above the rim (the collar without a SpareShape)
+     * @param {SpareShape|null} spare
+     * @param {number} s - Height above the rim
+     * @param {number} angle - Radians
+     * @returns {number}
+     */
+    getSpareOffset(spare, s, angle) {
+        return spare ? spare.getOffset(s, angle) : SPARE_RADIUS_OFFSET;
+    }
+
+    /**
+     * Row heights for a wall piece: evenly spaced, plus the groove edges
+     * @param {number} baseY
+     * @param {number} wallHeight
+     * @param {number} steps - Evenly spaced rows (minus one)
+     * @param {Array<Object>} strapGrooves
+     * @param {number[]} [extraEdges] - More heights that need a row (spare edges)
+     * @returns {number[]} Ascending heights
+     */
+    getWallRowHeights(baseY, wallHeight, steps, strapGrooves, extraEdges = []) {
+        const edges = [];
+        const top = baseY + wallHeight;
+        extraEdges.forEach(edge => {
+            if (edge > baseY && edge < top && !edges.some(other => Math.abs(other - edge) < 1e-6)) edges.push(edge);
+        });
+        strapGrooves.forEach(({ center, halfWidth, depth }) => {
+            [center - halfWidth, center - halfWidth + depth, center + halfWidth - depth, center + halfWidth]
+                .forEach(edge => {
+                    if (!edges.some(other => Math.abs(other - edge) < 1e-6)) edges.push(edge);
+                });
+        });
         
-        // Position
-        const x = radius * Math.cos(angle);
-        const z = radius * Math.sin(angle);
+        // Even rows next to an edge would leave sliver triangles
+        const rows = [];
+        for (let i = 0; i <= steps; i++) {
+            const y = baseY + (i / steps) * wallHeight;
+            if (i === 0 || i === steps || !edges.some(edge => Math.abs(edge - y) < 0.5)) rows.push(y);
+        }
         
-        geometry.rotateX(Math.PI / 2);
-        geometry.translate(x, height, z);
+        return [...rows, ...edges].sort((a, b) => a - b);
+    }
+
+    /**
+     * Natch positions on one seam face
+     * Natches are spread up the vessel's height and centered between the
+     * cavity and the exterior wall; ones without NATCH_MARGIN of plaster
+     * around their socket are left out.
+     *
+     * @param {{radii: number[][], heights: number[]}} profile
+     * @param {THREE.Box3} bounds
+     * @param {number} seamAngle - Radians
+     * @param {number} seamCut - Distance from center to the seam's cut plane
+     * @param {number} count - Natches on this seam
+     * @param {Object} natchParams
+     * @param {number} shellWallThickness
+     * @param {Array<Object>} strapGrooves
+     * @param {SpareShape} [spare]
+     * @returns {{ natches: Array<{ r: number, y: number }>, skipped: number }}
+     *          r is the distance from the axis along the seam face
+     */
+    getSeamNatchLayout(profile, bounds, seamAngle, seamCut, count, natchParams, shellWallThickness, strapGrooves, spare = null) {
+        const { style, diameter, toleranceOffset } = natchParams;
+        const extent = getNatchExtent(style, diameter / 2 + toleranceOffset);
+        const fractions = [[], [0.5], [0.25, 0.75], [0.2, 0.5, 0.8], [0.2, 0.4, 0.6, 0.8]][count] || [];
+        
+        const natches = [];
+        let skipped = 0;
+        let lastTop = -Infinity;
+        fractions.forEach(fraction => {
+            const y = bounds.min.y + (bounds.max.y - bounds.min.y) * fraction;
+            
+            // Narrowest part of the seam face over the socket's height
+            const bottom = y - extent.down - NATCH_MARGIN;
+            const top = y + extent.up + NATCH_MARGIN;
+            const samples = Math.ceil(top - bottom);
+            let inner = 0;
+            let outer = Infinity;
+            for (let i = 0; i <= samples; i++) {
+                const sampleY = bottom + (i / samples) * (top - bottom);
+                const radius = this.getProfileRadius(profile, bounds, sampleY, seamAngle);
+                const spareRadiusOffset = sampleY > bounds.max.y
+                    ? this.getSpareOffset(spare, sampleY - bounds.max.y, seamAngle)
+                    : 0;
+                inner = Math.max(inner, radius + this.vesselClearance + spareRadiusOffset + shellWallThickness);
+                outer = Math.min(outer, seamCut - this.getStrapGrooveInset(sampleY, strapGrooves) - shellWallThickness);
+            }
+            
+            // Each socket needs its own rows of the seam face
+            if (outer - inner < 2 * (extent.side + NATCH_MARGIN) || bottom < lastTop) {
+                skipped++;
+            } else {
+                natches.push({ r: (inner + outer) / 2, y });
+                lastTop = top;
+            }
+        });
         
-        return geometry;
+        return { natches, skipped };
     }
 
     /**
-     * Create natches (registration keys) for wall segment
+     * Place a natch key or socket (createNatchMesh) on a seam face
+     * @param {number[]} vertices - Appended to
+     * @param {number[]} indices - Appended to
+     * @param {{ positions: number[], indices: number[] }} natch
+     * @param {number} angle - Seam angle in radians
+     * @param {number} r - Distance from the axis along the seam face
+     * @param {number} y
+     * @param {boolean} isStartSeam - Seam where the piece starts (face looks back)
+     * @returns {number} Index of the natch's first vertex
      */
-    createNatchesForWall(outerRadius, baseHeight, wallHeight, startAngle, endAngle, wallIndex, params) {
-        const geometries = [];
-        const { diameter, depth, countPerSeam } = params;
-        
-        // Position natches at height fractions
-        const heightFractions = countPerSeam === 1 
-            ? [0.5]
-            : countPerSeam === 2 
-                ? [0.25, 0.75]
-                : countPerSeam === 3
-                    ? [0.2, 0.5, 0.8]
-                    : [0.2, 0.4, 0.6, 0.8];
-        
-        heightFractions.forEach(fraction => {
-            const y = baseHeight + wallHeight * fraction;
-            
-            // Male natch on trailing edge (endAngle)
-            const maleGeo = this.createRegistrationKey(
-                outerRadius + 5,
-                (endAngle * 180) / Math.PI,
-                y,
-                diameter,
-                depth,
-                true
-            );
-            geometries.push(maleGeo);
+    addSeamNatch(vertices, indices, natch, angle, r, y, isStartSeam) {
+        // Right-handed frame with +Z out of the face: X along the face, Y up
+        const side = isStartSeam ? -1 : 1;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const offset = vertices.length / 3;
+        
+        for (let i = 0; i < natch.positions.length; i += 3) {
+            const radial = r + side * natch.positions[i];
+            const along = side * natch.positions[i + 2];
+            vertices.push(radial * cos - along * sin, y + natch.positions[i + 1], radial * sin + along * cos);
+        }
+        natch.indices.forEach(index => indices.push(offset + index));
+        return offset;
+    }
+
+    /**
+     * Close the start seam face between A' and B' around natch sockets
+     * Rows away from the sockets get the usual quad strip. The rows around a
+     * socket are split at its lowest and highest rim points: the cavity side
+     * (A') is zipped to one half of the rim, the other half to the exterior
+     * side (B') and the rows' top and bottom edges.
+     */
+    addSeamFaceWithSockets(vertices, indices, natchIndices, sockets, angle, heightSteps, vertsPerRow, natchParams) {
+        const { style, diameter, depth, toleranceOffset } = natchParams;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const point = i => new THREE.Vector3(vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]);
+        const faceR = i => vertices[i * 3] * cos + vertices[i * 3 + 2] * sin;
+        const faceY = i => vertices[i * 3 + 1];
+        const inner = h => h * vertsPerRow + 1;    // A'
+        const outer = h => h * vertsPerRow + 2;    // B'
+        
+        const triangles = [];
+        const addRow = h => triangles.push([inner(h), inner(h + 1), outer(h + 1)], [inner(h), outer(h + 1), outer(h)]);
+        
+        // Triangle strip between two chains that both run upward
+        const zip = (left, right) => {
+            let i = 0;
+            let j = 0;
+            while (i < left.length - 1 || j < right.length - 1) {
+                if (j === right.length - 1 || (i < left.length - 1 && faceY(left[i + 1]) <= faceY(right[j + 1]))) {
+                    triangles.push([left[i], left[i + 1], right[j]]);
+                    i++;
+                } else {
+                    triangles.push([left[i], right[j + 1], right[j]]);
+                    j++;
+                }
+            }
+        };
+        
+        let row = 0;
+        sockets.forEach(({ r, y }) => {
+            const socket = createNatchMesh(style, diameter / 2 + toleranceOffset, depth + toleranceOffset, { socket: true });
+            const first = this.addSeamNatch(vertices, natchIndices, socket, angle, r, y, true);
+            const rim = Array.from({ length: socket.rimCount }, (_, i) => first + i);
+            
+            // Lowest and highest rim points (nearest the cavity on ties)
+            const byHeight = sign => rim.reduce((best, i) =>
+                (sign * (faceY(i) - faceY(best)) < 0 || (faceY(i) === faceY(best) && faceR(i) < faceR(best)) ? i : best));
+            const lowest = rim.indexOf(byHeight(1));
+            const highest = rim.indexOf(byHeight(-1));
+            
+            // Both ways round the rim from the lowest point to the highest
+            const path = step => {
+                const points = [rim[lowest]];
+                for (let k = lowest; k !== highest;) {
+                    k = (k + step + rim.length) % rim.length;
+                    points.push(rim[k]);
+                }
+                return points;
+            };
+            const average = points => points.reduce((sum, i) => sum + faceR(i), 0) / points.length;
+            const [cavitySide, exteriorSide] = [path(1), path(-1)].sort((a, b) => average(a) - average(b));
+            
+            // Rows from just below the socket to just above it
+            let bottomRow = row;
+            while (bottomRow < heightSteps - 1 && faceY(inner(bottomRow + 1)) < faceY(rim[lowest])) bottomRow++;
+            let topRow = bottomRow + 1;
+            while (topRow < heightSteps && faceY(inner(topRow)) <= faceY(rim[highest])) topRow++;
+            
+            for (; row < bottomRow; row++) addRow(row);
+            
+            const cavityChain = [];
+            const exteriorChain = [inner(bottomRow)];
+            for (let h = bottomRow; h <= topRow; h++) {
+                cavityChain.push(inner(h));
+                exteriorChain.push(outer(h));
+            }
+            exteriorChain.push(inner(topRow));
+            
+            zip(cavityChain, cavitySide);
+            zip(exteriorSide, exteriorChain);
+            row = topRow;
         });
+        for (; row < heightSteps; row++) addRow(row);
         
-        return geometries;
+        // Wind like the rest of the start cap
+        const reference = new THREE.Vector3().crossVectors(
+            point(inner(1)).sub(point(inner(0))),
+            point(outer(1)).sub(point(inner(0)))
+        );
+        triangles.forEach(([a, b, c]) => {
+            const normal = new THREE.Vector3().crossVectors(point(b).sub(point(a)), point(c).sub(point(a)));
+            indices.push(...(normal.dot(reference) >= 0 ? [a, b, c] : [a, c, b]));
+        });
     }
 
     /**
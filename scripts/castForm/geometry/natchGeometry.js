@@ -0,0 +1,157 @@
+/**
+ * Cast Form Generator - Natch Geometry
+ * Registration keys for the seams between mold pieces. Each style is an
+ * outline on the seam face swept into the plaster through rings that narrow
+ * with depth, so every key has draft and the pieces still pull apart. The
+ * same sweep, grown by the tolerance, makes the socket the key drops into.
+ *
+ * Local frame: the seam face is the XY plane (Y up) and the key stands on
+ * +Z. Sockets are the key mirrored into -Z, left open at the rim so they
+ * can be stitched into the seam face.
+ */
+
+import * as THREE from 'three';
+
+const OUTLINE_SEGMENTS = 24;
+const DOME_RINGS = 6;               // Rings from the base to the tip of a hemisphere
+const CONE_TIP_SCALE = 0.4;         // Flat tip, as a fraction of the base outline
+const KEYHOLE_BOTTOM_SCALE = 0.75;  // Keyhole floor, as a fraction of the opening
+const KEYHOLE_TAB_LENGTH = 0.8;     // Tab below the round head, times the radius
+const KEYHOLE_TAB_WIDTH = 0.5;      // Half-width of the tab, times the radius
+
+/**
+ * Outline of a natch on the seam face, counter-clockwise seen from +Z
+ * Keyhole tabs point down so they stay inside the seam face's width.
+ * @param {string} style - 'hemisphere' | 'cone' | 'keyhole'
+ * @param {number} radius
+ * @returns {THREE.Vector2[]}
+ */
+export function getNatchOutline(style, radius) {
+    if (style !== 'keyhole') {
+        return Array.from({ length: OUTLINE_SEGMENTS }, (_, i) => {
+            const angle = (i / OUTLINE_SEGMENTS) * Math.PI * 2;
+            return new THREE.Vector2(radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+    }
+
+    // Round head from one side of the tab around to the other
+    const halfWidth = radius * KEYHOLE_TAB_WIDTH;
+    const tabAngle = Math.asin(KEYHOLE_TAB_WIDTH);
+    const start = -Math.PI / 2 + tabAngle;
+    const sweep = Math.PI * 2 - 2 * tabAngle;
+    const outline = [];
+    for (let i = 0; i <= OUTLINE_SEGMENTS; i++) {
+        const angle = start + (i / OUTLINE_SEGMENTS) * sweep;
+        outline.push(new THREE.Vector2(radius * Math.cos(angle), radius * Math.sin(angle)));
+    }
+
+    const tabBottom = -radius * (1 + KEYHOLE_TAB_LENGTH);
+    outline.push(new THREE.Vector2(-halfWidth, tabBottom), new THREE.Vector2(halfWidth, tabBottom));
+    return outline;
+}
+
+/**
+ * How far a natch reaches from its center on the seam face
+ * @param {string} style
+ * @param {number} radius
+ * @returns {{ side: number, up: number, down: number }}
+ */
+export function getNatchExtent(style, radius) {
+    const down = style === 'keyhole' ? radius * (1 + KEYHOLE_TAB_LENGTH) : radius;
+    return { side: radius, up: radius, down };
+}
+
+/**
+ * Rings the outline is swept through, from the face (z = 0) to the tip
+ * @returns {Array<{ scale: number, z: number }>}
+ */
+function getNatchRings(style, depth) {
+    if (style === 'hemisphere') {
+        // Quarter ellipse, so depths other than the radius still come out round
+        return Array.from({ length: DOME_RINGS }, (_, i) => {
+            const angle = (i / DOME_RINGS) * (Math.PI / 2);
+            return { scale: Math.cos(angle), z: depth * Math.sin(angle) };
+        });
+    }
+    const tipScale = style === 'cone' ? CONE_TIP_SCALE : KEYHOLE_BOTTOM_SCALE;
+    return [{ scale: 1, z: 0 }, { scale: tipScale, z: depth }];
+}
+
+/**
+ * Build a natch key or socket in the local frame
+ *
+ * Vertices are the outline once per ring, then the tip center (and for keys
+ * the base center). For sockets the first ring is the rim on the seam face.
+ *
+ * @param {string} style - 'hemisphere' | 'cone' | 'keyhole'
+ * @param {number} radius - Outline radius on the seam face
+ * @param {number} depth - Height of a key / depth of a socket
+ * @param {Object} [options]
+ * @param {boolean} [options.socket=false] - Open socket into -Z instead of a key
+ * @param {number} [options.embed=0] - Keys reach this far into the face they stand on
+ * @returns {{ positions: number[], indices: number[], rimCount: number }}
+ */
+export function createNatchMesh(style, radius, depth, { socket = false, embed = 0 } = {}) {
+    const outline = getNatchOutline(style, radius);
+    const count = outline.length;
+    const rings = getNatchRings(style, depth);
+    if (!socket && embed > 0) {
+        rings.unshift({ scale: 1, z: -embed });
+    }
+
+    // Sockets are the key mirrored through the face - the mirror also turns
+    // the normals into the socket, out of the plaster around it
+    const sign = socket ? -1 : 1;
+    const positions = [];
+    rings.forEach(({ scale, z }) => {
+        outline.forEach(point => positions.push(point.x * scale, point.y * scale, sign * z));
+    });
+
+    const indices = [];
+    for (let r = 0; r < rings.length - 1; r++) {
+        for (let i = 0; i < count; i++) {
+            const a = r * count + i;
+            const b = r * count + ((i + 1) % count);
+            indices.push(a, b, b + count, a, b + count, a + count);
+        }
+    }
+
+    // Tip: a point for the dome, a flat floor for the others
+    const tip = positions.length / 3;
+    const tipZ = style === 'hemisphere' ? depth : rings[rings.length - 1].z;
+    positions.push(0, 0, sign * tipZ);
+    const lastRing = (rings.length - 1) * count;
+    for (let i = 0; i < count; i++) {
+        indices.push(lastRing + i, lastRing + ((i + 1) % count), tip);
+    }
+
+    // Keys are closed solids
+    if (!socket) {
+        const base = positions.length / 3;
+        positions.push(0, 0, sign * rings[0].z);
+        for (let i = 0; i < count; i++) {
+            indices.push((i + 1) % count, i, base);
+        }
+    }
+
+    return { positions, indices, rimCount: count };
+}
+
+/**
+ * Volume of a natch key standing on the face (no embed)
+ * @param {string} style
+ * @param {number} radius
+ * @param {number} depth
+ * @returns {number} mm³
+ */
+export function getNatchVolume(style, radius, depth) {
+    const { positions, indices } = createNatchMesh(style, radius, depth);
+    const point = i => new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+
+    let volume = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = point(indices[i]);
+        volume += a.dot(point(indices[i + 1]).cross(point(indices[i + 2]))) / 6;
+    }
+    return volume;
+}
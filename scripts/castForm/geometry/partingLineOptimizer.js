@@ -0,0 +1,199 @@
+/**
+ * Cast Form Generator - Parting Line Optimizer
+ * Searches seam layouts for the wall pieces so seams stay off features
+ * like handles and spouts.
+ *
+ * Layouts are ranked first by how many pieces would lock onto the casting
+ * (the blocking undercut warning of DemoldAnalyzer), so a layout that
+ * releases always beats one that does not. Ties are broken by a score of
+ * the undercut and zero-draft area left plus the length of the seams, so a
+ * layout with more pieces only wins if it frees enough of the casting.
+ * Evenly spaced layouts are tried at every rotation, then the best one per
+ * piece count is refined by nudging single seams.
+ */
+
+import { DemoldAnalyzer, MIN_UNDERCUT_AREA } from './demoldAnalyzer.js';
+import {
+    MIN_WALL_PIECES,
+    MAX_WALL_PIECES,
+    getEvenSeamAngles,
+    resolveSeamAngles
+} from '../state/castFormDefaults.js';
+
+// Search resolution
+const ROTATION_STEP = 5;            // degrees between evenly spaced layouts
+const REFINE_STEPS = [5, 1];        // degrees a single seam is nudged by
+const MAX_REFINE_PASSES = 20;
+
+// Score weights (mm² of undercut each unit is worth)
+const ZERO_DRAFT_WEIGHT = 0.25;     // per mm² of zero-draft area
+const SEAM_LENGTH_WEIGHT = 0.5;     // per mm of seam
+const MIN_SCORE_GAIN = 10;          // Smaller gains are tessellation noise
+
+export class PartingLineOptimizer {
+    /**
+     * Find the best seam layouts for a vessel
+     *
+     * @param {THREE.BufferGeometry} firedGeometry - Input vessel (fired size)
+     * @param {Object} params - Mold parameters (shrinkage, mold)
+     * @param {Object} [options]
+     * @param {boolean} [options.searchPieceCount=false] - Also try 2-6 wall pieces
+     *        instead of only the current count
+     * @param {number} [options.limit=3] - Number of candidates to return
+     * @returns {{ current: Object, candidates: Object[] }} current is the layout in
+     *          params; candidates are sorted best first. Each holds
+     *          { wallCount, seamAngles, lockedPieces, undercutArea, zeroDraftArea, seamLength, score }
+     */
+    static findCandidates(firedGeometry, params, options = {}) {
+        const { searchPieceCount = false, limit = 3 } = options;
+        const surface = DemoldAnalyzer.prepare(firedGeometry, params.shrinkage);
+        const current = this.evaluate(surface, resolveSeamAngles(params.mold).angles);
+
+        const counts = [];
+        if (searchPieceCount) {
+            for (let count = MIN_WALL_PIECES; count <= MAX_WALL_PIECES; count++) counts.push(count);
+        } else {
+            counts.push(current.wallCount);
+        }
+
+        const layouts = [current];
+        counts.forEach(count => {
+            let best = null;
+            // Even layouts repeat after one segment
+            for (let start = 0; start < 360 / count; start += ROTATION_STEP) {
+                const layout = this.evaluate(surface, getEvenSeamAngles(count, start));
+                layouts.push(layout);
+                if (!best || this.compare(layout, best) < 0) best = layout;
+            }
+            layouts.push(this.refine(surface, best));
+        });
+
+        layouts.sort((a, b) => this.compare(a, b));
+        // Near-ties keep the current layout
+        if (!this.isImprovement(layouts[0], current)) {
+            layouts.unshift(current);
+        }
+
+        const candidates = [];
+        layouts.forEach(layout => {
+            // Offer the current layout in place of one that only matches it
+            const offered = this.isEquivalent(layout, current) ? current : layout;
+            if (candidates.length < limit && !candidates.some(c => this.isEquivalent(c, offered))) {
+                candidates.push(offered);
+            }
+        });
+
+        return { current, candidates };
+    }
+
+    /**
+     * Order layouts best first: fewer locked pieces, then lower score
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {number} Negative if a is better
+     */
+    static compare(a, b) {
+        return (a.lockedPieces - b.lockedPieces) || (a.score - b.score);
+    }
+
+    /**
+     * Whether a candidate is worth suggesting over the current layout
+     * (never one that locks more pieces onto the casting)
+     * @param {Object} candidate
+     * @param {Object} current
+     * @returns {boolean}
+     */
+    static isImprovement(candidate, current) {
+        if (candidate.lockedPieces !== current.lockedPieces) {
+            return candidate.lockedPieces < current.lockedPieces;
+        }
+        return current.score - candidate.score > Math.max(MIN_SCORE_GAIN, current.score * 0.05);
+    }
+
+    /**
+     * Score one seam layout
+     * @param {Object} surface - DemoldAnalyzer.prepare() result
+     * @param {number[]} angles - Seam angles in degrees
+     */
+    static evaluate(surface, angles) {
+        const seamAngles = [...angles].sort((a, b) => a - b);
+        const { pieces } = DemoldAnalyzer.classify(surface, seamAngles);
+
+        const undercutArea = pieces.reduce((sum, piece) => sum + piece.undercutArea, 0);
+        const zeroDraftArea = pieces.reduce((sum, piece) => sum + piece.zeroDraftArea, 0);
+        const seamLength = seamAngles.reduce((sum, angle) => sum + DemoldAnalyzer.getSeamLength(surface, angle), 0);
+
+        return {
+            wallCount: seamAngles.length,
+            seamAngles,
+            lockedPieces: pieces.filter(piece => piece.undercutArea >= MIN_UNDERCUT_AREA).length,
+            undercutArea,
+            zeroDraftArea,
+            seamLength,
+            score: undercutArea + zeroDraftArea * ZERO_DRAFT_WEIGHT + seamLength * SEAM_LENGTH_WEIGHT
+        };
+    }
+
+    /**
+     * Improve a layout by moving one seam at a time while it ranks better
+     */
+    static refine(surface, layout) {
+        let best = layout;
+
+        REFINE_STEPS.forEach(step => {
+            for (let pass = 0; pass < MAX_REFINE_PASSES; pass++) {
+                let improved = false;
+
+                best.seamAngles.forEach((_, i) => {
+                    [-step, step].forEach(delta => {
+                        const seamAngles = [...best.seamAngles];
+                        seamAngles[i] = (seamAngles[i] + delta + 360) % 360;
+
+                        // Keep within the gaps the generator accepts
+                        if (!resolveSeamAngles({ wallCount: seamAngles.length, seamAngles }).valid) return;
+
+                        const trial = this.evaluate(surface, seamAngles);
+                        if (this.compare(trial, best) < 0) {
+                            best = trial;
+                            improved = true;
+                        }
+                    });
+                });
+
+                if (!improved) break;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Whether two layouts are not worth offering side by side: the same
+     * seams, or the same piece count scoring within noise of each other
+     * (every rotation of an even layout does on a round vessel)
+     */
+    static isEquivalent(a, b) {
+        if (this.isSimilar(a, b)) return true;
+        return a.wallCount === b.wallCount && a.lockedPieces === b.lockedPieces
+            && Math.abs(a.score - b.score) < MIN_SCORE_GAIN;
+    }
+
+    /**
+     * Same piece count with every seam within one rotation step
+     */
+    static isSimilar(a, b) {
+        if (a.wallCount !== b.wallCount) return false;
+
+        const count = a.wallCount;
+        for (let shift = 0; shift < count; shift++) {
+            const matches = a.seamAngles.every((angle, i) => {
+                const diff = Math.abs(angle - b.seamAngles[(i + shift) % count]) % 360;
+                return Math.min(diff, 360 - diff) < ROTATION_STEP;
+            });
+            if (matches) return true;
+        }
+        return false;
+    }
+}
+
+export default PartingLineOptimizer;
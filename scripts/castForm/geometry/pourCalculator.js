@@ -0,0 +1,81 @@
+/**
+ * Cast Form Generator - Pour Calculator
+ * Turns the generated mold volumes into plaster and water weights for each
+ * piece and the slip needed to fill the cavity.
+ *
+ * Consistency is parts water per 100 parts plaster by weight. A batch's
+ * volume is the plaster's solid volume plus its water, so at consistency C
+ * one cm³ of mold takes 1 / (1 / PLASTER_DENSITY + C / 100) g of plaster.
+ * Batches include MIX_ALLOWANCE for what stays in the bucket.
+ */
+
+import { PLASTER_PRESETS } from '../state/castFormDefaults.js';
+
+const PLASTER_DENSITY = 2.75;         // g/cm³, calcium sulfate hemihydrate
+export const MIX_ALLOWANCE = 0.1;     // Extra mixed per batch (10%)
+
+export class PourCalculator {
+    /**
+     * Plaster batches and slip for the generated mold
+     *
+     * @param {Object} volumes - output.volumes from MoldGenerator: { foot, walls[], slip } in mm³
+     * @param {Object} pour - Pour settings (plaster, consistency, slipGravity)
+     * @returns {{ pieces: Array<Object>, total: Object, slip: Object, consistency: number, plasterName: string, slipGravity: number }}
+     *          pieces / total hold { part, name, volume (cm³), plaster (g), water (g) };
+     *          slip holds { vessel, spare, volume (ml), weight (g) }
+     */
+    static calculate(volumes, pour) {
+        const { consistency, slipGravity } = pour;
+        const plasterPerCm3 = 1 / (1 / PLASTER_DENSITY + consistency / 100);
+
+        const batch = (part, name, volumeMm3) => {
+            const volume = volumeMm3 / 1000;
+            const plaster = volume * plasterPerCm3 * (1 + MIX_ALLOWANCE);
+            return { part, name, volume, plaster, water: (plaster * consistency) / 100 };
+        };
+
+        const pieces = [
+            batch('foot', 'Foot', volumes.foot),
+            ...volumes.walls.map((volume, i) => batch(`wall${i + 1}`, `Wall ${i + 1}`, volume))
+        ];
+
+        const total = pieces.reduce((sum, piece) => ({
+            ...sum,
+            volume: sum.volume + piece.volume,
+            plaster: sum.plaster + piece.plaster,
+            water: sum.water + piece.water
+        }), { part: 'total', name: 'Total', volume: 0, plaster: 0, water: 0 });
+
+        const vessel = volumes.slip.vessel / 1000;
+        const spare = volumes.slip.spare / 1000;
+
+        return {
+            pieces,
+            total,
+            slip: { vessel, spare, volume: vessel + spare, weight: (vessel + spare) * slipGravity },
+            consistency,
+            plasterName: PLASTER_PRESETS[pour.plaster]?.label || 'Custom plaster',
+            slipGravity
+        };
+    }
+}
+
+/**
+ * Weight as text: grams below 1 kg, kilograms above
+ * @param {number} grams
+ * @returns {string}
+ */
+export function formatWeight(grams) {
+    return grams < 1000 ? `${Math.round(grams)} g` : `${(grams / 1000).toFixed(2)} kg`;
+}
+
+/**
+ * Volume as text: millilitres below 1 l, litres above
+ * @param {number} cm3
+ * @returns {string}
+ */
+export function formatVolume(cm3) {
+    return cm3 < 1000 ? `${Math.round(cm3)} ml` : `${(cm3 / 1000).toFixed(2)} l`;
+}
+
+export default PourCalculator;
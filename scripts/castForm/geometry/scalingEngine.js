@@ -0,0 +1,91 @@
+/**
+ * Cast Form Generator - Scaling Engine
+ * Shrinkage compensation: scales the fired-size input vessel up to the
+ * size it must be cast at, so the piece shrinks back to the input size
+ * after drying and firing.
+ *
+ * ScaleFactor = 1 / (1 - Shrinkage% / 100), e.g. 12% -> 1.136
+ */
+
+import * as THREE from 'three';
+
+export class ScalingEngine {
+    /**
+     * Scale factor for a shrinkage percentage
+     * @param {number} shrinkagePercent
+     * @returns {number}
+     */
+    static computeScaleFactor(shrinkagePercent) {
+        return 1 / (1 - (shrinkagePercent || 0) / 100);
+    }
+
+    /**
+     * Radial (X/Z) and vertical (Y) scale factors
+     * @param {Object} [shrinkage] - params.shrinkage; missing means no compensation
+     * @returns {{ radial: number, vertical: number }}
+     */
+    static getScaleFactors(shrinkage) {
+        return {
+            radial: this.computeScaleFactor(shrinkage?.radialPercent),
+            vertical: this.computeScaleFactor(shrinkage?.verticalPercent)
+        };
+    }
+
+    /**
+     * Apply shrinkage compensation to the input vessel
+     * Scales about the vessel axis (X/Z origin) and its base, so the foot
+     * stays on the ground plane.
+     *
+     * @param {THREE.BufferGeometry} geometry - Fired-size vessel (not modified)
+     * @param {Object} [shrinkage] - params.shrinkage
+     * @returns {THREE.BufferGeometry} Scaled copy, or the input itself if
+     *          there is nothing to scale
+     */
+    static applyCompensation(geometry, shrinkage) {
+        const { radial, vertical } = this.getScaleFactors(shrinkage);
+        if (radial === 1 && vertical === 1) return geometry;
+
+        geometry.computeBoundingBox();
+        const baseY = geometry.boundingBox.min.y;
+
+        const scaled = geometry.clone();
+        scaled.applyMatrix4(new THREE.Matrix4()
+            .makeTranslation(0, baseY, 0)
+            .multiply(new THREE.Matrix4().makeScale(radial, vertical, radial))
+            .multiply(new THREE.Matrix4().makeTranslation(0, -baseY, 0)));
+        scaled.computeBoundingBox();
+        return scaled;
+    }
+
+    /**
+     * Fired piece and mold cavity sizes
+     * @param {{ size: THREE.Vector3 }} bounds - Input bounds (fired size)
+     * @param {Object} [shrinkage] - params.shrinkage
+     * @returns {{ fired: THREE.Vector3, cavity: THREE.Vector3 }} sizes in mm
+     */
+    static getSizes(bounds, shrinkage) {
+        const { radial, vertical } = this.getScaleFactors(shrinkage);
+        const fired = new THREE.Vector3().copy(bounds.size);
+        return {
+            fired,
+            cavity: fired.clone().multiply(new THREE.Vector3(radial, vertical, radial))
+        };
+    }
+
+    /**
+     * Fired size vs mold cavity size as text (plain ASCII for export notes)
+     * e.g. "Fired 100.0 x 100.0 x 120.0 mm -> mold cavity 113.6 x 113.6 x 137.1 mm
+     *       (W x D x H, shrinkage 12% radial / 12.5% vertical)"
+     * @param {{ size: THREE.Vector3 }} bounds - Input bounds (fired size)
+     * @param {Object} [shrinkage] - params.shrinkage
+     * @returns {string}
+     */
+    static describeCompensation(bounds, shrinkage) {
+        const { fired, cavity } = this.getSizes(bounds, shrinkage);
+        const size = v => `${v.x.toFixed(1)} x ${v.z.toFixed(1)} x ${v.y.toFixed(1)} mm`;
+        return `Fired ${size(fired)} -> mold cavity ${size(cavity)} ` +
+            `(W x D x H, shrinkage ${shrinkage?.radialPercent || 0}% radial / ${shrinkage?.verticalPercent || 0}% vertical)`;
+    }
+}
+
+export default ScalingEngine;
@@ -0,0 +1,141 @@
+/**
+ * Cast Form Generator - Spare Shape
+ * The spare is the cavity above the vessel's rim that keeps slip topped up
+ * while the walls cast. Its outline follows the rim, pushed out by an offset
+ * that depends on the style and the height above the rim:
+ *
+ * - collar: straight up, SPARE_RADIUS_OFFSET out from the rim
+ * - funnel: the collar widening evenly to funnelFlare more at the top
+ * - spout: the collar with a lip at spoutAngle reaching spoutReach further
+ *   out at the top, to pour the slip back out of the mold
+ * - reservoir: the wall carries straight on for neckHeight, with a bead in
+ *   the cavity just above the rim that leaves a groove to trim along, then
+ *   opens at 45° into a reservoir reservoirWidth wider than the collar
+ *
+ * Heights are measured up from the rim; angles are radians, as in the profile.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_PARAMS, SPARE_RADIUS_OFFSET } from '../state/castFormDefaults.js';
+
+const VOLUME_STEP = 1;  // mm between slices when integrating the volume
+
+export class SpareShape {
+    /**
+     * @param {Object} spare - params.spare
+     * @param {number} height - mold.spareHeight
+     * @param {number} [rimRadius=50] - Rim cavity radius, sets the spout's angular width
+     */
+    constructor(spare, height, rimRadius = 50) {
+        this.spare = { ...DEFAULT_PARAMS.spare, ...spare };
+        this.height = height;
+
+        const { spoutWidth, spoutAngle, neckHeight, cutLineDepth } = this.spare;
+        this.spoutAngle = THREE.MathUtils.degToRad(spoutAngle);
+        this.spoutHalfAngle = Math.min(Math.PI / 2, spoutWidth / 2 / (rimRadius + SPARE_RADIUS_OFFSET));
+
+        // The neck always has room for the whole cut-line groove
+        this.neckHeight = Math.max(neckHeight, 2 * cutLineDepth);
+        this.reservoirOffset = SPARE_RADIUS_OFFSET + this.spare.reservoirWidth;
+    }
+
+    /**
+     * How far the spare's outline sits outside the rim cavity
+     * @param {number} s - Height above the rim (0 to height)
+     * @param {number} angle - Radians
+     * @returns {number} mm (negative on the cut-line bead)
+     */
+    getOffset(s, angle) {
+        const { style, funnelFlare, spoutReach, cutLineDepth } = this.spare;
+        const rise = this.height > 0 ? s / this.height : 0;
+
+        switch (style) {
+            case 'funnel':
+                return SPARE_RADIUS_OFFSET + funnelFlare * rise;
+            case 'spout':
+                return SPARE_RADIUS_OFFSET + spoutReach * this.getSpoutWeight(angle) * rise;
+            case 'reservoir':
+                if (s < 2 * cutLineDepth) return -(cutLineDepth - Math.abs(s - cutLineDepth));
+                return Math.max(0, Math.min(this.reservoirOffset, s - this.neckHeight));
+            default:
+                return SPARE_RADIUS_OFFSET;
+        }
+    }
+
+    /**
+     * Spout lip across the spout: 1 on its center line, easing to 0 at its edges
+     * @param {number} angle - Radians
+     * @returns {number}
+     */
+    getSpoutWeight(angle) {
+        const off = Math.abs(THREE.MathUtils.euclideanModulo(angle - this.spoutAngle + Math.PI, Math.PI * 2) - Math.PI);
+        if (off >= this.spoutHalfAngle) return 0;
+        return Math.cos((off / this.spoutHalfAngle) * (Math.PI / 2)) ** 2;
+    }
+
+    /**
+     * Heights above the rim where the outline bends; the wall pieces put a
+     * row on each so the bead and the reservoir shoulder stay crisp
+     * @returns {number[]} Ascending, within the spare
+     */
+    getEdges() {
+        const edges = [0];
+        if (this.spare.style === 'reservoir') {
+            const depth = this.spare.cutLineDepth;
+            edges.push(depth, 2 * depth, this.neckHeight, this.neckHeight + this.reservoirOffset);
+        }
+        return [...new Set(edges)].filter(s => s <= this.height).sort((a, b) => a - b);
+    }
+
+    /**
+     * Rows for lofting and integrating the spare: evenly spaced plus the edges
+     * @returns {number[]} Ascending heights from 0 to height
+     */
+    getSampleHeights() {
+        const steps = Math.max(1, Math.ceil(this.height / VOLUME_STEP));
+        const heights = Array.from({ length: steps + 1 }, (_, i) => (i / steps) * this.height);
+        return [...heights, ...this.getEdges()]
+            .sort((a, b) => a - b)
+            .filter((s, i, sorted) => i === 0 || s - sorted[i - 1] > 1e-6);
+    }
+
+    /**
+     * Widest offset anywhere in the spare
+     * @returns {number} mm
+     */
+    getMaxOffset() {
+        const { style, funnelFlare, spoutReach } = this.spare;
+        if (style === 'funnel') return SPARE_RADIUS_OFFSET + funnelFlare;
+        if (style === 'spout') return SPARE_RADIUS_OFFSET + spoutReach;
+        if (style === 'reservoir') return Math.max(0, Math.min(this.reservoirOffset, this.height - this.neckHeight));
+        return SPARE_RADIUS_OFFSET;
+    }
+
+    /**
+     * Spare height the style needs to reach its full shape
+     * @returns {number} mm (0 when any height will do)
+     */
+    getRequiredHeight() {
+        return this.spare.style === 'reservoir' ? this.neckHeight + this.reservoirOffset : 0;
+    }
+
+    /**
+     * Slip the spare holds
+     * @param {number[]} rimRadii - Rim cavity radius at evenly spaced angles
+     * @returns {number} mm³
+     */
+    getVolume(rimRadii) {
+        const count = rimRadii.length;
+        const sliceArea = s => (rimRadii.reduce((sum, radius, a) =>
+            sum + (radius + this.getOffset(s, (a / count) * Math.PI * 2)) ** 2, 0) * Math.PI) / count;
+
+        const heights = this.getSampleHeights();
+        let volume = 0;
+        for (let i = 1; i < heights.length; i++) {
+            volume += ((sliceArea(heights[i]) + sliceArea(heights[i - 1])) / 2) * (heights[i] - heights[i - 1]);
+        }
+        return volume;
+    }
+}
+
+export default SpareShape;
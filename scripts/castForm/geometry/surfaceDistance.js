@@ -0,0 +1,263 @@
+/**
+ * Cast Form Generator - Surface Distance
+ * Exact distance from a point to the input mesh, used to place the mold
+ * cavity on the surface offset by the vessel clearance.
+ *
+ * Triangles are bucketed in a uniform grid, so a query only visits the cells
+ * within its search radius. Rays march toward the mesh in steps of the
+ * distance found (sphere tracing) and stop at the first point that is the
+ * offset away from any triangle - whichever way the surface faces. Flat
+ * bottoms, facets and sloped rims get the full clearance, where offsetting a
+ * hit point along the ray would only get it on surfaces facing the ray.
+ */
+
+import * as THREE from 'three';
+import { forEachTriangle } from '../../export/writers/meshData.js';
+
+// Bucket grid cells along the longest side of the mesh
+const GRID_RESOLUTION = 64;
+const MIN_CELL_SIZE = 0.5;       // mm
+
+// Sphere tracing
+const MARCH_TOLERANCE = 0.005;   // mm - close enough to the offset surface
+const MIN_MARCH_STEP = 0.01;     // mm - keeps grazing rays moving
+const MAX_MARCH_STEPS = 512;
+
+export class SurfaceDistance {
+    /**
+     * @param {THREE.BufferGeometry} geometry - Mesh to measure against
+     */
+    constructor(geometry) {
+        const triangles = [];
+        const edge1 = new THREE.Vector3();
+        const edge2 = new THREE.Vector3();
+        forEachTriangle(geometry, null, (a, b, c) => {
+            // Degenerate triangles have no closest point of their own
+            edge1.subVectors(b, a);
+            edge2.subVectors(c, a);
+            if (edge1.cross(edge2).lengthSq() > 1e-12) {
+                triangles.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+            }
+        });
+        this.triangles = new Float64Array(triangles);
+        this.triangleCount = triangles.length / 9;
+
+        this.bounds = new THREE.Box3();
+        for (let i = 0; i < triangles.length; i += 3) {
+            this.bounds.expandByPoint(edge1.set(triangles[i], triangles[i + 1], triangles[i + 2]));
+        }
+
+        const size = this.bounds.getSize(new THREE.Vector3());
+        this.cellSize = Math.max(Math.max(size.x, size.y, size.z) / GRID_RESOLUTION, MIN_CELL_SIZE);
+        this.dims = [size.x, size.y, size.z].map(extent => Math.floor(extent / this.cellSize) + 1);
+
+        this.buildCells();
+
+        // Query stamps, so a triangle spanning several cells is measured once
+        this.stamps = new Uint32Array(this.triangleCount);
+        this.query = 0;
+    }
+
+    /**
+     * Bucket triangles by the cells their bounding boxes overlap
+     * cellStart/cellTriangles hold the buckets back to back (CSR layout)
+     */
+    buildCells() {
+        const [nx, ny, nz] = this.dims;
+        const cellCount = nx * ny * nz;
+        const counts = new Uint32Array(cellCount + 1);
+
+        const forEachCell = (t, callback) => {
+            const range = [0, 1, 2].map(axis => {
+                const v0 = this.triangles[t * 9 + axis];
+                const v1 = this.triangles[t * 9 + 3 + axis];
+                const v2 = this.triangles[t * 9 + 6 + axis];
+                return [
+                    this.cellIndex(Math.min(v0, v1, v2), axis),
+                    this.cellIndex(Math.max(v0, v1, v2), axis)
+                ];
+            });
+            for (let z = range[2][0]; z <= range[2][1]; z++) {
+                for (let y = range[1][0]; y <= range[1][1]; y++) {
+                    for (let x = range[0][0]; x <= range[0][1]; x++) {
+                        callback((z * ny + y) * nx + x);
+                    }
+                }
+            }
+        };
+
+        for (let t = 0; t < this.triangleCount; t++) {
+            forEachCell(t, cell => counts[cell + 1]++);
+        }
+        for (let i = 1; i <= cellCount; i++) {
+            counts[i] += counts[i - 1];
+        }
+
+        this.cellStart = counts;
+        this.cellTriangles = new Uint32Array(counts[cellCount]);
+        const fill = counts.slice(0, cellCount);
+        for (let t = 0; t < this.triangleCount; t++) {
+            forEachCell(t, cell => {
+                this.cellTriangles[fill[cell]++] = t;
+            });
+        }
+    }
+
+    /**
+     * Grid cell along one axis, clamped to the grid
+     * @param {number} value - Coordinate
+     * @param {number} axis - 0 (x), 1 (y) or 2 (z)
+     * @returns {number}
+     */
+    cellIndex(value, axis) {
+        const min = axis === 0 ? this.bounds.min.x : axis === 1 ? this.bounds.min.y : this.bounds.min.z;
+        return THREE.MathUtils.clamp(Math.floor((value - min) / this.cellSize), 0, this.dims[axis] - 1);
+    }
+
+    /**
+     * Distance from a point to the mesh, looking no further than maxDistance
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} maxDistance - Search radius
+     * @returns {number} Distance, or maxDistance when nothing is that close
+     */
+    distanceAt(x, y, z, maxDistance) {
+        const { min, max } = this.bounds;
+        if (x < min.x - maxDistance || x > max.x + maxDistance ||
+            y < min.y - maxDistance || y > max.y + maxDistance ||
+            z < min.z - maxDistance || z > max.z + maxDistance) {
+            return maxDistance;
+        }
+
+        const [nx, ny] = this.dims;
+        const x0 = this.cellIndex(x - maxDistance, 0), x1 = this.cellIndex(x + maxDistance, 0);
+        const y0 = this.cellIndex(y - maxDistance, 1), y1 = this.cellIndex(y + maxDistance, 1);
+        const z0 = this.cellIndex(z - maxDistance, 2), z1 = this.cellIndex(z + maxDistance, 2);
+
+        this.query = (this.query + 1) >>> 0 || 1;
+        let best = maxDistance * maxDistance;
+
+        for (let cz = z0; cz <= z1; cz++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                for (let cx = x0; cx <= x1; cx++) {
+                    const cell = (cz * ny + cy) * nx + cx;
+                    for (let i = this.cellStart[cell]; i < this.cellStart[cell + 1]; i++) {
+                        const t = this.cellTriangles[i];
+                        if (this.stamps[t] === this.query) continue;
+                        this.stamps[t] = this.query;
+                        best = Math.min(best, pointTriangleDistanceSq(this.triangles, t * 9, x, y, z));
+                    }
+                }
+            }
+        }
+
+        return Math.sqrt(best);
+    }
+
+    /**
+     * March along a ray to the first point the offset away from the mesh
+     * @param {THREE.Vector3} origin - Ray start, outside the offset surface
+     * @param {THREE.Vector3} direction - Unit direction
+     * @param {number} offset - Distance to keep from the mesh (mm)
+     * @param {number} maxDistance - Give up this far along the ray
+     * @returns {number|null} Distance along the ray, or null if it never gets that close
+     */
+    marchToOffset(origin, direction, offset, maxDistance) {
+        // Skip straight to where the ray enters the mesh bounds grown by the offset
+        const span = this.clipToBounds(origin, direction, offset + MARCH_TOLERANCE, maxDistance);
+        if (!span) return null;
+
+        // Far from the mesh the search radius caps each step
+        const reach = offset + 2 * this.cellSize;
+        let t = span.enter;
+        for (let step = 0; step < MAX_MARCH_STEPS && t <= span.exit; step++) {
+            const gap = this.distanceAt(
+                origin.x + direction.x * t,
+                origin.y + direction.y * t,
+                origin.z + direction.z * t,
+                reach
+            ) - offset;
+            if (gap <= MARCH_TOLERANCE) return t;
+            t += Math.max(gap, MIN_MARCH_STEP);
+        }
+        return null;
+    }
+
+    /**
+     * Part of a ray inside the mesh bounds expanded by a margin (slab test)
+     * @returns {{ enter: number, exit: number }|null}
+     */
+    clipToBounds(origin, direction, margin, maxDistance) {
+        let enter = 0;
+        let exit = maxDistance;
+        for (const axis of ['x', 'y', 'z']) {
+            const min = this.bounds.min[axis] - margin;
+            const max = this.bounds.max[axis] + margin;
+            if (Math.abs(direction[axis]) < 1e-12) {
+                if (origin[axis] < min || origin[axis] > max) return null;
+                continue;
+            }
+            const t0 = (min - origin[axis]) / direction[axis];
+            const t1 = (max - origin[axis]) / direction[axis];
+            enter = Math.max(enter, Math.min(t0, t1));
+            exit = Math.min(exit, Math.max(t0, t1));
+        }
+        return enter <= exit ? { enter, exit } : null;
+    }
+}
+
+/**
+ * Squared distance from a point to a triangle (closest point by Voronoi
+ * region of the vertices, edges and face)
+ * @param {Float64Array} tri - Packed triangle corners
+ * @param {number} i - Offset of the triangle's first coordinate
+ * @returns {number}
+ */
+function pointTriangleDistanceSq(tri, i, px, py, pz) {
+    const ax = tri[i], ay = tri[i + 1], az = tri[i + 2];
+    const abx = tri[i + 3] - ax, aby = tri[i + 4] - ay, abz = tri[i + 5] - az;
+    const acx = tri[i + 6] - ax, acy = tri[i + 7] - ay, acz = tri[i + 8] - az;
+    const distanceSq = (qx, qy, qz) => (px - qx) ** 2 + (py - qy) ** 2 + (pz - qz) ** 2;
+
+    const apx = px - ax, apy = py - ay, apz = pz - az;
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0 && d2 <= 0) return distanceSq(ax, ay, az);
+
+    const bpx = apx - abx, bpy = apy - aby, bpz = apz - abz;
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0 && d4 <= d3) return distanceSq(ax + abx, ay + aby, az + abz);
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        return distanceSq(ax + abx * v, ay + aby * v, az + abz * v);
+    }
+
+    const cpx = apx - acx, cpy = apy - acy, cpz = apz - acz;
+    const d5 = abx * cpx + aby * cpy + abz * cpz;
+    const d6 = acx * cpx + acy * cpy + acz * cpz;
+    if (d6 >= 0 && d5 <= d6) return distanceSq(ax + acx, ay + acy, az + acz);
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        return distanceSq(ax + acx * w, ay + acy * w, az + acz * w);
+    }
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        const bx = ax + abx, by = ay + aby, bz = az + abz;
+        return distanceSq(bx + (acx - abx) * w, by + (acy - aby) * w, bz + (acz - abz) * w);
+    }
+
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    return distanceSq(ax + abx * v + acx * w, ay + aby * v + acy * w, az + abz * v + acz * w);
+}
+
+export default SurfaceDistance;
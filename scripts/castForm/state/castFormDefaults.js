@@ -5,36 +5,126 @@
 // Fixed base mold height - creates interlocking cavity with wall molds
 export const BASE_MOLD_HEIGHT = 15;  // mm (1.5cm)
 
+// Spare (pour reservoir) is this much wider than the rim for pour clearance
+export const SPARE_RADIUS_OFFSET = 15;  // mm
+
+// Spare (pour reservoir) shapes above the rim
+export const SPARE_STYLES = {
+    collar: { label: 'Straight collar' },
+    funnel: { label: 'Funnel' },
+    spout: { label: 'Pour spout' },
+    reservoir: { label: 'Reservoir + cut line' }
+};
+
+// Wall piece limits - pieces wider than 180° could not be pulled off the casting
+export const MIN_WALL_PIECES = 2;
+export const MAX_WALL_PIECES = 6;
+export const MIN_SEAM_GAP = 30;      // degrees
+export const MAX_SEAM_GAP = 180;     // degrees
+
+// Registration key shapes - every style tapers so the pieces pull apart
+export const NATCH_STYLES = {
+    hemisphere: { label: 'Hemisphere' },
+    cone: { label: 'Cone' },
+    keyhole: { label: 'Keyhole' }
+};
+export const MAX_NATCHES_PER_SEAM = 4;
+
+// Typical drying + firing shrinkage per clay body (%). Slip-cast pieces
+// usually shrink a little more in height than across.
+export const SHRINKAGE_PRESETS = {
+    porcelain: { label: 'Porcelain', radialPercent: 13, verticalPercent: 14 },
+    stoneware: { label: 'Stoneware', radialPercent: 12, verticalPercent: 12.5 },
+    earthenware: { label: 'Earthenware', radialPercent: 7, verticalPercent: 7.5 }
+};
+
+// Plaster normal consistency: parts water per 100 parts plaster by weight
+export const PLASTER_PRESETS = {
+    usgPottery: { label: 'USG No.1 Pottery Plaster', consistency: 70 },
+    hydrocalWhite: { label: 'USG Hydrocal White', consistency: 45 },
+    ultracal30: { label: 'USG Ultracal 30', consistency: 38 }
+};
+
+// Pour calculator settings - kept out of params so they don't regenerate the mold
+export const DEFAULT_POUR = {
+    plaster: 'usgPottery',         // Preset key or 'custom'
+    consistency: 70,               // Water per 100 plaster by weight
+    slipGravity: 1.78              // Casting slip specific gravity
+};
+
 export const DEFAULT_PARAMS = {
+    // Shrinkage Compensation - input is the fired size, the cavity is scaled up
+    shrinkage: {
+        clayBody: 'stoneware',     // Preset key or 'custom'
+        radialPercent: 12,         // % (X/Z, across the piece)
+        verticalPercent: 12.5      // % (Y, height)
+    },
+    
     // Mold Dimensions
     mold: {
         plasterWallThickness: 20,  // mm
         spareHeight: 10,           // mm
-        cornerCutWidth: 20         // mm - removes corner triangles with vertical cuts
+        cornerCutWidth: 20,        // mm - removes corner triangles with vertical cuts
+        outputMode: 'shells',      // 'shells' (printed mold shells) or 'cottle' (model + mold box)
+        wallCount: 3,              // Wall pieces around the vessel
+        seamAngles: [0, 120, 240]  // degrees - seam where each wall piece starts
+    },
+    
+    // Spare shape (height is mold.spareHeight)
+    spare: {
+        style: 'collar',           // 'collar' | 'funnel' | 'spout' | 'reservoir'
+        funnelFlare: 15,           // mm wider than the collar at the top (funnel)
+        spoutAngle: 60,            // degrees - direction of the pour spout (spout)
+        spoutWidth: 30,            // mm across the spout
+        spoutReach: 15,            // mm out past the collar at the top
+        neckHeight: 8,             // mm of straight wall above the rim (reservoir)
+        reservoirWidth: 10,        // mm wider than the collar (reservoir)
+        cutLineDepth: 1            // mm - groove in the casting marking the trim line
     },
     
     // Registration Keys (Natches)
     natches: {
+        style: 'hemisphere',       // 'hemisphere' | 'cone' | 'keyhole'
         diameter: 10,              // mm
         depth: 5,                  // mm
         toleranceOffset: 0.2,      // mm (per side)
-        countPerSeam: 2
+        countPerSeam: 2,
+        seamCounts: []             // Natches on each seam; empty uses countPerSeam
     },
     
     // Shell Properties
     shell: {
-        wallThickness: 1.5         // mm (min 1.2)
+        wallThickness: 1.5,        // mm (min 1.2)
+        strapGrooveCount: 0,       // Grooves around the wall pieces for rubber straps
+        strapGrooveWidth: 8,       // mm
+        strapGrooveDepth: 2        // mm
     }
 };
 
 export const PARAM_CONSTRAINTS = {
+    'shrinkage.radialPercent': { min: 0, max: 20, step: 0.5, unit: '%' },
+    'shrinkage.verticalPercent': { min: 0, max: 20, step: 0.5, unit: '%' },
     'mold.plasterWallThickness': { min: 20, max: 50, step: 1, unit: 'mm' },
     'mold.spareHeight': { min: 10, max: 80, step: 1, unit: 'mm' },
     'mold.cornerCutWidth': { min: 0, max: 100, step: 1, unit: 'mm' },
+    'mold.wallCount': { min: MIN_WALL_PIECES, max: MAX_WALL_PIECES, step: 1, unit: '' },
+    'mold.seamAngles': { min: 0, max: 359, step: 1, unit: '°' },
+    'spare.funnelFlare': { min: 5, max: 40, step: 1, unit: 'mm' },
+    'spare.spoutAngle': { min: 0, max: 359, step: 1, unit: '°' },
+    'spare.spoutWidth': { min: 15, max: 80, step: 1, unit: 'mm' },
+    'spare.spoutReach': { min: 5, max: 40, step: 1, unit: 'mm' },
+    'spare.neckHeight': { min: 3, max: 30, step: 1, unit: 'mm' },
+    'spare.reservoirWidth': { min: 0, max: 40, step: 1, unit: 'mm' },
+    'spare.cutLineDepth': { min: 0.5, max: 3, step: 0.25, unit: 'mm' },
     'natches.diameter': { min: 6, max: 15, step: 1, unit: 'mm' },
     'natches.depth': { min: 3, max: 10, step: 0.5, unit: 'mm' },
     'natches.toleranceOffset': { min: 0.1, max: 0.5, step: 0.05, unit: 'mm' },
-    'shell.wallThickness': { min: 1.2, max: 3.0, step: 0.1, unit: 'mm' }
+    'shell.wallThickness': { min: 1.2, max: 3.0, step: 0.1, unit: 'mm' },
+    'shell.strapGrooveCount': { min: 0, max: 4, step: 1, unit: '' },
+    'shell.strapGrooveWidth': { min: 4, max: 20, step: 1, unit: 'mm' },
+    'shell.strapGrooveDepth': { min: 1, max: 5, step: 0.5, unit: 'mm' },
+    'pour.consistency': { min: 30, max: 100, step: 1, unit: '' },
+    'pour.slipGravity': { min: 1.5, max: 2.0, step: 0.01, unit: '' }
 };
 
 // Part colors for visualization
@@ -43,10 +133,74 @@ export const PART_COLORS = {
     wall1: 0x7D9B76,   // Sage Green
     wall2: 0x6B8BA4,   // Dusty Blue
     wall3: 0x9C9588,   // Warm Gray
+    wall4: 0xA57F9C,   // Dusty Mauve
+    wall5: 0x5F9B95,   // Teal
+    wall6: 0xC9A66B,   // Sand
+    model: 0xD9CBB3,   // Bisque
+    plug: 0xB5653A,    // Burnt sienna
+    cottle: 0x8A9BA8,  // Slate
+    clamp: 0x4F6D7A,   // Deep slate
     natch: 0xD4A84B,   // Gold highlight
     input: 0xE8E0D5    // Cream (input vessel preview)
 };
 
+/**
+ * Color for a mold part ('wall2' has its own, 'cottle3' uses the cottle color)
+ * @param {string} id - Part id (viewport mesh name)
+ * @returns {number}
+ */
+export function getPartColor(id) {
+    return PART_COLORS[id] ?? PART_COLORS[id.replace(/\d+$/, '')];
+}
+
+/**
+ * Evenly spaced seam angles
+ * @param {number} count - Number of wall pieces
+ * @param {number} [start=0] - First seam angle in degrees
+ * @returns {number[]} Seam angles in degrees, ascending from start
+ */
+export function getEvenSeamAngles(count, start = 0) {
+    return Array.from({ length: count }, (_, i) => (start + (i * 360) / count) % 360);
+}
+
+/**
+ * Seam angles the generator will use for the mold parameters
+ * Angles are sorted; if there is not one per wall piece or two seams are
+ * closer than MIN_SEAM_GAP or further apart than MAX_SEAM_GAP, the pieces
+ * fall back to even spacing from the first seam.
+ *
+ * @param {Object} mold - params.mold
+ * @returns {{ angles: number[], valid: boolean }} angles in degrees, each wall
+ *          piece i spans angles[i] to angles[i + 1] (wrapping)
+ */
+export function resolveSeamAngles(mold) {
+    const count = Math.min(MAX_WALL_PIECES, Math.max(MIN_WALL_PIECES, mold?.wallCount || 3));
+    const seams = mold?.seamAngles || [];
+    
+    const angles = seams.map(angle => ((angle % 360) + 360) % 360).sort((a, b) => a - b);
+    const valid = angles.length === count && angles.every((angle, i) => {
+        const gap = (i < count - 1 ? angles[i + 1] : angles[0] + 360) - angle;
+        return gap >= MIN_SEAM_GAP && gap <= MAX_SEAM_GAP;
+    });
+    
+    return valid
+        ? { angles, valid }
+        : { angles: getEvenSeamAngles(count, angles[0] || 0), valid };
+}
+
+/**
+ * Natches on each seam
+ * @param {Object} natches - params.natches
+ * @param {number} seamCount
+ * @returns {number[]} Count per seam (seam i is where wall piece i starts)
+ */
+export function getSeamNatchCounts(natches, seamCount) {
+    return Array.from({ length: seamCount }, (_, i) => {
+        const count = natches.seamCounts?.[i] ?? natches.countPerSeam;
+        return Math.max(0, Math.min(MAX_NATCHES_PER_SEAM, count));
+    });
+}
+
 /**
  * Deep clone an object
  */
@@ -62,4 +216,3 @@ export function deepClone(obj) {
     }
     return cloned;
 }
-
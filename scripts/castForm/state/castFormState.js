@@ -4,13 +4,15 @@
  */
 
 import * as THREE from 'three';
-import { DEFAULT_PARAMS, deepClone } from './castFormDefaults.js';
+import { DEFAULT_PARAMS, DEFAULT_POUR, deepClone } from './castFormDefaults.js';
+import { CommandHistory } from '../../state/commandHistory.js';
 
 class CastFormStateManager {
     constructor() {
         this.state = this.createInitialState();
         this.listeners = new Map();
         this.isProcessing = false;
+        this.history = new CommandHistory({ trackedPaths: ['params'] });
     }
 
     createInitialState() {
@@ -36,6 +38,8 @@ class CastFormStateManager {
             
             params: deepClone(DEFAULT_PARAMS),
             
+            pour: { ...DEFAULT_POUR },     // Plaster / slip calculator settings
+            
             computed: {
                 moldBounds: null,
                 inputHeight: 0,
@@ -44,8 +48,10 @@ class CastFormStateManager {
             
             output: {
                 footShell: null,           // THREE.BufferGeometry
-                wallShells: [null, null, null],
+                wallShells: [],            // One per wall piece
+                boxParts: [],              // Mold-box mode: model, plug, cottles, clamps
                 inputPreview: null,        // Scaled input for preview
+                volumes: null,             // { foot, walls[], slip: { vessel, spare } } in mm³
                 isGenerating: false,
                 lastGenerated: null
             },
@@ -54,13 +60,17 @@ class CastFormStateManager {
                 mode: 'exploded',          // 'exploded' | 'assembly' | 'crossSection'
                 explosionDistance: 40,     // mm - distance mold pieces pull back from center
                 crossSectionAngle: 0,
+                cutaway: 'half',           // 'half' | 'quarter' - how much the cross section removes
                 showNatches: true,
                 showGrid: true,
+                showDraftAnalysis: true,   // Undercut / zero-draft overlay on the input
                 showDimensions: true,
-                selectedPart: null,        // 'foot' | 'wall1' | 'wall2' | 'wall3'
+                selectedPart: null,        // 'foot' | 'wall1' ... 'wallN'
+                hiddenParts: [],           // Legend keys of parts hidden in the viewport
                 cameraPreset: 'threeQuarter'
             },
             
+            demold: null,                  // DemoldAnalyzer result for the current mold
             warnings: [],
             errors: []
         };
@@ -101,6 +111,7 @@ class CastFormStateManager {
         const oldValue = this.getNestedValue(this.state, path);
         if (this.isEqual(oldValue, value)) return;
         
+        this.history.record(path, oldValue, value);
         this.setNestedValue(this.state, path, value);
         
         // Mark dirty for parameter changes
@@ -118,12 +129,38 @@ class CastFormStateManager {
      * Batch multiple state updates
      */
     batchUpdate(updates) {
+        this.history.beginGroup();
         updates.forEach(({ path, value }) => {
             this.setState(path, value, { silent: true });
         });
+        this.history.endGroup();
         this.notifyListeners('*');
     }
 
+    /**
+     * Undo the most recent parameter change
+     * @returns {Object|null} The reverted history entry
+     */
+    undo() {
+        return this.history.undo(changes => this.applyHistoryChanges(changes));
+    }
+
+    /**
+     * Redo the most recently undone parameter change
+     * @returns {Object|null} The re-applied history entry
+     */
+    redo() {
+        return this.history.redo(changes => this.applyHistoryChanges(changes));
+    }
+
+    /**
+     * Write values restored from history back into state
+     * @param {Array} changes - Array of { path, value } objects
+     */
+    applyHistoryChanges(changes) {
+        changes.forEach(({ path, value }) => this.setState(path, value));
+    }
+
     /**
      * Set input geometry
      */
@@ -169,15 +206,51 @@ class CastFormStateManager {
     /**
      * Set output geometry
      */
-    setOutputGeometry(foot, walls, inputPreview = null) {
+    setOutputGeometry(foot, walls, inputPreview = null, volumes = null, boxParts = []) {
         this.state.output.footShell = foot;
         this.state.output.wallShells = walls;
+        this.state.output.boxParts = boxParts;
         this.state.output.inputPreview = inputPreview;
+        this.state.output.volumes = volumes;
         this.state.output.lastGenerated = new Date().toISOString();
         this.state.output.isGenerating = false;
         this.notifyListeners('output');
     }
 
+    /**
+     * Printable parts of the generated mold, shells or mold box
+     * @returns {Array<{ id: string, kind: string, label: string, geometry: THREE.BufferGeometry, placement: THREE.Matrix4|null }>}
+     *          id is the viewport mesh name ('foot', 'wall2', 'cottle1'); placement
+     *          moves a mold-box part from print orientation into the assembly
+     */
+    getOutputParts() {
+        const { footShell, wallShells, boxParts } = this.state.output;
+        const parts = [];
+        
+        if (footShell) {
+            parts.push({ id: 'foot', kind: 'foot', label: 'Shell Foot', geometry: footShell, placement: null });
+        }
+        wallShells.forEach((geometry, i) => {
+            if (geometry) {
+                parts.push({ id: `wall${i + 1}`, kind: 'wall', label: `Shell Wall ${i + 1}`, geometry, placement: null });
+            }
+        });
+        boxParts.forEach(geometry => {
+            const { id, kind, label, placement } = geometry.userData;
+            parts.push({ id, kind, label, geometry, placement: new THREE.Matrix4().fromArray(placement) });
+        });
+        
+        return parts;
+    }
+
+    /**
+     * Set demold analysis (kept out of output so it doesn't rebuild the meshes)
+     */
+    setDemoldAnalysis(analysis) {
+        this.state.demold = analysis;
+        this.notifyListeners('demold');
+    }
+
     /**
      * Set warnings
      */
@@ -203,6 +276,7 @@ class CastFormStateManager {
         
         this.state = this.createInitialState();
         this.state.project.dateCreated = new Date().toISOString();
+        this.history.clear();
         this.notifyListeners('*');
     }
 
@@ -221,6 +295,7 @@ class CastFormStateManager {
             appType: 'cast-form-generator',
             project: { ...this.state.project, isDirty: false },
             params: deepClone(this.state.params),
+            pour: { ...this.state.pour },
             input: {
                 source: this.state.input.source,
                 fileName: this.state.input.fileName,
@@ -245,7 +320,19 @@ class CastFormStateManager {
             Object.assign(this.state.project, data.project);
         }
         if (data.params) {
-            this.state.params = deepClone(data.params);
+            // Fill in groups and settings added since the project was saved
+            Object.entries(deepClone(data.params)).forEach(([group, values]) => {
+                this.state.params[group] = { ...this.state.params[group], ...values };
+            });
+            
+            // Projects saved before shrinkage compensation were molded at input size
+            if (!data.params.shrinkage) {
+                this.state.params.shrinkage = { clayBody: 'custom', radialPercent: 0, verticalPercent: 0 };
+            }
+        }
+
+        if (data.pour) {
+            Object.assign(this.state.pour, data.pour);
         }
 
         // Deserialize and set input geometry properly
@@ -279,6 +366,7 @@ class CastFormStateManager {
         }
 
         this.state.project.isDirty = false;
+        this.history.clear();
         this.notifyListeners('*');
     }
 
@@ -304,6 +392,7 @@ class CastFormStateManager {
         this.state.output.wallShells.forEach(wall => {
             if (wall) wall.dispose();
         });
+        this.state.output.boxParts.forEach(part => part.dispose());
         if (this.state.output.inputPreview) {
             this.state.output.inputPreview.dispose();
         }
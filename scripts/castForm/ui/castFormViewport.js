@@ -6,7 +6,23 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import castFormState from '../state/castFormState.js';
-import { PART_COLORS } from '../state/castFormDefaults.js';
+import { PART_COLORS, getPartColor, resolveSeamAngles } from '../state/castFormDefaults.js';
+import { ScalingEngine } from '../geometry/scalingEngine.js';
+import { FACE_CATEGORY } from '../geometry/demoldAnalyzer.js';
+import { forEachTriangle, countTriangles } from '../../export/writers/meshData.js';
+
+// Order parts go together in the assembly animation (by part kind)
+const ASSEMBLY_ORDER = ['model', 'plug', 'foot', 'wall', 'cottle', 'clamp'];
+const ASSEMBLY_STEP_MS = 700;
+
+// Cut faces in the cross section are drawn this much darker than their part
+const CUT_FACE_SHADE = 0.55;
+
+// Draft analysis overlay colors
+const DRAFT_COLORS = {
+    [FACE_CATEGORY.undercut]: new THREE.Color(0xE04848),    // Red - piece locks on
+    [FACE_CATEGORY.zeroDraft]: new THREE.Color(0xF0B030)    // Amber - piece drags
+};
 
 export class CastFormViewport {
     constructor(container) {
@@ -45,10 +61,14 @@ export class CastFormViewport {
             points: true         // Vertex points
         };
         
-        // Cross-section clipping
+        // Cross-section clipping (the second plane turns the cut into a quarter cutaway)
         this.clippingPlane = null;
+        this.quarterClippingPlane = null;
         this.clippingPlaneHelper = null;
         
+        // Running assembly animation ({ start, steps, resolve }) or null
+        this.assemblyAnimation = null;
+        
         // Camera presets
         this.cameraPresets = {
             front: { position: [0, 100, 300], target: [0, 50, 0] },
@@ -88,6 +108,7 @@ export class CastFormViewport {
         // Initialize clipping plane for cross-section view
         // Plane normal points in +X direction, will be rotated by crossSectionAngle
         this.clippingPlane = new THREE.Plane(new THREE.Vector3(1, 0, 0), 0);
+        this.quarterClippingPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
         
         // Controls
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -165,8 +186,16 @@ export class CastFormViewport {
         // Subscribe to input geometry changes
         castFormState.subscribe('input', () => this.updateInputPreview());
         
+        // Subscribe to shrinkage changes (preview is shown at cavity size)
+        castFormState.subscribe('params.shrinkage', () => this.updateInputPreviewScale());
+        
+        // Subscribe to draft analysis results and overlay visibility
+        castFormState.subscribe('demold', () => this.updateDraftOverlay());
+        castFormState.subscribe('view.showDraftAnalysis', () => this.updateDraftOverlay());
+        
         // Subscribe to output changes
         castFormState.subscribe('output', () => this.updateMoldMeshes());
+        castFormState.subscribe('view.showNatches', () => this.updateNatchHighlight());
         
         // Subscribe to view mode changes
         castFormState.subscribe('view.mode', () => this.updateViewMode());
@@ -176,6 +205,10 @@ export class CastFormViewport {
         
         // Subscribe to cross-section angle changes
         castFormState.subscribe('view.crossSectionAngle', () => this.updateCrossSectionAngle());
+        castFormState.subscribe('view.cutaway', () => this.updateViewMode());
+        
+        // Subscribe to per-part visibility
+        castFormState.subscribe('view.hiddenParts', () => this.updatePartVisibility());
         
         // Subscribe to grid visibility
         castFormState.subscribe('view.showGrid', (show) => {
@@ -213,62 +246,163 @@ export class CastFormViewport {
         mesh.receiveShadow = true;
         
         this.inputGroup.add(mesh);
+        this.updateDraftOverlay();
+        this.updateInputPreviewScale();
         
         // Fit camera to input
         this.fitCameraToObject(inputState.geometry);
     }
 
     /**
-     * Update mold shell meshes
+     * Scale the input preview to the mold cavity so it matches the mold
+     */
+    updateInputPreviewScale() {
+        const mesh = this.inputGroup.getObjectByName('inputPreview');
+        if (!mesh) return;
+        
+        const { radial, vertical } = ScalingEngine.getScaleFactors(castFormState.getState('params.shrinkage'));
+        mesh.geometry.computeBoundingBox();
+        const baseY = mesh.geometry.boundingBox.min.y;
+        
+        // Keep the base on the ground plane, as the mold generator does
+        // (the draft overlay shares the input's coordinates)
+        [mesh, this.inputGroup.getObjectByName('draftAnalysis')].forEach(object => {
+            if (!object) return;
+            object.scale.set(radial, vertical, radial);
+            object.position.y = baseY * (1 - vertical);
+        });
+    }
+
+    /**
+     * Color undercut and zero-draft faces of the input preview
+     */
+    updateDraftOverlay() {
+        const existing = this.inputGroup.getObjectByName('draftAnalysis');
+        if (existing) {
+            existing.geometry.dispose();
+            existing.material.dispose();
+            this.inputGroup.remove(existing);
+        }
+        
+        const analysis = castFormState.getState('demold');
+        const geometry = castFormState.getState('input.geometry');
+        if (!analysis || !geometry || !castFormState.getState('view.showDraftAnalysis')) return;
+        
+        // Analysis of a previous input - the next generate replaces it
+        if (analysis.categories.length !== countTriangles(geometry)) return;
+        
+        const positions = [];
+        const colors = [];
+        let face = 0;
+        forEachTriangle(geometry, null, (a, b, c) => {
+            const color = DRAFT_COLORS[analysis.categories[face++]];
+            if (!color) return;
+            [a, b, c].forEach(v => {
+                positions.push(v.x, v.y, v.z);
+                colors.push(color.r, color.g, color.b);
+            });
+        });
+        if (positions.length === 0) return;
+        
+        const overlayGeometry = new THREE.BufferGeometry();
+        overlayGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        overlayGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        
+        const overlay = new THREE.Mesh(overlayGeometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            // Draw over the coincident preview faces
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        }));
+        overlay.name = 'draftAnalysis';
+        
+        this.inputGroup.add(overlay);
+        this.updateInputPreviewScale();
+    }
+
+    /**
+     * Update mold part meshes (shells, or the mold box parts in their
+     * assembled positions)
      */
     updateMoldMeshes() {
         // Clear existing mold meshes
         this.clearGroup(this.moldGroup);
         
-        const output = castFormState.getState('output');
-        if (!output.footShell && !output.wallShells.some(w => w)) {
-            return;
-        }
-        
-        // Foot mesh
-        if (output.footShell) {
-            const footMaterial = new THREE.MeshStandardMaterial({
-                color: PART_COLORS.foot,
+        castFormState.getOutputParts().forEach(({ id, kind, label, geometry, placement }) => {
+            const material = new THREE.MeshStandardMaterial({
+                color: getPartColor(id),
                 roughness: 0.7,
                 metalness: 0.0,
                 side: THREE.DoubleSide
             });
             
-            const footMesh = new THREE.Mesh(output.footShell, footMaterial);
-            footMesh.name = 'foot';
-            footMesh.castShadow = true;
-            footMesh.receiveShadow = true;
-            this.moldGroup.add(footMesh);
-        }
-        
-        // Wall meshes
-        const wallColors = [PART_COLORS.wall1, PART_COLORS.wall2, PART_COLORS.wall3];
-        output.wallShells.forEach((wallGeo, index) => {
-            if (wallGeo) {
-                const wallMaterial = new THREE.MeshStandardMaterial({
-                    color: wallColors[index],
-                    roughness: 0.7,
-                    metalness: 0.0,
-                    side: THREE.DoubleSide
-                });
-                
-                const wallMesh = new THREE.Mesh(wallGeo, wallMaterial);
-                wallMesh.name = `wall${index + 1}`;
-                wallMesh.castShadow = true;
-                wallMesh.receiveShadow = true;
-                this.moldGroup.add(wallMesh);
-            }
+            // Natches are the second group on wall shells
+            const mesh = new THREE.Mesh(geometry, geometry.groups.length > 1 ? [material, material.clone()] : material);
+            mesh.name = id;
+            mesh.userData.kind = kind;
+            mesh.userData.label = label;
+            placement?.decompose(mesh.position, mesh.quaternion, mesh.scale);
+            mesh.userData.assembledPosition = mesh.position.clone();
+            mesh.userData.explodeDirection = this.getExplodeDirection(kind, geometry, placement);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            
+            // Inside faces seen through the cross section read as the cut
+            // solid, so keys sitting in their sockets show up
+            const cutFace = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: new THREE.Color(getPartColor(id)).multiplyScalar(CUT_FACE_SHADE),
+                side: THREE.BackSide,
+                polygonOffset: true,
+                polygonOffsetFactor: -1,
+                polygonOffsetUnits: -1
+            }));
+            cutFace.name = 'cutFace';
+            cutFace.visible = false;
+            mesh.add(cutFace);
+            
+            this.moldGroup.add(mesh);
         });
         
+        this.updateNatchHighlight();
+        this.updatePartVisibility();
+        
         // Apply current view mode
         this.updateViewMode();
     }
 
+    /**
+     * Show natches in the highlight color, or in their part's color
+     */
+    updateNatchHighlight() {
+        const showNatches = castFormState.getState('view.showNatches');
+        this.moldGroup.children.forEach(mesh => {
+            if (Array.isArray(mesh.material)) {
+                mesh.material[1].color.setHex(showNatches ? PART_COLORS.natch : getPartColor(mesh.name));
+            }
+        });
+    }
+
+    /**
+     * Direction a part moves in the exploded view (wall pieces are set from
+     * the seams in updateViewMode)
+     * @returns {THREE.Vector3}
+     */
+    getExplodeDirection(kind, geometry, placement) {
+        if (kind === 'foot' || kind === 'plug') {
+            // Pulls straight down
+            return new THREE.Vector3(0, -1, 0);
+        }
+        if (kind === 'cottle' || kind === 'clamp') {
+            // Away from the box center
+            if (!geometry.boundingBox) geometry.computeBoundingBox();
+            const center = geometry.boundingBox.getCenter(new THREE.Vector3()).applyMatrix4(placement);
+            return center.setY(0).normalize();
+        }
+        return new THREE.Vector3();
+    }
+
     /**
      * Update positions based on view mode
      */
@@ -276,62 +410,107 @@ export class CastFormViewport {
         const viewMode = castFormState.getState('view.mode');
         const explosionDistance = castFormState.getState('view.explosionDistance') || 40;
         
+        // A mode change ends any running animation where it is
+        this.stopAssemblyAnimation();
+        
         // Always keep input visible - user should see the imported STL alongside the mold
         this.inputGroup.visible = true;
         
-        // Wall segment midpoint angles (each wall covers 120°, so midpoints are at 60°, 180°, 300°)
-        // Wall 1: 0° to 120° → midpoint at 60° (π/3)
-        // Wall 2: 120° to 240° → midpoint at 180° (π)
-        // Wall 3: 240° to 360° → midpoint at 300° (5π/3)
-        const wallMidAngles = [
-            Math.PI / 3,      // 60° for wall1
-            Math.PI,          // 180° for wall2
-            5 * Math.PI / 3   // 300° for wall3
-        ];
+        // Wall pieces pull out along the middle of their seam-to-seam segment
+        const { angles } = resolveSeamAngles(castFormState.getState('params.mold'));
+        const wallMidAngles = angles.map((angle, i) => {
+            const nextSeam = i < angles.length - 1 ? angles[i + 1] : angles[0] + 360;
+            return ((angle + nextSeam) / 2) * Math.PI / 180;
+        });
         
         // Handle cross-section clipping
         const isCrossSection = viewMode === 'crossSection';
         this.updateClippingPlanes(isCrossSection);
         
-        // Position parts based on view mode
+        // Exploded offset of each part, kept for the assembly animation
         this.moldGroup.children.forEach(mesh => {
-            if (viewMode === 'exploded') {
-                // Exploded view - separate parts by pulling radially outward from center
-                switch (mesh.name) {
-                    case 'foot':
-                        // Foot pulls straight down
-                        mesh.position.set(0, -explosionDistance, 0);
-                        break;
-                    case 'wall1':
-                        // Pull in direction of segment midpoint (60°)
-                        mesh.position.set(
-                            explosionDistance * Math.cos(wallMidAngles[0]),
-                            0,
-                            explosionDistance * Math.sin(wallMidAngles[0])
-                        );
-                        break;
-                    case 'wall2':
-                        // Pull in direction of segment midpoint (180°)
-                        mesh.position.set(
-                            explosionDistance * Math.cos(wallMidAngles[1]),
-                            0,
-                            explosionDistance * Math.sin(wallMidAngles[1])
-                        );
-                        break;
-                    case 'wall3':
-                        // Pull in direction of segment midpoint (300°)
-                        mesh.position.set(
-                            explosionDistance * Math.cos(wallMidAngles[2]),
-                            0,
-                            explosionDistance * Math.sin(wallMidAngles[2])
-                        );
-                        break;
-                }
+            const { kind, explodeDirection } = mesh.userData;
+            if (kind === 'wall') {
+                // Wall N pulls in direction of its segment midpoint
+                const midAngle = wallMidAngles[parseInt(mesh.name.replace('wall', '')) - 1] ?? 0;
+                mesh.userData.explodeOffset = new THREE.Vector3(Math.cos(midAngle), 0, Math.sin(midAngle))
+                    .multiplyScalar(explosionDistance);
             } else {
-                // Assembly and cross-section views - all at origin
-                mesh.position.set(0, 0, 0);
+                mesh.userData.explodeOffset = explodeDirection.clone().multiplyScalar(explosionDistance);
             }
         });
+        
+        // Exploded view - separate parts by pulling them away from the vessel
+        this.setExplodeAmount(() => viewMode === 'exploded' ? 1 : 0);
+    }
+    
+    /**
+     * Place every part between assembled (0) and exploded (1)
+     * @param {Function} getAmount - (mesh) => amount
+     */
+    setExplodeAmount(getAmount) {
+        this.moldGroup.children.forEach(mesh => {
+            const { assembledPosition, explodeOffset } = mesh.userData;
+            mesh.position.copy(assembledPosition).addScaledVector(explodeOffset, getAmount(mesh));
+        });
+    }
+    
+    /**
+     * Animate the parts from exploded into place, one kind after another
+     * (foot before walls, mold-box walls before their clamps)
+     * @returns {Promise<boolean>} True when the animation ran to the end
+     */
+    playAssembly() {
+        this.stopAssemblyAnimation();
+        
+        const kinds = new Set(this.moldGroup.children.map(mesh => mesh.userData.kind));
+        const steps = ASSEMBLY_ORDER.filter(kind => kinds.has(kind));
+        if (steps.length === 0) return Promise.resolve(false);
+        
+        return new Promise(resolve => {
+            this.assemblyAnimation = { start: performance.now(), steps, resolve };
+            this.updateAssemblyAnimation(this.assemblyAnimation.start);
+        });
+    }
+    
+    /**
+     * Advance the assembly animation
+     * @param {number} now - performance.now() timestamp
+     */
+    updateAssemblyAnimation(now) {
+        const { start, steps, resolve } = this.assemblyAnimation;
+        const elapsed = (now - start) / ASSEMBLY_STEP_MS;
+        
+        this.setExplodeAmount(mesh => {
+            const t = Math.min(Math.max(elapsed - steps.indexOf(mesh.userData.kind), 0), 1);
+            return 1 - this.easeOutCubic(t);
+        });
+        
+        if (elapsed >= steps.length) {
+            this.assemblyAnimation = null;
+            resolve(true);
+        }
+    }
+    
+    /**
+     * Stop a running assembly animation, leaving parts where they are
+     */
+    stopAssemblyAnimation() {
+        if (this.assemblyAnimation) {
+            const { resolve } = this.assemblyAnimation;
+            this.assemblyAnimation = null;
+            resolve(false);
+        }
+    }
+    
+    /**
+     * Show or hide parts from the legend's visibility toggles
+     */
+    updatePartVisibility() {
+        const hiddenParts = castFormState.getState('view.hiddenParts') || [];
+        this.moldGroup.children.forEach(mesh => {
+            mesh.visible = !hiddenParts.includes(mesh.name) && !hiddenParts.includes(mesh.userData.kind);
+        });
     }
     
     /**
@@ -350,6 +529,13 @@ export class CastFormViewport {
         );
         this.clippingPlane.constant = 0;
         
+        // Quarter cutaway: the second cut is a quarter turn on
+        this.quarterClippingPlane.normal.set(
+            -Math.sin(angleInRadians),
+            0,
+            Math.cos(angleInRadians)
+        );
+        
         // Update the helper visualization if it exists
         if (this.clippingPlaneHelper) {
             this.clippingPlaneHelper.rotation.y = -angleInRadians;
@@ -361,21 +547,30 @@ export class CastFormViewport {
      * @param {boolean} enabled - Whether to enable clipping
      */
     updateClippingPlanes(enabled) {
-        // Update mold meshes
+        // A quarter cutaway only removes what lies behind both planes
+        const quarter = castFormState.getState('view.cutaway') === 'quarter';
+        const planes = !enabled ? [] : quarter
+            ? [this.clippingPlane, this.quarterClippingPlane]
+            : [this.clippingPlane];
+        const applyPlanes = material => {
+            material.clippingPlanes = planes;
+            material.clipIntersection = quarter;
+            material.clipShadows = enabled;
+            material.needsUpdate = true;
+        };
+        
+        // Update mold meshes and their cut faces
         this.moldGroup.children.forEach(mesh => {
-            if (mesh.material) {
-                mesh.material.clippingPlanes = enabled ? [this.clippingPlane] : [];
-                mesh.material.clipShadows = enabled;
-                mesh.material.needsUpdate = true;
-            }
+            getMaterials(mesh).forEach(applyPlanes);
+            const cutFace = mesh.getObjectByName('cutFace');
+            applyPlanes(cutFace.material);
+            cutFace.visible = enabled;
         });
         
         // Update input preview mesh
         this.inputGroup.children.forEach(mesh => {
             if (mesh.material) {
-                mesh.material.clippingPlanes = enabled ? [this.clippingPlane] : [];
-                mesh.material.clipShadows = enabled;
-                mesh.material.needsUpdate = true;
+                applyPlanes(mesh.material);
             }
         });
         
@@ -456,6 +651,8 @@ export class CastFormViewport {
         while (group.children.length > 0) {
             const child = group.children[0];
             if (child.geometry) child.geometry.dispose();
+            // Cut faces share their part's geometry; only the material is theirs
+            child.children.forEach(grandchild => grandchild.material?.dispose());
             if (child.material) {
                 if (Array.isArray(child.material)) {
                     child.material.forEach(m => m.dispose());
@@ -494,29 +691,30 @@ export class CastFormViewport {
 
     /**
      * Highlight specific part
-     * @param {string} partName - 'foot', 'wall1', 'wall2', 'wall3', or null
+     * @param {string} partName - 'foot', 'wall1' ... 'wallN', a mold-box part
+     *        kind ('model', 'plug', 'cottle', 'clamp'), or null
      */
     highlightPart(partName) {
         this.moldGroup.children.forEach(mesh => {
-            if (mesh.material) {
-                if (partName === null || mesh.name === partName) {
-                    mesh.material.emissive = new THREE.Color(0x000000);
-                    mesh.material.opacity = 1;
-                } else {
-                    mesh.material.emissive = new THREE.Color(0x000000);
-                    mesh.material.opacity = 0.4;
-                }
-                mesh.material.transparent = mesh.material.opacity < 1;
-                mesh.material.needsUpdate = true;
-            }
+            const selected = partName === null || mesh.name === partName || mesh.userData.kind === partName;
+            getMaterials(mesh).forEach(material => {
+                material.emissive = new THREE.Color(0x000000);
+                material.opacity = selected ? 1 : 0.4;
+                material.transparent = material.opacity < 1;
+                material.needsUpdate = true;
+            });
         });
     }
 
     /**
      * Animation loop
+     * @param {number} [now] - requestAnimationFrame timestamp
      */
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(now) {
+        requestAnimationFrame((now) => this.animate(now));
+        if (this.assemblyAnimation && now !== undefined) {
+            this.updateAssemblyAnimation(now);
+        }
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
     }
@@ -628,11 +826,11 @@ export class CastFormViewport {
         
         // Make mold meshes semi-transparent so debug can be seen
         this.moldGroup.children.forEach(mesh => {
-            if (mesh.material) {
-                mesh.material.transparent = true;
-                mesh.material.opacity = 0.3;
-                mesh.material.needsUpdate = true;
-            }
+            getMaterials(mesh).forEach(material => {
+                material.transparent = true;
+                material.opacity = 0.3;
+                material.needsUpdate = true;
+            });
         });
         
         this.debugGroup.visible = true;
@@ -646,7 +844,7 @@ export class CastFormViewport {
         // The base mold has specific vertex regions for caps
         // Based on the generateBaseMold structure:
         // - Bottom cap: hollow ring connecting outer to inner at bottomY
-        // - Top edge ring: connects outer top to inner top
+        // - Inner walls and band: inner face of the skin, down to bottomY
         // - Inner shell floor: flat surface at innerBottomY
         
         // Create edge highlighting using EdgesGeometry for the whole part
@@ -889,11 +1087,11 @@ export class CastFormViewport {
         
         // Restore mold mesh opacity
         this.moldGroup.children.forEach(mesh => {
-            if (mesh.material) {
-                mesh.material.transparent = false;
-                mesh.material.opacity = 1.0;
-                mesh.material.needsUpdate = true;
-            }
+            getMaterials(mesh).forEach(material => {
+                material.transparent = false;
+                material.opacity = 1.0;
+                material.needsUpdate = true;
+            });
         });
         
         // Restore input geometry visibility and reset debug visibility state
@@ -1072,5 +1270,10 @@ export class CastFormViewport {
     }
 }
 
-export default CastFormViewport;
+// Helper: A mesh's materials (wall shells have a second one for the natches)
+function getMaterials(mesh) {
+    if (!mesh.material) return [];
+    return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
 
+export default CastFormViewport;
@@ -4,6 +4,15 @@
  */
 
 import castFormState from '../state/castFormState.js';
+import {
+    SHRINKAGE_PRESETS,
+    PLASTER_PRESETS,
+    MAX_NATCHES_PER_SEAM,
+    getEvenSeamAngles,
+    getSeamNatchCounts
+} from '../state/castFormDefaults.js';
+import { ScalingEngine } from '../geometry/scalingEngine.js';
+import { PourCalculator, formatWeight, formatVolume } from '../geometry/pourCalculator.js';
 
 export class ParameterPanel {
     constructor() {
@@ -14,9 +23,11 @@ export class ParameterPanel {
     init() {
         this.setupCollapsibleSections();
         this.setupInputSourceControls();
+        this.setupShrinkageControls();
         this.setupMoldControls();
         this.setupNatchControls();
         this.setupShellControls();
+        this.setupPourControls();
         this.setupStateSubscriptions();
     }
 
@@ -54,13 +65,126 @@ export class ParameterPanel {
         }
     }
 
+    /**
+     * Setup shrinkage compensation controls
+     * Picking a clay body fills in its percentages; editing a percentage
+     * switches the clay body to custom.
+     */
+    setupShrinkageControls() {
+        const clayBodySelect = document.getElementById('clayBody');
+        if (clayBodySelect) {
+            clayBodySelect.addEventListener('change', (e) => {
+                const preset = SHRINKAGE_PRESETS[e.target.value];
+                const shrinkage = castFormState.getState('params.shrinkage');
+                castFormState.setState('params.shrinkage', preset
+                    ? { clayBody: e.target.value, radialPercent: preset.radialPercent, verticalPercent: preset.verticalPercent }
+                    : { ...shrinkage, clayBody: 'custom' });
+            });
+        }
+        
+        const setPercent = (key) => (value) => {
+            castFormState.setState('params.shrinkage', {
+                ...castFormState.getState('params.shrinkage'),
+                [key]: value,
+                clayBody: 'custom'
+            });
+        };
+        this.bindSliderToState('radialShrinkage', 'radialShrinkageValue', 'params.shrinkage.radialPercent', setPercent('radialPercent'));
+        this.bindSliderToState('verticalShrinkage', 'verticalShrinkageValue', 'params.shrinkage.verticalPercent', setPercent('verticalPercent'));
+    }
+
     /**
      * Setup mold configuration controls
      */
     setupMoldControls() {
+        document.getElementById('outputMode')?.addEventListener('change', (e) => {
+            castFormState.setState('params.mold.outputMode', e.target.value);
+        });
+        
         this.bindSliderToState('plasterThickness', 'plasterThicknessValue', 'params.mold.plasterWallThickness');
         this.bindSliderToState('spareHeight', 'spareHeightValue', 'params.mold.spareHeight');
         this.bindSliderToState('cornerCutWidth', 'cornerCutWidthValue', 'params.mold.cornerCutWidth');
+        this.setupSpareControls();
+        this.setupSeamControls();
+    }
+
+    /**
+     * Setup spare style controls - each style shows only its own settings
+     */
+    setupSpareControls() {
+        document.getElementById('spareStyle')?.addEventListener('change', (e) => {
+            castFormState.setState('params.spare.style', e.target.value);
+        });
+        
+        ['funnelFlare', 'spoutAngle', 'spoutWidth', 'spoutReach', 'neckHeight', 'reservoirWidth', 'cutLineDepth']
+            .forEach(key => this.bindSliderToState(key, `${key}Value`, `params.spare.${key}`));
+    }
+
+    /**
+     * Setup wall piece count and seam angle controls
+     * Changing the piece count respaces the seams evenly from the first one.
+     */
+    setupSeamControls() {
+        const wallCountSelect = document.getElementById('wallCount');
+        if (wallCountSelect) {
+            wallCountSelect.addEventListener('change', (e) => {
+                const mold = castFormState.getState('params.mold');
+                const wallCount = parseInt(e.target.value);
+                castFormState.setState('params.mold', {
+                    ...mold,
+                    wallCount,
+                    seamAngles: getEvenSeamAngles(wallCount, mold.seamAngles[0] || 0)
+                });
+            });
+        }
+        
+        document.getElementById('evenSeams')?.addEventListener('click', () => {
+            const mold = castFormState.getState('params.mold');
+            castFormState.setState('params.mold.seamAngles', getEvenSeamAngles(mold.wallCount, mold.seamAngles[0] || 0));
+        });
+        
+        // Commit on change (not input) so a half-typed angle doesn't regenerate
+        document.getElementById('seamAngles')?.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.seam);
+            const value = parseFloat(e.target.value);
+            if (isNaN(index) || isNaN(value)) return;
+            
+            const seamAngles = [...castFormState.getState('params.mold.seamAngles')];
+            seamAngles[index] = ((value % 360) + 360) % 360;
+            castFormState.setState('params.mold.seamAngles', seamAngles);
+        });
+        
+        // Seam search runs in the mesh worker - main owns it
+        document.getElementById('optimizeSeams')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('optimizeSeams'));
+        });
+        
+        this.updateSeamInputs();
+    }
+
+    /**
+     * Show one angle input per seam
+     */
+    updateSeamInputs() {
+        const container = document.getElementById('seamAngles');
+        if (!container) return;
+        
+        const { seamAngles } = castFormState.getState('params.mold');
+        const inputs = container.querySelectorAll('input[data-seam]');
+        
+        if (inputs.length !== seamAngles.length) {
+            container.innerHTML = seamAngles.map((_, i) => `
+                <label class="seam-angle" title="Seam where wall ${i + 1} starts">
+                    <span class="seam-number">${i + 1}</span>
+                    <input type="number" min="0" max="359" step="1" data-seam="${i}">
+                    <span class="unit">°</span>
+                </label>
+            `).join('');
+        }
+        
+        container.querySelectorAll('input[data-seam]').forEach((input, i) => {
+            input.value = Math.round(seamAngles[i] * 10) / 10;
+        });
     }
 
     /**
@@ -71,13 +195,60 @@ export class ParameterPanel {
         this.bindSliderToState('natchDepth', 'natchDepthValue', 'params.natches.depth');
         this.bindSliderToState('natchTolerance', 'natchToleranceValue', 'params.natches.toleranceOffset');
         
-        // Natch count dropdown
+        document.getElementById('natchStyle')?.addEventListener('change', (e) => {
+            castFormState.setState('params.natches.style', e.target.value);
+        });
+        
+        // Natch count dropdown - sets every seam
         const natchCountSelect = document.getElementById('natchCount');
         if (natchCountSelect) {
             natchCountSelect.addEventListener('change', (e) => {
-                castFormState.setState('params.natches.countPerSeam', parseInt(e.target.value));
+                castFormState.setState('params.natches', {
+                    ...castFormState.getState('params.natches'),
+                    countPerSeam: parseInt(e.target.value),
+                    seamCounts: []
+                });
             });
         }
+        
+        // Per-seam counts override it
+        document.getElementById('seamNatches')?.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.seam);
+            if (isNaN(index)) return;
+            
+            const natches = castFormState.getState('params.natches');
+            const seamCounts = getSeamNatchCounts(natches, castFormState.getState('params.mold.wallCount'));
+            seamCounts[index] = parseInt(e.target.value);
+            castFormState.setState('params.natches.seamCounts', seamCounts);
+        });
+        
+        this.updateSeamNatchInputs();
+    }
+
+    /**
+     * Show one natch count per seam
+     */
+    updateSeamNatchInputs() {
+        const container = document.getElementById('seamNatches');
+        if (!container) return;
+        
+        const params = castFormState.getState('params');
+        const counts = getSeamNatchCounts(params.natches, params.mold.wallCount);
+        const selects = container.querySelectorAll('select[data-seam]');
+        
+        if (selects.length !== counts.length) {
+            const options = Array.from({ length: MAX_NATCHES_PER_SEAM + 1 }, (_, n) => `<option value="${n}">${n}</option>`).join('');
+            container.innerHTML = counts.map((_, i) => `
+                <label class="seam-angle" title="Natches on seam ${i + 1}">
+                    <span class="seam-number">${i + 1}</span>
+                    <select class="param-select" data-seam="${i}">${options}</select>
+                </label>
+            `).join('');
+        }
+        
+        container.querySelectorAll('select[data-seam]').forEach((select, i) => {
+            select.value = counts[i];
+        });
     }
 
     /**
@@ -85,6 +256,46 @@ export class ParameterPanel {
      */
     setupShellControls() {
         this.bindSliderToState('shellThickness', 'shellThicknessValue', 'params.shell.wallThickness');
+        this.bindSliderToState('strapGrooveWidth', 'strapGrooveWidthValue', 'params.shell.strapGrooveWidth');
+        this.bindSliderToState('strapGrooveDepth', 'strapGrooveDepthValue', 'params.shell.strapGrooveDepth');
+        
+        document.getElementById('strapGrooveCount')?.addEventListener('change', (e) => {
+            castFormState.setState('params.shell.strapGrooveCount', parseInt(e.target.value));
+        });
+    }
+
+    /**
+     * Setup pour calculator controls
+     * Works like the clay body presets: picking a plaster fills in its
+     * consistency, editing the consistency switches to custom.
+     */
+    setupPourControls() {
+        const plasterSelect = document.getElementById('plasterType');
+        if (plasterSelect) {
+            plasterSelect.addEventListener('change', (e) => {
+                const preset = PLASTER_PRESETS[e.target.value];
+                const pour = castFormState.getState('pour');
+                castFormState.setState('pour', preset
+                    ? { ...pour, plaster: e.target.value, consistency: preset.consistency }
+                    : { ...pour, plaster: 'custom' });
+            });
+        }
+        
+        this.bindSliderToState('plasterConsistency', 'plasterConsistencyValue', 'pour.consistency', (value) => {
+            castFormState.setState('pour', {
+                ...castFormState.getState('pour'),
+                consistency: value,
+                plaster: 'custom'
+            });
+        });
+        this.bindSliderToState('slipGravity', 'slipGravityValue', 'pour.slipGravity');
+        
+        // Printing needs the project name and notes - main owns it
+        document.getElementById('printPourSheet')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('printPourSheet'));
+        });
+        
+        this.updatePourResults();
     }
 
     /**
@@ -92,8 +303,9 @@ export class ParameterPanel {
      * @param {string} sliderId 
      * @param {string} inputId 
      * @param {string} statePath 
+     * @param {Function} [applyValue] - Writes the value instead of setting statePath
      */
-    bindSliderToState(sliderId, inputId, statePath) {
+    bindSliderToState(sliderId, inputId, statePath, applyValue = null) {
         const slider = document.getElementById(sliderId);
         const input = document.getElementById(inputId);
         
@@ -104,7 +316,11 @@ export class ParameterPanel {
         const updateState = (value) => {
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(() => {
-                castFormState.setState(statePath, parseFloat(value));
+                if (applyValue) {
+                    applyValue(parseFloat(value));
+                } else {
+                    castFormState.setState(statePath, parseFloat(value));
+                }
             }, 50);
         };
         
@@ -135,10 +351,17 @@ export class ParameterPanel {
         castFormState.subscribe('params', () => this.syncUIFromState());
         
         // Subscribe to input status changes
-        castFormState.subscribe('input', () => this.updateInputStatus());
+        castFormState.subscribe('input', () => {
+            this.updateInputStatus();
+            this.updateShrinkageSummary();
+        });
         
         // Subscribe to warning changes
         castFormState.subscribe('warnings', () => this.updateWarnings());
+        
+        // Pour batches follow the generated mold and the pour settings
+        castFormState.subscribe('output', () => this.updatePourResults());
+        castFormState.subscribe('pour', () => this.syncUIFromState());
     }
 
     /**
@@ -159,6 +382,100 @@ export class ParameterPanel {
         // Sync dropdowns
         const natchCountSelect = document.getElementById('natchCount');
         if (natchCountSelect) natchCountSelect.value = params.natches.countPerSeam;
+        
+        const natchStyleSelect = document.getElementById('natchStyle');
+        if (natchStyleSelect) natchStyleSelect.value = params.natches.style;
+        
+        const strapGrooveSelect = document.getElementById('strapGrooveCount');
+        if (strapGrooveSelect) strapGrooveSelect.value = params.shell.strapGrooveCount;
+        
+        const clayBodySelect = document.getElementById('clayBody');
+        if (clayBodySelect) clayBodySelect.value = params.shrinkage.clayBody;
+        
+        const spareStyleSelect = document.getElementById('spareStyle');
+        if (spareStyleSelect) spareStyleSelect.value = params.spare.style;
+        document.querySelectorAll('[data-spare-style]').forEach(el => {
+            el.style.setProperty('display', el.dataset.spareStyle === params.spare.style ? '' : 'none');
+        });
+        
+        const wallCountSelect = document.getElementById('wallCount');
+        if (wallCountSelect) wallCountSelect.value = params.mold.wallCount;
+        this.updateSeamInputs();
+        this.updateSeamNatchInputs();
+        
+        // Shell-only settings (corner cuts, shell thickness) hide in mold-box mode
+        const outputModeSelect = document.getElementById('outputMode');
+        if (outputModeSelect) outputModeSelect.value = params.mold.outputMode;
+        document.querySelectorAll('[data-output-mode]').forEach(el => {
+            el.style.setProperty('display', el.dataset.outputMode === params.mold.outputMode ? '' : 'none');
+        });
+        
+        const plasterSelect = document.getElementById('plasterType');
+        if (plasterSelect) plasterSelect.value = castFormState.getState('pour.plaster');
+        
+        this.updateShrinkageSummary();
+        this.updatePourResults();
+    }
+
+    /**
+     * Update scale factor and mold cavity size readouts
+     */
+    updateShrinkageSummary() {
+        const shrinkage = castFormState.getState('params.shrinkage');
+        const bounds = castFormState.getState('input.bounds');
+        const scaleEl = document.getElementById('scaleFactorValue');
+        const cavityEl = document.getElementById('cavitySizeValue');
+        
+        const { radial, vertical } = ScalingEngine.getScaleFactors(shrinkage);
+        if (scaleEl) scaleEl.textContent = `${radial.toFixed(3)} / ${vertical.toFixed(3)}`;
+        
+        if (cavityEl) {
+            if (bounds) {
+                const { cavity } = ScalingEngine.getSizes(bounds, shrinkage);
+                cavityEl.textContent = `${cavity.x.toFixed(0)} × ${cavity.z.toFixed(0)} × ${cavity.y.toFixed(0)} mm`;
+            } else {
+                cavityEl.textContent = '—';
+            }
+        }
+    }
+
+    /**
+     * Update plaster batch table and slip readout
+     */
+    updatePourResults() {
+        const volumes = castFormState.getState('output.volumes');
+        const table = document.getElementById('pourTable');
+        const slipEl = document.getElementById('slipAmountValue');
+        const spareEl = document.getElementById('spareVolumeValue');
+        
+        if (!volumes) {
+            if (table) table.innerHTML = '';
+            if (slipEl) slipEl.textContent = '—';
+            if (spareEl) spareEl.textContent = '—';
+            return;
+        }
+        
+        const batch = PourCalculator.calculate(volumes, castFormState.getState('pour'));
+        
+        if (table) {
+            table.innerHTML = `
+                <thead>
+                    <tr><th>Piece</th><th>Plaster</th><th>Water</th></tr>
+                </thead>
+                <tbody>
+                    ${[...batch.pieces, batch.total].map(piece => `
+                        <tr${piece.part === 'total' ? ' class="total"' : ''}>
+                            <td>${piece.name}</td>
+                            <td>${formatWeight(piece.plaster)}</td>
+                            <td>${formatWeight(piece.water)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+        }
+        
+        if (slipEl) slipEl.textContent = `${formatVolume(batch.slip.volume)} · ${formatWeight(batch.slip.weight)}`;
+        if (spareEl) spareEl.textContent = formatVolume(batch.slip.spare);
     }
 
     /**
@@ -0,0 +1,91 @@
+/**
+ * Cast Form Generator - Pour Sheet
+ * Printable page with the plaster batches per mold piece and the slip
+ * needed, for the workbench. Exported next to the shells and printable
+ * from the Pour Calculator section.
+ */
+
+import { MIX_ALLOWANCE, formatWeight, formatVolume } from '../geometry/pourCalculator.js';
+
+/**
+ * Build the pour sheet as a standalone HTML document
+ * @param {Object} batch - PourCalculator.calculate() result
+ * @param {Object} info
+ * @param {string} info.projectName
+ * @param {string[]} [info.notes] - Extra lines (e.g. shrinkage summary)
+ * @returns {string} HTML
+ */
+export function createPourSheet(batch, { projectName, notes = [] }) {
+    const rows = [...batch.pieces, batch.total].map(piece => `
+            <tr${piece.part === 'total' ? ' class="total"' : ''}>
+                <td>${piece.name}</td>
+                <td>${formatVolume(piece.volume)}</td>
+                <td>${formatWeight(piece.plaster)}</td>
+                <td>${formatWeight(piece.water)}</td>
+                <td class="check"></td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(projectName)} - Pour Sheet</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #222; margin: 24px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 15px; margin: 24px 0 8px; }
+        p { font-size: 13px; margin: 4px 0; }
+        .meta { color: #666; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { border: 1px solid #bbb; padding: 6px 8px; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        th { background: #f0ece6; }
+        tr.total td { font-weight: 600; }
+        td.check { width: 48px; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(projectName)} - Pour Sheet</h1>
+    <p class="meta">${new Date().toLocaleDateString()}</p>
+    ${notes.map(note => `<p class="meta">${escapeHtml(note)}</p>`).join('\n    ')}
+
+    <h2>Plaster</h2>
+    <p>${escapeHtml(batch.plasterName)} at consistency ${batch.consistency} (${batch.consistency} parts water to 100 parts plaster by weight). Weights include ${Math.round(MIX_ALLOWANCE * 100)}% mixing allowance; sift plaster onto the water, slake 2-3 minutes, then mix.</p>
+    <table>
+        <thead>
+            <tr><th>Piece</th><th>Mold volume</th><th>Plaster</th><th>Water</th><th>Poured</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+
+    <h2>Slip</h2>
+    <p>Fill the cavity and spare: ${formatVolume(batch.slip.vessel)} + ${formatVolume(batch.slip.spare)} = <strong>${formatVolume(batch.slip.volume)}</strong>, about <strong>${formatWeight(batch.slip.weight)}</strong> at specific gravity ${batch.slipGravity.toFixed(2)}.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open the pour sheet in a new window and show the print dialog
+ * @param {string} html - createPourSheet() output
+ * @returns {boolean} false if the window was blocked
+ */
+export function printPourSheet(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
+
+// Helper: Escape HTML in project names and notes
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
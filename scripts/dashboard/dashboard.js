@@ -13,6 +13,7 @@ import {
 } from './projectStorage.js';
 import { init as initTheme } from '../ui/themeManager.js';
 import { ProjectFileFormat } from '../storage/fileFormat.js';
+import { ITEM_TYPES } from '../state/projectState.js';
 import { DragDropHandler } from '../storage/dragDropHandler.js';
 
 // DOM Elements
@@ -725,12 +726,14 @@ function importProject() {
                 thumbnail: null,
                 state: {
                     globalParameters: data.globalParameters,
+                    customItems: data.customItems || {},
                     itemRatios: data.itemRatios,
                     itemMultipliers: data.itemMultipliers,
                     itemOverrides: data.itemOverrides,
                     saucerSettings: data.saucerSettings,
+                    plateSettings: data.plateSettings,
                     ui: {
-                        visibleItems: data.visibleItems || ['plate', 'soup_bowl', 'pasta_bowl', 'mug', 'tumbler', 'saucer', 'serving_bowl'],
+                        visibleItems: data.visibleItems || [...ITEM_TYPES, ...Object.keys(data.customItems || {})],
                         layoutMode: 'row',
                         crossSectionEnabled: false,
                         expandedPanels: ['global-scaling'],
@@ -4,6 +4,8 @@
  * Supports dinnerware, handle, and vessel generator projects
  */
 
+import { ITEM_TYPES } from '../state/projectState.js';
+
 const PROJECTS_STORAGE_KEY = 'playground_ceramics_projects';
 const HANDLE_PROJECTS_STORAGE_KEY = 'playground_ceramics_handle_projects';
 const VESSEL_PROJECTS_STORAGE_KEY = 'playground_ceramics_vessel_projects';
@@ -368,7 +370,7 @@ export function countVisibleItems(project) {
     if (project.state && project.state.ui && project.state.ui.visibleItems) {
         return project.state.ui.visibleItems.length;
     }
-    return 7; // Default to all items
+    return ITEM_TYPES.length; // Default to all items
 }
 
 /**
@@ -0,0 +1,860 @@
+/**
+ * Mesh Analysis
+ * Watertightness checks and automatic repair, shared by the export modals,
+ * the headless renderer and cast form import. Everything works on the
+ * welded mesh (coincident vertices merged), so seams between separately
+ * built surfaces count as connected.
+ */
+
+import * as THREE from 'three';
+import { buildIndexedMesh, countTriangles } from './writers/meshData.js';
+
+// Triangles smaller than this (mm²) are treated as degenerate
+const DEGENERATE_AREA = 0.0001;
+
+// Self-intersection testing is skipped above this many triangles
+const MAX_INTERSECTION_TRIANGLES = 100000;
+
+// Holes with up to this many edges are filled by repairMesh
+// (one full ring of the 64-segment lathe meshes)
+const DEFAULT_MAX_HOLE_EDGES = 64;
+
+// Direction of the rays that count how deeply shells are nested, kept off
+// the axes so they do not run along the edges of lathe and box meshes
+const NESTING_RAY = new THREE.Vector3(0.5273, 0.6412, 0.5575).normalize();
+
+/**
+ * Analyze a geometry for 3D printing
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @param {Object} [options]
+ * @param {boolean} [options.checkSelfIntersections=true]
+ * @returns {Object} {
+ *   triangleCount, vertexCount, weldedVertexCount,
+ *   degenerateTriangles, boundaryEdges, nonManifoldEdges, inconsistentEdges,
+ *   holes, shells, selfIntersections (null if not checked), volume,
+ *   isWatertight
+ * }
+ */
+export function analyzeMesh(geometry, options = {}) {
+    const { checkSelfIntersections = true } = options;
+
+    const triangleCount = countTriangles(geometry);
+    const vertexCount = toArray(geometry)
+        .reduce((sum, geo) => sum + (geo.getAttribute('position')?.count || 0), 0);
+
+    const { positions, indices: welded } = buildIndexedMesh(geometry);
+    const indices = removeDegenerateTriangles(positions, welded);
+    const degenerateTriangles = triangleCount - indices.length / 3;
+
+    const edges = buildEdgeTable(indices, positions.length / 3);
+
+    let boundaryEdges = 0;
+    let nonManifoldEdges = 0;
+    let inconsistentEdges = 0;
+    for (let e = 0; e < edges.count; e++) {
+        const uses = edges.uses[e];
+        if (uses === 1) boundaryEdges++;
+        else if (uses > 2) nonManifoldEdges++;
+        // Two faces sharing an edge must traverse it in opposite directions
+        else if (edges.forward[e] !== 1) inconsistentEdges++;
+    }
+
+    let selfIntersections = null;
+    if (checkSelfIntersections && indices.length / 3 <= MAX_INTERSECTION_TRIANGLES) {
+        selfIntersections = countSelfIntersections(positions, indices);
+    }
+
+    const isWatertight = indices.length > 0
+        && boundaryEdges === 0
+        && nonManifoldEdges === 0
+        && inconsistentEdges === 0;
+
+    return {
+        triangleCount,
+        vertexCount,
+        weldedVertexCount: positions.length / 3,
+        degenerateTriangles,
+        boundaryEdges,
+        nonManifoldEdges,
+        inconsistentEdges,
+        holes: findBoundaryLoops(indices, edges).length,
+        shells: labelShells(indices, edges).count,
+        selfIntersections,
+        volume: signedVolume(positions, indices),
+        isWatertight
+    };
+}
+
+/**
+ * Repair a geometry: weld vertices, drop degenerate and duplicate triangles,
+ * make the winding consistent, fill small holes and turn closed shells
+ * outside-out. A closed shell inside an odd number of others is a void and
+ * faces inward instead. Self-intersections are reported by analyzeMesh but
+ * not fixed.
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @param {Object} [options]
+ * @param {number} [options.maxHoleEdges=64] - Larger holes are left open
+ * @returns {{ geometry: THREE.BufferGeometry, report: Object }} New indexed
+ *          geometry and { mergedVertices, removedTriangles, flippedTriangles,
+ *          filledHoles, remainingHoles }
+ */
+export function repairMesh(geometry, options = {}) {
+    const { maxHoleEdges = DEFAULT_MAX_HOLE_EDGES } = options;
+
+    const sourceTriangles = countTriangles(geometry);
+    const sourceVertices = toArray(geometry)
+        .reduce((sum, geo) => sum + (geo.getAttribute('position')?.count || 0), 0);
+
+    const { positions, indices: welded } = buildIndexedMesh(geometry);
+    let indices = removeDuplicateTriangles(removeDegenerateTriangles(positions, welded));
+    const removedTriangles = sourceTriangles - indices.length / 3;
+    const mergedVertices = sourceVertices - positions.length / 3;
+
+    // Consistent winding within each shell
+    const original = indices.slice();
+    orientShells(indices, buildEdgeTable(indices, positions.length / 3));
+
+    // Fill small holes
+    let edges = buildEdgeTable(indices, positions.length / 3);
+    const loops = findBoundaryLoops(indices, edges);
+    let filledHoles = 0;
+
+    loops.forEach(loop => {
+        if (loop.length > maxHoleEdges) return;
+        indices = indices.concat(fillLoop(positions, loop));
+        filledHoles++;
+    });
+
+    // Closed shells face outward at even nesting depth and inward (voids)
+    // at odd depth
+    edges = buildEdgeTable(indices, positions.length / 3);
+    const shells = labelShells(indices, edges);
+    const shellVolume = new Float64Array(shells.count);
+    const shellOpen = new Uint8Array(shells.count);
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        shellVolume[shells.labels[t]] += triangleVolume(positions, indices, t);
+    }
+    for (let e = 0; e < edges.count; e++) {
+        if (edges.uses[e] !== 2) shellOpen[shells.labels[edges.face0[e]]] = 1;
+    }
+
+    const depths = nestingDepths(positions, indices, shells, shellOpen);
+    for (let t = 0; t < indices.length / 3; t++) {
+        const shell = shells.labels[t];
+        const isVoid = depths[shell] % 2 === 1;
+        if (!shellOpen[shell] && shellVolume[shell] !== 0 && (shellVolume[shell] < 0) !== isVoid) {
+            flipTriangle(indices, t);
+        }
+    }
+
+    // Flips only swap the last two corners
+    let flippedTriangles = 0;
+    for (let t = 0; t < original.length / 3; t++) {
+        if (indices[t * 3 + 1] !== original[t * 3 + 1]) flippedTriangles++;
+    }
+
+    const repaired = new THREE.BufferGeometry();
+    repaired.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    repaired.setIndex(indices);
+    repaired.computeVertexNormals();
+
+    return {
+        geometry: repaired,
+        report: {
+            mergedVertices,
+            removedTriangles,
+            flippedTriangles,
+            filledHoles,
+            remainingHoles: loops.length - filledHoles
+        }
+    };
+}
+
+/**
+ * Printed volume and surface area of a body, without rebuilding it
+ *
+ * The mesh is welded and each shell oriented as in repairMesh. Where more
+ * than two faces meet at an edge, the faces are taken in order around the
+ * edge and paired across the sectors that both face away from, joining the
+ * shells into closed surfaces. Faces left unpaired there are zero-thickness
+ * sheets (like the caps between the two skins of a hollow mold shell) and
+ * add nothing. Closed surfaces count positive at even nesting depth and as
+ * voids at odd depth; shells with plain open edges count as they are.
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @returns {{ volume: number, surfaceArea: number }} mm³ and mm²
+ */
+export function measureMesh(geometry) {
+    const { positions, indices: welded } = buildIndexedMesh(geometry);
+    let indices = removeDuplicateTriangles(removeDegenerateTriangles(positions, welded));
+
+    // Consistent winding within each shell, small holes closed as repairMesh does
+    orientShells(indices, buildEdgeTable(indices, positions.length / 3));
+    let edges = buildEdgeTable(indices, positions.length / 3);
+    const fills = findBoundaryLoops(indices, edges)
+        .filter(loop => loop.length <= DEFAULT_MAX_HOLE_EDGES)
+        .map(loop => fillLoop(positions, loop));
+    if (fills.length > 0) {
+        indices = indices.concat(...fills);
+        edges = buildEdgeTable(indices, positions.length / 3);
+    }
+    const shells = labelShells(indices, edges);
+    const triangleCount = indices.length / 3;
+
+    // Join shells whose faces pair up around non-manifold edges
+    const parent = Int32Array.from({ length: shells.count }, (_, i) => i);
+    const find = (s) => {
+        while (parent[s] !== s) {
+            parent[s] = parent[parent[s]];
+            s = parent[s];
+        }
+        return s;
+    };
+    const paired = new Uint8Array(shells.count);
+    const unpaired = new Uint8Array(shells.count);
+    const open = new Uint8Array(shells.count);
+
+    forEachNonManifoldEdge(positions, indices, edges, (faces) => {
+        const matched = new Uint8Array(faces.length);
+        faces.forEach((face, i) => {
+            const next = faces[(i + 1) % faces.length];
+            // Both faces point away from the sector between them
+            if (!face.forward && next.forward) {
+                matched[i] = 1;
+                matched[(i + 1) % faces.length] = 1;
+                parent[find(shells.labels[face.t])] = find(shells.labels[next.t]);
+            }
+        });
+        faces.forEach((face, i) => {
+            (matched[i] ? paired : unpaired)[shells.labels[face.t]] = 1;
+        });
+    });
+    for (let e = 0; e < edges.count; e++) {
+        if (edges.uses[e] === 1) open[shells.labels[edges.face0[e]]] = 1;
+    }
+
+    // Surfaces: closed, open, or sheets that never paired with anything
+    const surfaceIds = new Map();
+    const labels = new Int32Array(triangleCount);
+    for (let t = 0; t < triangleCount; t++) {
+        const root = find(shells.labels[t]);
+        if (!surfaceIds.has(root)) surfaceIds.set(root, surfaceIds.size);
+        labels[t] = surfaceIds.get(root);
+    }
+    const surfaces = { count: surfaceIds.size, labels };
+    const surfaceOpen = new Uint8Array(surfaces.count);
+    const surfaceSheet = new Uint8Array(surfaces.count);
+    for (let s = 0; s < shells.count; s++) {
+        const surface = surfaceIds.get(find(s));
+        if (surface === undefined) continue;
+        if (open[s] || unpaired[s]) surfaceOpen[surface] = 1;
+        if (unpaired[s] && !paired[s]) surfaceSheet[surface] = 1;
+    }
+
+    const surfaceVolume = new Float64Array(surfaces.count);
+    const surfaceArea = new Float64Array(surfaces.count);
+    for (let t = 0; t < triangleCount; t++) {
+        surfaceVolume[labels[t]] += triangleVolume(positions, indices, t);
+        surfaceArea[labels[t]] += triangleArea(positions, indices, t);
+    }
+
+    const depths = nestingDepths(positions, indices, surfaces, surfaceOpen);
+    let volume = 0;
+    let area = 0;
+    for (let s = 0; s < surfaces.count; s++) {
+        if (surfaceSheet[s]) continue;
+        const size = Math.abs(surfaceVolume[s]);
+        volume += !surfaceOpen[s] && depths[s] % 2 === 1 ? -size : size;
+        area += surfaceArea[s];
+    }
+
+    return { volume: Math.max(volume, 0), surfaceArea: area };
+}
+
+/**
+ * Human-readable problems found by analyzeMesh (empty if the mesh is clean)
+ * @param {Object} analysis
+ * @returns {string[]}
+ */
+export function describeMeshIssues(analysis) {
+    const issues = [];
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    if (analysis.holes > 0) {
+        issues.push(`${plural(analysis.holes, 'hole')} (${plural(analysis.boundaryEdges, 'open edge')})`);
+    } else if (analysis.boundaryEdges > 0) {
+        issues.push(plural(analysis.boundaryEdges, 'open edge'));
+    }
+    if (analysis.nonManifoldEdges > 0) {
+        issues.push(plural(analysis.nonManifoldEdges, 'non-manifold edge'));
+    }
+    if (analysis.inconsistentEdges > 0) {
+        issues.push(`Inconsistent winding on ${plural(analysis.inconsistentEdges, 'edge')}`);
+    }
+    if (analysis.isWatertight && analysis.volume < 0) {
+        issues.push('Inside out (normals point inward)');
+    }
+    if (analysis.selfIntersections > 0) {
+        issues.push(plural(analysis.selfIntersections, 'self-intersecting triangle pair'));
+    }
+    if (analysis.degenerateTriangles > 0) {
+        issues.push(plural(analysis.degenerateTriangles, 'degenerate triangle'));
+    }
+
+    return issues;
+}
+
+/**
+ * Build the undirected edge table of an indexed mesh
+ * Edges are listed under their lower vertex id; see edgeIndex for lookups.
+ * @returns {Object} { count, first, last, slots, low, high, uses, forward, face0, face1 }
+ *          where forward counts uses going from the lower to the higher vertex id
+ */
+function buildEdgeTable(indices, vertexCount) {
+    const triangleCount = indices.length / 3;
+    const capacity = triangleCount * 3;
+    const low = new Int32Array(capacity);
+    const high = new Int32Array(capacity);
+    const uses = new Uint32Array(capacity);
+    const forward = new Uint32Array(capacity);
+    const face0 = new Int32Array(capacity).fill(-1);
+    const face1 = new Int32Array(capacity).fill(-1);
+
+    // Room under each vertex for every corner that starts an edge there
+    const first = new Int32Array(vertexCount + 1);
+    for (let i = 0; i < capacity; i++) {
+        const a = indices[i];
+        const b = indices[i - i % 3 + (i + 1) % 3];
+        first[Math.min(a, b) + 1]++;
+    }
+    for (let v = 0; v < vertexCount; v++) first[v + 1] += first[v];
+    const last = first.slice(0, vertexCount);
+    const slots = new Int32Array(capacity);
+    const edges = { count: 0, first, last, slots, low, high, uses, forward, face0, face1 };
+
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t * 3 + k];
+            const b = indices[t * 3 + (k + 1) % 3];
+            const lo = Math.min(a, b);
+
+            let e = edgeIndex(edges, a, b);
+            if (e === -1) {
+                e = edges.count++;
+                low[e] = lo;
+                high[e] = Math.max(a, b);
+                slots[last[lo]++] = e;
+            }
+
+            uses[e]++;
+            if (a < b) forward[e]++;
+            if (face0[e] === -1) face0[e] = t;
+            else if (face1[e] === -1) face1[e] = t;
+        }
+    }
+
+    return edges;
+}
+
+/**
+ * Edge id between two vertices, or -1 if they share no edge
+ */
+function edgeIndex(edges, a, b) {
+    const lo = Math.min(a, b);
+    const hi = Math.max(a, b);
+    for (let i = edges.first[lo]; i < edges.last[lo]; i++) {
+        if (edges.high[edges.slots[i]] === hi) return edges.slots[i];
+    }
+    return -1;
+}
+
+/**
+ * Connected components over manifold edges
+ * @returns {{ count: number, labels: Int32Array }} Shell label per triangle
+ */
+function labelShells(indices, edges) {
+    const triangleCount = indices.length / 3;
+    const labels = new Int32Array(triangleCount).fill(-1);
+    let count = 0;
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (labels[seed] !== -1) continue;
+
+        const stack = [seed];
+        labels[seed] = count;
+
+        while (stack.length > 0) {
+            const t = stack.pop();
+            forEachNeighbour(indices, edges, t, (n) => {
+                if (labels[n] === -1) {
+                    labels[n] = count;
+                    stack.push(n);
+                }
+            });
+        }
+        count++;
+    }
+
+    return { count, labels };
+}
+
+/**
+ * Flip triangles so neighbours across manifold edges agree with the first
+ * triangle of their shell
+ */
+function orientShells(indices, edges) {
+    const triangleCount = indices.length / 3;
+    const visited = new Uint8Array(triangleCount);
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (visited[seed]) continue;
+
+        const stack = [seed];
+        visited[seed] = 1;
+
+        while (stack.length > 0) {
+            const t = stack.pop();
+            forEachNeighbour(indices, edges, t, (n, a, b) => {
+                if (visited[n]) return;
+                visited[n] = 1;
+
+                // The neighbour must use the shared edge as b -> a
+                if (hasDirectedEdge(indices, n, a, b)) {
+                    flipTriangle(indices, n);
+                }
+                stack.push(n);
+            });
+        }
+    }
+}
+
+/**
+ * How many other closed shells enclose each closed shell
+ * A ray from a point on the shell crosses an enclosing shell an odd number
+ * of times. Only shells whose bounds hold that point are tested.
+ * @param {Uint8Array} shellOpen - 1 for shells that are not closed (skipped)
+ * @returns {Int32Array} Depth per shell (0 for open shells)
+ */
+function nestingDepths(positions, indices, shells, shellOpen) {
+    const triangleCount = indices.length / 3;
+    const depths = new Int32Array(shells.count);
+    const bounds = new Float64Array(shells.count * 6);
+    const origins = new Float64Array(shells.count * 3).fill(NaN);
+
+    for (let s = 0; s < shells.count; s++) {
+        bounds.fill(Infinity, s * 6, s * 6 + 3);
+        bounds.fill(-Infinity, s * 6 + 3, s * 6 + 6);
+    }
+
+    // Shell bounds, and the centroid of each shell's first triangle as its ray origin
+    for (let t = 0; t < triangleCount; t++) {
+        const s = shells.labels[t];
+        if (shellOpen[s]) continue;
+
+        for (let axis = 0; axis < 3; axis++) {
+            let sum = 0;
+            for (let k = 0; k < 3; k++) {
+                const value = positions[indices[t * 3 + k] * 3 + axis];
+                bounds[s * 6 + axis] = Math.min(bounds[s * 6 + axis], value);
+                bounds[s * 6 + 3 + axis] = Math.max(bounds[s * 6 + 3 + axis], value);
+                sum += value;
+            }
+            if (Number.isNaN(origins[s * 3 + axis])) origins[s * 3 + axis] = sum / 3;
+        }
+    }
+
+    // Shells whose origin lies within each shell's bounds
+    const candidates = [];
+    for (let s = 0; s < shells.count; s++) {
+        candidates.push([]);
+        if (shellOpen[s]) continue;
+
+        for (let q = 0; q < shells.count; q++) {
+            if (q === s || shellOpen[q]) continue;
+            let inside = true;
+            for (let axis = 0; axis < 3 && inside; axis++) {
+                const value = origins[q * 3 + axis];
+                inside = value >= bounds[s * 6 + axis] && value <= bounds[s * 6 + 3 + axis];
+            }
+            if (inside) candidates[s].push(q);
+        }
+    }
+
+    const crossings = candidates.map(list => new Uint8Array(list.length));
+    for (let t = 0; t < triangleCount; t++) {
+        const s = shells.labels[t];
+        candidates[s].forEach((q, i) => {
+            if (rayHitsTriangle(positions, origins, q, indices, t)) crossings[s][i] ^= 1;
+        });
+    }
+
+    candidates.forEach((list, s) => {
+        list.forEach((q, i) => {
+            depths[q] += crossings[s][i];
+        });
+    });
+
+    return depths;
+}
+
+// Möller-Trumbore for the ray from origin o along NESTING_RAY
+function rayHitsTriangle(positions, origins, o, indices, t) {
+    const EPS = 1e-12;
+    const v0 = indices[t * 3] * 3, v1 = indices[t * 3 + 1] * 3, v2 = indices[t * 3 + 2] * 3;
+    const dx = NESTING_RAY.x, dy = NESTING_RAY.y, dz = NESTING_RAY.z;
+
+    const e1x = positions[v1] - positions[v0], e1y = positions[v1 + 1] - positions[v0 + 1], e1z = positions[v1 + 2] - positions[v0 + 2];
+    const e2x = positions[v2] - positions[v0], e2y = positions[v2 + 1] - positions[v0 + 1], e2z = positions[v2 + 2] - positions[v0 + 2];
+
+    const px = dy * e2z - dz * e2y, py = dz * e2x - dx * e2z, pz = dx * e2y - dy * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < EPS) return false;
+
+    const inv = 1 / det;
+    const sx = origins[o * 3] - positions[v0], sy = origins[o * 3 + 1] - positions[v0 + 1], sz = origins[o * 3 + 2] - positions[v0 + 2];
+    const u = (sx * px + sy * py + sz * pz) * inv;
+    if (u < 0 || u > 1) return false;
+
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+    const v = (dx * qx + dy * qy + dz * qz) * inv;
+    if (v < 0 || u + v > 1) return false;
+
+    return (e2x * qx + e2y * qy + e2z * qz) * inv > 0;
+}
+
+/**
+ * Call back for every triangle sharing a manifold edge with triangle t
+ * @param {Function} callback - (neighbour, a, b) with a -> b the edge as used by t
+ */
+function forEachNeighbour(indices, edges, t, callback) {
+    for (let k = 0; k < 3; k++) {
+        const a = indices[t * 3 + k];
+        const b = indices[t * 3 + (k + 1) % 3];
+        const e = edgeIndex(edges, a, b);
+
+        if (edges.uses[e] !== 2) continue;
+        const n = edges.face0[e] === t ? edges.face1[e] : edges.face0[e];
+        if (n !== t) callback(n, a, b);
+    }
+}
+
+/**
+ * Call back for every edge with more than two faces, with the faces sorted
+ * by angle around it
+ * @param {Function} callback - (faces) with { t, forward } per face, forward
+ *        when the face runs along the edge from its lower to its higher vertex id
+ */
+function forEachNonManifoldEdge(positions, indices, edges, callback) {
+    const incident = new Map();
+    for (let t = 0; t < indices.length / 3; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t * 3 + k];
+            const b = indices[t * 3 + (k + 1) % 3];
+            const e = edgeIndex(edges, a, b);
+            if (edges.uses[e] <= 2) continue;
+
+            if (!incident.has(e)) incident.set(e, []);
+            incident.get(e).push({ t, forward: a < b, apex: indices[t * 3 + (k + 2) % 3] });
+        }
+    }
+
+    const axis = new THREE.Vector3();
+    const reference = new THREE.Vector3();
+    const side = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+
+    incident.forEach((faces, e) => {
+        const origin = new THREE.Vector3().fromArray(positions, edges.low[e] * 3);
+        axis.fromArray(positions, edges.high[e] * 3).sub(origin).normalize();
+
+        // Angle of each face's apex around the edge, from the first face
+        faces.forEach((face, i) => {
+            offset.fromArray(positions, face.apex * 3).sub(origin);
+            offset.addScaledVector(axis, -offset.dot(axis));
+            if (i === 0) {
+                reference.copy(offset).normalize();
+                side.crossVectors(axis, reference);
+            }
+            face.angle = Math.atan2(offset.dot(side), offset.dot(reference));
+        });
+
+        faces.sort((f, g) => f.angle - g.angle);
+        callback(faces);
+    });
+}
+
+/**
+ * Open boundary loops, each as vertex ids in fill order
+ * (walking the boundary opposite to the faces that border it)
+ * @returns {number[][]}
+ */
+function findBoundaryLoops(indices, edges) {
+    // Reversed boundary half-edges: b -> [a] for every open edge a -> b
+    const next = new Map();
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t * 3 + k];
+            const b = indices[t * 3 + (k + 1) % 3];
+            if (edges.uses[edgeIndex(edges, a, b)] === 1) {
+                if (!next.has(b)) next.set(b, []);
+                next.get(b).push(a);
+            }
+        }
+    }
+
+    const loops = [];
+
+    for (const start of next.keys()) {
+        while (next.get(start).length > 0) {
+            const loop = [start];
+            let current = next.get(start).pop();
+
+            while (current !== start) {
+                loop.push(current);
+                const outgoing = next.get(current);
+                if (!outgoing || outgoing.length === 0) break;
+                current = outgoing.pop();
+            }
+
+            // Chains that do not close (non-manifold boundaries) are not holes
+            if (current === start && loop.length >= 3) {
+                loops.push(loop);
+            }
+        }
+    }
+
+    return loops;
+}
+
+/**
+ * Triangulate a boundary loop as a fan around its centroid
+ * @param {number[]} positions - Modified: the centroid vertex is appended
+ * @param {number[]} loop - Vertex ids in fill order
+ * @returns {number[]} New triangle indices
+ */
+function fillLoop(positions, loop) {
+    let cx = 0, cy = 0, cz = 0;
+    loop.forEach(v => {
+        cx += positions[v * 3];
+        cy += positions[v * 3 + 1];
+        cz += positions[v * 3 + 2];
+    });
+
+    const center = positions.length / 3;
+    positions.push(cx / loop.length, cy / loop.length, cz / loop.length);
+
+    const triangles = [];
+    for (let i = 0; i < loop.length; i++) {
+        triangles.push(center, loop[i], loop[(i + 1) % loop.length]);
+    }
+    return triangles;
+}
+
+/**
+ * Count intersecting triangle pairs (pairs sharing a vertex are skipped)
+ * using a uniform grid over triangle bounding boxes
+ */
+function countSelfIntersections(positions, indices) {
+    const triangleCount = indices.length / 3;
+    if (triangleCount < 2) return 0;
+
+    // Triangle bounds and mesh bounds
+    const bounds = new Float64Array(triangleCount * 6);
+    const meshMin = [Infinity, Infinity, Infinity];
+    const meshMax = [-Infinity, -Infinity, -Infinity];
+    let extentSum = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const a = positions[indices[t * 3] * 3 + axis];
+            const b = positions[indices[t * 3 + 1] * 3 + axis];
+            const c = positions[indices[t * 3 + 2] * 3 + axis];
+            const min = Math.min(a, b, c);
+            const max = Math.max(a, b, c);
+            bounds[t * 6 + axis] = min;
+            bounds[t * 6 + 3 + axis] = max;
+            meshMin[axis] = Math.min(meshMin[axis], min);
+            meshMax[axis] = Math.max(meshMax[axis], max);
+            extentSum += max - min;
+        }
+    }
+
+    const diagonal = Math.hypot(meshMax[0] - meshMin[0], meshMax[1] - meshMin[1], meshMax[2] - meshMin[2]);
+    const cellSize = Math.max(2 * extentSum / (triangleCount * 3), diagonal / 64, 1e-6);
+    const cellOf = (value, axis) => Math.floor((value - meshMin[axis]) / cellSize);
+
+    // Visit every grid cell touched by a triangle's bounds
+    const forEachCell = (t, callback) => {
+        const x1 = cellOf(bounds[t * 6 + 3], 0);
+        const y1 = cellOf(bounds[t * 6 + 4], 1);
+        const z1 = cellOf(bounds[t * 6 + 5], 2);
+        for (let x = cellOf(bounds[t * 6], 0); x <= x1; x++) {
+            for (let y = cellOf(bounds[t * 6 + 1], 1); y <= y1; y++) {
+                for (let z = cellOf(bounds[t * 6 + 2], 2); z <= z1; z++) {
+                    callback((x * 1024 + y) * 1024 + z);
+                }
+            }
+        }
+    };
+
+    const grid = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        forEachCell(t, key => {
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(t);
+        });
+    }
+
+    // Test each candidate pair once: partners are stamped with the triangle
+    // that last tested them
+    const stamp = new Int32Array(triangleCount).fill(-1);
+    let count = 0;
+
+    for (let a = 0; a < triangleCount; a++) {
+        forEachCell(a, key => {
+            grid.get(key).forEach(b => {
+                if (b <= a || stamp[b] === a) return;
+                stamp[b] = a;
+
+                if (!boundsOverlap(bounds, a, b)) return;
+                if (sharesVertex(indices, a, b)) return;
+                if (trianglesIntersect(positions, indices, a, b)) count++;
+            });
+        });
+    }
+
+    return count;
+}
+
+function boundsOverlap(bounds, a, b) {
+    for (let axis = 0; axis < 3; axis++) {
+        if (bounds[a * 6 + 3 + axis] < bounds[b * 6 + axis]) return false;
+        if (bounds[b * 6 + 3 + axis] < bounds[a * 6 + axis]) return false;
+    }
+    return true;
+}
+
+function sharesVertex(indices, a, b) {
+    for (let i = 0; i < 3; i++) {
+        const v = indices[a * 3 + i];
+        if (v === indices[b * 3] || v === indices[b * 3 + 1] || v === indices[b * 3 + 2]) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Two triangles intersect if an edge of one passes through the other
+ * (touching and coplanar overlaps are not counted)
+ */
+function trianglesIntersect(positions, indices, a, b) {
+    for (let k = 0; k < 3; k++) {
+        if (segmentHitsTriangle(positions, indices[a * 3 + k], indices[a * 3 + (k + 1) % 3], indices, b)) return true;
+        if (segmentHitsTriangle(positions, indices[b * 3 + k], indices[b * 3 + (k + 1) % 3], indices, a)) return true;
+    }
+    return false;
+}
+
+// Möller-Trumbore restricted to the open segment p -> q and the triangle interior
+function segmentHitsTriangle(positions, p, q, indices, t) {
+    const EPS = 1e-9;
+    const v0 = indices[t * 3] * 3, v1 = indices[t * 3 + 1] * 3, v2 = indices[t * 3 + 2] * 3;
+
+    const ox = positions[p * 3], oy = positions[p * 3 + 1], oz = positions[p * 3 + 2];
+    const dx = positions[q * 3] - ox, dy = positions[q * 3 + 1] - oy, dz = positions[q * 3 + 2] - oz;
+
+    const e1x = positions[v1] - positions[v0], e1y = positions[v1 + 1] - positions[v0 + 1], e1z = positions[v1 + 2] - positions[v0 + 2];
+    const e2x = positions[v2] - positions[v0], e2y = positions[v2 + 1] - positions[v0 + 1], e2z = positions[v2 + 2] - positions[v0 + 2];
+
+    const px = dy * e2z - dz * e2y, py = dz * e2x - dx * e2z, pz = dx * e2y - dy * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < EPS) return false;
+
+    const inv = 1 / det;
+    const sx = ox - positions[v0], sy = oy - positions[v0 + 1], sz = oz - positions[v0 + 2];
+    const u = (sx * px + sy * py + sz * pz) * inv;
+    if (u <= 1e-6 || u >= 1 - 1e-6) return false;
+
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+    const v = (dx * qx + dy * qy + dz * qz) * inv;
+    if (v <= 1e-6 || u + v >= 1 - 1e-6) return false;
+
+    const t2 = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return t2 > 1e-6 && t2 < 1 - 1e-6;
+}
+
+function removeDegenerateTriangles(positions, indices) {
+    const kept = [];
+    for (let t = 0; t < indices.length / 3; t++) {
+        if (triangleArea(positions, indices, t) >= DEGENERATE_AREA) {
+            kept.push(indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]);
+        }
+    }
+    return kept;
+}
+
+function removeDuplicateTriangles(indices) {
+    const seen = new Set();
+    const kept = [];
+    for (let t = 0; t < indices.length / 3; t++) {
+        const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+        const low = Math.min(a, b, c);
+        const high = Math.max(a, b, c);
+        const key = `${low} ${a + b + c - low - high} ${high}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        kept.push(a, b, c);
+    }
+    return kept;
+}
+
+function triangleArea(positions, indices, t) {
+    const a = indices[t * 3] * 3, b = indices[t * 3 + 1] * 3, c = indices[t * 3 + 2] * 3;
+    const e1x = positions[b] - positions[a], e1y = positions[b + 1] - positions[a + 1], e1z = positions[b + 2] - positions[a + 2];
+    const e2x = positions[c] - positions[a], e2y = positions[c + 1] - positions[a + 1], e2z = positions[c + 2] - positions[a + 2];
+    const cx = e1y * e2z - e1z * e2y;
+    const cy = e1z * e2x - e1x * e2z;
+    const cz = e1x * e2y - e1y * e2x;
+    return Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+}
+
+// Signed volume of the tetrahedron (origin, triangle)
+function triangleVolume(positions, indices, t) {
+    const a = indices[t * 3] * 3, b = indices[t * 3 + 1] * 3, c = indices[t * 3 + 2] * 3;
+    return (
+        positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+        positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+        positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])
+    ) / 6;
+}
+
+function signedVolume(positions, indices) {
+    let volume = 0;
+    for (let t = 0; t < indices.length / 3; t++) {
+        volume += triangleVolume(positions, indices, t);
+    }
+    return volume;
+}
+
+function hasDirectedEdge(indices, t, a, b) {
+    for (let k = 0; k < 3; k++) {
+        if (indices[t * 3 + k] === a && indices[t * 3 + (k + 1) % 3] === b) return true;
+    }
+    return false;
+}
+
+function flipTriangle(indices, t) {
+    const swap = indices[t * 3 + 1];
+    indices[t * 3 + 1] = indices[t * 3 + 2];
+    indices[t * 3 + 2] = swap;
+}
+
+// Helper: Single geometry or array -> array
+function toArray(geometry) {
+    return Array.isArray(geometry) ? geometry : [geometry];
+}
@@ -0,0 +1,365 @@
+/**
+ * Mesh Exporter
+ * Export subsystem shared by every app and the headless CLI: a registry of
+ * format writers, geometry validation, file naming and downloads.
+ *
+ * Export objects look like { name, part?, geometry, matrix?, color? }:
+ * - geometry: one BufferGeometry or an array combined into one body
+ * - part: filename suffix when each object gets its own file
+ * - matrix: placement (e.g. mesh.matrixWorld), used by formats that hold
+ *   several objects in one file so the viewport arrangement is kept
+ */
+
+import { ProjectFileFormat } from '../storage/fileFormat.js';
+import { writeBinarySTL, writeAsciiSTL } from './writers/stlWriter.js';
+import { writeOBJ } from './writers/objWriter.js';
+import { writePLY } from './writers/plyWriter.js';
+import { write3MF } from './writers/threeMFWriter.js';
+import { repairMesh } from './meshAnalysis.js';
+import { ZipWriter } from './zipWriter.js';
+import { measureObjects, estimatePrint, combineEstimates, describeEstimate } from '../printer/printEstimator.js';
+
+export const DEFAULT_EXPORT_FORMAT = 'stl';
+
+// Triangles smaller than this (mm²) are reported as degenerate
+const DEGENERATE_AREA = 0.0001;
+
+// Registered formats keyed by id
+const EXPORT_FORMATS = new Map();
+
+/**
+ * Register a format writer
+ * @param {Object} format
+ * @param {string} format.id - Key used in options and UI
+ * @param {string} format.label - Display name
+ * @param {string} format.extension - File extension without dot
+ * @param {boolean} format.multiObject - True if one file holds all objects
+ *        (otherwise each object is written to its own file)
+ * @param {Function} format.write - (objects, { title, notes }) => Blob; notes are
+ *        comment lines the format may embed
+ */
+export function registerExportFormat(format) {
+    EXPORT_FORMATS.set(format.id, format);
+}
+
+/**
+ * Get a registered format
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getExportFormat(id) {
+    return EXPORT_FORMATS.get(id);
+}
+
+/**
+ * Get all registered formats in registration order
+ * @returns {Object[]}
+ */
+export function getExportFormats() {
+    return [...EXPORT_FORMATS.values()];
+}
+
+registerExportFormat({ id: 'stl', label: 'STL (binary)', extension: 'stl', multiObject: false, write: writeBinarySTL });
+registerExportFormat({ id: 'stl-ascii', label: 'STL (ASCII)', extension: 'stl', multiObject: false, write: writeAsciiSTL });
+registerExportFormat({ id: 'obj', label: 'OBJ (one file)', extension: 'obj', multiObject: true, write: writeOBJ });
+registerExportFormat({ id: 'ply', label: 'PLY (binary)', extension: 'ply', multiObject: false, write: writePLY });
+registerExportFormat({ id: '3mf', label: '3MF (one file, mm)', extension: '3mf', multiObject: true, write: write3MF });
+
+/**
+ * Export objects in the given format
+ *
+ * @param {Array<Object>} objects - Export objects (see module comment)
+ * @param {Object} options
+ * @param {string} [options.format] - Format id (default binary STL)
+ * @param {string} options.projectName - Used for file names and titles
+ * @param {string} options.appType - 'dinnerware', 'vessel', 'handle' or 'castform'
+ * @param {boolean} [options.repair] - Run repairMesh on every object first
+ * @param {Object} [options.profile] - Printer profile for the estimate (default the active one)
+ * @param {Object} [options.material] - Filament for the estimate (default the active one)
+ * @param {string[]} [options.notes] - Project notes written ahead of the estimate
+ * @returns {{ files: Array<{ filename: string, blob: Blob }>, warnings: string[],
+ *            repairs: Array<Object>, estimates: Array<Object> }} repairs holds
+ *            { name, ...repairMesh report }, estimates { name, ...estimatePrint result }
+ * @throws {Error} If the format is unknown or a geometry cannot be exported
+ */
+export function exportMeshes(objects, options) {
+    const format = getExportFormat(options.format || DEFAULT_EXPORT_FORMAT);
+    if (!format) {
+        throw new Error(`Unknown export format: ${options.format}`);
+    }
+    if (objects.length === 0) {
+        throw new Error('Nothing to export');
+    }
+
+    const warnings = [];
+    objects.forEach(object => {
+        const result = validateExportGeometry(object.geometry);
+        if (result.errors.length > 0) {
+            throw new Error(`${object.name}: ${result.errors.join(', ')}`);
+        }
+        result.warnings.forEach(warning => warnings.push(`${object.name}: ${warning}`));
+    });
+
+    const { projectName, appType } = options;
+    const timestamp = new Date();
+
+    // Repair in local space so placement matrices still apply
+    const repairs = [];
+    const exportObjects = !options.repair ? objects : objects.map(object => {
+        const { geometry, report } = repairMesh(object.geometry);
+        repairs.push({ name: object.name, ...report });
+        return { ...object, geometry };
+    });
+
+    // Filament and time per object, written into formats that take comments
+    const estimates = measureObjects(exportObjects).map((measurement, i) => ({
+        name: exportObjects[i].name,
+        ...estimatePrint(measurement, { profile: options.profile, material: options.material })
+    }));
+
+    const notes = options.notes || [];
+
+    let files;
+    if (format.multiObject) {
+        files = [{
+            filename: getExportFilename(projectName, appType, format.id, null, timestamp),
+            blob: format.write(exportObjects, {
+                title: projectName,
+                notes: [...notes, ...describeEstimate(combineEstimates(estimates))]
+            })
+        }];
+    } else {
+        // One file per object, each at its own origin
+        files = exportObjects.map((object, i) => ({
+            filename: getExportFilename(projectName, appType, format.id, object.part, timestamp),
+            blob: format.write([{ ...object, matrix: null }], {
+                title: object.name,
+                notes: [...notes, ...describeEstimate(estimates[i])]
+            })
+        }));
+    }
+
+    if (options.repair) {
+        exportObjects.forEach(object => object.geometry.dispose());
+    }
+
+    return { files, warnings, repairs, estimates };
+}
+
+/**
+ * One-line summary of exportMeshes repairs for status messages
+ * @param {Array<Object>} repairs
+ * @returns {string}
+ */
+export function summarizeRepairs(repairs) {
+    const total = key => repairs.reduce((sum, repair) => sum + repair[key], 0);
+    const parts = [];
+
+    if (total('mergedVertices') > 0) parts.push(`${total('mergedVertices')} vertices merged`);
+    if (total('removedTriangles') > 0) parts.push(`${total('removedTriangles')} bad faces removed`);
+    if (total('flippedTriangles') > 0) parts.push(`${total('flippedTriangles')} faces re-oriented`);
+    if (total('filledHoles') > 0) parts.push(`${total('filledHoles')} holes filled`);
+    if (total('remainingHoles') > 0) parts.push(`${total('remainingHoles')} holes too large to fill`);
+
+    return parts.length > 0 ? `Repaired: ${parts.join(', ')}` : 'No repairs needed';
+}
+
+/**
+ * Collect the meshes under an object as world-space geometries, for apps
+ * that export a whole group as one body
+ * @param {THREE.Object3D} root
+ * @returns {THREE.BufferGeometry[]} Transformed copies
+ */
+export function collectWorldGeometries(root) {
+    const geometries = [];
+    root.updateMatrixWorld(true);
+    root.traverse(child => {
+        if (child.isMesh && child.geometry) {
+            geometries.push(child.geometry.clone().applyMatrix4(child.matrixWorld));
+        }
+    });
+    return geometries;
+}
+
+/**
+ * File name for an export
+ * @param {string} projectName
+ * @param {string} appType
+ * @param {string} formatId
+ * @param {string} [part] - Piece of a multi-file export
+ * @param {Date} [timestamp]
+ * @returns {string}
+ */
+export function getExportFilename(projectName, appType, formatId, part = null, timestamp = new Date()) {
+    const format = getExportFormat(formatId) || getExportFormat(DEFAULT_EXPORT_FORMAT);
+    return ProjectFileFormat.generateFilename(projectName, appType, timestamp, {
+        extension: format.extension,
+        part
+    });
+}
+
+/**
+ * Check a geometry before export
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @returns {{ errors: string[], warnings: string[], triangleCount: number, vertexCount: number }}
+ *          errors block the export, warnings are reported
+ */
+export function validateExportGeometry(geometry) {
+    const errors = [];
+    const warnings = [];
+    let triangleCount = 0;
+    let vertexCount = 0;
+    let degenerateCount = 0;
+    let nonFinite = false;
+
+    const geometries = Array.isArray(geometry) ? geometry : [geometry];
+
+    geometries.forEach(geo => {
+        const positions = geo?.getAttribute('position');
+        if (!positions || positions.count === 0) return;
+
+        const index = geo.index;
+        const count = index ? index.count : positions.count;
+        vertexCount += positions.count;
+
+        if (count % 3 !== 0) {
+            errors.push(`${index ? 'Index' : 'Vertex'} count is not divisible by 3`);
+        }
+
+        for (let i = 0; i < positions.array.length; i++) {
+            if (!Number.isFinite(positions.array[i])) {
+                nonFinite = true;
+                break;
+            }
+        }
+
+        for (let t = 0; t + 2 < count; t += 3) {
+            const i0 = index ? index.getX(t) : t;
+            const i1 = index ? index.getX(t + 1) : t + 1;
+            const i2 = index ? index.getX(t + 2) : t + 2;
+
+            const e1x = positions.getX(i1) - positions.getX(i0);
+            const e1y = positions.getY(i1) - positions.getY(i0);
+            const e1z = positions.getZ(i1) - positions.getZ(i0);
+            const e2x = positions.getX(i2) - positions.getX(i0);
+            const e2y = positions.getY(i2) - positions.getY(i0);
+            const e2z = positions.getZ(i2) - positions.getZ(i0);
+
+            const cx = e1y * e2z - e1z * e2y;
+            const cy = e1z * e2x - e1x * e2z;
+            const cz = e1x * e2y - e1y * e2x;
+
+            if (Math.sqrt(cx * cx + cy * cy + cz * cz) / 2 < DEGENERATE_AREA) {
+                degenerateCount++;
+            }
+            triangleCount++;
+        }
+    });
+
+    if (vertexCount === 0) {
+        errors.push('Geometry has no vertices');
+    }
+    if (nonFinite) {
+        errors.push('Geometry has invalid (NaN or infinite) coordinates');
+    }
+    if (degenerateCount > 0) {
+        warnings.push(`${degenerateCount} degenerate triangles found`);
+    }
+
+    return { errors, warnings, triangleCount, vertexCount };
+}
+
+/**
+ * Trigger download of a blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download several files with progress reporting
+ * @param {Array<{ filename: string, blob: Blob }>} files
+ * @param {Function} [progressCallback] - ({ current, total, filename, progress, complete })
+ */
+export async function downloadFiles(files, progressCallback) {
+    const total = files.length;
+
+    for (let i = 0; i < total; i++) {
+        progressCallback?.({
+            current: i + 1,
+            total,
+            filename: files[i].filename,
+            progress: (i + 1) / total
+        });
+
+        downloadBlob(files[i].blob, files[i].filename);
+
+        // Small delay between downloads to prevent browser blocking
+        if (i < total - 1) {
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    }
+
+    progressCallback?.({ current: total, total, filename: null, progress: 1, complete: true });
+}
+
+/**
+ * Download files bundled into one ZIP archive
+ * @param {Array<{ filename: string, blob: Blob }>} files
+ * @param {string} zipFilename
+ */
+export async function downloadFilesAsZip(files, zipFilename) {
+    const zip = new ZipWriter();
+    for (const { filename, blob } of files) {
+        await zip.addBlob(filename, blob);
+    }
+
+    downloadBlob(await zip.toCompressedBlob(), zipFilename);
+}
+
+/**
+ * Download a project bundle: the project file and the exported files in
+ * one ZIP, so a design can be reopened next to the meshes made from it
+ * @param {{ filename: string, blob: Blob }} projectFile - ProjectFileFormat.createFile() result
+ * @param {Array<{ filename: string, blob: Blob }>} files
+ * @param {string} projectName
+ * @param {string} appType
+ */
+export async function downloadProjectBundle(projectFile, files, projectName, appType) {
+    await downloadFilesAsZip([projectFile, ...files], getBundleFilename(projectName, appType));
+}
+
+/**
+ * Filename of a project bundle, e.g. "Mug_Bundle_handle_2026-01-04.zip"
+ * @param {string} projectName
+ * @param {string} appType
+ * @returns {string}
+ */
+export function getBundleFilename(projectName, appType) {
+    return ProjectFileFormat.generateFilename(projectName, appType, new Date(), {
+        extension: 'zip',
+        part: 'Bundle'
+    });
+}
+
+/**
+ * Fill a <select> with the registered formats
+ * @param {HTMLSelectElement} select
+ * @param {string} [selected] - Format id to preselect
+ */
+export function populateFormatSelect(select, selected = DEFAULT_EXPORT_FORMAT) {
+    select.innerHTML = getExportFormats()
+        .map(format => `<option value="${format.id}">${format.label}</option>`)
+        .join('');
+    select.value = getExportFormat(selected) ? selected : DEFAULT_EXPORT_FORMAT;
+}
@@ -0,0 +1,154 @@
+/**
+ * Mesh Data Helpers
+ * Shared triangle access for the export writers. Export objects carry one
+ * BufferGeometry or an array of them (combined into one body) and an
+ * optional placement matrix.
+ */
+
+import * as THREE from 'three';
+
+// Scratch vectors for faceNormal
+const _edge1 = new THREE.Vector3();
+const _edge2 = new THREE.Vector3();
+
+/**
+ * Count triangles across one or more geometries
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @returns {number}
+ */
+export function countTriangles(geometry) {
+    return toArray(geometry).reduce((sum, geo) => {
+        const position = geo.getAttribute('position');
+        if (!position) return sum;
+        const count = geo.index ? geo.index.count : position.count;
+        return sum + Math.floor(count / 3);
+    }, 0);
+}
+
+/**
+ * Visit every triangle. The vectors are reused between calls.
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @param {THREE.Matrix4|null} matrix - Applied to each vertex when given
+ * @param {Function} callback - (a, b, c) => void
+ */
+export function forEachTriangle(geometry, matrix, callback) {
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+
+    toArray(geometry).forEach(geo => {
+        const position = geo.getAttribute('position');
+        if (!position) return;
+
+        const index = geo.index;
+        const count = index ? index.count : position.count;
+        const vertexAt = i => (index ? index.getX(i) : i);
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            a.fromBufferAttribute(position, vertexAt(i));
+            b.fromBufferAttribute(position, vertexAt(i + 1));
+            c.fromBufferAttribute(position, vertexAt(i + 2));
+
+            if (matrix) {
+                a.applyMatrix4(matrix);
+                b.applyMatrix4(matrix);
+                c.applyMatrix4(matrix);
+            }
+
+            callback(a, b, c);
+        }
+    });
+}
+
+/**
+ * Unit facet normal from the winding order (zero vector for degenerate faces)
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @param {THREE.Vector3} c
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+export function faceNormal(a, b, c, target) {
+    _edge1.subVectors(b, a);
+    _edge2.subVectors(c, a);
+    return target.crossVectors(_edge1, _edge2).normalize();
+}
+
+/**
+ * Build an indexed mesh with coincident vertices welded, as needed by
+ * formats that store shared vertices (3MF, OBJ, PLY). Triangles that
+ * collapse after welding are dropped.
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry
+ * @param {THREE.Matrix4|null} [matrix] - Applied to each vertex when given
+ * @returns {{ positions: number[], indices: number[] }} Rounded xyz triples and triangle indices
+ */
+export function buildIndexedMesh(geometry, matrix = null) {
+    const lookup = new Map();
+    const positions = [];
+    const indices = [];
+
+    const vertexId = (v) => {
+        const x = roundCoordinate(v.x);
+        const y = roundCoordinate(v.y);
+        const z = roundCoordinate(v.z);
+        const key = `${x} ${y} ${z}`;
+
+        let id = lookup.get(key);
+        if (id === undefined) {
+            id = positions.length / 3;
+            lookup.set(key, id);
+            positions.push(x, y, z);
+        }
+        return id;
+    };
+
+    const v = new THREE.Vector3();
+
+    toArray(geometry).forEach(geo => {
+        const position = geo.getAttribute('position');
+        if (!position) return;
+
+        const index = geo.index;
+        const count = index ? index.count : position.count;
+
+        // Each source vertex is welded once, however many triangles share it
+        const welded = new Int32Array(position.count).fill(-1);
+        const weld = (i) => {
+            const source = index ? index.getX(i) : i;
+            if (welded[source] === -1) {
+                v.fromBufferAttribute(position, source);
+                if (matrix) v.applyMatrix4(matrix);
+                welded[source] = vertexId(v);
+            }
+            return welded[source];
+        };
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            const ia = weld(i);
+            const ib = weld(i + 1);
+            const ic = weld(i + 2);
+
+            if (ia !== ib && ib !== ic && ia !== ic) {
+                indices.push(ia, ib, ic);
+            }
+        }
+    });
+
+    return { positions, indices };
+}
+
+/**
+ * Round a coordinate well below printer resolution (and drop -0)
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundCoordinate(value) {
+    const rounded = Math.round(value * 100000) / 100000;
+    return rounded === 0 ? 0 : rounded;
+}
+
+// Helper: Single geometry or array -> array
+function toArray(geometry) {
+    return Array.isArray(geometry) ? geometry : [geometry];
+}
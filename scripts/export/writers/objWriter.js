@@ -0,0 +1,46 @@
+/**
+ * OBJ Writer
+ * Wavefront OBJ with one named object per export object. Vertices are
+ * welded and written in world space (the placement matrix is applied).
+ */
+
+import { buildIndexedMesh } from './meshData.js';
+
+/**
+ * Write objects to OBJ
+ *
+ * @param {Array<Object>} objects - { name, geometry, matrix? }
+ * @param {Object} [options]
+ * @param {string} [options.title] - Written as a comment
+ * @param {string[]} [options.notes] - Extra comment lines
+ * @returns {Blob}
+ */
+export function writeOBJ(objects, options = {}) {
+    const lines = [
+        `# ${options.title || 'model'} - Playground Ceramics`,
+        '# Units: millimetres',
+        ...(options.notes || []).map(note => `# ${note}`)
+    ];
+
+    // OBJ indices are 1-based and global across objects
+    let vertexOffset = 1;
+
+    objects.forEach(object => {
+        const { positions, indices } = buildIndexedMesh(object.geometry, object.matrix);
+
+        lines.push(`o ${(object.name || 'model').replace(/\s+/g, '_')}`);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]}`);
+        }
+
+        for (let i = 0; i < indices.length; i += 3) {
+            lines.push(`f ${indices[i] + vertexOffset} ${indices[i + 1] + vertexOffset} ${indices[i + 2] + vertexOffset}`);
+        }
+
+        vertexOffset += positions.length / 3;
+    });
+
+    lines.push('');
+    return new Blob([lines.join('\n')], { type: 'model/obj' });
+}
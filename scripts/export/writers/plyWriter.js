@@ -0,0 +1,64 @@
+/**
+ * PLY Writer
+ * Binary little-endian PLY with welded vertices. All objects are combined
+ * into one vertex/face list.
+ */
+
+import { buildIndexedMesh } from './meshData.js';
+
+/**
+ * Write objects to binary PLY
+ *
+ * @param {Array<Object>} objects - { name, geometry, matrix? }
+ * @param {Object} [options]
+ * @param {string} [options.title] - Written as a header comment
+ * @param {string[]} [options.notes] - Extra header comments
+ * @returns {Blob}
+ */
+export function writePLY(objects, options = {}) {
+    const meshes = objects.map(object => buildIndexedMesh(object.geometry, object.matrix));
+    const vertexCount = meshes.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0);
+    const faceCount = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+
+    const header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        `comment ${options.title || 'model'} - Playground Ceramics`,
+        'comment Units: millimetres',
+        ...(options.notes || []).map(note => `comment ${note}`.replace(/[^\x20-\x7E]/g, '?')),
+        `element vertex ${vertexCount}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        `element face ${faceCount}`,
+        'property list uchar uint vertex_indices',
+        'end_header',
+        ''
+    ].join('\n');
+
+    // Vertices: 3 x float32; faces: uchar count + 3 x uint32
+    const body = new ArrayBuffer(vertexCount * 12 + faceCount * 13);
+    const view = new DataView(body);
+    let offset = 0;
+
+    meshes.forEach(({ positions }) => {
+        positions.forEach(value => {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        });
+    });
+
+    let vertexOffset = 0;
+    meshes.forEach(({ positions, indices }) => {
+        for (let i = 0; i < indices.length; i += 3) {
+            view.setUint8(offset, 3);
+            view.setUint32(offset + 1, indices[i] + vertexOffset, true);
+            view.setUint32(offset + 5, indices[i + 1] + vertexOffset, true);
+            view.setUint32(offset + 9, indices[i + 2] + vertexOffset, true);
+            offset += 13;
+        }
+        vertexOffset += positions.length / 3;
+    });
+
+    return new Blob([header, body], { type: 'application/octet-stream' });
+}
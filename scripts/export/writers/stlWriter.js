@@ -0,0 +1,98 @@
+/**
+ * STL Writer
+ * Binary and ASCII STL. Facet normals are computed from the triangle
+ * winding, so the output does not depend on the geometry's normal attribute.
+ */
+
+import * as THREE from 'three';
+import { countTriangles, forEachTriangle, faceNormal } from './meshData.js';
+
+/**
+ * Write objects to binary STL (all objects end up in one body)
+ *
+ * @param {Array<Object>} objects - { name, geometry, matrix? }
+ * @param {Object} [options]
+ * @param {string} [options.title] - Written into the 80-byte header
+ * @returns {Blob}
+ */
+export function writeBinarySTL(objects, options = {}) {
+    const triangleCount = objects.reduce((sum, object) => sum + countTriangles(object.geometry), 0);
+
+    // Binary STL format:
+    // 80 bytes header
+    // 4 bytes triangle count (uint32)
+    // For each triangle:
+    //   12 bytes normal (3 x float32)
+    //   36 bytes vertices (3 x 3 x float32)
+    //   2 bytes attribute byte count (uint16)
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+
+    // Header must not start with "solid" or readers take it for ASCII
+    const header = `Binary STL - ${options.title || 'model'} - Playground Ceramics`
+        .replace(/[^\x20-\x7E]/g, '?');
+    for (let i = 0; i < 80; i++) {
+        view.setUint8(i, i < header.length ? header.charCodeAt(i) : 0);
+    }
+
+    view.setUint32(80, triangleCount, true);
+
+    const normal = new THREE.Vector3();
+    let offset = 84;
+
+    const writeVector = (v) => {
+        view.setFloat32(offset, v.x, true);
+        view.setFloat32(offset + 4, v.y, true);
+        view.setFloat32(offset + 8, v.z, true);
+        offset += 12;
+    };
+
+    objects.forEach(object => {
+        forEachTriangle(object.geometry, object.matrix, (a, b, c) => {
+            writeVector(faceNormal(a, b, c, normal));
+            writeVector(a);
+            writeVector(b);
+            writeVector(c);
+
+            // Attribute byte count (unused)
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        });
+    });
+
+    return new Blob([buffer], { type: 'model/stl' });
+}
+
+/**
+ * Write objects to ASCII STL (one solid per object)
+ *
+ * @param {Array<Object>} objects - { name, geometry, matrix? }
+ * @returns {Blob}
+ */
+export function writeAsciiSTL(objects) {
+    const lines = [];
+    const normal = new THREE.Vector3();
+    const format = v => `${v.x.toExponential(6)} ${v.y.toExponential(6)} ${v.z.toExponential(6)}`;
+
+    objects.forEach(object => {
+        const solidName = (object.name || 'model').replace(/\s+/g, '_');
+        lines.push(`solid ${solidName}`);
+
+        forEachTriangle(object.geometry, object.matrix, (a, b, c) => {
+            lines.push(
+                `  facet normal ${format(faceNormal(a, b, c, normal))}`,
+                '    outer loop',
+                `      vertex ${format(a)}`,
+                `      vertex ${format(b)}`,
+                `      vertex ${format(c)}`,
+                '    endloop',
+                '  endfacet'
+            );
+        });
+
+        lines.push(`endsolid ${solidName}`);
+    });
+
+    lines.push('');
+    return new Blob([lines.join('\n')], { type: 'model/stl' });
+}
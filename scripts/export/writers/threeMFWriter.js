@@ -0,0 +1,135 @@
+/**
+ * 3MF Writer
+ * Writes one or more meshes into a single 3MF package: each mesh becomes a
+ * named object in millimetres, placed on the build plate with the transform
+ * it has in the viewport.
+ */
+
+import * as THREE from 'three';
+import { ZipWriter } from '../zipWriter.js';
+import { buildIndexedMesh, roundCoordinate } from './meshData.js';
+
+export const THREE_MF_MIME_TYPE = 'model/3mf';
+
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const MODEL_PATH = '3D/3dmodel.model';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/${MODEL_PATH}" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+// Scenes are Y-up, 3MF build volumes are Z-up
+const Y_UP_TO_Z_UP = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+
+/**
+ * Write objects to a 3MF package
+ *
+ * @param {Array<Object>} objects - Objects to write
+ * @param {string} objects[].name - Object name shown in the slicer
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} objects[].geometry - Mesh data;
+ *        several geometries are combined into one object
+ * @param {THREE.Matrix4} [objects[].matrix] - Placement (e.g. mesh.matrixWorld)
+ * @param {number} [objects[].color] - Display color as hex
+ * @param {Object} [options]
+ * @param {string} [options.title] - Model title metadata
+ * @param {string[]} [options.notes] - Written as the Description metadata
+ * @returns {Blob} - 3MF file
+ */
+export function write3MF(objects, options = {}) {
+    const colored = objects.filter(object => object.color !== undefined);
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<model unit="millimeter" xml:lang="en-US" xmlns="${CORE_NAMESPACE}">`,
+        `  <metadata name="Title">${escapeXml(options.title || 'Untitled')}</metadata>`,
+        '  <metadata name="Application">Playground Ceramics</metadata>',
+        `  <metadata name="CreationDate">${new Date().toISOString().split('T')[0]}</metadata>`,
+        ...(options.notes?.length ? [`  <metadata name="Description">${escapeXml(options.notes.join('\n'))}</metadata>`] : []),
+        '  <resources>'
+    ];
+
+    // Colors go into one base material group; object ids start after it
+    const materialId = 1;
+    if (colored.length > 0) {
+        xml.push(`    <basematerials id="${materialId}">`);
+        colored.forEach(object => {
+            xml.push(`      <base name="${escapeXml(object.name)}" displaycolor="${formatColor(object.color)}"/>`);
+        });
+        xml.push('    </basematerials>');
+    }
+
+    const build = [];
+
+    objects.forEach((object, index) => {
+        const id = index + 2;
+        const colorIndex = colored.indexOf(object);
+        const material = colorIndex >= 0 ? ` pid="${materialId}" pindex="${colorIndex}"` : '';
+
+        xml.push(`    <object id="${id}" type="model" name="${escapeXml(object.name)}"${material}>`);
+        writeMesh(xml, object.geometry);
+        xml.push('    </object>');
+
+        const matrix = Y_UP_TO_Z_UP.clone();
+        if (object.matrix) matrix.multiply(object.matrix);
+        build.push(`    <item objectid="${id}" transform="${formatTransform(matrix)}"/>`);
+    });
+
+    xml.push('  </resources>', '  <build>', ...build, '  </build>', '</model>', '');
+
+    const zip = new ZipWriter();
+    zip.addFile('[Content_Types].xml', CONTENT_TYPES_XML);
+    zip.addFile('_rels/.rels', RELS_XML);
+    zip.addFile(MODEL_PATH, xml.join('\n'));
+
+    return zip.toBlob(THREE_MF_MIME_TYPE);
+}
+
+/**
+ * Write a <mesh> element. Coincident vertices are welded so slicers see
+ * closed shells, and triangles that collapse after welding are dropped.
+ */
+function writeMesh(xml, geometry) {
+    const { positions, indices } = buildIndexedMesh(geometry);
+
+    xml.push('      <mesh>', '        <vertices>');
+    for (let i = 0; i < positions.length; i += 3) {
+        xml.push(`          <vertex x="${positions[i]}" y="${positions[i + 1]}" z="${positions[i + 2]}"/>`);
+    }
+    xml.push('        </vertices>', '        <triangles>');
+    for (let i = 0; i < indices.length; i += 3) {
+        xml.push(`          <triangle v1="${indices[i]}" v2="${indices[i + 1]}" v3="${indices[i + 2]}"/>`);
+    }
+    xml.push('        </triangles>', '      </mesh>');
+}
+
+// Helper: 3MF transforms are 4x3 row-major with the translation in the last row
+function formatTransform(matrix) {
+    const e = matrix.elements;
+    return [e[0], e[1], e[2], e[4], e[5], e[6], e[8], e[9], e[10], e[12], e[13], e[14]]
+        .map(roundCoordinate)
+        .join(' ');
+}
+
+// Helper: Hex color -> #RRGGBB
+function formatColor(color) {
+    return `#${color.toString(16).padStart(6, '0').toUpperCase()}`;
+}
+
+// Helper: Escape XML attribute/text content
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,204 @@
+/**
+ * Zip Writer
+ * Minimal dependency-free ZIP archive writer, so exports work offline.
+ * toBlob() stores entries uncompressed and is synchronous, for container
+ * formats like 3MF. toCompressedBlob() deflates entries with the browser's
+ * CompressionStream where available, for multi-file downloads.
+ */
+
+const textEncoder = new TextEncoder();
+
+// Compression methods
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip Writer Class
+ */
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} path - Path inside the archive (forward slashes)
+     * @param {string|ArrayBuffer|Uint8Array} data - File contents; strings are UTF-8 encoded
+     */
+    addFile(path, data) {
+        const bytes = toBytes(data);
+        this.entries.push({
+            name: textEncoder.encode(path),
+            bytes,
+            crc: crc32(bytes)
+        });
+    }
+
+    /**
+     * Add a Blob (e.g. a file from the mesh exporter) to the archive
+     * @param {string} path - Path inside the archive (forward slashes)
+     * @param {Blob} blob
+     * @returns {Promise<void>}
+     */
+    async addBlob(path, blob) {
+        this.addFile(path, new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    /**
+     * Build the archive with every entry stored
+     * @param {string} [mimeType='application/zip']
+     * @returns {Blob}
+     */
+    toBlob(mimeType = 'application/zip') {
+        return buildArchive(this.entries, mimeType);
+    }
+
+    /**
+     * Build the archive, deflating entries where the browser supports it.
+     * Entries that would not shrink, or every entry if deflate is not
+     * available, are stored as they are.
+     * @param {string} [mimeType='application/zip']
+     * @returns {Promise<Blob>}
+     */
+    async toCompressedBlob(mimeType = 'application/zip') {
+        const entries = [];
+        // One entry at a time keeps only one compressed copy in flight
+        for (const entry of this.entries) {
+            const data = await deflateRaw(entry.bytes);
+            entries.push(data && data.length < entry.bytes.length
+                ? { ...entry, method: METHOD_DEFLATE, data }
+                : entry);
+        }
+        return buildArchive(entries, mimeType);
+    }
+}
+
+/**
+ * Lay out local headers, data and the central directory
+ * @param {Array<Object>} entries - { name, bytes, crc, method?, data? }; data
+ *        holds the compressed bytes when method is deflate
+ * @param {string} mimeType
+ * @returns {Blob}
+ */
+function buildArchive(entries, mimeType) {
+    const parts = [];
+    const central = [];
+    const { time, date } = dosDateTime(new Date());
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const method = entry.method ?? METHOD_STORED;
+        const data = entry.data ?? entry.bytes;
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);              // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);          // Flags: UTF-8 names
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, entry.crc, true);
+        local.setUint32(18, data.length, true);    // Compressed size
+        local.setUint32(22, entry.bytes.length, true);
+        local.setUint16(26, entry.name.length, true);
+        local.setUint16(28, 0, true);              // Extra field length
+
+        parts.push(local, entry.name, data);
+
+        // Central directory record
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);
+        record.setUint16(4, 20, true);             // Version made by
+        record.setUint16(6, 20, true);             // Version needed
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, method, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, entry.crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, entry.bytes.length, true);
+        record.setUint16(28, entry.name.length, true);
+        // Extra, comment, disk number, attributes stay zero
+        record.setUint32(42, offset, true);        // Local header offset
+
+        central.push(record, entry.name);
+
+        offset += 30 + entry.name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+/**
+ * Raw DEFLATE (no zlib header), as ZIP entries expect
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array|null>} Null if the browser cannot deflate
+ */
+async function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    let stream;
+    try {
+        stream = new CompressionStream('deflate-raw');
+    } catch (e) {
+        // Older browsers only know 'gzip' and 'deflate'
+        return null;
+    }
+
+    const compressed = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(compressed).arrayBuffer());
+}
+
+// Helper: Normalize file contents to bytes
+function toBytes(data) {
+    if (typeof data === 'string') return textEncoder.encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return data;
+}
+
+// Helper: MS-DOS time/date fields
+function dosDateTime(now) {
+    return {
+        time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+        date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+    };
+}
+
+export default ZipWriter;
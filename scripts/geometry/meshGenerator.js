@@ -7,12 +7,14 @@
  */
 
 import * as THREE from 'three';
-import { parameterResolver, ITEM_TYPES } from '../state/projectState.js';
+import { parameterResolver } from '../state/projectState.js';
 
 // Resolution settings
 const RADIAL_SEGMENTS = 64;
 const CURVE_SEGMENTS = 16; // Number of segments for curved walls
 const FILLET_SEGMENTS = 12; // Number of segments for corner fillets
+const RIM_BEAD_SCALE = 1.5; // Beaded rim edge diameter, relative to wall thickness
+const CAVETTO_RUN_SCALE = 2; // Minimum plate cavetto run, relative to its drop plus the wall thickness
 
 /**
  * Quadratic Bezier interpolation
@@ -417,7 +419,7 @@ function generateBaseSurfaceProfile(params, geoVals) {
     const surfaceY = baseY >= 0 ? Math.max(baseY, 0.1) : baseY;
     
     return [
-        new THREE.Vector2(0.1, surfaceY),
+        new THREE.Vector2(0, surfaceY),
         new THREE.Vector2(baseEdgeRadius, surfaceY)
     ];
 }
@@ -449,13 +451,13 @@ function generateInnerBottomProfile(params, geoVals) {
         const bottomEndRadius = Math.max(innerWallRadiusAtFilletTop - innerFilletRadius, 1);
         
         return [
-            new THREE.Vector2(0.1, innerBottomY),
+            new THREE.Vector2(0, innerBottomY),
             new THREE.Vector2(bottomEndRadius, innerBottomY)
         ];
     }
     
     return [
-        new THREE.Vector2(0.1, innerBottomY),
+        new THREE.Vector2(0, innerBottomY),
         new THREE.Vector2(innerRadiusAtWallBottom, innerBottomY)
     ];
 }
@@ -549,15 +551,24 @@ function getDefaultInnerProfile() {
 }
 
 /**
- * Generate complete mesh for an item type
+ * Generate complete mesh for an item type from the current project state
+ * @param {string} itemType - Item type key
+ * @param {ParameterResolver} resolver - Defaults to the live project resolver
+ */
+export function generateItemMesh(itemType, resolver = parameterResolver) {
+    return generateItemMeshFromParams(itemType, resolver.getAllParameters(itemType));
+}
+
+/**
+ * Generate complete mesh for an item type from resolved parameters
+ * (the output of ParameterResolver.getAllParameters). Does not touch
+ * application state, so it can be used for variants, workers or Node.
  * Uses separate geometry segments at sharp angle transitions to maintain
  * crisp profile edges (footring angles, wall angle) while having smooth
  * circumferential shading.
  */
-export function generateItemMesh(itemType) {
+export function generateItemMeshFromParams(itemType, params) {
     try {
-        const params = parameterResolver.getAllParameters(itemType);
-        
         if (!params || !params.dimensions) {
             console.error('Invalid parameters for', itemType);
             return createFallbackGeometry();
@@ -569,8 +580,14 @@ export function generateItemMesh(itemType) {
             return createFallbackGeometry();
         }
         
-        const geometries = [];
         const geoVals = calculateGeometryValues(params);
+        
+        // Plates with a well and rim have a profile of their own
+        if (params.plateProfile === 'marly') {
+            return mergeBufferGeometries(generatePlateGeometries(params, geoVals));
+        }
+        
+        const geometries = [];
         const hasFilletedCorner = geoVals.bottomCornerRadius >= 0.5;
         
         // === OUTER SURFACE (split into segments for sharp angles) ===
@@ -630,48 +647,19 @@ export function generateItemMesh(itemType) {
         // === FOOTRING/BASE AREA (if has footring) ===
         
         if (geoVals.hasFootring) {
-            // 2a. Inner footring wall (maintains sharp innerFootringAngle)
-            const innerFootringWallPoints = generateInnerFootringWallProfile(params, geoVals);
-            if (innerFootringWallPoints && innerFootringWallPoints.length >= 2) {
-                const geo = new THREE.LatheGeometry(innerFootringWallPoints, RADIAL_SEGMENTS);
-                // Flip normals for recessed base (facing outward) or keep for raised base
-                if (params.baseRecessDepth > 0) {
-                    // Recessed base - normals point outward (default is correct)
-                } else {
-                    // Raised base - normals point inward
-                    flipGeometryNormals(geo);
-                }
-                geometries.push(geo);
-            }
-            
-            // 2b. Base surface (horizontal)
-            const baseSurfacePoints = generateBaseSurfaceProfile(params, geoVals);
-            if (baseSurfacePoints && baseSurfacePoints.length >= 2) {
-                const geo = new THREE.LatheGeometry(baseSurfacePoints, RADIAL_SEGMENTS);
-                if (params.baseRecessDepth <= 0) {
-                    // Raised or flush base - surface faces down
-                    flipGeometryNormals(geo);
-                }
-                geometries.push(geo);
-            }
-            
-            // 2c. Footring bottom ring (the contact surface at y=0)
-            const footringBottomGeo = createFootringBottomRing(params, geoVals);
-            if (footringBottomGeo) {
-                geometries.push(footringBottomGeo);
-            }
+            geometries.push(...generateFootringBaseGeometries(params, geoVals));
         }
         
         // === INNER SURFACE (split for sharp wall angle) ===
         
-        // Check if this is a saucer with a cup ring
-        const isSaucerWithCupRing = itemType === 'saucer' && 
-            params.cupRingDepth !== undefined && 
+        // Check for a cup ring (the resolver only adds its parameters to items
+        // with the cupRing feature - the saucer and user-defined items)
+        const hasCupRing = params.cupRingDepth !== undefined && 
             params.cupRingDepth > 0 &&
             params.cupRingDiameter !== undefined;
         
-        if (isSaucerWithCupRing) {
-            // Generate saucer-specific inner surface with cup ring
+        if (hasCupRing) {
+            // Generate saucer-style inner surface with cup ring
             const cupRingGeometries = generateSaucerInnerSurface(params, geoVals);
             cupRingGeometries.forEach(geo => geometries.push(geo));
         } else {
@@ -682,7 +670,7 @@ export function generateItemMesh(itemType) {
             // 3a. Inner bottom surface
             const innerBottomPoints = generateInnerBottomProfile(params, geoVals);
             if (innerBottomPoints && innerBottomPoints.length >= 2) {
-                const geo = new THREE.LatheGeometry(innerBottomPoints, RADIAL_SEGMENTS);
+                const geo = createCenterDisc(innerBottomPoints[innerBottomPoints.length - 1], RADIAL_SEGMENTS);
                 flipGeometryNormals(geo); // Faces inward/down
                 geometries.push(geo);
             }
@@ -704,26 +692,6 @@ export function generateItemMesh(itemType) {
                 flipGeometryNormals(geo); // Faces inward
                 geometries.push(geo);
             }
-            
-            // 5. Bottom cap (inside bottom of vessel - closing the inner bottom)
-            const innerBottomY = geoVals.footringHeight + geoVals.thickness;
-            
-            // When there's a fillet, the cap radius needs to match where the inner fillet ends
-            let capRadius;
-            if (hasInnerFillet) {
-                const innerFilletTopY = innerBottomY + innerFilletRadius;
-                const innerWallRadiusAtFilletTop = getInnerWallRadiusAtY(innerFilletTopY, geoVals);
-                capRadius = Math.max(innerWallRadiusAtFilletTop - innerFilletRadius, 1);
-            } else {
-                capRadius = Math.max(geoVals.radiusAtWallBottom - geoVals.thickness, 5);
-            }
-            
-            const bottomGeo = createBottomCap(
-                new THREE.Vector2(0.1, innerBottomY),
-                new THREE.Vector2(capRadius, innerBottomY),
-                RADIAL_SEGMENTS
-            );
-            if (bottomGeo) geometries.push(bottomGeo);
         }
         
         // === CAPS ===
@@ -753,6 +721,281 @@ export function generateItemMesh(itemType) {
     }
 }
 
+/**
+ * Generate the base inside the footring: inner footring wall, base surface
+ * and the footring's contact ring
+ */
+function generateFootringBaseGeometries(params, geoVals) {
+    const geometries = [];
+    
+    // 2a. Inner footring wall (maintains sharp innerFootringAngle)
+    const innerFootringWallPoints = generateInnerFootringWallProfile(params, geoVals);
+    if (innerFootringWallPoints && innerFootringWallPoints.length >= 2) {
+        const geo = new THREE.LatheGeometry(innerFootringWallPoints, RADIAL_SEGMENTS);
+        // Flip normals for recessed base (facing outward) or keep for raised base
+        if (params.baseRecessDepth > 0) {
+            // Recessed base - normals point outward (default is correct)
+        } else {
+            // Raised base - normals point inward
+            flipGeometryNormals(geo);
+        }
+        geometries.push(geo);
+    }
+    
+    // 2b. Base surface (horizontal)
+    const baseSurfacePoints = generateBaseSurfaceProfile(params, geoVals);
+    if (baseSurfacePoints && baseSurfacePoints.length >= 2) {
+        const geo = createCenterDisc(baseSurfacePoints[baseSurfacePoints.length - 1], RADIAL_SEGMENTS);
+        if (params.baseRecessDepth <= 0) {
+            // Raised or flush base - surface faces down
+            flipGeometryNormals(geo);
+        }
+        geometries.push(geo);
+    }
+    
+    // 2c. Footring bottom ring (the contact surface at y=0)
+    const footringBottomGeo = createFootringBottomRing(params, geoVals);
+    if (footringBottomGeo) {
+        geometries.push(footringBottomGeo);
+    }
+    
+    return geometries;
+}
+
+/**
+ * Calculate the layout of a plate with a well and rim (plateProfile 'marly')
+ * The top surface runs in from the rim along the marly, down the cavetto and
+ * across the flat well; the foot fills the height left below the well.
+ * The rim edge stays within the item diameter and height; the rim rise and
+ * well depth shrink when they do not fit the height above the footring.
+ * @param {Object} params - Resolved item parameters with the plate settings
+ * @param {Object} [geoVals] - calculateGeometryValues(params)
+ */
+export function calculatePlateValues(params, geoVals = calculateGeometryValues(params)) {
+    const { radius, h, thickness, footringHeight, hasFootring } = geoVals;
+    const minFootHeight = hasFootring ? footringHeight : 0;
+    
+    // Marly: rimWidth in from the rim, rising at rimAngle toward the edge
+    const rimWidth = Math.min(Math.max(params.rimWidth, 1), radius * 0.6);
+    const rimAngleRad = (Math.max(params.rimAngle, 0) * Math.PI) / 180;
+    const rimRise = Math.min(rimWidth * Math.tan(rimAngleRad), Math.max(h - thickness - minFootHeight, 0));
+    
+    // Pull the rim in (and down, for a bead) by however far its edge reaches out
+    const slopeRad = Math.atan2(rimRise, rimWidth);
+    const edgePoints = generateRimEdgeProfile(
+        new THREE.Vector2(thickness * Math.sin(slopeRad), -thickness * Math.cos(slopeRad)),
+        new THREE.Vector2(0, 0),
+        params.rimEdge
+    );
+    const rimRadius = radius - Math.max(...edgePoints.map(point => point.x));
+    const rimY = h - Math.max(...edgePoints.map(point => point.y));
+    
+    const marlyRadius = rimRadius - rimWidth;
+    const marlyY = rimY - rimRise;
+    
+    // Well: wellDiameter is a percentage of the item diameter; the cavetto
+    // runs in at least twice its drop plus a wall thickness, so its bend
+    // under the marly stays wider than the wall and the underside cannot fold
+    const wellDepth = Math.min(Math.max(params.wellDepth, 0), Math.max(marlyY - thickness - minFootHeight, 0));
+    const wellY = marlyY - wellDepth;
+    const cavettoRun = Math.max((wellDepth + thickness) * CAVETTO_RUN_SCALE, 2);
+    const wellRadius = Math.max(Math.min(radius * params.wellDiameter / 100, marlyRadius - cavettoRun), 1);
+    
+    return {
+        rimWidth,
+        rimRise,
+        rimRadius,
+        rimY,
+        marlyRadius,
+        marlyY,
+        wellDepth,
+        wellY,
+        wellRadius,
+        footHeight: Math.max(wellY - thickness, 0)
+    };
+}
+
+/**
+ * Generate the top surface of a plate: marly and cavetto, from the rim
+ * inward to the edge of the well (the direction that faces the lathe outward)
+ * The cavetto leaves the marly along its slope and meets the well level.
+ */
+function generatePlateTopProfile(params, geoVals, plate) {
+    const { rimRadius, rimY, marlyRadius, marlyY, wellRadius, wellY, rimWidth, rimRise } = plate;
+    const points = [
+        new THREE.Vector2(rimRadius, rimY),
+        new THREE.Vector2(marlyRadius, marlyY)
+    ];
+    
+    const span = marlyRadius - wellRadius;
+    const slope = new THREE.Vector2(rimWidth, rimRise).normalize();
+    const p0 = new THREE.Vector2(marlyRadius, marlyY);
+    const p1 = new THREE.Vector2(marlyRadius - slope.x * span * 0.4, Math.max(marlyY - slope.y * span * 0.4, wellY));
+    const p2 = new THREE.Vector2(wellRadius + span * 0.5, wellY);
+    const p3 = new THREE.Vector2(wellRadius, wellY);
+    
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+        const t = i / CURVE_SEGMENTS;
+        const u = 1 - t;
+        points.push(new THREE.Vector2(
+            u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+            u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+        ));
+    }
+    
+    return points;
+}
+
+/**
+ * Offset a profile to the inside of the piece (left of the direction of travel)
+ * Vertices move along their averaged normals, lengthened at bends so the
+ * segments stay the full distance apart. Bends tighter than the distance
+ * fold the offset over itself; the loop is cut off where it crosses.
+ */
+function offsetProfileInward(points, distance) {
+    const normals = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const d = points[i + 1].clone().sub(points[i]);
+        normals.push(new THREE.Vector2(d.y, -d.x).normalize());
+    }
+    
+    const offset = points.map((point, i) => {
+        const before = normals[i - 1] || normals[i];
+        const after = normals[i] || normals[i - 1];
+        const normal = before.clone().add(after).normalize();
+        const scale = distance / Math.max(normal.dot(after), 0.5);
+        return point.clone().addScaledVector(normal, -scale);
+    });
+    
+    return removeProfileLoops(offset);
+}
+
+/**
+ * Cut the loops out of a profile that crosses itself, keeping both ends
+ * Each segment is joined to the last segment it crosses at the crossing.
+ */
+function removeProfileLoops(points) {
+    const result = [...points];
+    
+    for (let i = 0; i < result.length - 3; i++) {
+        for (let j = result.length - 2; j > i + 1; j--) {
+            const crossing = intersectSegments(result[i], result[i + 1], result[j], result[j + 1]);
+            if (crossing) {
+                result.splice(i + 1, j - i, crossing);
+                break;
+            }
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Crossing point of segments ab and cd, or null if they do not cross
+ */
+function intersectSegments(a, b, c, d) {
+    const r = b.clone().sub(a);
+    const q = d.clone().sub(c);
+    const denominator = r.cross(q);
+    if (Math.abs(denominator) < 1e-12) return null;
+    
+    const ac = c.clone().sub(a);
+    const t = ac.cross(q) / denominator;
+    const u = ac.cross(r) / denominator;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+    
+    return a.clone().addScaledVector(r, t);
+}
+
+/**
+ * Generate the rim edge from the underside up to the top of the rim
+ * square: a straight cut across the wall
+ * rounded: a half-round over the wall thickness
+ * beaded: a round bead RIM_BEAD_SCALE times the wall thickness across
+ */
+function generateRimEdgeProfile(underPoint, topPoint, rimEdge) {
+    if (rimEdge !== 'rounded' && rimEdge !== 'beaded') {
+        return [underPoint, topPoint];
+    }
+    
+    const halfThickness = underPoint.distanceTo(topPoint) / 2;
+    const radius = rimEdge === 'beaded' ? halfThickness * RIM_BEAD_SCALE : halfThickness;
+    const outward = new THREE.Vector2(topPoint.y - underPoint.y, underPoint.x - topPoint.x).normalize();
+    const center = underPoint.clone().add(topPoint).multiplyScalar(0.5)
+        .addScaledVector(outward, Math.sqrt(Math.max(radius * radius - halfThickness * halfThickness, 0)));
+    
+    // Sweep counterclockwise from the underside around the outside to the top
+    const start = Math.atan2(underPoint.y - center.y, underPoint.x - center.x);
+    const end = Math.atan2(topPoint.y - center.y, topPoint.x - center.x);
+    const sweep = THREE.MathUtils.euclideanModulo(end - start, Math.PI * 2);
+    
+    const points = [underPoint];
+    for (let i = 1; i < FILLET_SEGMENTS; i++) {
+        const angle = start + (i / FILLET_SEGMENTS) * sweep;
+        points.push(new THREE.Vector2(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius));
+    }
+    points.push(topPoint);
+    return points;
+}
+
+/**
+ * Generate a plate with a flat well, cavetto and marly
+ * The underside follows the top surface one wall thickness below; the foot
+ * (the footring, or a flat base without one) sits under the well.
+ * Every profile runs counterclockwise around the section, so the lathes
+ * face outward without flipping.
+ */
+function generatePlateGeometries(params, geoVals) {
+    const geometries = [];
+    const plate = calculatePlateValues(params, geoVals);
+    const { wellRadius, marlyRadius, footHeight } = plate;
+    
+    // Foot under the well
+    let footOuterRadius = wellRadius;
+    if (geoVals.hasFootring) {
+        const outerAngleRad = (params.outerFootringAngle * Math.PI) / 180;
+        footOuterRadius = THREE.MathUtils.clamp(
+            wellRadius - footHeight * Math.tan(outerAngleRad),
+            Math.min(params.footringBaseWidth + 5, marlyRadius),
+            marlyRadius
+        );
+        geometries.push(...generateFootringBaseGeometries(params, {
+            ...geoVals,
+            footringHeight: footHeight,
+            footringOuterRadius: footOuterRadius,
+            footringInnerRadius: Math.max(footOuterRadius - params.footringBaseWidth, 3)
+        }));
+    } else {
+        geometries.push(createCenterDisc(new THREE.Vector2(footOuterRadius, 0), RADIAL_SEGMENTS));
+    }
+    
+    if (footHeight > 0.01) {
+        geometries.push(new THREE.LatheGeometry([
+            new THREE.Vector2(footOuterRadius, 0),
+            new THREE.Vector2(wellRadius, footHeight)
+        ], RADIAL_SEGMENTS));
+    }
+    
+    // Top surface, and the underside offset from it (well edge out to the rim)
+    const topPoints = generatePlateTopProfile(params, geoVals, plate);
+    const undersidePoints = offsetProfileInward(topPoints, geoVals.thickness).reverse();
+    undersidePoints[0] = new THREE.Vector2(wellRadius, footHeight);
+    
+    geometries.push(new THREE.LatheGeometry(undersidePoints, RADIAL_SEGMENTS));
+    geometries.push(new THREE.LatheGeometry(
+        generateRimEdgeProfile(undersidePoints[undersidePoints.length - 1], topPoints[0], params.rimEdge),
+        RADIAL_SEGMENTS
+    ));
+    geometries.push(new THREE.LatheGeometry(topPoints, RADIAL_SEGMENTS));
+    
+    // Flat of the well, inside the top surface
+    const wellGeo = createCenterDisc(new THREE.Vector2(wellRadius, plate.wellY), RADIAL_SEGMENTS);
+    flipGeometryNormals(wellGeo);
+    geometries.push(wellGeo);
+    
+    return geometries;
+}
+
 /**
  * Generate saucer inner surface with cup ring indentation
  * The cup ring is a circular indented area where the cup base sits
@@ -800,22 +1043,10 @@ function generateSaucerInnerSurface(params, geoVals) {
     const actualIndentRadius = Math.min(indentRadius, maxIndentRadius);
     
     // 1. Indented center area (flat bottom of the indentation)
-    const indentBottomPoints = [
-        new THREE.Vector2(0.1, indentBottomY),
-        new THREE.Vector2(actualIndentRadius, indentBottomY)
-    ];
-    const indentBottomGeo = new THREE.LatheGeometry(indentBottomPoints, RADIAL_SEGMENTS);
+    const indentBottomGeo = createCenterDisc(new THREE.Vector2(actualIndentRadius, indentBottomY), RADIAL_SEGMENTS);
     flipGeometryNormals(indentBottomGeo);
     geometries.push(indentBottomGeo);
     
-    // Center cap for the indentation
-    const indentCapGeo = createBottomCap(
-        new THREE.Vector2(0.1, indentBottomY),
-        new THREE.Vector2(actualIndentRadius, indentBottomY),
-        RADIAL_SEGMENTS
-    );
-    if (indentCapGeo) geometries.push(indentCapGeo);
-    
     // 2. Vertical wall of indentation (going up from indent bottom to main surface level)
     const indentWallPoints = [
         new THREE.Vector2(actualIndentRadius, indentBottomY),
@@ -974,8 +1205,8 @@ function createRimCap(outerPoint, innerPoint, segments) {
         const c = a + 2;
         const d = a + 3;
         
-        indices.push(a, c, b);
-        indices.push(b, c, d);
+        indices.push(a, b, c);
+        indices.push(b, d, c);
     }
     
     const geometry = new THREE.BufferGeometry();
@@ -986,20 +1217,24 @@ function createRimCap(outerPoint, innerPoint, segments) {
     return geometry;
 }
 
-function createBottomCap(centerPoint, edgePoint, segments) {
-    if (!centerPoint || !edgePoint) return null;
-    
-    const y = centerPoint.y;
-    const innerRadius = edgePoint.x;
+/**
+ * Create a flat disc fanned from a single center vertex out to the edge
+ * point's radius
+ * The ring and winding match a LatheGeometry of (0, y) to the edge point, so
+ * the disc faces down like that lathe would and meets its neighbours' rings.
+ */
+function createCenterDisc(edgePoint, segments) {
+    const radius = edgePoint.x;
+    const y = edgePoint.y;
     
     const vertices = [0, y, 0];
-    const normals = [0, -1, 0]; // Center faces down (into vessel)
+    const normals = [0, -1, 0];
     const indices = [];
     
     for (let i = 0; i <= segments; i++) {
         const angle = (i / segments) * Math.PI * 2;
-        vertices.push(innerRadius * Math.cos(angle), y, innerRadius * Math.sin(angle));
-        normals.push(0, -1, 0); // Face down (into vessel)
+        vertices.push(radius * Math.sin(angle), y, radius * Math.cos(angle));
+        normals.push(0, -1, 0);
     }
     
     for (let i = 1; i <= segments; i++) {
@@ -1084,16 +1319,16 @@ function mergeBufferGeometries(geometries) {
     return merged;
 }
 
-export function generateAllMeshes() {
+export function generateAllMeshes(resolver = parameterResolver) {
     const meshes = {};
-    ITEM_TYPES.forEach(itemType => {
-        meshes[itemType] = generateItemMesh(itemType);
+    resolver.getItemTypes().forEach(itemType => {
+        meshes[itemType] = generateItemMesh(itemType, resolver);
     });
     return meshes;
 }
 
-export function getItemDimensions(itemType) {
-    const params = parameterResolver.getAllParameters(itemType);
+export function getItemDimensions(itemType, resolver = parameterResolver) {
+    const params = resolver.getAllParameters(itemType);
     return {
         diameter: Math.round((params.dimensions?.diameter || 100) * 10) / 10,
         height: Math.round((params.dimensions?.height || 50) * 10) / 10
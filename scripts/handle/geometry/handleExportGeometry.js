@@ -0,0 +1,73 @@
+/**
+ * Handle Export Geometry
+ * Builds the handle mesh in the requested export orientation, and the mug
+ * it attaches to for handle + mug pairs.
+ * File formats are written by the shared mesh exporter.
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { generateHandleMesh } from './handleMeshGenerator.js';
+
+// Around the mug (a multiple of 4, so the lathe and the discs share their rim vertices)
+const MUG_SEGMENTS = 64;
+
+/**
+ * Generate the handle mesh for export
+ * 
+ * @param {Object} handleParams - Handle parameters
+ * @param {Object} mugData - Mug reference data
+ * @param {string} orientation - 'mug-relative' or 'centered'
+ * @returns {THREE.BufferGeometry}
+ */
+export function generateHandleExportGeometry(handleParams, mugData, orientation = 'mug-relative') {
+    const geometry = generateHandleMesh(handleParams, mugData);
+    
+    // Apply orientation transformation if needed
+    if (orientation === 'centered') {
+        // Center the geometry at origin
+        geometry.computeBoundingBox();
+        const center = new THREE.Vector3();
+        geometry.boundingBox.getCenter(center);
+        geometry.translate(-center.x, -center.y, -center.z);
+    }
+    
+    return geometry;
+}
+
+/**
+ * Generate the mug the handle is shaped against as a closed, printable body:
+ * the tapered cup of the preview with a floor one wall thick. It shares the
+ * handle's mug-relative origin (bottom center), so the pair lines up.
+ *
+ * @param {Object} mugData - Mug reference data
+ * @returns {THREE.BufferGeometry}
+ */
+export function generateMugBodyGeometry(mugData) {
+    // Same fallbacks as the handle path when no mug is loaded
+    const topRadius = mugData.loaded ? mugData.topDiameter / 2 : 40;
+    const bottomRadius = mugData.loaded ? mugData.bottomDiameter / 2 : 30;
+    const height = mugData.loaded ? mugData.height : 95;
+    const thickness = mugData.wallThickness || 2.5;
+    const floorRadius = bottomRadius + (topRadius - bottomRadius) * (thickness / height) - thickness;
+    
+    // Up the outside, across the rim and down the inside to the floor
+    // (counterclockwise around the wall section, so the lathe faces out)
+    const wall = new THREE.LatheGeometry([
+        new THREE.Vector2(bottomRadius, 0),
+        new THREE.Vector2(topRadius, height),
+        new THREE.Vector2(topRadius - thickness, height),
+        new THREE.Vector2(floorRadius, thickness)
+    ], MUG_SEGMENTS);
+    
+    const base = new THREE.CircleGeometry(bottomRadius, MUG_SEGMENTS);
+    base.rotateX(Math.PI / 2);     // Faces down
+    
+    const floor = new THREE.CircleGeometry(floorRadius, MUG_SEGMENTS);
+    floor.rotateX(-Math.PI / 2);   // Faces up, into the mug
+    floor.translate(0, thickness, 0);
+    
+    const geometry = mergeGeometries([wall, base, floor]);
+    [wall, base, floor].forEach(part => part.dispose());
+    return geometry;
+}
@@ -67,6 +67,37 @@ export function generateHandleMesh(handleParams, mugData) {
     return geometry;
 }
 
+/**
+ * Sample where each cross-section of the handle sits and how it is scaled
+ * Matches sweepCrossSectionAlongPath, for builders that sweep their own
+ * cross-section along the handle (the press mold cavity).
+ *
+ * A cross-section point (x, y) lands at position + normal * x * scale,
+ * z = y * scale * depthScale.
+ *
+ * @param {Object} handleParams - Handle parameters
+ * @param {Object} mugData - Mug reference data
+ * @param {number} pathSegments - Number of path segments
+ * @returns {Array<{ t: number, position: THREE.Vector3, normal: THREE.Vector3, scale: number, depthScale: number }>}
+ */
+export function getHandleSections(handleParams, mugData, pathSegments = 96) {
+    const {
+        crossSectionWidth,
+        crossSectionHeight,
+        handleWidth,
+        attachmentRadius = 8,
+    } = handleParams;
+
+    const path = generateHandlePath(handleParams, mugData);
+    const filletZones = getFilletZones(path, handleParams);
+    const crossSectionRadius = (crossSectionWidth + crossSectionHeight) / 4;
+
+    return samplePathPoints(path, pathSegments).map(({ t, position, normal }) => {
+        const { scale } = getFilletFactors(t, filletZones, attachmentRadius, crossSectionRadius);
+        return { t, position, normal, scale, depthScale: handleWidth / 25 * scale };
+    });
+}
+
 /**
  * Calculate fillet scale factor based on position using circular arc profile
  * 
@@ -0,0 +1,451 @@
+/**
+ * Handle Press Mold Generator
+ * Builds a two-part press / slip mold for the handle, split on the handle's
+ * mid-plane - the plane of handlePathGenerator's path (z = 0).
+ *
+ * Both handle ends run straight on past the attachment points to the mold's
+ * top face on the mug side. That extra length is the spare, cut away when
+ * the handle is fitted to the mug; the top end widens into the pour gate
+ * there. Half A (z < 0) carries the natch keys, half B (z > 0) the sockets.
+ *
+ * Each half is a solid block. Half A is built like half B and mirrored, so
+ * the cavity, parting face and outside faces share one set of code.
+ */
+
+import * as THREE from 'three';
+import { getHandleSections } from './handleMeshGenerator.js';
+import { getCrossSectionPoints } from './handleCrossSectionBuilder.js';
+import { createNatchMesh, getNatchExtent } from '../../castForm/geometry/natchGeometry.js';
+
+const PATH_SEGMENTS = 96;
+const CROSS_SECTION_SEGMENTS = 32;
+const SPARE_SEGMENTS = 4;
+const MIN_GATE_GAP = 3;             // Mold left between the two openings on the top face (mm)
+const NATCH_MARGIN = 2;             // Mold left around a natch (mm)
+const NATCH_EMBED = 0.5;            // Keys reach this far into their half so they fuse with it
+const MIN_TRIANGLE_AREA = 0.001;    // mm² - smaller ears are left for later
+const ON_EDGE_DISTANCE = 0.001;     // mm - vertices this close to an ear block it
+const EPS = 1e-9;
+
+/**
+ * Generate the two mold halves
+ *
+ * @param {Object} handleParams - Handle parameters
+ * @param {Object} mugData - Mug reference data
+ * @param {Object} moldParams - Press mold parameters (DEFAULT_MOLD_PARAMS)
+ * @returns {{ halves: THREE.BufferGeometry[], skippedNatches: number, pourGateFlare: number }}
+ *          halves are [half A (keys), half B (sockets)], assembled in handle
+ *          coordinates; pourGateFlare is the flare used, which may be less
+ *          than asked for when the handle ends are close together
+ * @throws {Error} If the handle ends are too close together to leave the mold
+ */
+export function generateHandleMold(handleParams, mugData, moldParams) {
+    const layout = getMoldLayout(handleParams, mugData, moldParams);
+    const natches = getNatchLayout(layout, moldParams);
+
+    return {
+        halves: [
+            buildHalf(layout, natches.centers, moldParams, 'A'),
+            buildHalf(layout, natches.centers, moldParams, 'B')
+        ],
+        skippedNatches: natches.skipped,
+        pourGateFlare: layout.pourGateFlare
+    };
+}
+
+/**
+ * Cavity rings and block size
+ * Each ring is the half of a handle cross-section in front of the parting
+ * plane, from its inner edge (toward the mug) round to its outer edge.
+ */
+function getMoldLayout(handleParams, mugData, moldParams) {
+    const {
+        crossSectionWidth,
+        crossSectionHeight,
+        crossSectionType = 'oval',
+        crossSectionCornerRadius = 3,
+    } = handleParams;
+    const { wallThickness, spareLength } = moldParams;
+
+    const halfSection = getUpperHalf(getCrossSectionPoints(
+        crossSectionWidth,
+        crossSectionHeight,
+        CROSS_SECTION_SEGMENTS,
+        crossSectionType,
+        crossSectionCornerRadius
+    ));
+
+    const sections = getHandleSections(handleParams, mugData, PATH_SEGMENTS);
+    const bottom = sections[0];
+    const top = sections[sections.length - 1];
+    const faceX = Math.min(bottom.position.x, top.position.x) - spareLength;
+
+    // Widen the gate only as far as the top face has room for
+    const halfWidth = crossSectionWidth / 2;
+    const room = top.position.y - bottom.position.y - halfWidth * bottom.scale - MIN_GATE_GAP;
+    if (room < halfWidth * top.scale) {
+        throw new Error('The handle ends are too close together for a mold - move the attachment points apart or use a smaller attachment radius');
+    }
+    const pourGateFlare = Math.min(moldParams.pourGateFlare, room / (halfWidth * top.scale));
+
+    // Straight runs from the attachment points out to the top face
+    const spare = (end, flare) => Array.from({ length: SPARE_SEGMENTS }, (_, i) => {
+        const u = (i + 1) / SPARE_SEGMENTS;
+        return {
+            ...end,
+            position: new THREE.Vector3(u === 1 ? faceX : THREE.MathUtils.lerp(end.position.x, faceX, u), end.position.y, 0),
+            scale: end.scale * THREE.MathUtils.lerp(1, flare, u)
+        };
+    });
+    const allSections = [...spare(bottom, 1).reverse(), ...sections, ...spare(top, pourGateFlare)];
+
+    const rings = allSections.map(({ position, normal, scale, depthScale }) => halfSection.map(point => new THREE.Vector3(
+        position.x + normal.x * point.x * scale,
+        position.y + normal.y * point.x * scale,
+        point.y * scale * depthScale
+    )));
+
+    // A corner tighter than the cross-section folds the handle over itself
+    const edgeChains = [rings.map(ring => ring[0]), rings.map(ring => ring[ring.length - 1])];
+    if (edgeChains.some(chain => crossesItself(chain.map(p => new THREE.Vector2(p.x, p.y))))) {
+        throw new Error('The handle folds over itself at a corner - use larger corner radii or a thinner cross-section');
+    }
+
+    const bounds = new THREE.Box3().setFromPoints(rings.flat());
+    return {
+        rings,
+        xMin: faceX,
+        xMax: bounds.max.x + wallThickness,
+        yMin: bounds.min.y - wallThickness,
+        yMax: bounds.max.y + wallThickness,
+        depth: bounds.max.z + wallThickness,
+        pourGateFlare
+    };
+}
+
+/**
+ * The +y half of a cross-section, from its +x end on the parting plane round
+ * to its -x end. Handle cross-sections are symmetric, so the ends sit at
+ * x = ±half the width.
+ * @param {Array<{x: number, y: number}>} points - Closed cross-section
+ * @returns {THREE.Vector2[]}
+ */
+function getUpperHalf(points) {
+    const halfWidth = Math.max(...points.map(p => Math.abs(p.x)));
+    const upper = points
+        .filter(p => p.y > 1e-6)
+        .map(p => new THREE.Vector2(p.x, p.y))
+        .sort((a, b) => Math.atan2(a.y, a.x) - Math.atan2(b.y, b.x))
+        .filter((p, i, list) => i === 0 || p.distanceTo(list[i - 1]) > 1e-6);
+
+    return [new THREE.Vector2(halfWidth, 0), ...upper, new THREE.Vector2(-halfWidth, 0)];
+}
+
+/**
+ * Natch centers on the parting face, one per corner of the block
+ * Natches that would come too close to the cavity are left out.
+ * @returns {{ centers: THREE.Vector2[], skipped: number }}
+ */
+function getNatchLayout({ rings, xMin, xMax, yMin, yMax }, moldParams) {
+    const { natchCount, natchStyle, natchDiameter, natchTolerance, wallThickness } = moldParams;
+    const extent = getNatchExtent(natchStyle, natchDiameter / 2 + natchTolerance);
+    const insetX = Math.max(wallThickness / 2, extent.side + NATCH_MARGIN);
+    const insetBottom = Math.max(wallThickness / 2, extent.down + NATCH_MARGIN);
+    const insetTop = Math.max(wallThickness / 2, extent.up + NATCH_MARGIN);
+    const reach = Math.max(extent.side, extent.up, extent.down) + NATCH_MARGIN;
+
+    // Opposite corners first, so two natches still lock both directions
+    const corners = [
+        new THREE.Vector2(xMax - insetX, yMin + insetBottom),
+        new THREE.Vector2(xMin + insetX, yMax - insetTop),
+        new THREE.Vector2(xMin + insetX, yMin + insetBottom),
+        new THREE.Vector2(xMax - insetX, yMax - insetTop)
+    ].slice(0, natchCount);
+
+    // Cavity outline on the parting face
+    const inner = rings.map(ring => ring[0]);
+    const outer = rings.map(ring => ring[ring.length - 1]);
+    const segments = [inner, outer].flatMap(chain =>
+        chain.slice(1).map((p, i) => [new THREE.Vector2(chain[i].x, chain[i].y), new THREE.Vector2(p.x, p.y)]));
+
+    const centers = corners.filter(center =>
+        segments.every(([a, b]) => distanceToSegment(center, a, b) >= reach));
+
+    return { centers, skipped: corners.length - centers.length };
+}
+
+/**
+ * Build one mold half
+ *
+ * Built as half B (block in z > 0, parting face on z = 0); half A is the
+ * same block mirrored through the parting plane, with keys instead of sockets.
+ *
+ * @param {Object} layout - getMoldLayout result
+ * @param {THREE.Vector2[]} natches - Natch centers
+ * @param {Object} moldParams
+ * @param {string} half - 'A' or 'B'
+ * @returns {THREE.BufferGeometry}
+ */
+function buildHalf(layout, natches, moldParams, half) {
+    const { rings, xMin, xMax, yMin, yMax, depth } = layout;
+    const positions = [];
+    const indices = [];
+
+    const addVertex = (x, y, z) => {
+        positions.push(x, y, z);
+        return positions.length / 3 - 1;
+    };
+    const vertex = i => new THREE.Vector3().fromArray(positions, i * 3);
+
+    // Wind each triangle so its normal points along `normal`
+    const addTriangle = (a, b, c, normal) => {
+        const pa = vertex(a);
+        const n = vertex(b).sub(pa).cross(vertex(c).sub(pa));
+        indices.push(...(n.dot(normal) < 0 ? [a, c, b] : [a, b, c]));
+    };
+    const addQuad = (a, b, c, d, normal) => {
+        addTriangle(a, b, c, normal);
+        addTriangle(a, c, d, normal);
+    };
+
+    // Cavity - one winding for the whole grid, picked at the crown of the
+    // middle section, which faces straight back at the parting plane
+    const ringIndices = rings.map(ring => ring.map(p => addVertex(p.x, p.y, p.z)));
+    const last = rings[0].length - 1;
+    const quadAt = (k, j) => [ringIndices[k][j], ringIndices[k][j + 1], ringIndices[k + 1][j + 1], ringIndices[k + 1][j]];
+    const [a, b, c] = quadAt(Math.floor(rings.length / 2), Math.floor(last / 2)).map(vertex);
+    const flip = b.sub(a).cross(c.sub(a)).z > 0;
+    for (let k = 0; k < rings.length - 1; k++) {
+        for (let j = 0; j < last; j++) {
+            const [qa, qb, qc, qd] = quadAt(k, j);
+            indices.push(...(flip ? [qa, qc, qb, qa, qd, qc] : [qa, qb, qc, qa, qc, qd]));
+        }
+    }
+
+    // Block corners, on the parting face (z = 0) and the back (z = depth)
+    const face = [[xMin, yMin], [xMax, yMin], [xMax, yMax], [xMin, yMax]].map(([x, y]) => addVertex(x, y, 0));
+    const back = [[xMin, yMin], [xMax, yMin], [xMax, yMax], [xMin, yMax]].map(([x, y]) => addVertex(x, y, depth));
+
+    addQuad(...back, new THREE.Vector3(0, 0, 1));
+    addQuad(face[1], face[2], back[2], back[1], new THREE.Vector3(1, 0, 0));
+    addQuad(face[0], face[1], back[1], back[0], new THREE.Vector3(0, -1, 0));
+    addQuad(face[3], face[2], back[2], back[3], new THREE.Vector3(0, 1, 0));
+
+    // Top face (x = xMin) with the spare and pour gate openings
+    const bottomEnd = ringIndices[0];
+    const topEnd = ringIndices[ringIndices.length - 1];
+    const topFace = [face[0], ...[...bottomEnd].reverse(), ...topEnd, face[3], back[3], back[0]];
+    triangulatePolygon(i => new THREE.Vector2(positions[i * 3 + 1], positions[i * 3 + 2]), topFace)
+        .forEach(([a, b, c]) => addTriangle(a, b, c, new THREE.Vector3(-1, 0, 0)));
+
+    // Natches, placed so the local +z of natchGeometry points out of the
+    // parting face into the half they belong to
+    const { natchStyle, natchDiameter, natchDepth, natchTolerance } = moldParams;
+    const holes = [];
+    natches.forEach(center => {
+        const natch = half === 'A'
+            ? createNatchMesh(natchStyle, natchDiameter / 2, natchDepth, { embed: NATCH_EMBED })
+            : createNatchMesh(natchStyle, natchDiameter / 2 + natchTolerance, natchDepth + natchTolerance, { socket: true });
+
+        // Half turn about y: x and z flip, the winding stays
+        const base = positions.length / 3;
+        for (let i = 0; i < natch.positions.length; i += 3) {
+            addVertex(center.x - natch.positions[i], center.y + natch.positions[i + 1], -natch.positions[i + 2]);
+        }
+        natch.indices.forEach(i => indices.push(base + i));
+
+        if (half === 'B') {
+            holes.push(Array.from({ length: natch.rimCount }, (_, i) => base + i));
+        }
+    });
+
+    // Parting face - inside the handle loop, and around it with the sockets
+    const partingNormal = new THREE.Vector3(0, 0, -1);
+    const project = i => new THREE.Vector2(positions[i * 3], positions[i * 3 + 1]);
+    const inner = ringIndices.map(ring => ring[0]);
+    const outer = ringIndices.map(ring => ring[last]).reverse();
+    [
+        ...triangulatePolygon(project, inner),
+        ...triangulatePolygon(project, [...face, ...outer], holes)
+    ].forEach(([a, b, c]) => addTriangle(a, b, c, partingNormal));
+
+    // Half A is the mirror image through the parting plane
+    if (half === 'A') {
+        for (let i = 2; i < positions.length; i += 3) {
+            positions[i] = -positions[i];
+        }
+        for (let i = 0; i < indices.length; i += 3) {
+            [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Triangulate a polygon with holes by ear clipping
+ * THREE.ShapeUtils drops collinear points, which would leave T-junctions
+ * where the face meets the cavity and natch rims, so every vertex is kept
+ * and only ears with real area are clipped.
+ *
+ * @param {Function} project - Vertex index -> THREE.Vector2
+ * @param {number[]} outline - Vertex indices, either winding
+ * @param {number[][]} [holes] - Vertex indices of each hole, either winding
+ * @returns {number[][]} Triangles as vertex index triples
+ * @throws {Error} If the polygon cannot be triangulated (it crosses itself)
+ */
+function triangulatePolygon(project, outline, holes = []) {
+    const points = new Map();
+    [outline, ...holes].flat().forEach(i => points.set(i, project(i)));
+
+    const area = loop => loop.reduce((sum, i, k) => {
+        const a = points.get(i);
+        const b = points.get(loop[(k + 1) % loop.length]);
+        return sum + a.x * b.y - b.x * a.y;
+    }, 0);
+
+    // Counter-clockwise outline, clockwise holes
+    let ring = area(outline) > 0 ? [...outline] : [...outline].reverse();
+    const holeLoops = holes.map(hole => area(hole) < 0 ? [...hole] : [...hole].reverse());
+
+    // Join each hole to the outline with a bridge, rightmost holes first
+    const rightmost = loop => loop.reduce((best, i) => points.get(i).x > points.get(best).x ? i : best);
+    holeLoops.sort((a, b) => points.get(rightmost(b)).x - points.get(rightmost(a)).x);
+    holeLoops.forEach((hole, h) => {
+        const m = rightmost(hole);
+        const at = findBridge(points, ring, holeLoops.slice(h), m);
+        const start = hole.indexOf(m);
+        ring.splice(at + 1, 0, ...hole.slice(start), ...hole.slice(0, start), m, ring[at]);
+    });
+
+    return clipEars(points, ring);
+}
+
+/**
+ * Position in the ring of the nearest outline vertex a hole vertex can see
+ * @returns {number}
+ */
+function findBridge(points, ring, holes, m) {
+    const from = points.get(m);
+    const edges = [ring, ...holes].flatMap(loop => loop.map((i, k) => [points.get(i), points.get(loop[(k + 1) % loop.length])]));
+
+    const candidates = ring
+        .map((i, at) => ({ at, to: points.get(i) }))
+        .sort((a, b) => a.to.distanceTo(from) - b.to.distanceTo(from));
+
+    const bridge = candidates.find(({ to }) => {
+        const crosses = edges.some(([a, b]) =>
+            !a.equals(from) && !b.equals(from) && !a.equals(to) && !b.equals(to) &&
+            segmentsTouch(from, to, a, b));
+        if (crosses) return false;
+
+        const middle = from.clone().add(to).multiplyScalar(0.5);
+        return isInside(middle, ring.map(i => points.get(i))) &&
+            holes.every(hole => !isInside(middle, hole.map(i => points.get(i))));
+    });
+
+    if (!bridge) {
+        throw new Error('Could not lay out the mold parting face - try a smaller natch or a thicker mold wall');
+    }
+    return bridge.at;
+}
+
+/**
+ * Clip ears off a counter-clockwise ring until one triangle is left
+ * @returns {number[][]}
+ */
+function clipEars(points, ring) {
+    const triangles = [];
+    let k = 0;
+    let misses = 0;
+
+    while (ring.length > 3) {
+        const n = ring.length;
+        const ids = [ring[(k + n - 1) % n], ring[k], ring[(k + 1) % n]];
+        const [a, b, c] = ids.map(i => points.get(i));
+
+        // Vertices on or right next to the ear would be left in a sliver
+        const isEar = cross(a, b, c) > 2 * MIN_TRIANGLE_AREA && !ring.some(i => {
+            const p = points.get(i);
+            if (p.equals(a) || p.equals(b) || p.equals(c)) return false;
+            return cross(a, b, p) >= -ON_EDGE_DISTANCE * a.distanceTo(b) &&
+                cross(b, c, p) >= -ON_EDGE_DISTANCE * b.distanceTo(c) &&
+                cross(c, a, p) >= -ON_EDGE_DISTANCE * c.distanceTo(a);
+        });
+
+        if (isEar) {
+            triangles.push(ids);
+            ring.splice(k, 1);
+            k = (k + ring.length - 1) % ring.length;
+            misses = 0;
+        } else {
+            k = (k + 1) % n;
+            if (++misses > n) {
+                throw new Error('Could not lay out the mold parting face - the handle outline crosses itself');
+            }
+        }
+    }
+
+    triangles.push(ring);
+    return triangles;
+}
+
+// Helper: Twice the signed area of triangle abc
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+// Helper: Segments pq and ab intersect or touch
+function segmentsTouch(p, q, a, b) {
+    const d1 = cross(p, q, a);
+    const d2 = cross(p, q, b);
+    const d3 = cross(a, b, p);
+    const d4 = cross(a, b, q);
+    if (((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+        ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS))) {
+        return true;
+    }
+
+    // Collinear touches
+    const onSegment = (s, e, point) => Math.abs(cross(s, e, point)) <= EPS &&
+        Math.min(s.x, e.x) - EPS <= point.x && point.x <= Math.max(s.x, e.x) + EPS &&
+        Math.min(s.y, e.y) - EPS <= point.y && point.y <= Math.max(s.y, e.y) + EPS;
+    return onSegment(p, q, a) || onSegment(p, q, b) || onSegment(a, b, p) || onSegment(a, b, q);
+}
+
+// Helper: Any two non-neighboring segments of a polyline touch
+function crossesItself(points) {
+    for (let i = 0; i < points.length - 1; i++) {
+        for (let j = i + 2; j < points.length - 1; j++) {
+            if (segmentsTouch(points[i], points[i + 1], points[j], points[j + 1])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Helper: Even-odd point in polygon test
+function isInside(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Helper: Distance from a point to segment ab
+function distanceToSegment(point, a, b) {
+    const ab = b.clone().sub(a);
+    const t = THREE.MathUtils.clamp(point.clone().sub(a).dot(ab) / Math.max(ab.lengthSq(), EPS), 0, 1);
+    return a.clone().addScaledVector(ab, t).distanceTo(point);
+}
@@ -3,18 +3,49 @@
  * Entry point for the mug handle generator app
  */
 
+import * as THREE from 'three';
 import { init as initThemeManager } from '../ui/themeManager.js';
-import { handleStateManager, DEFAULT_HANDLE_PARAMS, PARAM_CONSTRAINTS } from './state/handleState.js';
+import {
+    handleStateManager,
+    DEFAULT_HANDLE_PARAMS,
+    PARAM_CONSTRAINTS,
+    DEFAULT_MOLD_PARAMS,
+    MOLD_PARAM_CONSTRAINTS
+} from './state/handleState.js';
 import { initHandleViewport, getHandleViewport } from './ui/handleViewport.js';
 import { initCrossSectionPreview, getCrossSectionPreview } from './ui/crossSectionPreview.js';
 import { initDimensionOverlays, getDimensionOverlays } from './ui/dimensionOverlays.js';
 import { showMugImportModal, getDinnerwareProjects } from './ui/mugImporter.js';
-import { exportHandleToSTL, downloadSTL, getSuggestedFilename } from './geometry/handleSTLExporter.js';
+import { generateHandleExportGeometry, generateMugBodyGeometry } from './geometry/handleExportGeometry.js';
+import { generateHandleMold } from './geometry/handleMoldGenerator.js';
+import {
+    exportMeshes,
+    downloadBlob,
+    downloadFiles,
+    downloadFilesAsZip,
+    downloadProjectBundle,
+    getExportFormat,
+    getExportFilename,
+    getBundleFilename,
+    populateFormatSelect,
+    summarizeRepairs
+} from '../export/meshExporter.js';
 import { ProjectFileFormat } from '../storage/fileFormat.js';
+import { HistoryMenu, handleHistoryShortcut, sealHistoryOnCommit } from '../ui/historyMenu.js';
+import { MeshCheckPanel } from '../ui/meshCheckPanel.js';
+import { PrinterSettings } from '../ui/printerSettings.js';
+import { printerProfiles } from '../printer/printerProfiles.js';
+import { estimateObjects, formatEstimate, describeEstimate } from '../printer/printEstimator.js';
 
 // Storage key for handle projects
 const HANDLE_STORAGE_KEY = 'playground_ceramics_handle_projects';
 
+// Export modal mesh check (created on first export)
+let meshCheckPanel = null;
+
+// Warnings from the last press mold build (skipped natches, reduced gate, failures)
+let moldWarnings = [];
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     init();
@@ -36,18 +67,34 @@ async function init() {
     // Initialize parameter controls
     initParameterControls();
     
+    // Initialize press mold controls
+    initMoldControls();
+    
     // Initialize panel sections
     initPanelSections();
     
     // Initialize header buttons
     initHeaderButtons();
     
+    // Initialize undo/redo history
+    initHistory();
+    
+    // Initialize keyboard shortcuts
+    initKeyboardShortcuts();
+    
     // Initialize footer controls
     initFooterControls();
     
     // Subscribe to state changes
     handleStateManager.subscribe(onStateChange);
     
+    // Re-check build volume against the newly selected printer
+    printerProfiles.subscribe(() => {
+        handleStateManager.validateParameters();
+        updateWarnings();
+        updatePrintEstimate();
+    });
+    
     // Check if we should show mug import modal on startup
     const urlParams = new URLSearchParams(window.location.search);
     const projectId = urlParams.get('project');
@@ -180,6 +227,152 @@ function initParameterControls() {
     initCrossSectionTypeSelector();
 }
 
+/**
+ * Initialize press mold controls
+ */
+function initMoldControls() {
+    document.querySelectorAll('.parameter-row[data-mold-param]').forEach(row => {
+        const param = row.dataset.moldParam;
+        const rangeInput = row.querySelector('input[type="range"]');
+        const numberInput = row.querySelector('input[type="number"]');
+        const select = row.querySelector('select');
+        const resetBtn = row.querySelector('.btn-reset');
+        
+        if (rangeInput && numberInput) {
+            rangeInput.addEventListener('input', () => {
+                numberInput.value = rangeInput.value;
+                handleMoldParamChange(param, parseFloat(rangeInput.value));
+            });
+            
+            numberInput.addEventListener('change', () => {
+                const constraints = MOLD_PARAM_CONSTRAINTS[param];
+                let value = parseFloat(numberInput.value);
+                if (isNaN(value)) value = DEFAULT_MOLD_PARAMS[param];
+                value = Math.max(constraints.min, Math.min(constraints.max, value));
+                numberInput.value = value;
+                rangeInput.value = value;
+                handleMoldParamChange(param, value);
+            });
+        }
+        
+        // Natch style and count
+        if (select) {
+            select.addEventListener('change', () => {
+                const value = param === 'natchCount' ? parseInt(select.value, 10) : select.value;
+                handleMoldParamChange(param, value);
+            });
+        }
+        
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                const defaultValue = DEFAULT_MOLD_PARAMS[param];
+                if (rangeInput) rangeInput.value = defaultValue;
+                if (numberInput) numberInput.value = defaultValue;
+                handleMoldParamChange(param, defaultValue);
+            });
+        }
+    });
+    
+    // Switch the viewport between the handle and its mold
+    const showMold = document.getElementById('showPressMold');
+    if (showMold) {
+        showMold.addEventListener('change', () => {
+            handleStateManager.setViewSetting('viewMode', showMold.checked ? 'mold' : 'handle');
+            applyViewMode();
+            regenerateHandle();
+        });
+    }
+}
+
+/**
+ * Handle press mold parameter changes
+ */
+function handleMoldParamChange(param, value) {
+    handleStateManager.setMoldParam(param, value);
+    if (handleStateManager.getState().viewSettings.viewMode === 'mold') {
+        regenerateMold();
+    }
+}
+
+/**
+ * Show the handle or the press mold in the viewport
+ */
+function applyViewMode() {
+    const { viewSettings } = handleStateManager.getState();
+    const showMold = viewSettings.viewMode === 'mold';
+    
+    getHandleViewport()?.setViewMode(viewSettings.viewMode);
+    
+    // Handle dimensions do not apply to the mold blocks
+    getDimensionOverlays()?.setVisible(viewSettings.showDimensions && !showMold);
+    
+    if (!showMold && moldWarnings.length > 0) {
+        moldWarnings = [];
+        updateWarnings();
+    }
+}
+
+/**
+ * Rebuild the press mold preview and its warnings
+ */
+function regenerateMold() {
+    const state = handleStateManager.getState();
+    const viewport = getHandleViewport();
+    if (!viewport) return;
+    
+    viewport.updateMold(state.handleParams, state.mugData, state.moldParams).then(result => {
+        // A newer request replaced this one
+        if (!result) return;
+        
+        moldWarnings = getMoldWarnings(result, state.moldParams);
+        updateWarnings();
+    }).catch(error => {
+        console.error('Press mold generation error:', error);
+        viewport.clearMold();
+        moldWarnings = [{
+            id: 'mold-failed',
+            type: 'error',
+            title: 'Press mold could not be built',
+            message: error.message,
+            param: 'wallThickness',
+        }];
+        updateWarnings();
+    });
+}
+
+/**
+ * Describe compromises the mold generator had to make
+ * @param {Object} result - generateHandleMold result
+ * @param {Object} moldParams - Requested mold parameters
+ * @returns {Array<Object>} Warnings in handleState's format
+ */
+function getMoldWarnings(result, moldParams) {
+    const warnings = [];
+    
+    if (result.skippedNatches > 0) {
+        const count = result.skippedNatches;
+        warnings.push({
+            id: 'mold-natches-skipped',
+            type: 'warning',
+            title: 'Natches left out',
+            message: `${count} natch${count > 1 ? 'es' : ''} would cut into the handle cavity - use a thicker wall or smaller natches`,
+            param: 'natchDiameter',
+        });
+    }
+    
+    if (result.pourGateFlare < moldParams.pourGateFlare - 0.01) {
+        warnings.push({
+            id: 'mold-gate-flare',
+            type: 'warning',
+            title: 'Pour gate flare reduced',
+            message: `The handle ends are close together, so the pour gate flares ${result.pourGateFlare.toFixed(1)}× instead of ${moldParams.pourGateFlare}×`,
+            param: 'pourGateFlare',
+        });
+    }
+    
+    return warnings;
+}
+
 /**
  * Initialize cross-section type selector
  */
@@ -292,8 +485,12 @@ function regenerateHandle() {
     const crossSectionPreview = getCrossSectionPreview();
     
     if (viewport) {
-        viewport.updateHandle(state.handleParams, state.mugData);
+        viewport.updateHandle(state.handleParams, state.mugData).then(updatePrintEstimate);
         viewport.updateMug(state.mugData);
+        
+        if (state.viewSettings.viewMode === 'mold') {
+            regenerateMold();
+        }
     }
     
     if (crossSectionPreview) {
@@ -315,6 +512,19 @@ function regenerateHandle() {
     updateWarnings();
 }
 
+/**
+ * Update the filament and time estimate in the footer
+ */
+function updatePrintEstimate() {
+    const handleMesh = getHandleViewport()?.handleMesh;
+    const estimateEl = document.getElementById('printEstimate');
+    if (!estimateEl) return;
+    
+    const estimate = handleMesh ? estimateObjects([{ geometry: handleMesh.geometry }]) : null;
+    estimateEl.textContent = estimate ? formatEstimate(estimate) : '';
+    estimateEl.title = estimate ? describeEstimate(estimate).join('\n') : '';
+}
+
 /**
  * Update dimension overlays
  */
@@ -422,6 +632,58 @@ function initHeaderButtons() {
     });
 }
 
+/**
+ * Initialize undo/redo history menu
+ */
+function initHistory() {
+    sealHistoryOnCommit(handleStateManager.history);
+    
+    const container = document.getElementById('historyMenuContainer');
+    if (container) {
+        new HistoryMenu(container, handleStateManager.history, {
+            onUndo: undo,
+            onRedo: redo,
+        });
+    }
+}
+
+/**
+ * Initialize keyboard shortcuts
+ */
+function initKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        // Ctrl/Cmd + Z = Undo, Ctrl/Cmd + Shift + Z = Redo
+        handleHistoryShortcut(e, {
+            undo: () => undo(),
+            redo: () => redo(),
+        });
+    });
+}
+
+/**
+ * Undo handle changes
+ */
+function undo(steps = 1) {
+    let count = 0;
+    while (count < steps && handleStateManager.undo()) count++;
+    if (count > 0) {
+        updateUI();
+        regenerateHandle();
+    }
+}
+
+/**
+ * Redo undone handle changes
+ */
+function redo(steps = 1) {
+    let count = 0;
+    while (count < steps && handleStateManager.redo()) count++;
+    if (count > 0) {
+        updateUI();
+        regenerateHandle();
+    }
+}
+
 /**
  * Initialize footer controls
  */
@@ -481,6 +743,12 @@ function initFooterControls() {
     
     // Warnings menu
     initWarningsMenu();
+    
+    // Printer section of the settings menu
+    const printerContainer = document.getElementById('printerSettings');
+    if (printerContainer) {
+        new PrinterSettings(printerContainer);
+    }
 }
 
 /**
@@ -529,7 +797,7 @@ function initViewMenu() {
     // Display toggles
     const toggles = {
         'btnCrossSection': { setting: 'showCrossSection', toggle: 'crossSectionToggle', action: (v) => getHandleViewport()?.setShowCrossSection(v) },
-        'btnToggleDimensions': { setting: 'showDimensions', toggle: 'dimensionsToggle', action: (v) => getDimensionOverlays()?.setVisible(v) },
+        'btnToggleDimensions': { setting: 'showDimensions', toggle: 'dimensionsToggle', action: (v) => getDimensionOverlays()?.setVisible(v && handleStateManager.getState().viewSettings.viewMode !== 'mold') },
         'btnToggleOutlines': { setting: 'showAttachmentOutlines', toggle: 'outlinesToggle', action: (v) => getHandleViewport()?.setShowAttachmentOutlines(v) },
         'btnToggleGrid': { setting: 'showGrid', toggle: 'gridToggle', action: (v) => getHandleViewport()?.setShowGrid(v) },
     };
@@ -568,7 +836,7 @@ function initWarningsMenu() {
  * Update warnings display
  */
 function updateWarnings() {
-    const warnings = handleStateManager.getWarnings();
+    const warnings = [...handleStateManager.getWarnings(), ...moldWarnings];
     const container = document.getElementById('warningsMenuContainer');
     const countEl = document.getElementById('warningCount');
     const listEl = document.getElementById('warningsList');
@@ -697,6 +965,21 @@ function updateUI() {
         updateMatchMugWallAngle(true);
     }
     
+    // Update press mold controls
+    Object.entries(state.moldParams).forEach(([param, value]) => {
+        const row = document.querySelector(`.parameter-row[data-mold-param="${param}"]`);
+        if (row) {
+            row.querySelectorAll('input, select').forEach(input => {
+                input.value = value;
+            });
+        }
+    });
+    
+    const showMold = document.getElementById('showPressMold');
+    if (showMold) {
+        showMold.checked = state.viewSettings.viewMode === 'mold';
+    }
+    applyViewMode();
 }
 
 /**
@@ -873,6 +1156,16 @@ function showSaveSuccessToast(projectName) {
  * Download project as JSON file
  */
 function downloadProjectFile(name) {
+    const { filename, blob } = createProjectFile(name);
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Build the project file, for saving to disk or bundling with an export
+ * @param {string} name - Project name
+ * @returns {{ filename: string, blob: Blob }}
+ */
+function createProjectFile(name) {
     const state = handleStateManager.getState();
     const projectId = state.project.id || generateId();
     const now = new Date().toISOString();
@@ -893,26 +1186,7 @@ function downloadProjectFile(name) {
         },
     };
 
-    // Create enhanced JSON format
-    const enhancedData = ProjectFileFormat.serialize(projectData, 'handle');
-    const json = JSON.stringify(enhancedData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    // Generate filename with timestamp
-    const filename = ProjectFileFormat.generateFilename(
-        name,
-        'handle',
-        new Date()
-    );
-
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    return ProjectFileFormat.createFile(projectData, 'handle', name);
 }
 
 /**
@@ -1037,6 +1311,54 @@ function loadProjectById(projectId) {
     }
 }
 
+/**
+ * Build export objects for the handle, the handle with its mug, or the
+ * handle's press mold halves
+ * @param {string} target - 'handle', 'pair' or 'mold'
+ * @param {string} orientation - Handle orientation ('mug-relative' or 'centered')
+ * @returns {Array<Object>} Mesh exporter objects
+ * @throws {Error} If the mold cannot be built for this handle
+ */
+function getExportObjects(target, orientation = 'mug-relative') {
+    const state = handleStateManager.getState();
+    
+    // The pair shares the mug's origin, so the handle ends meet the wall
+    if (target === 'pair') {
+        return [
+            {
+                name: `${state.project.name} Handle`,
+                part: 'Handle',
+                geometry: generateHandleExportGeometry(state.handleParams, state.mugData, 'mug-relative')
+            },
+            {
+                name: `${state.project.name} Mug`,
+                part: 'Mug',
+                geometry: generateMugBodyGeometry(state.mugData)
+            }
+        ];
+    }
+    
+    if (target !== 'mold') {
+        return [{
+            name: state.project.name,
+            geometry: generateHandleExportGeometry(state.handleParams, state.mugData, orientation)
+        }];
+    }
+    
+    // Halves stay in handle coordinates; one-file formats get them pulled apart
+    const { halves } = generateHandleMold(state.handleParams, state.mugData, state.moldParams);
+    const gap = state.moldParams.wallThickness;
+    return halves.map((geometry, index) => {
+        const label = index === 0 ? 'A' : 'B';
+        return {
+            name: `Mold Half ${label}`,
+            part: `Mold_Half_${label}`,
+            geometry,
+            matrix: new THREE.Matrix4().makeTranslation(0, 0, index === 0 ? -gap : gap)
+        };
+    });
+}
+
 /**
  * Show export modal
  */
@@ -1044,12 +1366,104 @@ function showExportModal() {
     const modal = document.getElementById('exportModal');
     const state = handleStateManager.getState();
     
-    // Update filename preview
     const filenameEl = document.getElementById('exportFilename');
-    filenameEl.textContent = getSuggestedFilename(state.project.name);
+    const noteEl = document.getElementById('exportNote');
+    const formatSelect = document.getElementById('exportFormat');
+    const orientationGroup = document.getElementById('exportOrientationGroup');
+    const zipGroup = document.getElementById('exportZipGroup');
+    const zipCheckbox = document.getElementById('exportMoldZip');
+    const projectCheckbox = document.getElementById('exportWithProject');
+    const targetInputs = document.querySelectorAll('input[name="exportTarget"]');
+    if (formatSelect.options.length === 0) {
+        populateFormatSelect(formatSelect);
+    }
+    
+    // Start on the mold when that is what the viewport shows
+    const startTarget = state.viewSettings.viewMode === 'mold' ? 'mold' : 'handle';
+    targetInputs.forEach(input => {
+        input.checked = input.value === startTarget;
+    });
+    const getTarget = () => document.querySelector('input[name="exportTarget"]:checked').value;
+    
+    // Mold halves are built once per opening and shared by check and export
+    let moldObjects = null;
+    let moldError = null;
+    const getMoldObjects = () => {
+        if (!moldObjects && !moldError) {
+            try {
+                moldObjects = getExportObjects('mold');
+            } catch (error) {
+                console.error('Press mold generation error:', error);
+                moldError = error;
+            }
+        }
+        if (moldError) throw moldError;
+        return moldObjects;
+    };
+    
+    // Two-part targets and their file part names
+    const targetParts = {
+        mold: { zip: 'PressMold', parts: ['Mold_Half_A', 'Mold_Half_B'] },
+        pair: { zip: 'HandleAndMug', parts: ['Handle', 'Mug'] }
+    };
+    const targetNotes = {
+        handle: 'Handle will be exported with attachment geometry for boolean union with mug.',
+        pair: 'The handle and the mug it is shaped against share the mug origin. The handle ends reach into the wall for a boolean union.',
+        mold: 'Half A carries the natch keys, half B the sockets. Both handle ends run on as spare to the pour face - trim it off before attaching.'
+    };
+    
+    const updateTarget = () => {
+        const target = getTarget();
+        const multiPart = targetParts[target];
+        const format = getExportFormat(formatSelect.value);
+        const zip = multiPart && !format.multiObject && zipCheckbox.checked;
+        
+        orientationGroup.style.display = target === 'handle' ? '' : 'none';
+        zipGroup.style.display = multiPart && !format.multiObject && !projectCheckbox.checked ? '' : 'none';
+        
+        if (projectCheckbox.checked) {
+            filenameEl.textContent = getBundleFilename(state.project.name, 'handle');
+        } else if (!multiPart || format.multiObject) {
+            filenameEl.textContent = getExportFilename(state.project.name, 'handle', format.id);
+        } else if (zip) {
+            filenameEl.textContent = ProjectFileFormat.generateFilename(state.project.name, 'handle', new Date(), {
+                extension: 'zip',
+                part: multiPart.zip
+            });
+        } else {
+            filenameEl.textContent = multiPart.parts
+                .map(part => getExportFilename(state.project.name, 'handle', format.id, part))
+                .join(', ');
+        }
+        
+        noteEl.textContent = targetNotes[target];
+    };
+    
+    // Orientation only moves the handle, so one check covers both
+    const updateMeshCheck = () => {
+        if (getTarget() !== 'mold') {
+            meshCheckPanel.check(getExportObjects(getTarget()));
+            return;
+        }
+        try {
+            meshCheckPanel.check(getMoldObjects());
+        } catch (error) {
+            meshCheckPanel.check([]);
+        }
+    };
+    
+    const onTargetChange = () => {
+        updateTarget();
+        updateMeshCheck();
+    };
+    
+    updateTarget();
     
     modal.style.display = 'flex';
     
+    meshCheckPanel ??= new MeshCheckPanel(document.getElementById('meshCheck'));
+    updateMeshCheck();
+    
     const confirmBtn = document.getElementById('btnConfirmExport');
     const cancelBtn = document.getElementById('btnCancelExport');
     const closeBtn = document.getElementById('btnCloseExportModal');
@@ -1057,6 +1471,10 @@ function showExportModal() {
     
     const handleExport = async () => {
         const orientation = document.querySelector('input[name="exportOrientation"]:checked').value;
+        const format = formatSelect.value;
+        const target = getTarget();
+        const withProject = projectCheckbox.checked;
+        const zip = target !== 'handle' && !getExportFormat(format).multiObject && zipCheckbox.checked;
         
         // Show progress
         const progressEl = document.getElementById('exportProgress');
@@ -1068,31 +1486,45 @@ function showExportModal() {
         progressFill.style.width = '30%';
         
         // Generate and export
-        setTimeout(() => {
+        setTimeout(async () => {
             try {
-                progressText.textContent = 'Creating STL...';
+                const objects = target === 'mold' ? getMoldObjects() : getExportObjects(target, orientation);
+                
+                progressText.textContent = 'Writing file...';
                 progressFill.style.width = '60%';
                 
-                const blob = exportHandleToSTL(
-                    state.handleParams,
-                    state.mugData,
-                    { orientation }
+                const { files, warnings, repairs, estimates } = exportMeshes(
+                    objects,
+                    {
+                        format,
+                        projectName: state.project.name,
+                        appType: 'handle',
+                        repair: meshCheckPanel.repair
+                    }
                 );
+                warnings.forEach(warning => console.warn('Export:', warning));
                 
                 progressText.textContent = 'Downloading...';
                 progressFill.style.width = '90%';
                 
-                downloadSTL(blob, getSuggestedFilename(state.project.name));
+                if (withProject) {
+                    await downloadProjectBundle(createProjectFile(state.project.name), files, state.project.name, 'handle');
+                } else if (zip) {
+                    await downloadFilesAsZip(files, filenameEl.textContent);
+                } else {
+                    await downloadFiles(files);
+                }
                 
                 progressFill.style.width = '100%';
-                progressText.textContent = 'Complete!';
+                const repairSummary = repairs.length > 0 ? ` ${summarizeRepairs(repairs)}.` : '';
+                progressText.textContent = `Complete!${repairSummary} ${estimates.map(formatEstimate).join(' / ')}`;
                 
                 setTimeout(() => {
                     modal.style.display = 'none';
                     progressEl.style.display = 'none';
                     progressFill.style.width = '0%';
                     cleanup();
-                }, 500);
+                }, repairs.length > 0 ? 1500 : 500);
             } catch (error) {
                 console.error('Export error:', error);
                 alert('Export failed: ' + error.message);
@@ -1107,12 +1539,20 @@ function showExportModal() {
     };
     
     const cleanup = () => {
+        formatSelect.removeEventListener('change', updateTarget);
+        zipCheckbox.removeEventListener('change', updateTarget);
+        projectCheckbox.removeEventListener('change', updateTarget);
+        targetInputs.forEach(input => input.removeEventListener('change', onTargetChange));
         confirmBtn.removeEventListener('click', handleExport);
         cancelBtn.removeEventListener('click', handleClose);
         closeBtn.removeEventListener('click', handleClose);
         backdrop.removeEventListener('click', handleClose);
     };
     
+    formatSelect.addEventListener('change', updateTarget);
+    zipCheckbox.addEventListener('change', updateTarget);
+    projectCheckbox.addEventListener('change', updateTarget);
+    targetInputs.forEach(input => input.addEventListener('change', onTargetChange));
     confirmBtn.addEventListener('click', handleExport);
     cancelBtn.addEventListener('click', handleClose);
     closeBtn.addEventListener('click', handleClose);
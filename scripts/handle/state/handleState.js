@@ -3,6 +3,9 @@
  * Manages all state for the mug handle generator application
  */
 
+import { CommandHistory } from '../../state/commandHistory.js';
+import { printerProfiles, checkBedFit } from '../../printer/printerProfiles.js';
+
 // Default handle parameters
 export const DEFAULT_HANDLE_PARAMS = {
     // Handle Dimensions
@@ -46,6 +49,28 @@ export const PARAM_CONSTRAINTS = {
     verticalArmAngle: { min: -30, max: 30, step: 1, unit: '°' },
 };
 
+// Default press mold parameters
+export const DEFAULT_MOLD_PARAMS = {
+    wallThickness: 20,          // mm - plaster around the handle cavity
+    spareLength: 20,            // mm - straight run from each handle end to the pour face
+    pourGateFlare: 1.5,         // × - widening of the upper end into a pour gate
+    natchStyle: 'hemisphere',   // hemisphere, cone or keyhole
+    natchCount: 4,              // registration keys at the block corners (0-4)
+    natchDiameter: 10,          // mm
+    natchDepth: 5,              // mm
+    natchTolerance: 0.2,        // mm - socket clearance on half B
+};
+
+// Press mold parameter constraints
+export const MOLD_PARAM_CONSTRAINTS = {
+    wallThickness: { min: 10, max: 40, step: 1, unit: 'mm' },
+    spareLength: { min: 5, max: 40, step: 1, unit: 'mm' },
+    pourGateFlare: { min: 1, max: 2.5, step: 0.1, unit: '×' },
+    natchDiameter: { min: 6, max: 15, step: 1, unit: 'mm' },
+    natchDepth: { min: 3, max: 10, step: 0.5, unit: 'mm' },
+    natchTolerance: { min: 0.1, max: 0.5, step: 0.05, unit: 'mm' },
+};
+
 // Application state structure
 const createInitialState = () => ({
     // Project metadata
@@ -71,6 +96,9 @@ const createInitialState = () => ({
     // Handle parameters
     handleParams: { ...DEFAULT_HANDLE_PARAMS },
     
+    // Press mold parameters
+    moldParams: { ...DEFAULT_MOLD_PARAMS },
+    
     // View settings
     viewSettings: {
         cameraView: 'side',             // side, threeQuarter, top, bottom
@@ -79,6 +107,7 @@ const createInitialState = () => ({
         showAttachmentOutlines: true,
         showGrid: true,
         mugDisplayMode: 'transparent',  // transparent, wireframe, solid, hidden
+        viewMode: 'handle',             // handle, mold
     },
     
     // UI state
@@ -97,7 +126,7 @@ class HandleStateManager {
     constructor() {
         this.state = createInitialState();
         this.listeners = new Set();
-        this.historyEnabled = false; // Not needed for V1
+        this.history = new CommandHistory({ trackedPaths: ['handleParams', 'mugData', 'moldParams'] });
     }
     
     // Get current state (immutable)
@@ -128,6 +157,7 @@ class HandleStateManager {
     
     // Update handle parameter
     setHandleParam(param, value) {
+        this.history.record(`handleParams.${param}`, this.state.handleParams[param], value);
         this.state = {
             ...this.state,
             handleParams: {
@@ -145,6 +175,7 @@ class HandleStateManager {
     
     // Batch update handle parameters
     setHandleParams(params) {
+        const oldParams = this.state.handleParams;
         this.state = {
             ...this.state,
             handleParams: {
@@ -156,12 +187,31 @@ class HandleStateManager {
                 hasUnsavedChanges: true,
             },
         };
+        this.history.record('handleParams', oldParams, this.state.handleParams);
         this.validateParameters();
         this.notify(['handleParams']);
     }
     
+    // Update press mold parameter
+    setMoldParam(param, value) {
+        this.history.record(`moldParams.${param}`, this.state.moldParams[param], value);
+        this.state = {
+            ...this.state,
+            moldParams: {
+                ...this.state.moldParams,
+                [param]: value,
+            },
+            ui: {
+                ...this.state.ui,
+                hasUnsavedChanges: true,
+            },
+        };
+        this.notify(['moldParams', param]);
+    }
+    
     // Update mug data
     setMugData(mugData) {
+        const previous = { mugData: this.state.mugData, handleParams: this.state.handleParams };
         this.state = {
             ...this.state,
             mugData: {
@@ -176,6 +226,17 @@ class HandleStateManager {
         };
         // Apply smart defaults based on mug dimensions
         this.applySmartDefaults();
+        
+        // Swapping mugs is undoable; the initial mug selection starts the history
+        if (previous.mugData.loaded) {
+            this.history.beginGroup('Change Mug');
+            this.history.record('mugData', previous.mugData, this.state.mugData);
+            this.history.record('handleParams', previous.handleParams, this.state.handleParams);
+            this.history.endGroup();
+        } else {
+            this.history.clear();
+        }
+        
         this.validateParameters();
         this.notify(['mugData']);
     }
@@ -260,6 +321,7 @@ class HandleStateManager {
     // Reset to new project
     resetToNew() {
         this.state = createInitialState();
+        this.history.clear();
         this.notify(['all']);
     }
     
@@ -277,15 +339,56 @@ class HandleStateManager {
                 ...DEFAULT_HANDLE_PARAMS,
                 ...projectData.handleParams,
             },
+            moldParams: {
+                ...DEFAULT_MOLD_PARAMS,
+                ...projectData.moldParams,
+            },
             viewSettings: {
                 ...this.state.viewSettings,
                 ...projectData.viewSettings,
             },
         };
+        this.history.clear();
         this.validateParameters();
         this.notify(['all']);
     }
     
+    // Undo the most recent change, returns the reverted entry or null
+    undo() {
+        return this.history.undo(changes => this.applyHistoryChanges(changes));
+    }
+    
+    // Redo the most recently undone change, returns the entry or null
+    redo() {
+        return this.history.redo(changes => this.applyHistoryChanges(changes));
+    }
+    
+    // Write values restored from history back into state
+    applyHistoryChanges(changes) {
+        const changedBranches = new Set();
+        
+        changes.forEach(({ path, value }) => {
+            const [branch, key] = path.split('.');
+            this.state = {
+                ...this.state,
+                [branch]: key === undefined
+                    ? value
+                    : { ...this.state[branch], [key]: value },
+            };
+            changedBranches.add(branch);
+        });
+        
+        this.state = {
+            ...this.state,
+            ui: {
+                ...this.state.ui,
+                hasUnsavedChanges: true,
+            },
+        };
+        this.validateParameters();
+        this.notify([...changedBranches]);
+    }
+    
     // Get serializable project data
     getProjectData() {
         return {
@@ -294,6 +397,7 @@ class HandleStateManager {
             project: this.state.project,
             mugData: this.state.mugData,
             handleParams: this.state.handleParams,
+            moldParams: this.state.moldParams,
             viewSettings: this.state.viewSettings,
         };
     }
@@ -352,6 +456,31 @@ class HandleStateManager {
             });
         }
         
+        // Check the handle fits the selected printer, standing up or laid flat
+        const printer = printerProfiles.getActiveProfile();
+        const upright = checkBedFit({
+            shape: 'rect',
+            width: handleParams.handleProtrusion,
+            depth: handleParams.handleWidth,
+            height: handleHeight,
+        }, printer);
+        const flat = checkBedFit({
+            shape: 'rect',
+            width: handleParams.handleProtrusion,
+            depth: handleHeight,
+            height: handleParams.handleWidth,
+        }, printer);
+        
+        if (!upright.fits && !flat.fits) {
+            warnings.push({
+                id: 'build-volume',
+                type: 'warning',
+                title: 'Too large for printer',
+                message: `Handle does not fit ${printer.name}: ${upright.issues.join('; ')}`,
+                param: 'handleProtrusion',
+            });
+        }
+        
         this.state.warnings = warnings;
     }
     
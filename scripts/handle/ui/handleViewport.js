@@ -6,10 +6,11 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { 
-    generateHandleMesh, 
     generateMugPreviewMesh,
     generateAttachmentZoneGeometry 
 } from '../geometry/handleMeshGenerator.js';
+import { MeshWorkerClient } from '../../workers/meshWorkerClient.js';
+import { storeMeasurement } from '../../printer/printEstimator.js';
 
 class HandleViewport {
     constructor(containerId) {
@@ -21,9 +22,11 @@ class HandleViewport {
         
         // Meshes
         this.handleMesh = null;
+        this.meshWorker = new MeshWorkerClient();
         this.mugMesh = null;
         this.attachmentZones = null;
         this.grid = null;
+        this.moldGroup = null;
         
         // Settings
         this.showGrid = true;
@@ -31,9 +34,11 @@ class HandleViewport {
         this.showAttachmentOutlines = true;
         this.mugDisplayMode = 'transparent';
         this.showCrossSection = false;
+        this.viewMode = 'handle';
         
         // Materials
         this.handleMaterial = null;
+        this.moldMaterials = [];
         this.mugMaterials = {};
         
         // Clipping for cross-section
@@ -138,6 +143,14 @@ class HandleViewport {
             side: THREE.DoubleSide,
         });
         
+        // Mold half materials - plaster white for half A, a cooler tint for half B
+        this.moldMaterials = [0xf2efe9, 0xd9e2ea].map(color => new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.8,
+            metalness: 0.0,
+            flatShading: true,
+        }));
+        
         // Mug materials for different display modes
         this.mugMaterials = {
             transparent: new THREE.MeshStandardMaterial({
@@ -175,16 +188,30 @@ class HandleViewport {
         }
     }
     
-    updateHandle(handleParams, mugData) {
+    async updateHandle(handleParams, mugData) {
+        // Attachment zones are cheap - keep them in step with the sliders
+        this.updateAttachmentZones(handleParams, mugData);
+        
+        // Generate new handle mesh in the mesh worker
+        let result;
+        try {
+            result = await this.meshWorker.generate('handle', { handleParams, mugData });
+        } catch (error) {
+            console.error('Handle generation error:', error);
+            return;
+        }
+        
+        // A newer request replaced this one
+        if (!result) return;
+        
         // Remove existing handle mesh
         if (this.handleMesh) {
             this.scene.remove(this.handleMesh);
             this.handleMesh.geometry.dispose();
         }
         
-        // Generate new handle mesh
-        const geometry = generateHandleMesh(handleParams, mugData);
-        this.handleMesh = new THREE.Mesh(geometry, this.handleMaterial);
+        this.handleMesh = new THREE.Mesh(result.geometry, this.handleMaterial);
+        storeMeasurement(result.geometry, result.measurement);
         
         // Apply clipping if cross-section is enabled
         if (this.showCrossSection) {
@@ -193,10 +220,69 @@ class HandleViewport {
             this.handleMaterial.clippingPlanes = [];
         }
         
+        this.handleMesh.visible = this.viewMode !== 'mold';
         this.scene.add(this.handleMesh);
+    }
+    
+    /**
+     * Regenerate the press mold preview
+     * The halves are pulled apart along z so the cavity and natches show.
+     * @returns {Promise<Object|null>} Mold result, or null if superseded
+     * @throws {Error} If the mold cannot be built for this handle
+     */
+    async updateMold(handleParams, mugData, moldParams) {
+        const result = await this.meshWorker.generate(
+            'handleMold',
+            { handleParams, mugData, moldParams },
+            { key: 'handleMold' }
+        );
+        
+        // A newer request replaced this one
+        if (!result) return null;
+        
+        this.clearMold();
+        
+        this.moldGroup = new THREE.Group();
+        const gap = moldParams.wallThickness;
+        result.halves.forEach((geometry, index) => {
+            const mesh = new THREE.Mesh(geometry, this.moldMaterials[index]);
+            mesh.position.z = index === 0 ? -gap : gap;
+            this.moldGroup.add(mesh);
+        });
+        this.moldGroup.visible = this.viewMode === 'mold';
+        this.scene.add(this.moldGroup);
         
-        // Update attachment zones
-        this.updateAttachmentZones(handleParams, mugData);
+        return result;
+    }
+    
+    clearMold() {
+        if (this.moldGroup) {
+            this.scene.remove(this.moldGroup);
+            this.moldGroup.children.forEach(mesh => mesh.geometry.dispose());
+            this.moldGroup = null;
+        }
+    }
+    
+    /**
+     * Switch between the handle and its press mold
+     * @param {string} mode - 'handle' or 'mold'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode;
+        const showHandle = mode !== 'mold';
+        
+        if (this.handleMesh) {
+            this.handleMesh.visible = showHandle;
+        }
+        if (this.mugMesh) {
+            this.mugMesh.visible = showHandle && this.mugDisplayMode !== 'hidden';
+        }
+        if (this.attachmentZones) {
+            this.attachmentZones.visible = showHandle && this.showAttachmentOutlines;
+        }
+        if (this.moldGroup) {
+            this.moldGroup.visible = !showHandle;
+        }
     }
     
     updateMug(mugData) {
@@ -215,6 +301,7 @@ class HandleViewport {
         const material = this.mugMaterials[this.mugDisplayMode] || this.mugMaterials.transparent;
         
         this.mugMesh = new THREE.Mesh(geometry, material);
+        this.mugMesh.visible = this.viewMode !== 'mold';
         this.scene.add(this.mugMesh);
     }
     
@@ -230,6 +317,7 @@ class HandleViewport {
         
         // Generate attachment zone visualization
         this.attachmentZones = generateAttachmentZoneGeometry(handleParams, mugData);
+        this.attachmentZones.visible = this.viewMode !== 'mold';
         this.scene.add(this.attachmentZones);
     }
     
@@ -240,7 +328,7 @@ class HandleViewport {
             if (mode === 'hidden') {
                 this.mugMesh.visible = false;
             } else {
-                this.mugMesh.visible = true;
+                this.mugMesh.visible = this.viewMode !== 'mold';
                 this.mugMesh.material = this.mugMaterials[mode] || this.mugMaterials.transparent;
             }
         }
@@ -299,7 +387,7 @@ class HandleViewport {
         this.showAttachmentOutlines = show;
         
         if (this.attachmentZones) {
-            this.attachmentZones.visible = show;
+            this.attachmentZones.visible = show && this.viewMode !== 'mold';
         }
     }
     
@@ -413,6 +501,8 @@ class HandleViewport {
     
     dispose() {
         // Clean up resources
+        this.meshWorker.dispose();
+        
         if (this.handleMesh) {
             this.handleMesh.geometry.dispose();
             this.handleMesh.material.dispose();
@@ -422,6 +512,8 @@ class HandleViewport {
             this.mugMesh.geometry.dispose();
         }
         
+        this.clearMold();
+        this.moldMaterials.forEach(mat => mat.dispose());
         Object.values(this.mugMaterials).forEach(mat => mat.dispose());
         
         this.renderer.dispose();
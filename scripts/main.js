@@ -7,22 +7,40 @@ import {
     stateManager, 
     parameterResolver,
     ITEM_TYPES, 
-    ITEM_NAMES,
     DEFAULT_PARAMETERS,
     PARAMETER_CONSTRAINTS,
-    DEFAULT_RATIOS
+    DEFAULT_RATIOS,
+    BASE_DIMENSIONS,
+    ITEM_FEATURES,
+    CUSTOM_ITEM_CONSTRAINTS,
+    DEFAULT_PLATE_SETTINGS,
+    getRatiosToPlate
 } from './state/projectState.js';
 import { initViewport, getViewport } from './ui/viewport.js';
 import { generateItemMesh, getItemDimensions } from './geometry/meshGenerator.js';
-import { exportMultipleSTL } from './geometry/stlExporter.js';
+import {
+    exportMeshes,
+    downloadBlob,
+    downloadFiles,
+    downloadFilesAsZip,
+    downloadProjectBundle,
+    populateFormatSelect,
+    summarizeRepairs
+} from './export/meshExporter.js';
 import { warningSystem, clampValue, roundToStep } from './utils/validation.js';
 import { saveProject as saveToStorage, getProject } from './dashboard/projectStorage.js';
 import { init as initTheme } from './ui/themeManager.js';
 import { ProjectFileFormat } from './storage/fileFormat.js';
+import { HistoryMenu, handleHistoryShortcut, sealHistoryOnCommit } from './ui/historyMenu.js';
+import { MeshCheckPanel } from './ui/meshCheckPanel.js';
+import { PrinterSettings } from './ui/printerSettings.js';
+import { printerProfiles } from './printer/printerProfiles.js';
+import { estimateObjects, combineEstimates, formatEstimate, describeEstimate } from './printer/printEstimator.js';
 
 // DOM Elements
 let viewport;
 let elements = {};
+let meshCheckPanel;
 
 /**
  * Initialize the application
@@ -33,6 +51,7 @@ function init() {
     
     // Initialize viewport
     viewport = initViewport(elements.viewport);
+    viewport.onItemUpdated = () => updateStatusInfo();
     
     // Check if we're editing an existing project from the dashboard
     const editingProjectId = localStorage.getItem('dinnerware_editing_project_id');
@@ -55,10 +74,13 @@ function init() {
     initParameterControls();
     initItemProportions();
     initOverrideControls();
+    initCustomItemControls();
     initFooterControls();
     initHeaderButtons();
     initModals();
     initSectionCollapse();
+    initHistoryControls();
+    initPrinterSettings();
     
     // Generate initial meshes
     viewport.updateAllItems();
@@ -91,7 +113,23 @@ function cacheElements() {
         itemProportionsGrid: document.getElementById('itemProportionsGrid'),
         overrideItemSelect: document.getElementById('overrideItemSelect'),
         overrideControls: document.getElementById('overrideControls'),
+        itemsMenuList: document.querySelector('.items-menu-list'),
+        customItemList: document.getElementById('customItemList'),
+        customItemForm: document.getElementById('customItemForm'),
+        customItemName: document.getElementById('customItemName'),
+        customItemDiameter: document.getElementById('customItemDiameter'),
+        customItemHeight: document.getElementById('customItemHeight'),
+        customItemWidthRatio: document.getElementById('customItemWidthRatio'),
+        customItemHeightRatio: document.getElementById('customItemHeightRatio'),
+        customItemFeatures: document.getElementById('customItemFeatures'),
+        plateProfileSelect: document.getElementById('plateProfileSelect'),
+        plateRimEdgeSelect: document.getElementById('plateRimEdgeSelect'),
+        btnSaveCustomItem: document.getElementById('btnSaveCustomItem'),
+        btnCancelCustomItem: document.getElementById('btnCancelCustomItem'),
         exportModal: document.getElementById('exportModal'),
+        exportFormat: document.getElementById('exportFormat'),
+        exportAsZip: document.getElementById('exportAsZip'),
+        exportWithProject: document.getElementById('exportWithProject'),
         exportItemList: document.getElementById('exportItemList'),
         exportProgress: document.getElementById('exportProgress'),
         exportProgressFill: document.getElementById('exportProgressFill'),
@@ -147,6 +185,14 @@ function initParameterControls() {
             });
         }
     });
+    
+    // Plate profile and rim edge
+    elements.plateProfileSelect.addEventListener('change', () => {
+        handleParameterChange('plateProfile', elements.plateProfileSelect.value);
+    });
+    elements.plateRimEdgeSelect.addEventListener('change', () => {
+        handleParameterChange('rimEdge', elements.plateRimEdgeSelect.value);
+    });
 }
 
 /**
@@ -156,13 +202,24 @@ function handleParameterChange(paramName, value) {
     // Check if it's a saucer setting
     if (paramName === 'cupRingDepth') {
         stateManager.setState('saucerSettings.cupRingDepth', value);
-        viewport.updateItem('saucer');
+        
+        // The saucer and any user-defined items with a cup ring
+        parameterResolver.getItemTypes()
+            .filter(itemType => parameterResolver.hasFeature(itemType, 'cupRing'))
+            .forEach(itemType => viewport.updateItem(itemType));
+    } else if (paramName in DEFAULT_PLATE_SETTINGS) {
+        stateManager.setState(`plateSettings.${paramName}`, value);
+        
+        // The plates and any user-defined items with a well and rim
+        parameterResolver.getItemTypes()
+            .filter(itemType => parameterResolver.hasFeature(itemType, 'marly'))
+            .forEach(itemType => viewport.updateItem(itemType));
     } else {
         // Global parameter
         stateManager.setState(`globalParameters.${paramName}`, value);
         
         // Update all items that use this parameter (not overridden)
-        ITEM_TYPES.forEach(itemType => {
+        parameterResolver.getItemTypes().forEach(itemType => {
             if (!parameterResolver.hasOverride(itemType, paramName)) {
                 viewport.updateItem(itemType);
             }
@@ -180,7 +237,7 @@ function initItemProportions() {
     const grid = elements.itemProportionsGrid;
     grid.innerHTML = '';
     
-    ITEM_TYPES.forEach(itemType => {
+    parameterResolver.getItemTypes().forEach(itemType => {
         const ratios = stateManager.getState(`itemRatios.${itemType}`);
         const multipliers = stateManager.getState(`itemMultipliers.${itemType}`);
         
@@ -188,7 +245,7 @@ function initItemProportions() {
         item.className = 'proportion-item';
         item.innerHTML = `
             <div class="proportion-item-header">
-                <span class="proportion-item-name">${ITEM_NAMES[itemType]}</span>
+                <span class="proportion-item-name">${escapeHtml(parameterResolver.getItemName(itemType))}</span>
             </div>
             <div class="proportion-item-controls">
                 <div class="proportion-control">
@@ -219,6 +276,8 @@ function initItemProportions() {
                 stateManager.setState(`itemMultipliers.${itemType}.${type}`, value);
                 viewport.updateItem(itemType);
                 updateStatusInfo();
+                warningSystem.validate();
+                updateWarningsDisplay();
             });
         });
     });
@@ -290,8 +349,8 @@ function initOverrideControls() {
             
             resetBtn.addEventListener('click', () => {
                 if (hasOverride) {
-                    // Remove override
-                    const currentOverrides = stateManager.getState(`itemOverrides.${selectedItem}`) || {};
+                    // Remove override (copy so the change is detected and recorded in history)
+                    const currentOverrides = { ...stateManager.getState(`itemOverrides.${selectedItem}`) };
                     delete currentOverrides[paramName];
                     stateManager.setState(`itemOverrides.${selectedItem}`, currentOverrides);
                     viewport.updateItem(selectedItem);
@@ -315,7 +374,8 @@ function initOverrideControls() {
  * Set override value for an item parameter
  */
 function setOverrideValue(itemType, paramName, value) {
-    const currentOverrides = stateManager.getState(`itemOverrides.${itemType}`) || {};
+    // Copy rather than mutate in place, otherwise setState sees no change
+    const currentOverrides = { ...stateManager.getState(`itemOverrides.${itemType}`) };
     currentOverrides[paramName] = value;
     stateManager.setState(`itemOverrides.${itemType}`, currentOverrides);
     viewport.updateItem(itemType);
@@ -337,6 +397,219 @@ function setOverrideValue(itemType, paramName, value) {
     updateWarningsDisplay();
 }
 
+/**
+ * Initialize the custom items section (add, edit and remove user-defined items)
+ */
+function initCustomItemControls() {
+    const { customItemDiameter, customItemHeight, customItemWidthRatio, customItemHeightRatio } = elements;
+    const plate = BASE_DIMENSIONS.plate;
+    
+    // Feature checkboxes
+    elements.customItemFeatures.innerHTML = '';
+    Object.entries(ITEM_FEATURES).forEach(([feature, label]) => {
+        const row = document.createElement('label');
+        row.innerHTML = `<input type="checkbox" data-feature="${feature}"><span></span>`;
+        row.querySelector('span').textContent = label;
+        elements.customItemFeatures.appendChild(row);
+    });
+    
+    // Base size and ratio to the plate are two views of the same dimensions
+    const updateRatios = () => {
+        const ratios = getRatiosToPlate(readCustomItemForm());
+        customItemWidthRatio.value = ratios.widthRatio;
+        customItemHeightRatio.value = ratios.heightRatio;
+    };
+    
+    [customItemDiameter, customItemHeight].forEach(input => {
+        input.addEventListener('change', () => {
+            const constraints = CUSTOM_ITEM_CONSTRAINTS[input === customItemDiameter ? 'diameter' : 'height'];
+            input.value = clampValue(parseFloat(input.value) || constraints.default, constraints.min, constraints.max);
+            updateRatios();
+        });
+    });
+    
+    customItemWidthRatio.addEventListener('change', () => {
+        const { min, max } = CUSTOM_ITEM_CONSTRAINTS.diameter;
+        customItemDiameter.value = clampValue(Math.round(plate.diameter * (parseFloat(customItemWidthRatio.value) || 0) / 100), min, max);
+        updateRatios();
+    });
+    
+    customItemHeightRatio.addEventListener('change', () => {
+        const { min, max } = CUSTOM_ITEM_CONSTRAINTS.height;
+        customItemHeight.value = clampValue(Math.round(plate.height * (parseFloat(customItemHeightRatio.value) || 0) / 100), min, max);
+        updateRatios();
+    });
+    
+    elements.btnSaveCustomItem.addEventListener('click', () => {
+        const definition = readCustomItemForm();
+        if (!definition.name) {
+            alert('Please enter a name for the item.');
+            elements.customItemName.focus();
+            return;
+        }
+        
+        const editingType = elements.customItemForm.dataset.editing;
+        if (editingType) {
+            stateManager.updateCustomItem(editingType, definition);
+            viewport.updateItem(editingType);
+        } else {
+            const itemType = stateManager.addCustomItem(definition);
+            viewport.updateItem(itemType);
+        }
+        
+        resetCustomItemForm();
+        refreshItemLists();
+    });
+    
+    elements.btnCancelCustomItem.addEventListener('click', () => {
+        resetCustomItemForm();
+    });
+    
+    resetCustomItemForm();
+    renderCustomItemList();
+}
+
+/**
+ * Read the custom item form
+ * @returns {{ name: string, diameter: number, height: number, features: string[] }}
+ */
+function readCustomItemForm() {
+    const { diameter, height } = CUSTOM_ITEM_CONSTRAINTS;
+    return {
+        name: elements.customItemName.value.trim(),
+        diameter: clampValue(parseFloat(elements.customItemDiameter.value) || diameter.default, diameter.min, diameter.max),
+        height: clampValue(parseFloat(elements.customItemHeight.value) || height.default, height.min, height.max),
+        features: [...elements.customItemFeatures.querySelectorAll('input:checked')].map(input => input.dataset.feature)
+    };
+}
+
+/**
+ * Fill the custom item form, or clear it for a new item
+ * @param {string} [itemType] - User-defined item to edit
+ */
+function resetCustomItemForm(itemType = null) {
+    const item = itemType ? stateManager.getState(`customItems.${itemType}`) : null;
+    const definition = item || {
+        name: '',
+        diameter: CUSTOM_ITEM_CONSTRAINTS.diameter.default,
+        height: CUSTOM_ITEM_CONSTRAINTS.height.default,
+        features: []
+    };
+    
+    elements.customItemName.value = definition.name;
+    elements.customItemDiameter.value = definition.diameter;
+    elements.customItemHeight.value = definition.height;
+    const ratios = getRatiosToPlate(definition);
+    elements.customItemWidthRatio.value = ratios.widthRatio;
+    elements.customItemHeightRatio.value = ratios.heightRatio;
+    elements.customItemFeatures.querySelectorAll('input').forEach(input => {
+        input.checked = definition.features.includes(input.dataset.feature);
+    });
+    
+    if (item) {
+        elements.customItemForm.dataset.editing = itemType;
+    } else {
+        delete elements.customItemForm.dataset.editing;
+    }
+    elements.btnSaveCustomItem.textContent = item ? 'Update Item' : 'Add Item';
+    elements.btnCancelCustomItem.style.display = item ? '' : 'none';
+}
+
+/**
+ * List the user-defined items with edit and remove buttons
+ */
+function renderCustomItemList() {
+    const list = elements.customItemList;
+    const customItems = stateManager.getState('customItems') || {};
+    list.innerHTML = '';
+    
+    // Stop editing an item that is gone (undo, new project, loaded file)
+    const editingType = elements.customItemForm.dataset.editing;
+    if (editingType && !customItems[editingType]) {
+        resetCustomItemForm();
+    }
+    
+    Object.entries(customItems).forEach(([itemType, item]) => {
+        const row = document.createElement('div');
+        row.className = 'proportion-item';
+        row.innerHTML = `
+            <div class="proportion-item-header">
+                <span class="proportion-item-name">${escapeHtml(item.name)}</span>
+                <span class="custom-item-dims">${item.diameter}mm × ${item.height}mm</span>
+                <button class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+                <button class="btn btn-secondary btn-small" data-action="remove">Remove</button>
+            </div>
+        `;
+        
+        row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+            resetCustomItemForm(itemType);
+            elements.customItemName.focus();
+        });
+        
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            showConfirmDialog(
+                'Remove Item',
+                `Remove "${item.name}" from this project?`,
+                () => {
+                    stateManager.removeCustomItem(itemType);
+                    viewport.removeItem(itemType);
+                    refreshItemLists();
+                }
+            );
+        });
+        
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Add the user-defined items to the override selector and the items menu
+ */
+function renderCustomItemOptions() {
+    const customItems = stateManager.getState('customItems') || {};
+    const select = elements.overrideItemSelect;
+    const selected = select.value;
+    
+    select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+    elements.itemsMenuList.querySelectorAll('.items-menu-item[data-custom]').forEach(label => label.remove());
+    
+    Object.entries(customItems).forEach(([itemType, item]) => {
+        const option = document.createElement('option');
+        option.value = itemType;
+        option.textContent = item.name;
+        option.dataset.custom = '';
+        select.appendChild(option);
+        
+        const label = document.createElement('label');
+        label.className = 'items-menu-item';
+        label.dataset.custom = '';
+        label.innerHTML = `
+            <input type="checkbox" data-item="${itemType}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="8"/>
+                <line x1="12" y1="9" x2="12" y2="15"/>
+                <line x1="9" y1="12" x2="15" y2="12"/>
+            </svg>
+            <span></span>
+        `;
+        label.querySelector('span').textContent = item.name;
+        label.querySelector('input').addEventListener('change', () => updateVisibleItems());
+        elements.itemsMenuList.appendChild(label);
+    });
+    
+    // Keep the selection unless its item is gone
+    select.value = parameterResolver.getItemTypes().includes(selected) ? selected : ITEM_TYPES[0];
+}
+
+/**
+ * Rebuild every item list after user-defined items were added, edited or removed
+ */
+function refreshItemLists() {
+    updateUIFromState();
+    warningSystem.validate();
+    updateWarningsDisplay();
+}
+
 /**
  * Initialize footer controls
  */
@@ -617,36 +890,8 @@ function saveProject(name, downloadFile = false) {
     
     // Optionally download as file
     if (downloadFile) {
-        // Create project data for file export (use exportState for proper format)
-        const projectForFile = {
-            id: savedProject.id,
-            projectName: name,
-            thumbnail: thumbnail,
-            dateCreated: savedProject.dateCreated,
-            lastModified: savedProject.lastModified,
-            state: stateManager.exportState()  // Use exportState for file format
-        };
-
-        // Create enhanced JSON format
-        const enhancedData = ProjectFileFormat.serialize(projectForFile, 'dinnerware');
-        const json = JSON.stringify(enhancedData, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        // Generate filename with timestamp
-        const filename = ProjectFileFormat.generateFilename(
-            name,
-            'dinnerware',
-            new Date()
-        );
-
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        const { filename, blob } = createProjectFile(name, thumbnail);
+        downloadBlob(blob, filename);
     }
     
     elements.projectName.textContent = name;
@@ -654,6 +899,26 @@ function saveProject(name, downloadFile = false) {
     elements.saveModal.style.display = 'none';
 }
 
+/**
+ * Build the project file, for saving to disk or bundling with an export
+ * @param {string} name - Project name
+ * @param {string} [thumbnail] - Data URL (captured from the viewport if omitted)
+ * @returns {{ filename: string, blob: Blob }}
+ */
+function createProjectFile(name, thumbnail = viewport.captureThumbnail(400, 300)) {
+    const projectId = localStorage.getItem('dinnerware_editing_project_id');
+    const stored = projectId ? getProject(projectId) : null;
+    
+    return ProjectFileFormat.createFile({
+        id: projectId,
+        projectName: name,
+        thumbnail: thumbnail,
+        dateCreated: stored?.dateCreated,
+        lastModified: stored?.lastModified,
+        state: stateManager.exportState()  // Use exportState for file format
+    }, 'dinnerware', name);
+}
+
 /**
  * Load project from file
  */
@@ -715,13 +980,13 @@ function showExportModal() {
     const itemList = elements.exportItemList;
     itemList.innerHTML = '';
     
-    ITEM_TYPES.forEach(itemType => {
+    parameterResolver.getItemTypes().forEach(itemType => {
         const dims = getItemDimensions(itemType);
         const item = document.createElement('div');
         item.className = 'export-item';
         item.innerHTML = `
             <input type="checkbox" data-item="${itemType}" checked>
-            <span class="export-item-name">${ITEM_NAMES[itemType]}</span>
+            <span class="export-item-name">${escapeHtml(parameterResolver.getItemName(itemType))}</span>
             <span class="export-item-dims">${dims.diameter}mm × ${dims.height}mm</span>
         `;
         
@@ -730,6 +995,7 @@ function showExportModal() {
                 const checkbox = item.querySelector('input');
                 checkbox.checked = !checkbox.checked;
             }
+            updateMeshCheck();
         });
         
         itemList.appendChild(item);
@@ -737,26 +1003,51 @@ function showExportModal() {
     
     elements.exportProgress.style.display = 'none';
     elements.exportModal.style.display = 'flex';
+    
+    updateMeshCheck();
 }
 
 /**
- * Export selected items as STL
+ * Build mesh exporter objects for the items checked in the export modal
+ * (placed as in the viewport)
  */
-async function exportSTL() {
-    const selectedItems = [];
+function getSelectedExportObjects() {
+    const objects = [];
     elements.exportItemList.querySelectorAll('input:checked').forEach(checkbox => {
         const itemType = checkbox.dataset.item;
-        const geometry = viewport.getGeometry(itemType);
-        if (geometry) {
-            selectedItems.push({
-                type: itemType,
-                geometry: geometry,
-                displayName: ITEM_NAMES[itemType]
+        const mesh = viewport.getMesh(itemType);
+        if (mesh) {
+            mesh.updateMatrixWorld();
+            objects.push({
+                name: parameterResolver.getItemName(itemType),
+                part: itemType,
+                geometry: mesh.geometry,
+                matrix: mesh.matrixWorld
             });
         }
     });
+    return objects;
+}
+
+/**
+ * Re-run the mesh check for the current selection
+ */
+async function updateMeshCheck() {
+    await viewport.whenMeshesReady();
+    meshCheckPanel.check(getSelectedExportObjects());
+}
+
+/**
+ * Export selected items in the chosen format
+ * (one file per item, or one file laid out as in the viewport)
+ */
+async function exportSelected() {
+    // Make sure the latest parameter changes have finished generating
+    await viewport.whenMeshesReady();
+    
+    const objects = getSelectedExportObjects();
     
-    if (selectedItems.length === 0) {
+    if (objects.length === 0) {
         alert('Please select at least one item to export.');
         return;
     }
@@ -768,16 +1059,68 @@ async function exportSTL() {
     elements.exportProgressFill.style.width = '0%';
     elements.exportProgressText.textContent = 'Preparing export...';
     
-    await exportMultipleSTL(selectedItems, projectName, (progress) => {
+    // Let the progress bar paint before the synchronous write
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    let result;
+    try {
+        result = exportMeshes(objects, {
+            format: elements.exportFormat.value,
+            projectName,
+            appType: 'dinnerware',
+            repair: meshCheckPanel.repair
+        });
+    } catch (error) {
+        console.error('Export error:', error);
+        alert('Export failed: ' + error.message);
+        elements.exportProgress.style.display = 'none';
+        return;
+    }
+    
+    result.warnings.forEach(warning => console.warn('Export:', warning));
+    const repairSummary = result.repairs.length > 0 ? ` ${summarizeRepairs(result.repairs)}.` : '';
+    const estimateSummary = ` ${formatEstimate(combineEstimates(result.estimates))}.`;
+    
+    // Bundle a multi-file set, or the files and the project, into one archive
+    const withProject = elements.exportWithProject.checked;
+    if (withProject || (elements.exportAsZip.checked && result.files.length > 1)) {
+        elements.exportProgressText.textContent = 'Building ZIP...';
+        try {
+            if (withProject) {
+                await downloadProjectBundle(createProjectFile(projectName), result.files, projectName, 'dinnerware');
+            } else {
+                const zipName = ProjectFileFormat.generateFilename(projectName, 'dinnerware', new Date(), {
+                    extension: 'zip',
+                    part: 'Set'
+                });
+                await downloadFilesAsZip(result.files, zipName);
+            }
+        } catch (error) {
+            console.error('ZIP export error:', error);
+            alert('ZIP export failed: ' + error.message);
+            elements.exportProgress.style.display = 'none';
+            return;
+        }
+        
+        elements.exportProgressFill.style.width = '100%';
+        const projectSummary = withProject ? ' and the project file' : '';
+        elements.exportProgressText.textContent = `Export complete! ${result.files.length} file${result.files.length === 1 ? '' : 's'}${projectSummary} saved as one ZIP.${repairSummary}${estimateSummary}`;
+        setTimeout(() => {
+            elements.exportModal.style.display = 'none';
+        }, 1500);
+        return;
+    }
+    
+    await downloadFiles(result.files, (progress) => {
         elements.exportProgressFill.style.width = `${progress.progress * 100}%`;
         
         if (progress.complete) {
-            elements.exportProgressText.textContent = `Export complete! ${progress.total} files saved.`;
+            elements.exportProgressText.textContent = `Export complete! ${progress.total} file${progress.total === 1 ? '' : 's'} saved.${repairSummary}${estimateSummary}`;
             setTimeout(() => {
                 elements.exportModal.style.display = 'none';
             }, 1500);
         } else {
-            elements.exportProgressText.textContent = `Exporting ${progress.itemName}... (${progress.current}/${progress.total})`;
+            elements.exportProgressText.textContent = `Saving ${progress.filename}... (${progress.current}/${progress.total})`;
         }
     });
 }
@@ -795,16 +1138,21 @@ function initModals() {
         elements.exportModal.style.display = 'none';
     });
     
+    populateFormatSelect(elements.exportFormat);
+    meshCheckPanel = new MeshCheckPanel(document.getElementById('meshCheck'));
+    
     document.getElementById('btnConfirmExport').addEventListener('click', () => {
-        exportSTL();
+        exportSelected();
     });
     
     document.getElementById('btnExportSelectAll').addEventListener('click', () => {
         elements.exportItemList.querySelectorAll('input').forEach(cb => cb.checked = true);
+        updateMeshCheck();
     });
     
     document.getElementById('btnExportDeselectAll').addEventListener('click', () => {
         elements.exportItemList.querySelectorAll('input').forEach(cb => cb.checked = false);
+        updateMeshCheck();
     });
     
     // Save modal
@@ -873,6 +1221,102 @@ function initSectionCollapse() {
     });
 }
 
+/**
+ * Initialize undo/redo shortcuts and the header history menu
+ */
+function initHistoryControls() {
+    sealHistoryOnCommit(stateManager.history);
+
+    document.addEventListener('keydown', (e) => {
+        handleHistoryShortcut(e, { undo: () => undo(), redo: () => redo() });
+    });
+
+    const container = document.getElementById('historyMenuContainer');
+    if (container) {
+        new HistoryMenu(container, stateManager.history, {
+            onUndo: undo,
+            onRedo: redo,
+            formatLabel: formatHistoryEntry
+        });
+    }
+}
+
+/**
+ * Initialize the printer section of the settings menu
+ */
+function initPrinterSettings() {
+    const container = document.getElementById('printerSettings');
+    if (container) {
+        new PrinterSettings(container);
+    }
+}
+
+/**
+ * Undo parameter changes
+ */
+function undo(steps = 1) {
+    const itemTypes = parameterResolver.getItemTypes();
+    let changed = false;
+    for (let i = 0; i < steps; i++) {
+        if (!stateManager.undo()) break;
+        changed = true;
+    }
+    if (changed) {
+        refreshAfterHistoryChange(itemTypes);
+    }
+}
+
+/**
+ * Redo undone parameter changes
+ */
+function redo(steps = 1) {
+    const itemTypes = parameterResolver.getItemTypes();
+    let changed = false;
+    for (let i = 0; i < steps; i++) {
+        if (!stateManager.redo()) break;
+        changed = true;
+    }
+    if (changed) {
+        refreshAfterHistoryChange(itemTypes);
+    }
+}
+
+/**
+ * Label a history entry using item display names
+ */
+function formatHistoryEntry(entry) {
+    if (entry.label) return entry.label;
+
+    const [branch, itemType, paramName] = entry.changes[0].path.split('.');
+    const suffix = entry.changes.length > 1 ? ` (+${entry.changes.length - 1})` : '';
+
+    if (branch === 'itemOverrides') {
+        return `${parameterResolver.getItemName(itemType)} Override${suffix}`;
+    }
+    if (branch === 'itemMultipliers') {
+        return `${parameterResolver.getItemName(itemType)} ${paramName === 'height' ? 'Height' : 'Width'} %${suffix}`;
+    }
+    return `${formatParamName(itemType)}${suffix}`;
+}
+
+/**
+ * Rebuild meshes, controls and warnings after state was restored from history
+ * @param {string[]} previousItemTypes - Item types before the history step
+ */
+function refreshAfterHistoryChange(previousItemTypes) {
+    // User-defined items brought back by the step are shown again, removed ones dropped
+    const itemTypes = parameterResolver.getItemTypes();
+    const visibleItems = stateManager.getState('ui.visibleItems')
+        .concat(itemTypes.filter(itemType => !previousItemTypes.includes(itemType)))
+        .filter(itemType => itemTypes.includes(itemType));
+    stateManager.setState('ui.visibleItems', [...new Set(visibleItems)]);
+    
+    viewport.updateAllItems();
+    updateUIFromState();
+    warningSystem.validate();
+    updateWarningsDisplay();
+}
+
 /**
  * Subscribe to state changes
  */
@@ -886,6 +1330,13 @@ function subscribeToStateChanges() {
     stateManager.subscribe('ui.visibleItems', () => {
         updateStatusInfo();
     });
+    
+    // Re-check build volume against the newly selected printer
+    printerProfiles.subscribe(() => {
+        warningSystem.validate();
+        updateWarningsDisplay();
+        updateStatusInfo();
+    });
 }
 
 /**
@@ -916,6 +1367,22 @@ function updateUIFromState() {
         cupRingRow.querySelector('input[type="number"]').value = value;
     }
     
+    // Update plate settings
+    const plateSettings = { ...DEFAULT_PLATE_SETTINGS, ...state.plateSettings };
+    ['wellDiameter', 'wellDepth', 'rimWidth', 'rimAngle'].forEach(param => {
+        const row = document.querySelector(`.parameter-row[data-param="${param}"]`);
+        if (row) {
+            row.querySelector('input[type="range"]').value = plateSettings[param];
+            row.querySelector('input[type="number"]').value = plateSettings[param];
+        }
+    });
+    elements.plateProfileSelect.value = plateSettings.plateProfile;
+    elements.plateRimEdgeSelect.value = plateSettings.rimEdge;
+    
+    // Update user-defined items in the item lists
+    renderCustomItemOptions();
+    renderCustomItemList();
+    
     // Update item toggles
     document.querySelectorAll('.items-menu-item input').forEach(checkbox => {
         const itemType = checkbox.dataset.item;
@@ -952,7 +1419,7 @@ function updateWarningsDisplay() {
                     <line x1="12" y1="17" x2="12.01" y2="17"/>
                 </svg>
                 <div class="warning-item-content">
-                    <div class="warning-item-title">${warning.itemName}</div>
+                    <div class="warning-item-title">${escapeHtml(warning.itemName)}</div>
                     <div class="warning-item-message">${warning.message}</div>
                 </div>
             </div>
@@ -994,11 +1461,20 @@ function updateWarningsDisplay() {
 }
 
 /**
- * Update status info
+ * Update status info with the item count and print estimate for visible items
  */
 function updateStatusInfo() {
     const visibleItems = stateManager.getState('ui.visibleItems');
-    elements.statusInfo.textContent = `${visibleItems.length} item${visibleItems.length !== 1 ? 's' : ''}`;
+    const itemCount = `${visibleItems.length} item${visibleItems.length !== 1 ? 's' : ''}`;
+    
+    const objects = visibleItems
+        .map(itemType => viewport.getMesh(itemType))
+        .filter(Boolean)
+        .map(mesh => ({ geometry: mesh.geometry }));
+    const estimate = estimateObjects(objects);
+    
+    elements.statusInfo.textContent = estimate ? `${itemCount} · ${formatEstimate(estimate)}` : itemCount;
+    elements.statusInfo.title = estimate ? describeEstimate(estimate).join('\n') : '';
 }
 
 /**
@@ -1012,6 +1488,15 @@ function formatParamName(paramName) {
         .trim();
 }
 
+/**
+ * Escape text for use in HTML templates (user-defined item names)
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
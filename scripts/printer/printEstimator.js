@@ -0,0 +1,204 @@
+/**
+ * Print Estimator
+ * Turns generated geometry into filament use and an approximate print time
+ * for the selected printer and filament. Shared by all generators, the
+ * exporter and the headless CLI.
+ *
+ * The slicer model is deliberately simple: every surface gets WALL_LOOPS
+ * perimeters one line wide, the rest of the solid is filled at
+ * INFILL_DENSITY, and time is extrusion at fixed speeds plus a pause per
+ * layer. Expect the real slicer to differ by 10-30%.
+ */
+
+import * as THREE from 'three';
+import { measureMesh } from '../export/meshAnalysis.js';
+import { printerProfiles } from './printerProfiles.js';
+
+// Slicer assumptions
+const WALL_LOOPS = 3;
+const INFILL_DENSITY = 0.15;
+const LINE_WIDTH_FACTOR = 1.125;   // Line width relative to nozzle diameter
+const PERIMETER_SPEED = 60;        // mm/s
+const INFILL_SPEED = 100;          // mm/s
+const LAYER_OVERHEAD = 2;          // s per layer (travel, retraction, layer change)
+const FILAMENT_DIAMETER = 1.75;    // mm
+
+// Measurements keyed by a body's first geometry; regenerated meshes get new geometries
+const measureCache = new WeakMap();
+
+/**
+ * Volume, surface area and bounds of one body in its own space
+ *
+ * Generators build a body from separately wound surfaces that only close
+ * together, and hollow mold shells close their skins with zero-thickness
+ * caps, so the raw signed sum is no use; see measureMesh. Generation jobs
+ * measure in the mesh worker and hand the result over with storeMeasurement.
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry - Surfaces of the body
+ * @returns {{ volume: number, surfaceArea: number, box: THREE.Box3 }}
+ *          volume in mm³, area in mm²
+ */
+export function measureGeometry(geometry) {
+    const geometries = Array.isArray(geometry) ? geometry : [geometry];
+    const cached = measureCache.get(geometries[0]);
+    if (cached && cached.geometries.length === geometries.length
+        && cached.geometries.every((geo, i) => geo === geometries[i])) {
+        return cached.result;
+    }
+
+    return storeMeasurement(geometries, measureMesh(geometries));
+}
+
+/**
+ * Remember a body's measurement so estimates for it don't measure again
+ *
+ * @param {THREE.BufferGeometry|THREE.BufferGeometry[]} geometry - Surfaces of the body
+ * @param {{ volume: number, surfaceArea: number }} measurement - From measureMesh
+ * @returns {{ volume: number, surfaceArea: number, box: THREE.Box3 }}
+ */
+export function storeMeasurement(geometry, measurement) {
+    const geometries = Array.isArray(geometry) ? geometry : [geometry];
+
+    const box = new THREE.Box3();
+    geometries.forEach(geo => {
+        if (!geo.boundingBox) geo.computeBoundingBox();
+        box.union(geo.boundingBox);
+    });
+
+    const result = { volume: measurement.volume, surfaceArea: measurement.surfaceArea, box };
+    measureCache.set(geometries[0], { geometries, result });
+    return result;
+}
+
+/**
+ * Measure export-style objects as one printed body each
+ *
+ * @param {Array<Object>} objects - { geometry, matrix? } (geometry may be an array)
+ * @returns {Array<{ volume: number, surfaceArea: number, height: number }>}
+ */
+export function measureObjects(objects) {
+    return objects.map(object => {
+        const measured = measureGeometry(object.geometry);
+
+        // Placement may scale the part
+        const det = Math.abs(object.matrix ? object.matrix.determinant() : 1);
+        const box = object.matrix ? measured.box.clone().applyMatrix4(object.matrix) : measured.box;
+
+        return {
+            volume: measured.volume * det,
+            surfaceArea: measured.surfaceArea * Math.pow(det, 2 / 3),
+            // Parts are printed upright (Y up in every viewport)
+            height: box.isEmpty() ? 0 : box.max.y - box.min.y
+        };
+    });
+}
+
+/**
+ * Estimate filament and time for one printed body
+ *
+ * @param {{ volume: number, surfaceArea: number, height: number }} measurement
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Printer profile (default the active one)
+ * @param {Object} [options.material] - Filament (default the active one)
+ * @returns {Object} { printer, material, solidVolume, shellVolume, infillVolume (mm³),
+ *          filamentLength (m), weight (g), printTime (s), layers }
+ */
+export function estimatePrint(measurement, options = {}) {
+    const profile = options.profile || printerProfiles.getActiveProfile();
+    const material = options.material || printerProfiles.getActiveMaterial();
+
+    const lineWidth = profile.nozzleDiameter * LINE_WIDTH_FACTOR;
+    const solidVolume = measurement.volume;
+
+    // Thin walls are all perimeter; thicker parts get infill inside the shell
+    const shellVolume = Math.min(solidVolume, measurement.surfaceArea * WALL_LOOPS * lineWidth);
+    const infillVolume = (solidVolume - shellVolume) * INFILL_DENSITY;
+    const extruded = shellVolume + infillVolume;
+
+    const filamentArea = Math.PI * (FILAMENT_DIAMETER / 2) ** 2;
+    const layers = Math.ceil(measurement.height / profile.layerHeight);
+    const lineArea = lineWidth * profile.layerHeight;
+
+    return {
+        printer: profile.name,
+        material: material.name,
+        solidVolume,
+        shellVolume,
+        infillVolume,
+        filamentLength: extruded / filamentArea / 1000,
+        weight: extruded / 1000 * material.density,
+        printTime: shellVolume / (lineArea * PERIMETER_SPEED)
+            + infillVolume / (lineArea * INFILL_SPEED)
+            + layers * LAYER_OVERHEAD,
+        layers
+    };
+}
+
+/**
+ * Estimate every object and add them up (parts printed one after another)
+ * @param {Array<Object>} objects - { geometry, matrix? }
+ * @param {Object} [options] - See estimatePrint
+ * @returns {Object|null} Combined estimate, null for no objects
+ */
+export function estimateObjects(objects, options = {}) {
+    if (objects.length === 0) return null;
+    return combineEstimates(measureObjects(objects).map(m => estimatePrint(m, options)));
+}
+
+/**
+ * Add up estimates
+ * @param {Array<Object>} estimates
+ * @returns {Object|null}
+ */
+export function combineEstimates(estimates) {
+    if (estimates.length === 0) return null;
+
+    const sum = key => estimates.reduce((total, estimate) => total + estimate[key], 0);
+    return {
+        printer: estimates[0].printer,
+        material: estimates[0].material,
+        solidVolume: sum('solidVolume'),
+        shellVolume: sum('shellVolume'),
+        infillVolume: sum('infillVolume'),
+        filamentLength: sum('filamentLength'),
+        weight: sum('weight'),
+        printTime: sum('printTime'),
+        layers: sum('layers')
+    };
+}
+
+/**
+ * One-line summary, e.g. "182 g PLA · 61.0 m · ~9h 40m"
+ * @param {Object} estimate
+ * @returns {string}
+ */
+export function formatEstimate(estimate) {
+    const weight = estimate.weight < 10 ? estimate.weight.toFixed(1) : Math.round(estimate.weight);
+    return `${weight} g ${estimate.material} · ${estimate.filamentLength.toFixed(1)} m · ~${formatPrintTime(estimate.printTime)}`;
+}
+
+/**
+ * Multi-line breakdown for tooltips and export notes (plain ASCII, as
+ * file headers require)
+ * @param {Object} estimate
+ * @returns {string[]}
+ */
+export function describeEstimate(estimate) {
+    const cm3 = volume => `${(volume / 1000).toFixed(1)} cm3`;
+    return [
+        `Estimate: ${estimate.weight.toFixed(1)} g ${estimate.material}, ${estimate.filamentLength.toFixed(1)} m filament, ~${formatPrintTime(estimate.printTime)}`,
+        `Solid ${cm3(estimate.solidVolume)}, perimeters ${cm3(estimate.shellVolume)} (${WALL_LOOPS} walls), infill ${cm3(estimate.infillVolume)} (${INFILL_DENSITY * 100}%)`,
+        `${estimate.layers} layers on ${estimate.printer}`
+    ];
+}
+
+/**
+ * Print time as text, e.g. "45m" or "3h 20m"
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatPrintTime(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
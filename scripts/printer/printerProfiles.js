@@ -0,0 +1,302 @@
+/**
+ * Printer Profiles
+ * Library of printer build volumes shared by all generators: presets for
+ * common machines, custom entries stored in localStorage, the active
+ * profile and filament, and the bed-fit check the warning systems use.
+ *
+ * Profiles look like
+ * { id, name, bedShape, bedX, bedY, bedZ, nozzleDiameter, layerHeight, custom }
+ * - bedShape: 'rect', or 'round' for delta printers (bedX is the diameter)
+ * - all sizes in mm
+ */
+
+const STORAGE_KEY_CUSTOM = 'playground-ceramics-printer-profiles';
+const STORAGE_KEY_ACTIVE = 'playground-ceramics-printer';
+const STORAGE_KEY_MATERIAL = 'playground-ceramics-material';
+
+export const DEFAULT_PRINTER_ID = 'bambu-x1c';
+export const DEFAULT_MATERIAL_ID = 'pla';
+
+// Angle step (degrees) when searching for a rotated placement
+const ROTATION_STEP = 1;
+
+// Tolerance for sizes that exactly match the bed
+const FIT_EPSILON = 0.01;
+
+export const PRINTER_PRESETS = [
+    { id: 'bambu-x1c', name: 'Bambu Lab X1 Carbon', bedShape: 'rect', bedX: 256, bedY: 256, bedZ: 256, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'bambu-p1s', name: 'Bambu Lab P1S', bedShape: 'rect', bedX: 256, bedY: 256, bedZ: 256, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'bambu-a1', name: 'Bambu Lab A1', bedShape: 'rect', bedX: 256, bedY: 256, bedZ: 256, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'bambu-a1-mini', name: 'Bambu Lab A1 mini', bedShape: 'rect', bedX: 180, bedY: 180, bedZ: 180, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-mk4', name: 'Prusa MK4', bedShape: 'rect', bedX: 250, bedY: 210, bedZ: 220, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-mini', name: 'Prusa MINI+', bedShape: 'rect', bedX: 180, bedY: 180, bedZ: 180, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'prusa-xl', name: 'Prusa XL', bedShape: 'rect', bedX: 360, bedY: 360, bedZ: 360, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'ender-3-v3', name: 'Creality Ender-3 V3', bedShape: 'rect', bedX: 220, bedY: 220, bedZ: 250, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'creality-k1-max', name: 'Creality K1 Max', bedShape: 'rect', bedX: 300, bedY: 300, bedZ: 300, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'voron-2.4-350', name: 'Voron 2.4 (350)', bedShape: 'rect', bedX: 350, bedY: 350, bedZ: 340, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'neptune-4-max', name: 'Elegoo Neptune 4 Max', bedShape: 'rect', bedX: 420, bedY: 420, bedZ: 480, nozzleDiameter: 0.4, layerHeight: 0.2 },
+    { id: 'flsun-v400', name: 'FLSUN V400 (delta)', bedShape: 'round', bedX: 300, bedY: 300, bedZ: 410, nozzleDiameter: 0.4, layerHeight: 0.2 }
+];
+
+// Filaments for the print estimate (density in g/cm³, 1.75mm filament)
+export const MATERIALS = [
+    { id: 'pla', name: 'PLA', density: 1.24 },
+    { id: 'petg', name: 'PETG', density: 1.27 },
+    { id: 'abs', name: 'ABS', density: 1.04 },
+    { id: 'asa', name: 'ASA', density: 1.07 },
+    { id: 'tpu', name: 'TPU', density: 1.21 }
+];
+
+/**
+ * Printer Profile Manager
+ * Holds custom profiles and the active selection, persisted in localStorage
+ */
+export class PrinterProfileManager {
+    constructor() {
+        this.customProfiles = this.loadCustomProfiles();
+        this.listeners = new Set();
+
+        // Another app or tab changed the printer
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (e) => {
+                if ([STORAGE_KEY_CUSTOM, STORAGE_KEY_ACTIVE, STORAGE_KEY_MATERIAL].includes(e.key)) {
+                    this.customProfiles = this.loadCustomProfiles();
+                    this.notifyListeners();
+                }
+            });
+        }
+    }
+
+    // Subscribe to profile changes
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    // Notify listeners with the active profile
+    notifyListeners() {
+        const profile = this.getActiveProfile();
+        this.listeners.forEach(callback => callback(profile));
+    }
+
+    // Read custom profiles from storage
+    loadCustomProfiles() {
+        // Headless (CLI) runs only use the presets
+        if (typeof localStorage === 'undefined') return [];
+
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY_CUSTOM);
+            const profiles = stored ? JSON.parse(stored) : [];
+            return Array.isArray(profiles) ? profiles.map(normalizeProfile) : [];
+        } catch (e) {
+            console.error('Failed to load printer profiles:', e);
+            return [];
+        }
+    }
+
+    // Write custom profiles to storage
+    saveCustomProfiles() {
+        try {
+            localStorage.setItem(STORAGE_KEY_CUSTOM, JSON.stringify(this.customProfiles));
+        } catch (e) {
+            console.error('Failed to save printer profiles:', e);
+        }
+    }
+
+    // Presets followed by custom profiles
+    getProfiles() {
+        return [...PRINTER_PRESETS, ...this.customProfiles];
+    }
+
+    // Get a profile by id
+    getProfile(id) {
+        return this.getProfiles().find(profile => profile.id === id);
+    }
+
+    // Get the selected profile, falling back to the default preset
+    getActiveProfile() {
+        let id = null;
+        try {
+            id = localStorage.getItem(STORAGE_KEY_ACTIVE);
+        } catch (e) {
+            // Storage unavailable - use the default
+        }
+        return this.getProfile(id) || this.getProfile(DEFAULT_PRINTER_ID);
+    }
+
+    // Select the profile used for validation
+    setActiveProfile(id) {
+        if (!this.getProfile(id)) return;
+        localStorage.setItem(STORAGE_KEY_ACTIVE, id);
+        this.notifyListeners();
+    }
+
+    // Get the selected filament, falling back to PLA
+    getActiveMaterial() {
+        let id = null;
+        try {
+            id = localStorage.getItem(STORAGE_KEY_MATERIAL);
+        } catch (e) {
+            // Storage unavailable - use the default
+        }
+        return MATERIALS.find(m => m.id === id) || MATERIALS.find(m => m.id === DEFAULT_MATERIAL_ID);
+    }
+
+    // Select the filament used for estimates
+    setActiveMaterial(id) {
+        if (!MATERIALS.some(m => m.id === id)) return;
+        localStorage.setItem(STORAGE_KEY_MATERIAL, id);
+        this.notifyListeners();
+    }
+
+    /**
+     * Add or update a custom profile
+     * @param {Object} profile - Profile fields; an existing custom id updates that entry
+     * @returns {Object} The stored profile
+     */
+    saveCustomProfile(profile) {
+        const isExisting = this.customProfiles.some(p => p.id === profile.id);
+        const stored = normalizeProfile({
+            ...profile,
+            id: isExisting ? profile.id : `custom-${Date.now()}`
+        });
+
+        if (isExisting) {
+            this.customProfiles = this.customProfiles.map(p => p.id === stored.id ? stored : p);
+        } else {
+            this.customProfiles.push(stored);
+        }
+
+        this.saveCustomProfiles();
+        this.notifyListeners();
+        return stored;
+    }
+
+    // Remove a custom profile; the active selection falls back to the default
+    deleteCustomProfile(id) {
+        this.customProfiles = this.customProfiles.filter(p => p.id !== id);
+        this.saveCustomProfiles();
+
+        if (localStorage.getItem(STORAGE_KEY_ACTIVE) === id) {
+            localStorage.removeItem(STORAGE_KEY_ACTIVE);
+        }
+        this.notifyListeners();
+    }
+}
+
+/**
+ * Check whether an object fits the build volume
+ *
+ * Rectangular footprints that are too wide for the bed axes are tried at
+ * other angles, so a long mold shell can still fit across the diagonal.
+ *
+ * @param {Object} footprint
+ * @param {string} footprint.shape - 'circle' (round ware) or 'rect' (shells, handles)
+ * @param {number} [footprint.diameter] - Circle diameter
+ * @param {number} [footprint.width] - Rect size along X
+ * @param {number} [footprint.depth] - Rect size along Y
+ * @param {number} footprint.height - Height above the bed
+ * @param {Object} [profile] - Printer profile (default the active one)
+ * @returns {{ fits: boolean, angle: number|null, issues: string[] }}
+ *          angle is the rotation on the bed needed to fit (0 = as is,
+ *          null = does not fit at any angle)
+ */
+export function checkBedFit(footprint, profile = printerProfiles.getActiveProfile()) {
+    const issues = [];
+    let angle = footprintAngle(footprint, profile);
+
+    if (angle === null) {
+        const bed = formatBedSize(profile);
+        const size = footprint.shape === 'circle'
+            ? `${round(footprint.diameter)}mm diameter`
+            : `${round(footprint.width)} × ${round(footprint.depth)}mm footprint`;
+        issues.push(`${size} exceeds the ${bed} bed`);
+    }
+
+    if (footprint.height > profile.bedZ + FIT_EPSILON) {
+        issues.push(`${round(footprint.height)}mm height exceeds the ${profile.bedZ}mm build height`);
+    }
+
+    if (issues.length > 0) angle = null;
+
+    return { fits: issues.length === 0, angle, issues };
+}
+
+/**
+ * Bed size as text, e.g. "256 × 256mm" or "Ø300mm"
+ * @param {Object} profile
+ * @returns {string}
+ */
+export function formatBedSize(profile) {
+    return profile.bedShape === 'round'
+        ? `Ø${profile.bedX}mm`
+        : `${profile.bedX} × ${profile.bedY}mm`;
+}
+
+/**
+ * Build volume as text, e.g. "256 × 256 × 256mm"
+ * @param {Object} profile
+ * @returns {string}
+ */
+export function formatBuildVolume(profile) {
+    return profile.bedShape === 'round'
+        ? `Ø${profile.bedX} × ${profile.bedZ}mm`
+        : `${profile.bedX} × ${profile.bedY} × ${profile.bedZ}mm`;
+}
+
+// Helper: Smallest bed rotation (degrees) at which the footprint fits, or null
+function footprintAngle(footprint, profile) {
+    if (profile.bedShape === 'round') {
+        const span = footprint.shape === 'circle'
+            ? footprint.diameter
+            : Math.hypot(footprint.width, footprint.depth);
+        return span <= profile.bedX + FIT_EPSILON ? 0 : null;
+    }
+
+    if (footprint.shape === 'circle') {
+        return footprint.diameter <= Math.min(profile.bedX, profile.bedY) + FIT_EPSILON ? 0 : null;
+    }
+
+    const { width, depth } = footprint;
+    for (let angle = 0; angle <= 90; angle += ROTATION_STEP) {
+        const rad = angle * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const spanX = width * cos + depth * sin;
+        const spanY = width * sin + depth * cos;
+
+        if (spanX <= profile.bedX + FIT_EPSILON && spanY <= profile.bedY + FIT_EPSILON) {
+            return angle;
+        }
+    }
+    return null;
+}
+
+// Helper: Fill in missing or invalid profile fields
+function normalizeProfile(profile) {
+    const positive = (value, fallback) => Number.isFinite(value) && value > 0 ? value : fallback;
+    const bedShape = profile.bedShape === 'round' ? 'round' : 'rect';
+    const bedX = positive(Number(profile.bedX), 220);
+
+    return {
+        id: String(profile.id),
+        name: String(profile.name || 'Custom printer').trim() || 'Custom printer',
+        bedShape,
+        bedX,
+        bedY: bedShape === 'round' ? bedX : positive(Number(profile.bedY), 220),
+        bedZ: positive(Number(profile.bedZ), 250),
+        nozzleDiameter: positive(Number(profile.nozzleDiameter), 0.4),
+        layerHeight: positive(Number(profile.layerHeight), 0.2),
+        custom: true
+    };
+}
+
+// Helper: Round a size for messages
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Create singleton instance
+export const printerProfiles = new PrinterProfileManager();
+
+export default printerProfiles;
@@ -0,0 +1,285 @@
+/**
+ * Command History
+ * Shared undo/redo engine for the generator state managers.
+ * Records state changes as path/old/new value triples; each state manager
+ * supplies a callback that writes values back when stepping through history.
+ */
+
+// Default number of undo steps kept
+export const DEFAULT_HISTORY_DEPTH = 100;
+
+// Changes to the same path within this window (ms) merge into one entry
+export const DEFAULT_COALESCE_WINDOW = 1000;
+
+/**
+ * Command History Class
+ * Consecutive changes to the same path (e.g. a slider drag) are coalesced
+ * into a single entry until the history is sealed or the window expires.
+ */
+export class CommandHistory {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxDepth] - Maximum undo entries kept
+     * @param {number} [options.coalesceWindow] - Merge window in ms
+     * @param {string[]} [options.trackedPaths] - Path prefixes to record (all paths if omitted)
+     */
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth ?? DEFAULT_HISTORY_DEPTH;
+        this.coalesceWindow = options.coalesceWindow ?? DEFAULT_COALESCE_WINDOW;
+        this.trackedPaths = options.trackedPaths || null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openGroup = null;
+        this.groupDepth = 0;
+        this.sealed = false;
+        this.applying = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Check whether a state path is recorded
+     * @param {string} path - Dot-notation path
+     * @returns {boolean}
+     */
+    isTracked(path) {
+        if (!this.trackedPaths) return true;
+        return this.trackedPaths.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+    }
+
+    /**
+     * Record a single state change. Ignored while history is being applied.
+     * @param {string} path - Dot-notation path
+     * @param {*} oldValue - Value before the change
+     * @param {*} newValue - Value after the change
+     */
+    record(path, oldValue, newValue) {
+        if (this.applying || !this.isTracked(path)) return;
+
+        const change = {
+            path,
+            oldValue: cloneValue(oldValue),
+            newValue: cloneValue(newValue)
+        };
+
+        if (this.openGroup) {
+            mergeChange(this.openGroup.changes, change);
+        } else {
+            this.commit([change], null);
+        }
+    }
+
+    /**
+     * Start grouping subsequent records into one entry (nestable)
+     * @param {string} [label] - Display label for the grouped entry
+     */
+    beginGroup(label = null) {
+        if (this.groupDepth === 0) {
+            this.openGroup = { label, changes: [] };
+        }
+        this.groupDepth++;
+    }
+
+    /**
+     * Close the current group and commit it as a single entry
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const { label, changes } = this.openGroup;
+        this.openGroup = null;
+
+        if (changes.length > 0) {
+            this.commit(changes, label);
+        }
+    }
+
+    /**
+     * Push changes as a new entry, or extend the previous one when coalescing
+     */
+    commit(changes, label) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (last && !this.sealed && !label && !last.label &&
+            changes.length === 1 && last.changes.length === 1 &&
+            last.changes[0].path === changes[0].path &&
+            now - last.timestamp <= this.coalesceWindow) {
+            // Continuous edit of the same value - extend the previous entry
+            last.changes[0].newValue = changes[0].newValue;
+            last.timestamp = now;
+        } else {
+            this.undoStack.push({ label, changes, timestamp: now });
+            if (this.undoStack.length > this.maxDepth) {
+                this.undoStack.splice(0, this.undoStack.length - this.maxDepth);
+            }
+            this.sealed = false;
+        }
+
+        // Drop entries that ended up back where they started
+        const top = this.undoStack[this.undoStack.length - 1];
+        top.changes = top.changes.filter(c => !valuesEqual(c.oldValue, c.newValue));
+        if (top.changes.length === 0) {
+            this.undoStack.pop();
+        }
+
+        this.redoStack = [];
+        this.notifyListeners();
+    }
+
+    /**
+     * Prevent the next record from coalescing with the previous entry
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the latest entry
+     * @param {Function} applyChanges - Called with [{ path, value }] in application order
+     * @returns {Object|null} The reverted entry
+     */
+    undo(applyChanges) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        const changes = [...entry.changes].reverse()
+            .map(c => ({ path: c.path, value: cloneValue(c.oldValue) }));
+        this.apply(changes, applyChanges);
+
+        this.redoStack.push(entry);
+        this.sealed = true;
+        this.notifyListeners();
+        return entry;
+    }
+
+    /**
+     * Re-apply the latest undone entry
+     * @param {Function} applyChanges - Called with [{ path, value }] in application order
+     * @returns {Object|null} The re-applied entry
+     */
+    redo(applyChanges) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        const changes = entry.changes
+            .map(c => ({ path: c.path, value: cloneValue(c.newValue) }));
+        this.apply(changes, applyChanges);
+
+        this.undoStack.push(entry);
+        this.sealed = true;
+        this.notifyListeners();
+        return entry;
+    }
+
+    // Write values back without recording them again
+    apply(changes, applyChanges) {
+        this.applying = true;
+        try {
+            applyChanges(changes);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Drop all history (e.g. after loading a different project)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openGroup = null;
+        this.groupDepth = 0;
+        this.sealed = false;
+        this.notifyListeners();
+    }
+
+    /**
+     * Get entries for display
+     * @returns {{ done: Object[], undone: Object[] }} Done entries oldest first,
+     *          undone entries in the order they would be redone
+     */
+    getEntries() {
+        return {
+            done: [...this.undoStack],
+            undone: [...this.redoStack].reverse()
+        };
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} callback - Called with the history instance
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this);
+            } catch (e) {
+                console.error('History listener error:', e);
+            }
+        });
+    }
+}
+
+/**
+ * Default display label for a history entry, e.g.
+ * 'sections.neck.height' -> 'Neck Height'
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+export function formatHistoryLabel(entry) {
+    if (entry.label) return entry.label;
+
+    const first = formatPath(entry.changes[0].path);
+    const extra = entry.changes.length - 1;
+    return extra > 0 ? `${first} (+${extra})` : first;
+}
+
+// Helper: Title-case the path below its top-level branch
+function formatPath(path) {
+    const parts = path.split('.');
+    const meaningful = parts.length > 1 ? parts.slice(1) : parts;
+
+    return meaningful
+        .map(part => part
+            .replace(/\[(\d+)\]/g, ' $1')
+            .replace(/_/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/\b\w/g, c => c.toUpperCase()))
+        .join(' ');
+}
+
+// Helper: Merge a change into a group, keeping the earliest oldValue per path
+function mergeChange(changes, change) {
+    const existing = changes.find(c => c.path === change.path);
+    if (existing) {
+        existing.newValue = change.newValue;
+    } else {
+        changes.push(change);
+    }
+}
+
+// Helper: Deep copy so later in-place mutation of state cannot alter history
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Helper: Structural equality on serialized values
+function valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
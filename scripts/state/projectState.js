@@ -3,17 +3,26 @@
  * Manages all application state with reactive updates
  */
 
+import { CommandHistory } from './commandHistory.js';
+
 // Item types
-export const ITEM_TYPES = ['plate', 'soup_bowl', 'pasta_bowl', 'mug', 'tumbler', 'saucer', 'serving_bowl'];
+export const ITEM_TYPES = [
+    'plate', 'salad_plate', 'bread_plate', 'soup_bowl', 'pasta_bowl',
+    'mug', 'teacup', 'tumbler', 'saucer', 'ramekin', 'serving_bowl'
+];
 
 // Item display names
 export const ITEM_NAMES = {
     plate: 'Plate',
+    salad_plate: 'Salad Plate',
+    bread_plate: 'Bread Plate',
     soup_bowl: 'Soup Bowl',
     pasta_bowl: 'Pasta Bowl',
     mug: 'Mug',
+    teacup: 'Teacup',
     tumbler: 'Tumbler',
     saucer: 'Saucer',
+    ramekin: 'Ramekin',
     serving_bowl: 'Serving Bowl'
 };
 
@@ -47,31 +56,104 @@ export const PARAMETER_CONSTRAINTS = {
     baseRecessDepth: { min: -10, max: 10, step: 0.5, unit: 'mm', default: 1 },
     globalHeightScale: { min: 50, max: 200, step: 5, unit: '%', default: 100 },
     globalWidthScale: { min: 50, max: 200, step: 5, unit: '%', default: 100 },
-    cupRingDepth: { min: 0, max: 10, step: 0.5, unit: 'mm', default: 2 }
+    cupRingDepth: { min: 0, max: 10, step: 0.5, unit: 'mm', default: 2 },
+    wellDiameter: { min: 20, max: 90, step: 1, unit: '%', default: 60 },
+    wellDepth: { min: 0, max: 40, step: 0.5, unit: 'mm', default: 6 },
+    rimWidth: { min: 5, max: 80, step: 1, unit: 'mm', default: 30 },
+    rimAngle: { min: 0, max: 45, step: 1, unit: '°', default: 8 }
+};
+
+// Plate profiles: the bowl-style wall, or a flat well, cavetto and marly (rim)
+export const PLATE_PROFILES = {
+    wall: 'Wall (as bowls)',
+    marly: 'Well and rim'
+};
+
+// Plate rim edge profiles
+export const PLATE_RIM_EDGES = {
+    square: 'Square',
+    rounded: 'Rounded',
+    beaded: 'Beaded'
+};
+
+// Default plate settings (used by items with the marly feature)
+export const DEFAULT_PLATE_SETTINGS = {
+    plateProfile: 'wall',
+    wellDiameter: 60,
+    wellDepth: 6,
+    rimWidth: 30,
+    rimAngle: 8,
+    rimEdge: 'rounded'
 };
 
 // Base dimensions (at 100% scale)
 export const BASE_DIMENSIONS = {
     plate: { diameter: 280, height: 25 },
+    salad_plate: { diameter: 215, height: 22 },
+    bread_plate: { diameter: 165, height: 18 },
     soup_bowl: { diameter: 180, height: 60 },
     pasta_bowl: { diameter: 240, height: 50 },
     mug: { diameter: 90, height: 100 },
+    teacup: { diameter: 90, height: 65 },
     tumbler: { diameter: 70, height: 145 },
     saucer: { diameter: 150, height: 20 },
+    ramekin: { diameter: 100, height: 50 },
     serving_bowl: { diameter: 280, height: 100 }
 };
 
 // Default item ratios (relative to plate)
 export const DEFAULT_RATIOS = {
     plate: { widthRatio: 100, heightRatio: 100 },
+    salad_plate: { widthRatio: 77, heightRatio: 88 },
+    bread_plate: { widthRatio: 59, heightRatio: 72 },
     soup_bowl: { widthRatio: 64, heightRatio: 240 },
     pasta_bowl: { widthRatio: 86, heightRatio: 200 },
     mug: { widthRatio: 32, heightRatio: 400 },
+    teacup: { widthRatio: 32, heightRatio: 260 },
     tumbler: { widthRatio: 25, heightRatio: 580 },
     saucer: { widthRatio: 54, heightRatio: 80 },
+    ramekin: { widthRatio: 36, heightRatio: 200 },
     serving_bowl: { widthRatio: 100, heightRatio: 400 }
 };
 
+// Special features an item can carry, with display labels
+export const ITEM_FEATURES = {
+    cupRing: 'Cup ring (as on the saucer)',
+    marly: 'Plate well and rim (Plate Settings)'
+};
+
+// Features of the built-in items
+export const BUILT_IN_FEATURES = {
+    plate: ['marly'],
+    salad_plate: ['marly'],
+    bread_plate: ['marly'],
+    saucer: ['cupRing']
+};
+
+// Limits for user-defined items (base dimensions at 100% scale)
+export const CUSTOM_ITEM_CONSTRAINTS = {
+    diameter: { min: 20, max: 400, step: 1, unit: 'mm', default: 130 },
+    height: { min: 5, max: 300, step: 1, unit: 'mm', default: 70 }
+};
+
+// Prefix of user-defined item type keys
+export const CUSTOM_ITEM_PREFIX = 'custom_';
+
+// Top-level state branches recorded in undo history (ui, project and warnings are not)
+export const HISTORY_TRACKED_PATHS = ['globalParameters', 'customItems', 'itemRatios', 'itemMultipliers', 'itemOverrides', 'saucerSettings', 'plateSettings'];
+
+/**
+ * Ratio of an item's base dimensions to the plate's (in %), as in DEFAULT_RATIOS
+ * @param {{ diameter: number, height: number }} dimensions
+ * @returns {{ widthRatio: number, heightRatio: number }}
+ */
+export function getRatiosToPlate({ diameter, height }) {
+    return {
+        widthRatio: Math.round((diameter / BASE_DIMENSIONS.plate.diameter) * 100),
+        heightRatio: Math.round((height / BASE_DIMENSIONS.plate.height) * 100)
+    };
+}
+
 /**
  * State Manager Class
  * Provides reactive state management with subscriptions
@@ -81,6 +163,7 @@ export class StateManager {
         this.state = this.getInitialState();
         this.listeners = new Map();
         this.autoSaveTimeout = null;
+        this.history = new CommandHistory({ trackedPaths: HISTORY_TRACKED_PATHS });
     }
 
     getInitialState() {
@@ -90,9 +173,11 @@ export class StateManager {
             itemRatios: JSON.parse(JSON.stringify(DEFAULT_RATIOS)),
             itemMultipliers: this.getDefaultMultipliers(),
             itemOverrides: {},
+            customItems: {},
             saucerSettings: {
                 cupRingDepth: 2
             },
+            plateSettings: { ...DEFAULT_PLATE_SETTINGS },
             ui: {
                 visibleItems: [...ITEM_TYPES],
                 layoutMode: 'row',
@@ -110,14 +195,72 @@ export class StateManager {
         };
     }
 
-    getDefaultMultipliers() {
+    getDefaultMultipliers(customTypes = []) {
         const multipliers = {};
-        ITEM_TYPES.forEach(item => {
+        [...ITEM_TYPES, ...customTypes].forEach(item => {
             multipliers[item] = { height: 100, width: 100 };
         });
         return multipliers;
     }
 
+    // Add a user-defined item; returns its item type key
+    addCustomItem(definition) {
+        const customItems = this.state.customItems || {};
+        let index = 1;
+        while (customItems[`${CUSTOM_ITEM_PREFIX}${index}`]) index++;
+        const itemType = `${CUSTOM_ITEM_PREFIX}${index}`;
+        const item = normalizeCustomItem(definition);
+
+        this.history.beginGroup(`Add ${item.name}`);
+        this.batchUpdate({
+            customItems: { ...customItems, [itemType]: item },
+            [`itemRatios.${itemType}`]: getRatiosToPlate(item),
+            [`itemMultipliers.${itemType}`]: { height: 100, width: 100 },
+            'ui.visibleItems': [...this.state.ui.visibleItems, itemType]
+        });
+        this.history.endGroup();
+
+        return itemType;
+    }
+
+    // Change the name, base dimensions or features of a user-defined item
+    updateCustomItem(itemType, definition) {
+        const customItems = this.state.customItems || {};
+        if (!customItems[itemType]) return;
+        const item = normalizeCustomItem(definition);
+
+        this.history.beginGroup(`Edit ${item.name}`);
+        this.batchUpdate({
+            customItems: { ...customItems, [itemType]: item },
+            [`itemRatios.${itemType}`]: getRatiosToPlate(item)
+        });
+        this.history.endGroup();
+    }
+
+    // Remove a user-defined item with its ratios, multipliers and overrides
+    removeCustomItem(itemType) {
+        const customItems = { ...this.state.customItems };
+        if (!customItems[itemType]) return;
+        const { name } = customItems[itemType];
+        delete customItems[itemType];
+
+        const without = (branch) => {
+            const copy = { ...this.state[branch] };
+            delete copy[itemType];
+            return copy;
+        };
+
+        this.history.beginGroup(`Remove ${name}`);
+        this.batchUpdate({
+            customItems,
+            itemRatios: without('itemRatios'),
+            itemMultipliers: without('itemMultipliers'),
+            itemOverrides: without('itemOverrides'),
+            'ui.visibleItems': this.state.ui.visibleItems.filter(item => item !== itemType)
+        });
+        this.history.endGroup();
+    }
+
     // Subscribe to state changes
     subscribe(path, callback) {
         if (!this.listeners.has(path)) {
@@ -155,6 +298,8 @@ export class StateManager {
     // Batch update multiple state values
     batchUpdate(updates) {
         const changedPaths = [];
+
+        this.history.beginGroup();
         
         for (const [path, value] of Object.entries(updates)) {
             const oldValue = this.getState(path);
@@ -174,10 +319,14 @@ export class StateManager {
             
             this.scheduleAutoSave();
         }
+
+        this.history.endGroup();
     }
 
     // Notify all relevant listeners
     notifyListeners(path, newValue, oldValue) {
+        this.recordHistory(path, newValue, oldValue);
+
         // Notify exact path listeners
         if (this.listeners.has(path)) {
             for (const callback of this.listeners.get(path)) {
@@ -204,6 +353,27 @@ export class StateManager {
         }
     }
 
+    // Record a change in undo history (untracked paths are ignored by the history)
+    recordHistory(path, newValue, oldValue) {
+        if (path === '*') return;
+        this.history.record(path, oldValue, newValue);
+    }
+
+    // Undo the most recent change; returns the reverted entry or null
+    undo() {
+        return this.history.undo(changes => this.applyHistoryChanges(changes));
+    }
+
+    // Re-apply the most recently undone change; returns the entry or null
+    redo() {
+        return this.history.redo(changes => this.applyHistoryChanges(changes));
+    }
+
+    // Write values restored from history back into state
+    applyHistoryChanges(changes) {
+        changes.forEach(({ path, value }) => this.setState(path, value));
+    }
+
     // Helper: Get nested value
     getNestedValue(obj, path) {
         return path.split('.').reduce((acc, part) => acc?.[part], obj);
@@ -253,6 +423,7 @@ export class StateManager {
             if (data) {
                 const parsed = JSON.parse(data);
                 this.state = this.mergeWithDefaults(parsed.state);
+                this.history.clear();
                 return true;
             }
         } catch (e) {
@@ -268,43 +439,53 @@ export class StateManager {
         // Always use current base dimensions (not user-configurable)
         const baseDimensions = { ...BASE_DIMENSIONS };
         
+        // User-defined items carry their own base dimensions
+        const customItems = loadedState.customItems || {};
+        const customTypes = Object.keys(customItems);
+        const itemTypes = [...ITEM_TYPES, ...customTypes];
+        
         // Merge item ratios - ensure all current item types have ratios
         const itemRatios = { ...JSON.parse(JSON.stringify(DEFAULT_RATIOS)) };
+        customTypes.forEach(key => {
+            itemRatios[key] = getRatiosToPlate(customItems[key]);
+        });
         if (loadedState.itemRatios) {
             Object.keys(loadedState.itemRatios).forEach(key => {
-                if (ITEM_TYPES.includes(key)) {
+                if (itemTypes.includes(key)) {
                     itemRatios[key] = loadedState.itemRatios[key];
                 }
             });
         }
         
         // Merge item multipliers - ensure all current item types have multipliers
-        const itemMultipliers = this.getDefaultMultipliers();
+        const itemMultipliers = this.getDefaultMultipliers(customTypes);
         if (loadedState.itemMultipliers) {
             Object.keys(loadedState.itemMultipliers).forEach(key => {
-                if (ITEM_TYPES.includes(key)) {
+                if (itemTypes.includes(key)) {
                     itemMultipliers[key] = loadedState.itemMultipliers[key];
                 }
             });
         }
         
-        // Merge visible items - add any new item types
-        let visibleItems = loadedState.ui?.visibleItems || [...ITEM_TYPES];
+        // Merge visible items - add any new built-in item types
+        let visibleItems = loadedState.ui?.visibleItems || [...itemTypes];
         ITEM_TYPES.forEach(itemType => {
             if (!visibleItems.includes(itemType)) {
                 visibleItems.push(itemType);
             }
         });
         // Remove any items that no longer exist
-        visibleItems = visibleItems.filter(item => ITEM_TYPES.includes(item));
+        visibleItems = visibleItems.filter(item => itemTypes.includes(item));
         
         return {
             ...defaultState,
             ...loadedState,
             baseDimensions,
+            customItems,
             itemRatios,
             itemMultipliers,
             globalParameters: { ...defaultState.globalParameters, ...loadedState.globalParameters },
+            plateSettings: { ...DEFAULT_PLATE_SETTINGS, ...loadedState.plateSettings },
             ui: { ...defaultState.ui, ...loadedState.ui, visibleItems },
             project: { ...defaultState.project, ...loadedState.project }
         };
@@ -313,6 +494,7 @@ export class StateManager {
     // Reset to initial state
     reset() {
         this.state = this.getInitialState();
+        this.history.clear();
         this.notifyListeners('*', this.state, null);
     }
 
@@ -324,10 +506,12 @@ export class StateManager {
             dateCreated: this.state.project.dateCreated || new Date().toISOString(),
             lastModified: new Date().toISOString(),
             globalParameters: this.state.globalParameters,
+            customItems: this.state.customItems,
             itemRatios: this.state.itemRatios,
             itemMultipliers: this.state.itemMultipliers,
             itemOverrides: this.state.itemOverrides,
-            saucerSettings: this.state.saucerSettings
+            saucerSettings: this.state.saucerSettings,
+            plateSettings: this.state.plateSettings
         };
     }
 
@@ -337,13 +521,20 @@ export class StateManager {
             throw new Error('Invalid project file format');
         }
 
+        const initialState = this.getInitialState();
+        const customItems = data.customItems || {};
+        const customTypes = Object.keys(customItems);
+
         this.state = {
-            ...this.getInitialState(),
+            ...initialState,
             globalParameters: { ...DEFAULT_PARAMETERS, ...data.globalParameters },
+            customItems,
             itemRatios: data.itemRatios || JSON.parse(JSON.stringify(DEFAULT_RATIOS)),
-            itemMultipliers: data.itemMultipliers || this.getDefaultMultipliers(),
+            itemMultipliers: { ...this.getDefaultMultipliers(customTypes), ...data.itemMultipliers },
             itemOverrides: data.itemOverrides || {},
             saucerSettings: data.saucerSettings || { cupRingDepth: 2 },
+            plateSettings: { ...DEFAULT_PLATE_SETTINGS, ...data.plateSettings },
+            ui: { ...initialState.ui, visibleItems: [...ITEM_TYPES, ...customTypes] },
             project: {
                 name: data.projectName || 'Imported Project',
                 dateCreated: data.dateCreated,
@@ -352,6 +543,7 @@ export class StateManager {
             }
         };
 
+        this.history.clear();
         this.notifyListeners('*', this.state, null);
     }
 }
@@ -361,10 +553,56 @@ export class StateManager {
  * Resolves effective parameters considering overrides
  */
 export class ParameterResolver {
+    // stateManager: anything with getState(path), e.g. a StateManager instance
     constructor(stateManager) {
         this.state = stateManager;
     }
 
+    // Create a resolver for a plain state object (full state or exportState() output),
+    // detached from the live stateManager
+    static fromState(state = {}) {
+        const customItems = state.customItems || {};
+        const itemMultipliers = {};
+        [...ITEM_TYPES, ...Object.keys(customItems)].forEach(item => {
+            itemMultipliers[item] = { height: 100, width: 100 };
+        });
+
+        const snapshot = JSON.parse(JSON.stringify({
+            globalParameters: { ...DEFAULT_PARAMETERS, ...state.globalParameters },
+            baseDimensions: { ...BASE_DIMENSIONS },
+            customItems,
+            itemRatios: { ...DEFAULT_RATIOS, ...state.itemRatios },
+            itemMultipliers: { ...itemMultipliers, ...state.itemMultipliers },
+            itemOverrides: state.itemOverrides || {},
+            saucerSettings: { cupRingDepth: 2, ...state.saucerSettings },
+            plateSettings: { ...DEFAULT_PLATE_SETTINGS, ...state.plateSettings }
+        }));
+
+        return new ParameterResolver({
+            getState: (path) => {
+                if (!path) return snapshot;
+                return path.split('.').reduce((acc, part) => acc?.[part], snapshot);
+            }
+        });
+    }
+
+    // Get all item types: the built-in items followed by user-defined ones
+    getItemTypes() {
+        return [...ITEM_TYPES, ...Object.keys(this.state.getState('customItems') || {})];
+    }
+
+    // Get the display name of an item
+    getItemName(itemType) {
+        return ITEM_NAMES[itemType] || this.state.getState(`customItems.${itemType}.name`) || itemType;
+    }
+
+    // Check if an item carries a special feature (see ITEM_FEATURES)
+    hasFeature(itemType, feature) {
+        const custom = this.state.getState(`customItems.${itemType}`);
+        const features = custom ? custom.features : BUILT_IN_FEATURES[itemType];
+        return (features || []).includes(feature);
+    }
+
     // Get effective parameter value for an item
     getEffectiveParameter(itemType, parameterName) {
         const override = this.state.getState(`itemOverrides.${itemType}.${parameterName}`);
@@ -382,7 +620,8 @@ export class ParameterResolver {
     // Get final dimensions for an item
     // Base dimensions are the actual sizes - just apply global scale and item multipliers
     getFinalDimensions(itemType) {
-        const base = this.state.getState(`baseDimensions.${itemType}`) || BASE_DIMENSIONS[itemType];
+        const custom = this.state.getState(`customItems.${itemType}`);
+        const base = custom || this.state.getState(`baseDimensions.${itemType}`) || BASE_DIMENSIONS[itemType];
         if (!base) {
             console.error(`No base dimensions found for item type: ${itemType}`);
             return { diameter: 100, height: 50 }; // Fallback dimensions
@@ -413,18 +652,33 @@ export class ParameterResolver {
 
         parameters.dimensions = this.getFinalDimensions(itemType);
 
-        // Add saucer-specific parameters
-        if (itemType === 'saucer') {
+        // Add cup ring parameters (saucer, and user-defined items with a cup ring)
+        if (this.hasFeature(itemType, 'cupRing')) {
             parameters.cupRingDepth = this.state.getState('saucerSettings.cupRingDepth');
             // Get mug base dimensions for cup ring diameter
             const mugDims = this.getFinalDimensions('mug');
             parameters.cupRingDiameter = mugDims.diameter * 0.6 + 4; // Base diameter + clearance
         }
 
+        // Add plate well and rim parameters (plates, and user-defined items with a marly)
+        if (this.hasFeature(itemType, 'marly')) {
+            Object.assign(parameters, DEFAULT_PLATE_SETTINGS, this.state.getState('plateSettings'));
+        }
+
         return parameters;
     }
 }
 
+// Helper: Keep only the known fields of a user-defined item
+function normalizeCustomItem({ name, diameter, height, features = [] }) {
+    return {
+        name: String(name).trim(),
+        diameter,
+        height,
+        features: features.filter(feature => ITEM_FEATURES[feature])
+    };
+}
+
 // Create singleton instances
 export const stateManager = new StateManager();
 export const parameterResolver = new ParameterResolver(stateManager);
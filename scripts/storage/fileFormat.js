@@ -46,6 +46,21 @@ export class ProjectFileFormat {
         };
     }
 
+    /**
+     * Build a project file for download or for a project bundle
+     * @param {Object} project - Project data, as for serialize()
+     * @param {string} appType - 'dinnerware', 'handle', 'vessel', or 'castform'
+     * @param {string} projectName - Name used in the filename
+     * @returns {{ filename: string, blob: Blob }}
+     */
+    static createFile(project, appType, projectName) {
+        const json = JSON.stringify(this.serialize(project, appType), null, 2);
+        return {
+            filename: this.generateFilename(projectName, appType, new Date()),
+            blob: new Blob([json], { type: this.MIME_TYPE })
+        };
+    }
+
     /**
      * Deserialize JSON file content to project data
      * @param {string|Object} fileContent - JSON string or parsed object
@@ -106,12 +121,18 @@ export class ProjectFileFormat {
 
     /**
      * Generate descriptive filename for project
+     * Also used for exported model files, which pass an extension and part.
      * @param {string} projectName - Name of the project
      * @param {string} appType - Type of app
      * @param {Date|string} timestamp - Optional timestamp (defaults to now)
+     * @param {Object} options - Optional { extension = 'json', part } where part
+     *        names one piece of a multi-file export (e.g. 'plate', 'Shell_Wall_1')
      * @returns {string} Filename like "Project-Name_dinnerware_2026-01-04.json"
+     *          or "Project-Name_plate_dinnerware_2026-01-04.stl"
      */
-    static generateFilename(projectName, appType, timestamp = new Date()) {
+    static generateFilename(projectName, appType, timestamp = new Date(), options = {}) {
+        const { extension = 'json', part = null } = options;
+
         // Sanitize project name
         const sanitized = projectName
             .trim()
@@ -119,11 +140,14 @@ export class ProjectFileFormat {
             .replace(/\s+/g, '-')             // Spaces to hyphens
             .substring(0, 50);                // Limit length
 
+        // Part names are code-defined; keep their underscores
+        const partSuffix = part ? `_${String(part).replace(/[^a-zA-Z0-9_-]/g, '')}` : '';
+
         // Format timestamp
         const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
         const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
 
-        return `${sanitized}_${appType}_${dateStr}.json`;
+        return `${sanitized || 'Untitled'}${partSuffix}_${appType}_${dateStr}.${extension}`;
     }
 
     /**
@@ -190,8 +214,8 @@ export class ProjectFileFormat {
             return 'dinnerware';
         }
 
-        // Vessel: has sections array and version
-        if (state.sections && Array.isArray(state.sections) && state.version) {
+        // Vessel: has sections (keyed by section name) and version
+        if (state.sections && (Array.isArray(state.sections) || state.global) && state.version) {
             return 'vessel';
         }
 
@@ -0,0 +1,192 @@
+/**
+ * History Menu
+ * Header undo/redo buttons with a dropdown list of history entries.
+ * Shared by all generators; each app supplies its own undo/redo callbacks.
+ */
+
+import { formatHistoryLabel } from '../state/commandHistory.js';
+
+const UNDO_ICON = `
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="9 14 4 9 9 4"/>
+        <path d="M20 20v-7a4 4 0 0 0-4-4H4"/>
+    </svg>`;
+
+const REDO_ICON = `
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="15 14 20 9 15 4"/>
+        <path d="M4 20v-7a4 4 0 0 1 4-4h12"/>
+    </svg>`;
+
+const LIST_ICON = `
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="9"/>
+        <polyline points="12 7 12 12 15 14"/>
+    </svg>`;
+
+/**
+ * History Menu Class
+ * Renders into a container element and stays in sync with a CommandHistory
+ */
+export class HistoryMenu {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {CommandHistory} history - History to display
+     * @param {Object} options
+     * @param {Function} options.onUndo - Called with the number of steps to undo
+     * @param {Function} options.onRedo - Called with the number of steps to redo
+     * @param {Function} [options.formatLabel] - Entry -> display label
+     */
+    constructor(container, history, options = {}) {
+        this.container = container;
+        this.history = history;
+        this.onUndo = options.onUndo || (() => {});
+        this.onRedo = options.onRedo || (() => {});
+        this.formatLabel = options.formatLabel || formatHistoryLabel;
+
+        this.render();
+        this.bindEvents();
+        this.update();
+
+        this.unsubscribe = history.subscribe(() => this.update());
+    }
+
+    render() {
+        this.container.classList.add('history-menu-container');
+        this.container.innerHTML = `
+            <button class="history-btn" data-history="undo" title="Undo (Ctrl+Z)">${UNDO_ICON}</button>
+            <button class="history-btn" data-history="redo" title="Redo (Ctrl+Shift+Z)">${REDO_ICON}</button>
+            <button class="history-btn" data-history="toggle" title="History">${LIST_ICON}</button>
+            <div class="history-menu">
+                <div class="history-menu-header">History</div>
+                <div class="history-menu-list"></div>
+            </div>
+        `;
+
+        this.undoBtn = this.container.querySelector('[data-history="undo"]');
+        this.redoBtn = this.container.querySelector('[data-history="redo"]');
+        this.toggleBtn = this.container.querySelector('[data-history="toggle"]');
+        this.list = this.container.querySelector('.history-menu-list');
+    }
+
+    bindEvents() {
+        this.undoBtn.addEventListener('click', () => this.onUndo(1));
+        this.redoBtn.addEventListener('click', () => this.onRedo(1));
+
+        this.toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.container.classList.toggle('open');
+        });
+
+        // Close on outside click
+        this.onDocumentClick = (e) => {
+            if (!this.container.contains(e.target)) {
+                this.container.classList.remove('open');
+            }
+        };
+        document.addEventListener('click', this.onDocumentClick);
+
+        // Jump to the clicked entry
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-menu-item');
+            if (!item) return;
+
+            const steps = parseInt(item.dataset.steps);
+            if (item.dataset.direction === 'undo' && steps > 0) {
+                this.onUndo(steps);
+            } else if (item.dataset.direction === 'redo') {
+                this.onRedo(steps);
+            }
+        });
+    }
+
+    update() {
+        const { done, undone } = this.history.getEntries();
+
+        this.undoBtn.disabled = done.length === 0;
+        this.redoBtn.disabled = undone.length === 0;
+
+        // Oldest first; the current position is the last done entry (or the start)
+        const rows = [
+            this.renderItem('Start', 'undo', done.length, done.length === 0),
+            ...done.map((entry, i) =>
+                this.renderItem(this.formatLabel(entry), 'undo', done.length - 1 - i, i === done.length - 1)),
+            ...undone.map((entry, i) =>
+                this.renderItem(this.formatLabel(entry), 'redo', i + 1, false, true))
+        ];
+
+        this.list.innerHTML = rows.join('');
+
+        const current = this.list.querySelector('.history-menu-item.current');
+        current?.scrollIntoView({ block: 'nearest' });
+    }
+
+    renderItem(label, direction, steps, isCurrent, isUndone = false) {
+        const classes = ['history-menu-item'];
+        if (isCurrent) classes.push('current');
+        if (isUndone) classes.push('undone');
+
+        return `
+            <div class="${classes.join(' ')}" data-direction="${direction}" data-steps="${steps}">
+                ${escapeHtml(label)}
+            </div>
+        `;
+    }
+
+    dispose() {
+        this.unsubscribe?.();
+        document.removeEventListener('click', this.onDocumentClick);
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * Route a Ctrl/Cmd+Z style keydown event to undo/redo handlers.
+ * Text fields keep their native undo.
+ * @param {KeyboardEvent} e
+ * @param {Object} handlers - { undo, redo }
+ * @returns {boolean} True if the event was handled
+ */
+export function handleHistoryShortcut(e, { undo, redo }) {
+    if (!(e.ctrlKey || e.metaKey)) return false;
+    if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return false;
+
+    const key = e.key.toLowerCase();
+
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+        return true;
+    }
+
+    if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * End the current undo step whenever an input commits its value
+ * (slider release, number entry), so separate edits stay separate entries.
+ * @param {CommandHistory} history
+ * @param {number} [delay=0] - Wait (ms) for debounced state writes to land first
+ */
+export function sealHistoryOnCommit(history, delay = 0) {
+    document.addEventListener('change', () => {
+        if (delay > 0) {
+            setTimeout(() => history.seal(), delay);
+        } else {
+            history.seal();
+        }
+    }, true);
+}
+
+// Helper: Escape HTML in labels
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,111 @@
+/**
+ * Mesh Check Panel
+ * Export modal section that reports watertightness of the objects about to
+ * be exported and offers auto-repair. Shared by all generators.
+ */
+
+import { analyzeMesh, describeMeshIssues } from '../export/meshAnalysis.js';
+
+/**
+ * Mesh Check Panel Class
+ * Renders into a container element inside an export modal
+ */
+export class MeshCheckPanel {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        // Analyses keyed by geometry, so reopening the modal is instant
+        this.cache = new WeakMap();
+        this.checkId = 0;
+
+        this.render();
+    }
+
+    render() {
+        this.container.classList.add('mesh-check');
+        this.container.innerHTML = `
+            <div class="mesh-check-header">Mesh check</div>
+            <div class="mesh-check-list"></div>
+            <label class="mesh-check-repair" title="Merges duplicate vertices, removes degenerate faces, fixes face winding and fills small holes">
+                <input type="checkbox">
+                <span>Auto-repair before export</span>
+            </label>
+        `;
+
+        this.list = this.container.querySelector('.mesh-check-list');
+        this.repairCheckbox = this.container.querySelector('.mesh-check-repair input');
+    }
+
+    /**
+     * Whether the user asked for auto-repair
+     * @returns {boolean}
+     */
+    get repair() {
+        return this.repairCheckbox.checked;
+    }
+
+    /**
+     * Analyze export objects and show the results. A newer call supersedes
+     * one still in progress.
+     * @param {Array<Object>} objects - Mesh exporter objects ({ name, geometry })
+     * @returns {Promise<Array<{ name: string, analysis: Object }>|null>} Null if superseded
+     */
+    async check(objects) {
+        const checkId = ++this.checkId;
+
+        if (objects.length === 0) {
+            this.list.innerHTML = '<div class="mesh-check-empty">Nothing selected</div>';
+            return [];
+        }
+
+        this.list.innerHTML = '<div class="mesh-check-empty">Checking meshes...</div>';
+
+        const results = [];
+        for (const object of objects) {
+            const key = Array.isArray(object.geometry) ? object.geometry[0] : object.geometry;
+            let analysis = this.cache.get(key);
+
+            if (!analysis) {
+                // Let the modal paint before each synchronous analysis
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (checkId !== this.checkId) return null;
+
+                analysis = analyzeMesh(object.geometry);
+                this.cache.set(key, analysis);
+            }
+
+            results.push({ name: object.name, analysis });
+        }
+
+        if (checkId !== this.checkId) return null;
+
+        this.list.innerHTML = results.map(({ name, analysis }) => {
+            const issues = describeMeshIssues(analysis);
+            const status = issues.length === 0 ? 'ok' : 'warning';
+            const summary = issues.length === 0
+                ? `Watertight, ${analysis.triangleCount.toLocaleString()} triangles`
+                : issues.join(', ');
+
+            return `
+                <div class="mesh-check-item ${status}">
+                    <span class="mesh-check-icon">${status === 'ok' ? '✓' : '⚠'}</span>
+                    <span class="mesh-check-name">${escapeHtml(name)}</span>
+                    <span class="mesh-check-summary">${summary}</span>
+                </div>
+            `;
+        }).join('');
+
+        return results;
+    }
+}
+
+// Helper: Escape HTML in object names
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+export default MeshCheckPanel;
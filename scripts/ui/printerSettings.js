@@ -0,0 +1,174 @@
+/**
+ * Printer Settings
+ * Settings menu section for choosing the printer profile and filament and
+ * managing custom profiles. Shared by all generators.
+ */
+
+import { printerProfiles, PRINTER_PRESETS, MATERIALS, formatBuildVolume } from '../printer/printerProfiles.js';
+
+/**
+ * Printer Settings Class
+ * Renders into a container element inside a settings menu or panel
+ */
+export class PrinterSettings {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        // Id of the custom profile being edited, or null for a new one
+        this.editingId = null;
+
+        this.render();
+        this.bindEvents();
+        this.update();
+
+        this.unsubscribe = printerProfiles.subscribe(() => this.update());
+    }
+
+    render() {
+        this.container.classList.add('printer-settings');
+        this.container.innerHTML = `
+            <select class="printer-select" title="Printer used for build volume checks"></select>
+            <div class="printer-specs"></div>
+            <label class="printer-material">
+                <span>Filament</span>
+                <select class="material-select" title="Filament used for weight estimates">
+                    ${MATERIALS.map(m => `<option value="${m.id}">${m.name} (${m.density} g/cm³)</option>`).join('')}
+                </select>
+            </label>
+            <div class="printer-actions">
+                <button type="button" class="printer-action" data-action="new">New custom</button>
+                <button type="button" class="printer-action" data-action="edit">Edit</button>
+                <button type="button" class="printer-action" data-action="delete">Delete</button>
+            </div>
+            <form class="printer-form" hidden>
+                <input type="text" name="name" placeholder="Printer name" maxlength="40" required>
+                <div class="printer-form-grid">
+                    <label>Bed X <input type="number" name="bedX" min="50" max="1000" step="1" required></label>
+                    <label>Bed Y <input type="number" name="bedY" min="50" max="1000" step="1" required></label>
+                    <label>Height <input type="number" name="bedZ" min="50" max="1000" step="1" required></label>
+                    <label>Nozzle <input type="number" name="nozzleDiameter" min="0.1" max="2" step="0.05" required></label>
+                    <label>Layer <input type="number" name="layerHeight" min="0.04" max="1" step="0.02" required></label>
+                </div>
+                <div class="printer-actions">
+                    <button type="submit" class="printer-action primary">Save</button>
+                    <button type="button" class="printer-action" data-action="cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        this.select = this.container.querySelector('.printer-select');
+        this.specs = this.container.querySelector('.printer-specs');
+        this.materialSelect = this.container.querySelector('.material-select');
+        this.form = this.container.querySelector('.printer-form');
+    }
+
+    bindEvents() {
+        this.select.addEventListener('change', () => {
+            printerProfiles.setActiveProfile(this.select.value);
+        });
+
+        this.materialSelect.addEventListener('change', () => {
+            printerProfiles.setActiveMaterial(this.materialSelect.value);
+        });
+
+        this.container.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const profile = printerProfiles.getActiveProfile();
+
+                switch (btn.dataset.action) {
+                    case 'new':
+                        this.openForm(null, { ...profile, name: `${profile.name} (custom)` });
+                        break;
+                    case 'edit':
+                        this.openForm(profile.id, profile);
+                        break;
+                    case 'delete':
+                        if (confirm(`Delete printer profile "${profile.name}"?`)) {
+                            printerProfiles.deleteCustomProfile(profile.id);
+                        }
+                        break;
+                    case 'cancel':
+                        this.closeForm();
+                        break;
+                }
+            });
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const data = new FormData(this.form);
+
+            const saved = printerProfiles.saveCustomProfile({
+                id: this.editingId,
+                name: data.get('name'),
+                bedShape: 'rect',
+                bedX: parseFloat(data.get('bedX')),
+                bedY: parseFloat(data.get('bedY')),
+                bedZ: parseFloat(data.get('bedZ')),
+                nozzleDiameter: parseFloat(data.get('nozzleDiameter')),
+                layerHeight: parseFloat(data.get('layerHeight'))
+            });
+
+            this.closeForm();
+            printerProfiles.setActiveProfile(saved.id);
+        });
+    }
+
+    /**
+     * Show the custom profile form
+     * @param {string|null} id - Custom profile to update, or null to add one
+     * @param {Object} values - Initial field values
+     */
+    openForm(id, values) {
+        this.editingId = id;
+        ['name', 'bedX', 'bedY', 'bedZ', 'nozzleDiameter', 'layerHeight'].forEach(field => {
+            this.form.elements[field].value = values[field];
+        });
+        this.form.hidden = false;
+        this.form.elements.name.focus();
+    }
+
+    closeForm() {
+        this.editingId = null;
+        this.form.hidden = true;
+    }
+
+    /**
+     * Refresh the list and specs from the profile library
+     */
+    update() {
+        const active = printerProfiles.getActiveProfile();
+        const custom = printerProfiles.getProfiles().filter(profile => profile.custom);
+        const options = profiles => profiles
+            .map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`)
+            .join('');
+
+        this.select.innerHTML = `
+            <optgroup label="Presets">${options(PRINTER_PRESETS)}</optgroup>
+            ${custom.length > 0 ? `<optgroup label="Custom">${options(custom)}</optgroup>` : ''}
+        `;
+        this.select.value = active.id;
+        this.materialSelect.value = printerProfiles.getActiveMaterial().id;
+
+        this.specs.textContent = `${formatBuildVolume(active)} · ${active.nozzleDiameter}mm nozzle · ${active.layerHeight}mm layers`;
+
+        // Presets are read-only
+        this.container.querySelector('[data-action="edit"]').hidden = !active.custom;
+        this.container.querySelector('[data-action="delete"]').hidden = !active.custom;
+    }
+
+    dispose() {
+        this.unsubscribe();
+    }
+}
+
+// Helper: Escape HTML in profile names
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+export default PrinterSettings;
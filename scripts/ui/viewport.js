@@ -5,8 +5,9 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { stateManager, ITEM_TYPES, ITEM_NAMES } from '../state/projectState.js';
-import { generateItemMesh } from '../geometry/meshGenerator.js';
+import { stateManager, parameterResolver } from '../state/projectState.js';
+import { MeshWorkerClient } from '../workers/meshWorkerClient.js';
+import { storeMeasurement } from '../printer/printEstimator.js';
 
 // Material for dinnerware items - smooth shading for circumference, geometry controls sharp profile edges
 const ITEM_MATERIAL = new THREE.MeshStandardMaterial({
@@ -44,8 +45,11 @@ export class ViewportManager {
         this.container = container;
         this.items = new Map();
         this.meshes = new Map();
+        this.meshWorker = new MeshWorkerClient();
         this.crossSectionEnabled = false;
         this.layoutMode = 'row';
+        // Called with (itemType, mesh) whenever an item gets new geometry
+        this.onItemUpdated = null;
         
         this.setupScene();
         this.setupCamera();
@@ -277,52 +281,96 @@ export class ViewportManager {
     }
     
     // Update a single item mesh
-    updateItem(itemType) {
-        // Remove old mesh if exists
-        if (this.meshes.has(itemType)) {
-            const oldMesh = this.meshes.get(itemType);
-            this.scene.remove(oldMesh);
-            oldMesh.geometry.dispose();
+    // Generation runs in the mesh worker; the previous mesh stays on screen until
+    // the new geometry arrives. Resolves to the mesh, or null if superseded/failed.
+    async updateItem(itemType) {
+        let result;
+        try {
+            result = await this.meshWorker.generate('dinnerware', {
+                itemType,
+                params: parameterResolver.getAllParameters(itemType)
+            }, { key: itemType });
+        } catch (error) {
+            console.error(`Error generating mesh for ${itemType}:`, error);
+            return null;
         }
         
-        try {
-            // Generate new mesh
-            const geometry = generateItemMesh(itemType);
-            
-            if (!geometry || !geometry.getAttribute('position')) {
-                console.error(`Failed to generate geometry for ${itemType}`);
-                return null;
-            }
-            
-            console.log(`Generated ${itemType}: ${geometry.getAttribute('position').count} vertices`);
-            
+        // A newer request for this item replaced this one
+        if (!result) return null;
+        
+        // The (user-defined) item was removed while it was generating
+        if (!parameterResolver.getItemTypes().includes(itemType)) {
+            result.geometry?.dispose();
+            return null;
+        }
+        
+        const { geometry } = result;
+        if (!geometry || !geometry.getAttribute('position')) {
+            console.error(`Failed to generate geometry for ${itemType}`);
+            return null;
+        }
+        
+        console.log(`Generated ${itemType}: ${geometry.getAttribute('position').count} vertices`);
+        storeMeasurement(geometry, result.measurement);
+        
+        let mesh = this.meshes.get(itemType);
+        if (mesh) {
+            // Swap geometry in place so visibility and position are kept
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+        } else {
             const material = this.crossSectionEnabled ? CROSS_SECTION_MATERIAL : ITEM_MATERIAL;
-            const mesh = new THREE.Mesh(geometry, material);
+            mesh = new THREE.Mesh(geometry, material);
             mesh.castShadow = true;
             mesh.receiveShadow = true;
             mesh.userData.itemType = itemType;
+            mesh.visible = stateManager.getState('ui.visibleItems').includes(itemType);
             
             this.meshes.set(itemType, mesh);
             this.scene.add(mesh);
-            
-            // Arrange items
-            this.arrangeItems();
-            
-            return mesh;
-        } catch (error) {
-            console.error(`Error generating mesh for ${itemType}:`, error);
-            return null;
         }
+        
+        // Arrange items
+        this.arrangeItems();
+        
+        this.onItemUpdated?.(itemType, mesh);
+        
+        return mesh;
+    }
+    
+    // Wait for all pending item meshes (e.g. before exporting)
+    whenMeshesReady() {
+        return this.meshWorker.whenIdle();
     }
     
     // Update all items
     updateAllItems() {
-        ITEM_TYPES.forEach(itemType => {
+        const itemTypes = parameterResolver.getItemTypes();
+        
+        // Drop meshes of user-defined items that were removed
+        this.meshes.forEach((mesh, itemType) => {
+            if (!itemTypes.includes(itemType)) {
+                this.removeItem(itemType);
+            }
+        });
+        
+        itemTypes.forEach(itemType => {
             this.updateItem(itemType);
         });
         this.updateVisibility();
     }
     
+    // Remove an item mesh from the scene
+    removeItem(itemType) {
+        const mesh = this.meshes.get(itemType);
+        if (!mesh) return;
+        
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        this.meshes.delete(itemType);
+        this.arrangeItems();
+    }
+    
     // Update item visibility
     updateVisibility() {
         const visibleItems = stateManager.getState('ui.visibleItems');
@@ -340,7 +388,7 @@ export class ViewportManager {
         const visibleMeshes = [];
         
         // Collect visible meshes with their info
-        ITEM_TYPES.forEach(itemType => {
+        parameterResolver.getItemTypes().forEach(itemType => {
             if (visibleItems.includes(itemType) && this.meshes.has(itemType)) {
                 const mesh = this.meshes.get(itemType);
                 const box = new THREE.Box3().setFromObject(mesh);
@@ -397,7 +445,7 @@ export class ViewportManager {
     
     arrangeGrid(items) {
         const cols = 3;
-        const rows = 2;
+        const rows = Math.ceil(items.length / cols);
         
         // Calculate cell size based on largest item
         const maxWidth = Math.max(...items.map(i => Math.max(i.width, i.depth)));
@@ -434,6 +482,7 @@ export class ViewportManager {
     
     // Dispose of all resources
     dispose() {
+        this.meshWorker.dispose();
         this.meshes.forEach((mesh) => {
             mesh.geometry.dispose();
         });
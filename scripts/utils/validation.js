@@ -3,11 +3,15 @@
  * Validates parameters and generates warnings for potential issues
  */
 
-import { stateManager, parameterResolver, ITEM_TYPES, ITEM_NAMES } from '../state/projectState.js';
+import { stateManager, parameterResolver } from '../state/projectState.js';
+import { printerProfiles, checkBedFit } from '../printer/printerProfiles.js';
+import { calculatePlateValues } from '../geometry/meshGenerator.js';
 
 // Warning thresholds
 const MIN_WALL_THICKNESS = 1.2;
 const MAX_OVERHANG_ANGLE = 45;
+const MIN_RIM_THICKNESS = 2;    // mm - plate rims thinner than this chip easily
+const MAX_RIM_SPAN = 15;        // Rim width per mm of wall thickness before it may sag
 
 /**
  * Warning System Class
@@ -32,13 +36,16 @@ export class WarningSystem {
     // Validate all items and update warnings
     validate() {
         this.warnings = [];
+        const printer = printerProfiles.getActiveProfile();
         
-        ITEM_TYPES.forEach(itemType => {
+        parameterResolver.getItemTypes().forEach(itemType => {
             const params = parameterResolver.getAllParameters(itemType);
             
             this.checkWallThickness(itemType, params);
             this.checkOverhangs(itemType, params);
             this.checkFootringGeometry(itemType, params);
+            this.checkPlateRim(itemType, params);
+            this.checkBuildVolume(itemType, params, printer);
         });
         
         // Update state
@@ -56,7 +63,7 @@ export class WarningSystem {
                 type: 'wall_thickness',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Wall thickness (${params.wallThickness}mm) below recommended minimum (${MIN_WALL_THICKNESS}mm) for FDM printing`,
                 parameter: 'wallThickness',
                 value: params.wallThickness
@@ -73,7 +80,7 @@ export class WarningSystem {
                 type: 'overhang',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Wall angle (${params.wallAngle}°) creates overhang exceeding 45° - may require supports`,
                 parameter: 'wallAngle',
                 value: params.wallAngle
@@ -87,7 +94,7 @@ export class WarningSystem {
                 type: 'overhang',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Outer footring angle (${params.outerFootringAngle}°) creates overhang exceeding 45° - may require supports`,
                 parameter: 'outerFootringAngle',
                 value: params.outerFootringAngle
@@ -101,7 +108,7 @@ export class WarningSystem {
                 type: 'overhang',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Inner footring angle (${params.innerFootringAngle}°) creates overhang exceeding 45° - may require supports`,
                 parameter: 'innerFootringAngle',
                 value: params.innerFootringAngle
@@ -130,7 +137,7 @@ export class WarningSystem {
                 type: 'impossible_geometry',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Footring angles create impossible geometry - adjust inner or outer angle`,
                 parameters: ['outerFootringAngle', 'innerFootringAngle']
             });
@@ -143,7 +150,7 @@ export class WarningSystem {
                 type: 'footring_width',
                 severity: 'warning',
                 itemType: itemType,
-                itemName: ITEM_NAMES[itemType],
+                itemName: parameterResolver.getItemName(itemType),
                 message: `Footring base width (${params.footringBaseWidth}mm) may be too narrow for stable support`,
                 parameter: 'footringBaseWidth',
                 value: params.footringBaseWidth
@@ -151,6 +158,101 @@ export class WarningSystem {
         }
     }
     
+    // Check the rim and well of plates with a well and rim profile
+    checkPlateRim(itemType, params) {
+        if (params.plateProfile !== 'marly') return;
+        
+        const itemName = parameterResolver.getItemName(itemType);
+        
+        if (params.wallThickness < MIN_RIM_THICKNESS) {
+            this.warnings.push({
+                id: `${itemType}_thin_rim`,
+                type: 'thin_rim',
+                severity: 'warning',
+                itemType: itemType,
+                itemName,
+                message: `Rim thickness (${params.wallThickness}mm) below recommended minimum (${MIN_RIM_THICKNESS}mm) - thin rims chip easily`,
+                parameter: 'wallThickness',
+                value: params.wallThickness
+            });
+        } else if (params.rimWidth > params.wallThickness * MAX_RIM_SPAN) {
+            this.warnings.push({
+                id: `${itemType}_thin_rim`,
+                type: 'thin_rim',
+                severity: 'warning',
+                itemType: itemType,
+                itemName,
+                message: `Rim width (${params.rimWidth}mm) is over ${MAX_RIM_SPAN}× the wall thickness (${params.wallThickness}mm) - a wide, thin rim may sag or warp`,
+                parameter: 'wallThickness',
+                value: params.wallThickness
+            });
+        }
+        
+        // Plate Settings are in mm and shared by every plate, so the
+        // smaller plates are the first to have them cut down
+        const plate = calculatePlateValues(params);
+        const { diameter, height } = params.dimensions;
+        
+        if (plate.rimWidth < params.rimWidth - 0.5) {
+            this.warnings.push({
+                id: `${itemType}_rim_width`,
+                type: 'rim_width',
+                severity: 'warning',
+                itemType: itemType,
+                itemName,
+                message: `Rim width reduced to ${plate.rimWidth.toFixed(1)}mm to fit the ${diameter.toFixed(0)}mm diameter - Plate Settings apply in mm to every plate, narrow the rim`,
+                parameter: 'rimWidth',
+                value: params.rimWidth
+            });
+        }
+        
+        if (plate.wellDepth < params.wellDepth - 0.5) {
+            this.warnings.push({
+                id: `${itemType}_well_depth`,
+                type: 'well_depth',
+                severity: 'warning',
+                itemType: itemType,
+                itemName,
+                message: `Well depth reduced to ${plate.wellDepth.toFixed(1)}mm to fit the ${height.toFixed(0)}mm height - lower the footring or rim angle`,
+                parameter: 'footringOriginHeight',
+                value: params.wellDepth
+            });
+        }
+        
+        // The well gives way to the marly and the cavetto's minimum run
+        const wellDiameter = plate.wellRadius * 2;
+        if (wellDiameter < diameter * params.wellDiameter / 100 - 1) {
+            this.warnings.push({
+                id: `${itemType}_well_diameter`,
+                type: 'well_diameter',
+                severity: 'warning',
+                itemType: itemType,
+                itemName,
+                message: `Well diameter reduced to ${(wellDiameter / diameter * 100).toFixed(0)}% (${wellDiameter.toFixed(0)}mm) to leave room for the ${plate.rimWidth.toFixed(0)}mm rim and the cavetto - narrow the rim or make the well shallower`,
+                parameter: 'wellDiameter',
+                value: params.wellDiameter
+            });
+        }
+    }
+    
+    // Check the item fits the selected printer
+    checkBuildVolume(itemType, params, printer) {
+        const { diameter, height } = params.dimensions;
+        const fit = checkBedFit({ shape: 'circle', diameter, height }, printer);
+        
+        if (!fit.fits) {
+            this.warnings.push({
+                id: `${itemType}_build_volume`,
+                type: 'build_volume',
+                severity: 'warning',
+                itemType: itemType,
+                itemName: parameterResolver.getItemName(itemType),
+                message: `Too large for ${printer.name}: ${fit.issues.join('; ')}`,
+                value: diameter
+            });
+        }
+    }
+    
     // Get warnings for a specific item
     getWarningsForItem(itemType) {
         return this.warnings.filter(w => w.itemType === itemType);
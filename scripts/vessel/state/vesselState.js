@@ -4,6 +4,10 @@
  */
 
 import { getDefaultState, deepClone } from './vesselDefaults.js';
+import { CommandHistory } from '../../state/commandHistory.js';
+
+// State branches recorded in undo history
+const HISTORY_TRACKED_PATHS = ['global', 'sections', 'transitions'];
 
 class VesselStateManager {
     constructor() {
@@ -12,6 +16,7 @@ class VesselStateManager {
         this.updateQueue = [];
         this.isProcessing = false;
         this.batchTimeout = null;
+        this.history = new CommandHistory({ trackedPaths: HISTORY_TRACKED_PATHS });
     }
 
     /**
@@ -69,12 +74,16 @@ class VesselStateManager {
         const notifyPaths = new Set();
         const changedPaths = [];
 
+        // Updates processed together form a single undo step
+        this.history.beginGroup();
+
         while (this.updateQueue.length > 0) {
             const { path, value, silent } = this.updateQueue.shift();
             const oldValue = this.getNestedValue(this.state, path);
             
             // Check if value actually changed
             if (!this.isEqual(oldValue, value)) {
+                this.history.record(path, oldValue, value);
                 this.setNestedValue(this.state, path, value);
                 changedPaths.push(path);
                 
@@ -96,6 +105,8 @@ class VesselStateManager {
             }
         }
 
+        this.history.endGroup();
+
         // Notify specific path listeners
         notifyPaths.forEach(path => {
             if (this.listeners.has(path)) {
@@ -134,12 +145,29 @@ class VesselStateManager {
         return this.getNestedValue(this.state, path);
     }
 
+    /**
+     * Undo the most recent change
+     * @returns {Object|null} The reverted history entry
+     */
+    undo() {
+        return this.history.undo(changes => this.batchUpdate(changes));
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {Object|null} The re-applied history entry
+     */
+    redo() {
+        return this.history.redo(changes => this.batchUpdate(changes));
+    }
+
     /**
      * Reset state to defaults
      */
     reset() {
         this.state = getDefaultState();
         this.state.project.dateCreated = new Date().toISOString();
+        this.history.clear();
         this.notifyAll();
     }
 
@@ -152,6 +180,7 @@ class VesselStateManager {
         const defaults = getDefaultState();
         this.state = this.mergeDeep(defaults, data);
         this.state.project.isDirty = false;
+        this.history.clear();
         this.notifyAll();
     }
 
@@ -5,14 +5,15 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { VesselMeshGenerator } from '../geometry/vesselMeshGenerator.js';
+import { MeshWorkerClient } from '../../workers/meshWorkerClient.js';
+import { storeMeasurement } from '../../printer/printEstimator.js';
 import { getMode } from '../../ui/themeManager.js';
 
 export class VesselViewport {
     constructor(container, state) {
         this.container = container;
         this.state = state;
-        this.meshGenerator = new VesselMeshGenerator(state);
+        this.meshWorker = new MeshWorkerClient();
         
         // Three.js components
         this.scene = null;
@@ -297,29 +298,39 @@ export class VesselViewport {
 
     /**
      * Update vessel mesh from state
+     * The mesh is generated in the mesh worker; the current vessel stays on
+     * screen until the result arrives, and superseded results are dropped.
      */
-    updateVessel() {
-        // Clear existing vessel
+    async updateVessel() {
+        let result;
+        try {
+            result = await this.meshWorker.generate('vessel', { state: this.state });
+        } catch (error) {
+            console.error('Vessel generation error:', error);
+            return;
+        }
+
+        // A newer state replaced this one
+        if (!result) return;
+
+        // Clear existing vessel (materials are shared, keep them)
         while (this.vesselGroup.children.length > 0) {
             const child = this.vesselGroup.children[0];
-            this.disposeObject(child);
+            child.geometry?.dispose();
             this.vesselGroup.remove(child);
         }
 
-        // Generate new vessel
-        this.meshGenerator = new VesselMeshGenerator(this.state);
-        const newVessel = this.meshGenerator.generate();
-        
         // Use appropriate material based on cross-section state
         const material = this.showCrossSection ? this.vesselMaterialClipped : this.vesselMaterial;
-        
-        newVessel.children.forEach(child => {
-            // Replace material with our controlled material
-            if (child.isMesh) {
-                child.material = material;
-            }
-            this.vesselGroup.add(child);
+
+        result.meshes.forEach(({ name, geometry }) => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = name;
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.vesselGroup.add(mesh);
         });
+        storeMeasurement(result.meshes.map(({ geometry }) => geometry), result.measurement);
 
         // Update clipping plane helper position based on vessel bounds
         this.updateClippingPlanePosition();
@@ -479,6 +490,14 @@ export class VesselViewport {
         this.needsRender = true;
     }
 
+    /**
+     * Wait for the latest vessel mesh (e.g. before exporting)
+     * @returns {Promise<void>}
+     */
+    whenMeshReady() {
+        return this.meshWorker.whenIdle();
+    }
+
     /**
      * Set vessel material color
      * @param {number} color - Hex color
@@ -568,6 +587,8 @@ export class VesselViewport {
         if (this.themeObserver) {
             this.themeObserver.disconnect();
         }
+
+        this.meshWorker.dispose();
         
         // Dispose materials
         if (this.vesselMaterial) {
@@ -7,14 +7,32 @@ import vesselState from './state/vesselState.js';
 import { VesselViewport } from './ui/vesselViewport.js';
 import { ParameterPanel } from './ui/parameterPanel.js';
 import { VesselMeshGenerator } from './geometry/vesselMeshGenerator.js';
-import { VesselSTLExporter } from './geometry/vesselSTLExporter.js';
+import {
+    exportMeshes,
+    downloadFiles,
+    downloadProjectBundle,
+    collectWorldGeometries,
+    getExportFilename,
+    getBundleFilename,
+    populateFormatSelect,
+    summarizeRepairs
+} from '../export/meshExporter.js';
 import { VesselStorage } from './vesselStorage.js';
 import { init as initThemeManager } from '../ui/themeManager.js';
+import { HistoryMenu, handleHistoryShortcut, sealHistoryOnCommit } from '../ui/historyMenu.js';
+import { MeshCheckPanel } from '../ui/meshCheckPanel.js';
+import { PrinterSettings } from '../ui/printerSettings.js';
+import { printerProfiles, checkBedFit } from '../printer/printerProfiles.js';
+import { estimateObjects, formatEstimate, describeEstimate } from '../printer/printEstimator.js';
 
 class VesselGeneratorApp {
     constructor() {
         this.viewport = null;
         this.parameterPanel = null;
+        this.historyMenu = null;
+        this.meshCheckPanel = null;
+        this.printerSettings = null;
+        this.warnings = [];
         this.autosaveInterval = null;
         this.editingProjectId = null;
         
@@ -43,7 +61,9 @@ class VesselGeneratorApp {
         this.initViewport();
         this.initParameterPanel();
         this.initHeaderButtons();
+        this.initHistory();
         this.initFooterControls();
+        this.initWarningsMenu();
         this.initModals();
         this.initKeyboardShortcuts();
         
@@ -116,12 +136,24 @@ class VesselGeneratorApp {
             this.showSaveModal();
         });
 
-        // Export STL
+        // Export
         document.getElementById('btnExportSTL')?.addEventListener('click', () => {
-            this.exportSTL();
+            this.showExportModal();
         });
     }
 
+    initHistory() {
+        sealHistoryOnCommit(vesselState.history);
+
+        const container = document.getElementById('historyMenuContainer');
+        if (container) {
+            this.historyMenu = new HistoryMenu(container, vesselState.history, {
+                onUndo: (steps) => this.undo(steps),
+                onRedo: (steps) => this.redo(steps)
+            });
+        }
+    }
+
     initFooterControls() {
         // View menu toggle
         const viewMenuContainer = document.getElementById('viewMenuContainer');
@@ -164,6 +196,28 @@ class VesselGeneratorApp {
             toggle?.classList.toggle('active');
             this.viewport?.toggleGrid(toggle?.classList.contains('active'));
         });
+
+        // Printer section of the settings menu
+        const printerContainer = document.getElementById('printerSettings');
+        if (printerContainer) {
+            this.printerSettings = new PrinterSettings(printerContainer);
+        }
+    }
+
+    initWarningsMenu() {
+        const container = document.getElementById('warningsMenuContainer');
+
+        document.getElementById('btnWarnings')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            container?.classList.toggle('open');
+        });
+
+        // Close warnings menu on outside click
+        document.addEventListener('click', (e) => {
+            if (!container?.contains(e.target)) {
+                container?.classList.remove('open');
+            }
+        });
     }
 
     initModals() {
@@ -204,6 +258,38 @@ class VesselGeneratorApp {
         confirmModal?.querySelector('.modal-backdrop')?.addEventListener('click', () => {
             confirmModal.style.display = 'none';
         });
+
+        // Export modal
+        const exportModal = document.getElementById('exportModal');
+        const formatSelect = document.getElementById('exportFormat');
+
+        if (formatSelect) {
+            populateFormatSelect(formatSelect);
+            formatSelect.addEventListener('change', () => this.updateExportFilename());
+        }
+        document.getElementById('exportWithProject')?.addEventListener('change', () => this.updateExportFilename());
+
+        const meshCheck = document.getElementById('meshCheck');
+        if (meshCheck) {
+            this.meshCheckPanel = new MeshCheckPanel(meshCheck);
+        }
+
+        document.getElementById('btnCloseExportModal')?.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+        });
+
+        document.getElementById('btnCancelExport')?.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+        });
+
+        document.getElementById('btnConfirmExport')?.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+            this.exportVessel(formatSelect?.value);
+        });
+
+        exportModal?.querySelector('.modal-backdrop')?.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+        });
     }
 
     initKeyboardShortcuts() {
@@ -226,11 +312,17 @@ class VesselGeneratorApp {
                 this.newProject();
             }
             
-            // Ctrl/Cmd + E = Export STL
+            // Ctrl/Cmd + E = Export
             if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
                 e.preventDefault();
-                this.exportSTL();
+                this.showExportModal();
             }
+
+            // Ctrl/Cmd + Z = Undo, Ctrl/Cmd + Shift + Z = Redo
+            handleHistoryShortcut(e, {
+                undo: () => this.undo(),
+                redo: () => this.redo()
+            });
         });
     }
 
@@ -239,11 +331,18 @@ class VesselGeneratorApp {
             // Update viewport
             if (this.viewport) {
                 this.viewport.state = state;
-                this.viewport.updateVessel();
+                this.viewport.updateVessel().then(() => this.updatePrintEstimate());
             }
             
             // Update unsaved indicator
             this.updateUnsavedIndicator();
+            this.validate();
+        });
+
+        // Re-check build volume and estimate for the newly selected printer
+        printerProfiles.subscribe(() => {
+            this.validate();
+            this.updatePrintEstimate();
         });
     }
 
@@ -252,11 +351,80 @@ class VesselGeneratorApp {
         
         if (this.viewport) {
             this.viewport.state = state;
-            this.viewport.updateVessel();
+            this.viewport.updateVessel().then(() => this.updatePrintEstimate());
         }
         
         this.updateProjectName();
         this.updateUnsavedIndicator();
+        this.validate();
+    }
+
+    /**
+     * Check the vessel against the selected printer and update warnings
+     */
+    validate() {
+        const warnings = [];
+        const printer = printerProfiles.getActiveProfile();
+
+        // The profile generator applies diameter locks in place, so work on a copy
+        const stats = new VesselMeshGenerator(structuredClone(vesselState.getState())).calculateStatistics();
+        const fit = checkBedFit({ shape: 'circle', diameter: stats.maxDiameter, height: stats.height }, printer);
+
+        if (!fit.fits) {
+            warnings.push({
+                id: 'build-volume',
+                title: 'Too large for printer',
+                message: `Vessel does not fit ${printer.name}: ${fit.issues.join('; ')}`
+            });
+        }
+
+        this.warnings = warnings;
+        this.updateWarningsDisplay();
+    }
+
+    /**
+     * Update the filament and time estimate in the footer
+     */
+    updatePrintEstimate() {
+        const estimateEl = document.getElementById('printEstimate');
+        const group = this.viewport?.vesselGroup;
+        if (!estimateEl || !group) return;
+
+        // The surfaces only form a closed body together
+        group.updateMatrixWorld(true);
+        const geometries = group.children.filter(child => child.isMesh).map(child => child.geometry);
+        const estimate = geometries.length > 0
+            ? estimateObjects([{ geometry: geometries, matrix: group.matrixWorld }])
+            : null;
+
+        estimateEl.textContent = estimate ? formatEstimate(estimate) : '';
+        estimateEl.title = estimate ? describeEstimate(estimate).join('\n') : '';
+    }
+
+    updateWarningsDisplay() {
+        const container = document.getElementById('warningsMenuContainer');
+        const countEl = document.getElementById('warningCount');
+        const listEl = document.getElementById('warningsList');
+        if (!container) return;
+
+        if (this.warnings.length === 0) {
+            container.style.display = 'none';
+            container.classList.remove('open');
+            return;
+        }
+
+        container.style.display = 'block';
+        if (countEl) countEl.textContent = this.warnings.length;
+        if (listEl) {
+            listEl.innerHTML = this.warnings.map(warning => `
+                <div class="warning-item">
+                    <div class="warning-item-content">
+                        <div class="warning-item-title">${warning.title}</div>
+                        <div class="warning-item-message">${warning.message}</div>
+                    </div>
+                </div>
+            `).join('');
+        }
     }
 
     // Actions
@@ -315,6 +483,18 @@ class VesselGeneratorApp {
         }
     }
 
+    undo(steps = 1) {
+        let count = 0;
+        while (count < steps && vesselState.undo()) count++;
+        if (count > 0) this.setStatus(count > 1 ? `Undid ${count} changes` : 'Undo');
+    }
+
+    redo(steps = 1) {
+        let count = 0;
+        while (count < steps && vesselState.redo()) count++;
+        if (count > 0) this.setStatus(count > 1 ? `Redid ${count} changes` : 'Redo');
+    }
+
     showSaveModal() {
         const modal = document.getElementById('saveModal');
         const nameInput = document.getElementById('saveProjectName');
@@ -328,15 +508,82 @@ class VesselGeneratorApp {
         nameInput?.select();
     }
 
-    exportSTL() {
-        if (!this.viewport?.vesselGroup) {
+    async showExportModal() {
+        this.updateExportFilename();
+        document.getElementById('exportModal').style.display = 'flex';
+
+        const object = await this.getExportObject();
+        this.meshCheckPanel?.check(object ? [object] : []);
+    }
+
+    updateExportFilename() {
+        const preview = document.getElementById('exportFilename');
+        const format = document.getElementById('exportFormat')?.value;
+        if (preview) {
+            const projectName = vesselState.getState('project.name') || 'vessel';
+            preview.textContent = document.getElementById('exportWithProject')?.checked
+                ? getBundleFilename(projectName, 'vessel')
+                : getExportFilename(projectName, 'vessel', format);
+        }
+    }
+
+    /**
+     * Export the vessel in the given format
+     * @param {string} format - Export format id
+     */
+    async exportVessel(format) {
+        const object = await this.getExportObject();
+        if (!object) {
             this.setStatus('No vessel to export');
             return;
         }
-        
+
         const projectName = vesselState.getState('project.name') || 'vessel';
-        VesselSTLExporter.exportBinary(this.viewport.vesselGroup, `${projectName}.stl`);
-        this.setStatus('STL exported');
+
+        try {
+            const { files, warnings, repairs, estimates } = exportMeshes([object], {
+                format,
+                projectName,
+                appType: 'vessel',
+                repair: this.meshCheckPanel?.repair
+            });
+            warnings.forEach(warning => console.warn('Export:', warning));
+
+            // A project bundle carries the project file next to the mesh
+            const withProject = document.getElementById('exportWithProject')?.checked;
+            if (withProject) {
+                await downloadProjectBundle(VesselStorage.createProjectFile(projectName), files, projectName, 'vessel');
+            } else {
+                await downloadFiles(files);
+            }
+
+            const exported = withProject ? getBundleFilename(projectName, 'vessel') : files[0].filename;
+            const repairSummary = repairs.length > 0 ? ` (${summarizeRepairs(repairs)})` : '';
+            this.setStatus(`Exported ${exported}${repairSummary} - ${formatEstimate(estimates[0])}`);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.setStatus('Export failed: ' + error.message);
+        }
+    }
+
+    /**
+     * The vessel as one mesh exporter object, or null if there is nothing to export
+     * @returns {Promise<Object|null>}
+     */
+    async getExportObject() {
+        if (!this.viewport?.vesselGroup) return null;
+
+        // Make sure the latest changes have finished generating
+        await this.viewport.whenMeshReady();
+
+        // All vessel surfaces form one printable object
+        const geometries = collectWorldGeometries(this.viewport.vesselGroup);
+        if (geometries.length === 0) return null;
+
+        return {
+            name: vesselState.getState('project.name') || 'vessel',
+            geometry: geometries
+        };
     }
 
     /**
@@ -458,6 +705,8 @@ class VesselGeneratorApp {
         
         this.viewport?.dispose();
         this.parameterPanel?.dispose();
+        this.historyMenu?.dispose();
+        this.printerSettings?.dispose();
     }
 }
 
@@ -107,33 +107,30 @@ export class VesselStorage {
     }
 
     /**
-     * Save current project to file (for export/backup)
-     * @param {string} filename - Filename without extension
+     * Build the project file, for saving to disk or bundling with an export
+     * @param {string} name - Project name
+     * @returns {{ filename: string, blob: Blob }}
      */
-    static saveToFile(filename = 'vessel') {
+    static createProjectFile(name = 'vessel') {
         const state = vesselState.exportState();
-        state.project.name = filename;
+        state.project.name = name;
         state.project.lastModified = new Date().toISOString();
 
         // Create project object for enhanced format
-        const projectData = {
+        return ProjectFileFormat.createFile({
             id: state.project.id,
             project: state.project,
             state: state,
             thumbnail: null
-        };
+        }, 'vessel', name);
+    }
 
-        // Use enhanced JSON format
-        const enhancedData = ProjectFileFormat.serialize(projectData, 'vessel');
-        const json = JSON.stringify(enhancedData, null, 2);
-        const blob = new Blob([json], { type: this.FILE_TYPE });
-
-        // Generate filename with timestamp
-        const generatedFilename = ProjectFileFormat.generateFilename(
-            filename,
-            'vessel',
-            new Date()
-        );
+    /**
+     * Save current project to file (for export/backup)
+     * @param {string} filename - Filename without extension
+     */
+    static saveToFile(filename = 'vessel') {
+        const { filename: generatedFilename, blob } = this.createProjectFile(filename);
 
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
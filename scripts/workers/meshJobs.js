@@ -0,0 +1,224 @@
+/**
+ * Mesh Jobs
+ * Generation jobs that can run either inside the mesh worker or on the
+ * main thread, plus helpers that turn BufferGeometry into plain
+ * structured-clone data (and back) so results can cross the worker boundary.
+ * Printable results are measured here too (see measureMesh), so the print
+ * estimate never has to weld and walk a large mesh on the main thread.
+ */
+
+import * as THREE from 'three';
+import { generateItemMeshFromParams } from '../geometry/meshGenerator.js';
+import { VesselMeshGenerator } from '../vessel/geometry/vesselMeshGenerator.js';
+import { generateHandleMesh } from '../handle/geometry/handleMeshGenerator.js';
+import { generateHandleMold } from '../handle/geometry/handleMoldGenerator.js';
+import { MoldGenerator } from '../castForm/geometry/moldGenerator.js';
+import { PartingLineOptimizer } from '../castForm/geometry/partingLineOptimizer.js';
+import { measureMesh } from '../export/meshAnalysis.js';
+
+/**
+ * Job handlers keyed by job kind.
+ * Each takes a structured-clone payload and returns a result object that may
+ * contain BufferGeometry values anywhere in its tree.
+ */
+const JOBS = {
+    /**
+     * Dinnerware item
+     * @param {{ itemType: string, params: Object }} payload - Resolved item parameters
+     * @returns {{ geometry: THREE.BufferGeometry, measurement: Object }}
+     */
+    dinnerware({ itemType, params }) {
+        const geometry = generateItemMeshFromParams(itemType, params);
+        return { geometry, measurement: measureMesh(geometry) };
+    },
+
+    /**
+     * Vessel - every mesh of the generated group, flattened
+     * @param {{ state: Object }} payload - Vessel state
+     * @returns {{ meshes: Array<{ name: string, geometry: THREE.BufferGeometry }>, measurement: Object }}
+     *          measurement covers all meshes together, as one body
+     */
+    vessel({ state }) {
+        const group = new VesselMeshGenerator(state).generate();
+        group.updateMatrixWorld(true);
+
+        const meshes = [];
+        group.traverse(child => {
+            if (!child.isMesh) return;
+            // Bake transforms so the receiver can use the geometry as-is
+            meshes.push({ name: child.name, geometry: child.geometry.applyMatrix4(child.matrixWorld) });
+            child.material.dispose();
+        });
+
+        return { meshes, measurement: measureMesh(meshes.map(({ geometry }) => geometry)) };
+    },
+
+    /**
+     * Handle
+     * @param {{ handleParams: Object, mugData: Object }} payload
+     * @returns {{ geometry: THREE.BufferGeometry, measurement: Object }}
+     */
+    handle({ handleParams, mugData }) {
+        const geometry = generateHandleMesh(handleParams, mugData);
+        return { geometry, measurement: measureMesh(geometry) };
+    },
+
+    /**
+     * Handle press mold halves
+     * @param {{ handleParams: Object, mugData: Object, moldParams: Object }} payload
+     * @returns {{ halves: THREE.BufferGeometry[], skippedNatches: number, pourGateFlare: number }}
+     */
+    handleMold({ handleParams, mugData, moldParams }) {
+        return generateHandleMold(handleParams, mugData, moldParams);
+    },
+
+    /**
+     * Cast form mold shells
+     * @param {{ geometry: Object, params: Object }} payload - Serialized input geometry and mold params
+     * @returns {{ foot: THREE.BufferGeometry, walls: THREE.BufferGeometry[], box: THREE.BufferGeometry[],
+     *          volumes: Object, measurements: { foot: Object, walls: Object[], box: Object[] } }}
+     */
+    castform({ geometry, params }) {
+        const input = deserializeGeometry(geometry);
+        const result = new MoldGenerator().generate(input, params);
+        input.dispose();
+
+        result.measurements = {
+            foot: result.foot ? measureMesh(result.foot) : null,
+            walls: result.walls.map(wall => (wall ? measureMesh(wall) : null)),
+            box: result.box.map(part => measureMesh(part))
+        };
+        return result;
+    },
+
+    /**
+     * Cast form seam layout search
+     * @param {{ geometry: Object, params: Object, options: Object }} payload - Serialized input
+     *        geometry, mold params and PartingLineOptimizer.findCandidates options
+     * @returns {{ current: Object, candidates: Object[] }}
+     */
+    partingLine({ geometry, params, options }) {
+        const input = deserializeGeometry(geometry);
+        const result = PartingLineOptimizer.findCandidates(input, params, options);
+        input.dispose();
+        return result;
+    }
+};
+
+/**
+ * Run a generation job
+ * @param {string} kind - 'dinnerware', 'vessel', 'handle', 'handleMold', 'castform' or 'partingLine'
+ * @param {Object} payload - Job input
+ * @returns {Object} Job result (geometry not yet serialized)
+ */
+export function runMeshJob(kind, payload) {
+    const job = JOBS[kind];
+    if (!job) {
+        throw new Error(`Unknown mesh job: ${kind}`);
+    }
+    return job(payload);
+}
+
+/**
+ * Convert a BufferGeometry into plain data
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Set<ArrayBuffer>} [transfer] - Collects buffers that can be transferred
+ *        instead of copied. Omit to keep the source geometry usable.
+ * @returns {Object} Serialized geometry
+ */
+export function serializeGeometry(geometry, transfer = null) {
+    const attributes = {};
+
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+        // Interleaved attributes share a buffer - copy them out into their own
+        const source = attribute.isInterleavedBufferAttribute ? attribute.clone() : attribute;
+        attributes[name] = {
+            array: source.array,
+            itemSize: source.itemSize,
+            normalized: source.normalized
+        };
+        transfer?.add(source.array.buffer);
+    });
+
+    const index = geometry.index ? geometry.index.array : null;
+    if (index) transfer?.add(index.buffer);
+
+    return {
+        isSerializedGeometry: true,
+        attributes,
+        index,
+        groups: geometry.groups.map(group => ({ ...group })),
+        userData: geometry.userData
+    };
+}
+
+/**
+ * Rebuild a BufferGeometry from serialized data
+ * @param {Object} data - Output of serializeGeometry
+ * @returns {THREE.BufferGeometry}
+ */
+export function deserializeGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+
+    Object.entries(data.attributes).forEach(([name, { array, itemSize, normalized }]) => {
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+    });
+
+    if (data.index) {
+        geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+    }
+
+    data.groups.forEach(({ start, count, materialIndex }) => {
+        geometry.addGroup(start, count, materialIndex);
+    });
+
+    geometry.userData = data.userData || {};
+    return geometry;
+}
+
+/**
+ * Serialize every BufferGeometry inside a result tree
+ * @param {*} value - Result object, array or geometry
+ * @param {Set<ArrayBuffer>} [transfer] - Collects transferable buffers
+ * @returns {*} Same shape with geometries replaced by plain data
+ */
+export function packGeometries(value, transfer = null) {
+    if (value?.isBufferGeometry) {
+        return serializeGeometry(value, transfer);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => packGeometries(item, transfer));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, packGeometries(item, transfer)])
+        );
+    }
+    return value;
+}
+
+/**
+ * Rebuild every serialized geometry inside a result tree
+ * @param {*} value - Packed result
+ * @returns {*} Same shape with BufferGeometry instances
+ */
+export function unpackGeometries(value) {
+    if (value?.isSerializedGeometry) {
+        return deserializeGeometry(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(unpackGeometries);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, unpackGeometries(item)])
+        );
+    }
+    return value;
+}
+
+// Helper: Plain object check (skips typed arrays and class instances)
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype;
+}
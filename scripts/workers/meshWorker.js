@@ -0,0 +1,22 @@
+/**
+ * Mesh Worker
+ * Module worker that runs mesh generation jobs off the main thread.
+ *
+ * Request:  { id, kind, payload }
+ * Response: { id, result } with geometry buffers transferred, or { id, error }
+ */
+
+import { runMeshJob, packGeometries } from './meshJobs.js';
+
+self.addEventListener('message', (e) => {
+    const { id, kind, payload } = e.data;
+
+    try {
+        const transfer = new Set();
+        const result = packGeometries(runMeshJob(kind, payload), transfer);
+        self.postMessage({ id, result }, [...transfer]);
+    } catch (error) {
+        console.error(`Mesh worker: ${kind} job failed:`, error);
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,228 @@
+/**
+ * Mesh Worker Client
+ * Main-thread side of the mesh worker. Jobs are grouped by key (e.g. one key
+ * per dinnerware item); only the newest request per key is ever generated, so
+ * requests that pile up while a slider is dragged are dropped instead of queued.
+ * Falls back to generating on the main thread when workers are unavailable.
+ */
+
+import { runMeshJob, unpackGeometries } from './meshJobs.js';
+
+/**
+ * Mesh Worker Client Class
+ */
+export class MeshWorkerClient {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.restartOnCancel=false] - Terminate the worker to abort a
+     *        superseded job that is already running (for long jobs like mold generation)
+     */
+    constructor(options = {}) {
+        this.restartOnCancel = options.restartOnCancel ?? false;
+        this.useWorker = typeof Worker !== 'undefined';
+        this.worker = null;
+        this.nextId = 1;
+        this.channels = new Map(); // key -> { running, pending }
+        this.jobs = new Map();     // id -> running job
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Request a mesh. Supersedes any unfinished request with the same key.
+     * @param {string} kind - Job kind ('dinnerware', 'vessel', 'handle', 'handleMold', 'castform', 'partingLine')
+     * @param {Object} payload - Structured-clone job input
+     * @param {Object} [options]
+     * @param {string} [options.key] - Cancellation key (defaults to kind)
+     * @returns {Promise<Object|null>} Job result with BufferGeometry values,
+     *          or null if a newer request replaced this one
+     */
+    generate(kind, payload, options = {}) {
+        const key = options.key || kind;
+        const channel = this.getChannel(key);
+
+        return new Promise((resolve, reject) => {
+            // A queued job that never started is simply dropped
+            channel.pending?.resolve(null);
+            channel.pending = { id: this.nextId++, key, kind, payload, resolve, reject, stale: false };
+
+            if (channel.running) {
+                this.supersede(channel);
+            } else {
+                this.startNext(channel);
+            }
+        });
+    }
+
+    /**
+     * Cancel all unfinished requests for a key (they resolve to null)
+     * @param {string} key
+     */
+    cancel(key) {
+        const channel = this.channels.get(key);
+        if (!channel) return;
+
+        channel.pending?.resolve(null);
+        channel.pending = null;
+
+        if (channel.running) {
+            this.supersede(channel);
+        }
+    }
+
+    /**
+     * Wait until every requested mesh has been delivered
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        if (this.isIdle()) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    isIdle() {
+        return this.jobs.size === 0 &&
+            [...this.channels.values()].every(channel => !channel.pending);
+    }
+
+    /**
+     * Stop the worker and drop all requests
+     */
+    dispose() {
+        this.worker?.terminate();
+        this.worker = null;
+
+        this.channels.forEach(channel => {
+            channel.running?.resolve(null);
+            channel.pending?.resolve(null);
+        });
+        this.channels.clear();
+        this.jobs.clear();
+        this.flushIdleWaiters();
+    }
+
+    getChannel(key) {
+        if (!this.channels.has(key)) {
+            this.channels.set(key, { running: null, pending: null });
+        }
+        return this.channels.get(key);
+    }
+
+    // Mark the running job as outdated; its result is discarded when it arrives
+    supersede(channel) {
+        channel.running.stale = true;
+
+        if (this.restartOnCancel && this.worker) {
+            this.restartWorker();
+        }
+    }
+
+    startNext(channel) {
+        const job = channel.pending;
+        channel.pending = null;
+
+        if (!job) {
+            if (this.isIdle()) this.flushIdleWaiters();
+            return;
+        }
+
+        channel.running = job;
+        this.jobs.set(job.id, job);
+        this.dispatch(job);
+    }
+
+    dispatch(job) {
+        const worker = this.getWorker();
+
+        if (worker) {
+            try {
+                worker.postMessage({ id: job.id, kind: job.kind, payload: job.payload });
+                return;
+            } catch (error) {
+                // Payload could not be cloned - generate on the main thread instead
+                console.warn(`Mesh worker: ${job.kind} job not transferable, generating inline:`, error);
+            }
+        }
+
+        // Deferred so callers always receive the result asynchronously
+        setTimeout(() => {
+            if (this.jobs.get(job.id) !== job) return;
+
+            try {
+                this.finish(job.id, { result: runMeshJob(job.kind, job.payload) });
+            } catch (error) {
+                this.finish(job.id, { error: error.message });
+            }
+        }, 0);
+    }
+
+    finish(id, { result, error }) {
+        const job = this.jobs.get(id);
+        if (!job) return; // Job from a terminated worker
+
+        this.jobs.delete(id);
+        const channel = this.getChannel(job.key);
+        channel.running = null;
+
+        if (job.stale) {
+            job.resolve(null);
+        } else if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve(unpackGeometries(result));
+        }
+
+        this.startNext(channel);
+    }
+
+    getWorker() {
+        if (!this.useWorker) return null;
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(new URL('./meshWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Mesh worker unavailable, generating on the main thread:', error);
+            this.useWorker = false;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (e) => this.finish(e.data.id, e.data));
+
+        // Script failed to load - fall back for good and rerun what was in flight
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.warn('Mesh worker failed, generating on the main thread:', e.message);
+            this.useWorker = false;
+            this.worker?.terminate();
+            this.worker = null;
+            this.jobs.forEach(job => this.dispatch(job));
+        });
+
+        return this.worker;
+    }
+
+    // Abort whatever the worker is doing; running jobs that are still current are resent
+    restartWorker() {
+        this.worker.terminate();
+        this.worker = null;
+
+        [...this.jobs.values()].forEach(job => {
+            if (job.stale) {
+                this.jobs.delete(job.id);
+                const channel = this.getChannel(job.key);
+                channel.running = null;
+                job.resolve(null);
+                this.startNext(channel);
+            } else {
+                this.dispatch(job);
+            }
+        });
+    }
+
+    flushIdleWaiters() {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+export default MeshWorkerClient;